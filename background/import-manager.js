@@ -0,0 +1,977 @@
+/**
+ * ImportManager - Resumable background import job for AI-ReCap
+ *
+ * Owns all tab orchestration for imports so an import keeps running after the
+ * popup closes. Job state is persisted after every step, so a restarted
+ * service worker picks the job up where it stopped.
+ *
+ * Job lifecycle:
+ * 1. listing   - Read the sidebar of each selected platform and queue conversations
+ * 2. scraping  - Extract queued conversations in parallel background tabs
+ * 3. retrying  - Retry failed conversations sequentially with longer timeouts
+ * 4. finalizing - Record sync cursors and import totals
+ *
+ * The popup starts/pauses/resumes/cancels jobs through runtime messages and
+ * subscribes to progress over a long-lived port named 'importProgress'.
+ */
+
+const ImportManager = {
+  // Configuration constants
+  MAX_PARALLEL_TABS: 6,          // Process 6 conversations simultaneously (balanced speed vs stability)
+  TAB_TIMEOUT: 6000,             // 6 second timeout per tab (increased for cross-account imports)
+  BATCH_DELAY: 1000,             // Delay between batches (increased for browser recovery)
+  DYNAMIC_CONTENT_DELAY: 2500,   // Wait after page load for dynamic content (increased for heavy ChatGPT pages)
+  EXTRACTION_TIMEOUT: 30000,     // 30 seconds max per extraction (increased for large conversations)
+
+  RETRY_CONFIG: {
+    TAB_TIMEOUT: 10000,           // 10s timeout for retry
+    DYNAMIC_CONTENT_DELAY: 4000,  // 4s delay for retry
+    EXTRACTION_TIMEOUT: 60000     // 60s extraction timeout for retry
+  },
+
+  PORT_NAME: 'importProgress',
+  WATCHDOG_ALARM: 'importJobWatchdog',
+  CONTENT_SCRIPT_PREFIX: 'scraper-',
+
+  // In-memory state (the persisted job is the source of truth after a restart)
+  job: null,
+  ports: new Set(),
+  running: false,
+  initialized: false,
+
+  /**
+   * JOB CONTROL
+   */
+
+  /**
+   * Load any persisted job and resume it if it was running
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (this.initialized) {
+      return;
+    }
+    this.initialized = true;
+
+    try {
+      this.job = await StorageService.getImportJob();
+
+      if (this.job && this.job.status === 'running') {
+        console.log(`[Import Manager] Resuming job ${this.job.id} (${this.job.phase})`);
+        await this._closeOpenTabs();
+        this._run();
+      }
+    } catch (error) {
+      console.error('[Import Manager] Error initializing:', error);
+    }
+  },
+
+  /**
+   * Start a new import job
+   * @param {Object} options - Job options
+   * @param {string} options.mode - 'full' or 'resync'
+   * @param {Array<{key: string, limit: number}>} options.platforms - Platforms to import from
+   * @returns {Promise<Object>} Job snapshot
+   */
+  async startJob({ mode = 'full', platforms = [] } = {}) {
+    await this.init();
+
+    if (this.job && (this.job.status === 'running' || this.job.status === 'paused')) {
+      throw new Error('An import is already in progress');
+    }
+
+    const selected = platforms
+      .filter(config => PlatformRegistry.get(config.key) && config.limit > 0)
+      .map(config => ({ ...config, limit: PlatformRegistry.clampLimit(config.key, config.limit) }));
+    if (selected.length === 0) {
+      throw new Error('No platforms selected for import');
+    }
+
+    const now = Date.now();
+    this.job = {
+      id: `import_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      mode: mode === 'resync' ? 'resync' : 'full',
+      status: 'running',
+      phase: 'listing',
+      platformOrder: selected.map(config => config.key),
+      platforms: {},
+      queue: [],
+      done: [],
+      failed: [],
+      openTabIds: [],
+      statusText: mode === 'resync' ? 'Checking for new and changed chats...' : 'Initializing import...',
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+
+    selected.forEach(config => {
+      this.job.platforms[config.key] = {
+        key: config.key,
+        label: PlatformRegistry.getName(config.key),
+        limit: config.limit,
+        listed: false,
+        previousHeadId: null,
+        headId: null,
+        total: 0,
+        completed: 0,
+        saved: 0,
+        failed: 0,
+        stats: { added: 0, updated: 0, unchanged: 0, skipped: 0 }
+      };
+    });
+
+    await this._saveJob();
+    console.log(`[Import Manager] Job ${this.job.id} started (${this.job.mode})`);
+
+    this._run();
+    return this.getSnapshot();
+  },
+
+  /**
+   * Pause the running job after the current batch finishes
+   * @returns {Promise<Object|null>} Job snapshot
+   */
+  async pauseJob() {
+    await this.init();
+
+    if (!this.job || this.job.status !== 'running') {
+      throw new Error('No running import to pause');
+    }
+
+    this.job.status = 'paused';
+    this.job.statusText = 'Pausing after the current batch...';
+    await this._saveJob();
+    console.log(`[Import Manager] Job ${this.job.id} paused`);
+    return this.getSnapshot();
+  },
+
+  /**
+   * Resume a paused job (or a running job whose worker was restarted)
+   * @returns {Promise<Object|null>} Job snapshot
+   */
+  async resumeJob() {
+    await this.init();
+
+    if (!this.job || (this.job.status !== 'paused' && this.job.status !== 'running')) {
+      throw new Error('No import to resume');
+    }
+
+    this.job.status = 'running';
+    this.job.statusText = 'Resuming import...';
+    await this._saveJob();
+    console.log(`[Import Manager] Job ${this.job.id} resumed`);
+
+    this._run();
+    return this.getSnapshot();
+  },
+
+  /**
+   * Cancel the job; chats saved so far are kept
+   * @returns {Promise<Object|null>} Job snapshot
+   */
+  async cancelJob() {
+    await this.init();
+
+    if (!this.job || (this.job.status !== 'running' && this.job.status !== 'paused')) {
+      throw new Error('No import to cancel');
+    }
+
+    this.job.status = 'cancelled';
+    this.job.queue = [];
+    this.job.completedAt = Date.now();
+    this.job.statusText = `Import cancelled. ${this._countSaved()} conversations were kept.`;
+    await this._closeOpenTabs();
+    await this._saveJob();
+    console.log(`[Import Manager] Job ${this.job.id} cancelled`);
+    return this.getSnapshot();
+  },
+
+  /**
+   * Get a snapshot of the current job for the popup
+   * @returns {Object|null}
+   */
+  getSnapshot() {
+    if (!this.job) {
+      return null;
+    }
+
+    const { id, mode, status, phase, statusText, error, createdAt, updatedAt, completedAt } = this.job;
+    const platforms = this.job.platformOrder.map(key => {
+      const platform = this.job.platforms[key];
+      return {
+        key: platform.key,
+        label: platform.label,
+        limit: platform.limit,
+        total: platform.total,
+        completed: platform.completed,
+        saved: platform.saved,
+        failed: platform.failed,
+        stats: platform.stats
+      };
+    });
+
+    const total = platforms.reduce((sum, platform) => sum + platform.total, 0);
+    const completed = platforms.reduce((sum, platform) => sum + platform.completed, 0);
+    const listedCount = this.job.platformOrder.filter(key => this.job.platforms[key].listed).length;
+
+    // Listing counts for the first 10%, scraping for the rest
+    const listingProgress = (listedCount / platforms.length) * 10;
+    const scrapingProgress = total > 0 ? (completed / total) * 90 : (listedCount === platforms.length ? 90 : 0);
+    const progress = status === 'completed' ? 100 : Math.min(listingProgress + scrapingProgress, 100);
+
+    return {
+      id,
+      mode,
+      status,
+      phase,
+      statusText,
+      error,
+      progress,
+      platforms,
+      queued: this.job.queue.length,
+      done: this.job.done.length,
+      failed: this.job.failed.length,
+      createdAt,
+      updatedAt,
+      completedAt
+    };
+  },
+
+  /**
+   * PROGRESS PORTS
+   */
+
+  /**
+   * Register a popup progress port and send it the current state
+   * @param {chrome.runtime.Port} port - Port opened by the popup
+   */
+  addPort(port) {
+    this.ports.add(port);
+    port.onDisconnect.addListener(() => {
+      this.ports.delete(port);
+    });
+
+    this.init().then(() => {
+      this._postToPort(port, { type: 'progress', job: this.getSnapshot() });
+    });
+  },
+
+  /**
+   * Broadcast the current job snapshot to every connected popup
+   */
+  _broadcast() {
+    const message = { type: 'progress', job: this.getSnapshot() };
+    this.ports.forEach(port => this._postToPort(port, message));
+  },
+
+  /**
+   * Post a message to a port, dropping ports that have gone away
+   * @param {chrome.runtime.Port} port - Target port
+   * @param {Object} message - Message payload
+   */
+  _postToPort(port, message) {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      console.warn('[Import Manager] Dropping disconnected port:', error.message);
+      this.ports.delete(port);
+    }
+  },
+
+  /**
+   * JOB LOOP
+   */
+
+  /**
+   * Drive the job forward until it completes, pauses or is cancelled
+   * Each step persists the job so a restart can continue from the last step.
+   */
+  async _run() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this._startWatchdog();
+
+    try {
+      while (this.job && this.job.status === 'running') {
+        switch (this.job.phase) {
+          case 'listing':
+            await this._listNextPlatform();
+            break;
+          case 'scraping':
+            await this._scrapeNextBatch();
+            break;
+          case 'retrying':
+            await this._retryNextFailure();
+            break;
+          case 'finalizing':
+            await this._finalize();
+            break;
+          default:
+            throw new Error(`Unknown import phase: ${this.job.phase}`);
+        }
+      }
+    } catch (error) {
+      console.error('[Import Manager] Import job failed:', error);
+      if (this.job) {
+        this.job.status = 'failed';
+        this.job.error = error.message;
+        this.job.statusText = 'Import failed: ' + error.message;
+        this.job.completedAt = Date.now();
+        await this._closeOpenTabs();
+        await this._saveJob();
+      }
+    } finally {
+      this.running = false;
+
+      if (this.job && this.job.status === 'paused') {
+        this.job.statusText = 'Import paused.';
+        await this._saveJob();
+      }
+
+      if (!this.job || this.job.status !== 'running') {
+        this._stopWatchdog();
+      }
+    }
+  },
+
+  /**
+   * Listing phase: read the sidebar of the next platform and queue its conversations
+   */
+  async _listNextPlatform() {
+    const key = this.job.platformOrder.find(platformKey => !this.job.platforms[platformKey].listed);
+
+    if (!key) {
+      this.job.phase = 'scraping';
+      await this._saveJob();
+      return;
+    }
+
+    const platform = this.job.platforms[key];
+    const chatNoun = platform.limit === 1 ? 'chat' : 'chats';
+    this.job.statusText = this.job.mode === 'resync'
+      ? `Checking latest ${platform.limit} ${chatNoun} on ${platform.label}...`
+      : `Listing latest ${platform.limit} ${chatNoun} on ${platform.label}...`;
+    this._broadcast();
+
+    const conversations = await this._listPlatformConversations(key, platform.limit);
+    let toScrape = conversations;
+
+    platform.headId = conversations.length > 0 ? conversations[0].id : null;
+
+    if (this.job.mode === 'resync' && conversations.length > 0) {
+      const [storedChats, cursor] = await Promise.all([
+        StorageService.getChatsByPlatform(key),
+        StorageService.getSyncCursor(key)
+      ]);
+
+      const plan = SyncService.planSync(conversations, storedChats, cursor);
+      toScrape = plan.toScrape;
+      platform.previousHeadId = cursor ? cursor.headId || null : null;
+      platform.stats.skipped = plan.skippedCount;
+
+      console.log(`[Import Manager] ${key} re-sync plan: ${plan.newCount} new, ${plan.candidateCount} to check, ${plan.skippedCount} skipped`);
+    }
+
+    const queuedIds = new Set(this.job.queue.map(conversation => conversation.id));
+    toScrape.forEach(conversation => {
+      if (conversation && conversation.id && !queuedIds.has(conversation.id)) {
+        this.job.queue.push({ ...conversation, platform: key, attempts: 0 });
+      }
+    });
+
+    platform.total = toScrape.length;
+    platform.listed = true;
+    await this._saveJob();
+  },
+
+  /**
+   * Scraping phase: extract the next batch of queued conversations in parallel
+   */
+  async _scrapeNextBatch() {
+    if (this.job.queue.length === 0) {
+      this.job.phase = this.job.failed.length > 0 ? 'retrying' : 'finalizing';
+      await this._saveJob();
+      return;
+    }
+
+    const batch = this.job.queue.slice(0, this.MAX_PARALLEL_TABS);
+    const label = this.job.platforms[batch[0].platform].label;
+    this.job.statusText = `${this.job.mode === 'resync' ? 'Re-syncing' : 'Importing'} from ${label}...`;
+    this._broadcast();
+
+    console.log(`[Import Manager] Processing batch of ${batch.length} conversations`);
+
+    // Use Promise.allSettled to handle failures gracefully
+    const results = await Promise.allSettled(
+      batch.map(conversation => this._extractConversationInNewTab(conversation, {
+        tabTimeout: this.TAB_TIMEOUT,
+        contentDelay: this.DYNAMIC_CONTENT_DELAY,
+        extractionTimeout: this.EXTRACTION_TIMEOUT
+      }))
+    );
+
+    // A cancel may have arrived while the batch was in flight
+    if (this.job.status === 'cancelled') {
+      return;
+    }
+
+    const successfulChats = [];
+    results.forEach((result, index) => {
+      const conversation = batch[index];
+      if (result.status === 'fulfilled' && result.value !== null) {
+        successfulChats.push(result.value);
+        this.job.done.push(conversation.id);
+        this.job.platforms[conversation.platform].completed++;
+      } else {
+        // Track the failed conversation metadata for retry
+        this.job.failed.push({ ...conversation, attempts: conversation.attempts + 1 });
+      }
+    });
+
+    await this._saveChats(successfulChats);
+
+    const batchIds = new Set(batch.map(conversation => conversation.id));
+    this.job.queue = this.job.queue.filter(conversation => !batchIds.has(conversation.id));
+
+    console.log(`[Import Manager] Batch complete: ${successfulChats.length}/${batch.length} successful`);
+    await this._saveJob();
+
+    // Small delay between batches
+    if (this.job.queue.length > 0) {
+      await this._delay(this.BATCH_DELAY);
+    }
+  },
+
+  /**
+   * Retrying phase: retry one failed conversation with longer timeouts
+   */
+  async _retryNextFailure() {
+    const conversation = this.job.failed.find(item => item.attempts < 2);
+
+    if (!conversation) {
+      this.job.phase = 'finalizing';
+      await this._saveJob();
+      return;
+    }
+
+    this.job.statusText = `Retrying "${(conversation.title || 'conversation').substring(0, 40)}"...`;
+    this._broadcast();
+    console.log(`[Import Manager] Retrying: ${conversation.title}`);
+
+    const chat = await this._extractConversationInNewTab(conversation, {
+      tabTimeout: this.RETRY_CONFIG.TAB_TIMEOUT,
+      contentDelay: this.RETRY_CONFIG.DYNAMIC_CONTENT_DELAY,
+      extractionTimeout: this.RETRY_CONFIG.EXTRACTION_TIMEOUT
+    });
+
+    if (this.job.status === 'cancelled') {
+      return;
+    }
+
+    const platform = this.job.platforms[conversation.platform];
+
+    if (chat) {
+      console.log(`[Import Manager] Retry successful: ${chat.title}`);
+      this.job.failed = this.job.failed.filter(item => item.id !== conversation.id);
+      this.job.done.push(conversation.id);
+      platform.completed++;
+      await this._saveChats([chat]);
+    } else {
+      console.warn(`[Import Manager] Retry failed: ${conversation.title}`);
+      conversation.attempts++;
+      platform.completed++;
+      platform.failed++;
+    }
+
+    await this._saveJob();
+
+    // Small delay between retries
+    await this._delay(1000);
+  },
+
+  /**
+   * Finalizing phase: record sync cursors and import totals
+   */
+  async _finalize() {
+    const now = Date.now();
+
+    for (const key of this.job.platformOrder) {
+      const platform = this.job.platforms[key];
+      if (!platform.headId) {
+        continue;
+      }
+
+      // Only advance a re-sync cursor when every candidate was scraped, otherwise
+      // the failed ones would fall below the head and be skipped next time
+      const headId = this.job.mode === 'resync' && platform.failed > 0
+        ? platform.previousHeadId
+        : platform.headId;
+
+      await StorageService.updateSyncCursor(key, { headId, lastSyncedAt: now });
+    }
+
+    const totalSaved = this._countSaved();
+    const settings = await StorageService.getSettings();
+
+    if (this.job.mode === 'resync') {
+      const totals = this._sumStats();
+      await StorageService.updateSettings({
+        totalChatsImported: (settings.totalChatsImported || 0) + totals.added,
+        lastSync: now
+      });
+      this.job.statusText = `Re-sync complete: ${totals.added} new, ${totals.updated} updated, ${totals.unchanged + totals.skipped} unchanged.`;
+    } else {
+      await StorageService.updateSettings({
+        totalChatsImported: totalSaved,
+        lastSync: now
+      });
+      this.job.statusText = `Successfully imported ${totalSaved} conversations!`;
+    }
+
+    this.job.status = 'completed';
+    this.job.completedAt = now;
+    await this._saveJob();
+
+    console.log(`[Import Manager] Job ${this.job.id} complete:`, this.job.platforms);
+  },
+
+  /**
+   * STORAGE HELPERS
+   */
+
+  /**
+   * Persist scraped chats according to the job mode
+   * Full imports overwrite stored chats; re-syncs merge so unchanged chats keep
+   * their summaries and changed chats only lose the stale ones.
+   * @param {Array<Object>} chats - Scraped chats
+   */
+  async _saveChats(chats) {
+    if (chats.length === 0) {
+      return;
+    }
+
+    if (this.job.mode !== 'resync') {
+      await StorageService.batchSaveChats(chats);
+      chats.forEach(chat => {
+        const platform = this.job.platforms[chat.platform];
+        if (platform) {
+          platform.saved++;
+        }
+      });
+      return;
+    }
+
+    const storedChats = await StorageService.getChats(chats.map(chat => chat.id));
+    const { chatsToSave, outcomes } = SyncService.reconcileChats(storedChats, chats);
+
+    chats.forEach((chat, index) => {
+      const platform = this.job.platforms[chat.platform];
+      const outcome = outcomes[index];
+      platform.stats[outcome]++;
+      if (outcome !== 'unchanged') {
+        platform.saved++;
+      }
+    });
+
+    if (chatsToSave.length > 0) {
+      await StorageService.batchSaveChats(chatsToSave);
+    }
+  },
+
+  /**
+   * Persist the job and notify connected popups
+   */
+  async _saveJob() {
+    if (!this.job) {
+      return;
+    }
+
+    this.job.updatedAt = Date.now();
+    await StorageService.saveImportJob(this.job);
+    this._broadcast();
+  },
+
+  _countSaved() {
+    return Object.values(this.job.platforms).reduce((sum, platform) => sum + platform.saved, 0);
+  },
+
+  _sumStats() {
+    const totals = { added: 0, updated: 0, unchanged: 0, skipped: 0 };
+    Object.values(this.job.platforms).forEach(platform => {
+      Object.keys(totals).forEach(key => {
+        totals[key] += platform.stats[key];
+      });
+    });
+    return totals;
+  },
+
+  /**
+   * WATCHDOG
+   * An alarm wakes a terminated service worker so a running job is resumed.
+   */
+
+  _startWatchdog() {
+    chrome.alarms.create(this.WATCHDOG_ALARM, { periodInMinutes: 0.5 });
+  },
+
+  _stopWatchdog() {
+    chrome.alarms.clear(this.WATCHDOG_ALARM);
+  },
+
+  /**
+   * Handle a watchdog alarm
+   * @param {chrome.alarms.Alarm} alarm - Fired alarm
+   */
+  async handleAlarm(alarm) {
+    if (alarm.name !== this.WATCHDOG_ALARM) {
+      return;
+    }
+
+    await this.init();
+
+    if (!this.job || this.job.status !== 'running') {
+      this._stopWatchdog();
+      return;
+    }
+
+    if (!this.running) {
+      console.log('[Import Manager] Watchdog resuming job', this.job.id);
+      this._run();
+    }
+  },
+
+  /**
+   * TAB ORCHESTRATION
+   */
+
+  /**
+   * Open the platform tab and read its conversation list (up to the limit)
+   * @param {string} platform - Platform name (chatgpt, claude, gemini)
+   * @param {number} limit - Maximum number of conversations to keep
+   * @returns {Promise<Array>} Conversation metadata, most recent first
+   */
+  async _listPlatformConversations(platform, limit) {
+    // Step 1: Get or create tab for platform
+    const platformTab = await this._getOrCreatePlatformTab(platform);
+
+    if (!platformTab) {
+      console.warn(`[Import Manager] Could not access ${platform} tab`);
+      return [];
+    }
+
+    // Step 2: Extract conversation list
+    console.log(`[Import Manager] Extracting conversation list from ${platform}...`);
+    let conversations = await this._extractConversationList(platformTab.id, platform, limit);
+    const totalAvailable = Array.isArray(conversations) ? conversations.length : 0;
+
+    if (!conversations || totalAvailable === 0) {
+      console.log(`[Import Manager] No conversations found on ${platform}`);
+      return [];
+    }
+
+    console.log(`[Import Manager] Found ${totalAvailable} conversations on ${platform}`);
+
+    if (limit > 0 && totalAvailable > limit) {
+      console.log(`[Import Manager] Limiting ${platform} import to latest ${limit} conversations`);
+      conversations = conversations.slice(0, limit);
+    }
+
+    return conversations;
+  },
+
+  /**
+   * Extract conversation in a new background tab
+   * @param {Object} conversation - Conversation metadata
+   * @param {Object} timing - { tabTimeout, contentDelay, extractionTimeout }
+   * @returns {Promise<Object|null>} Extracted conversation or null
+   */
+  async _extractConversationInNewTab(conversation, timing) {
+    let tabId = null;
+
+    try {
+      console.log(`[Import Manager] Opening tab for: ${conversation.title}`);
+
+      // Create background tab
+      const tab = await chrome.tabs.create({
+        url: conversation.url,
+        active: false  // Don't interrupt user
+      });
+
+      tabId = tab.id;
+      this.job.openTabIds.push(tabId);
+
+      // Wait for tab to load
+      await this._waitForTabLoad(tabId, timing.tabTimeout);
+
+      // Wait for dynamic content
+      await this._delay(timing.contentDelay);
+
+      // Inject content script
+      const injected = await this._injectContentScript(tabId, conversation.platform);
+      if (!injected) {
+        console.warn(`[Import Manager] Skipping ${conversation.title} - injection failed`);
+        return null;
+      }
+
+      // IMPORTANT: This is an async operation that may take 10+ seconds
+      // Add timeout to prevent hanging indefinitely
+      const response = await Promise.race([
+        chrome.tabs.sendMessage(tabId, {
+          action: 'extractCurrentConversation'
+        }),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('Extraction timeout')), timing.extractionTimeout)
+        )
+      ]).catch(error => {
+        console.warn(`[Import Manager] Extraction error for ${conversation.title}:`, error.message);
+        return null;
+      });
+
+      if (response && response.success) {
+        console.log(`[Import Manager] Extracted: ${response.data.title}`);
+        return response.data;
+      }
+
+      console.warn(`[Import Manager] Failed to extract: ${conversation.title}`);
+      return null;
+
+    } catch (error) {
+      console.error('[Import Manager] Error extracting conversation:', error);
+      return null;
+    } finally {
+      // ALWAYS close tab in finally block with timeout to prevent hanging
+      if (tabId) {
+        await this._closeTab(tabId);
+        this.job.openTabIds = this.job.openTabIds.filter(id => id !== tabId);
+      }
+    }
+  },
+
+  /**
+   * Close a tab without letting a stuck removal block the job
+   * @param {number} tabId - Tab ID
+   */
+  async _closeTab(tabId) {
+    try {
+      await Promise.race([
+        chrome.tabs.remove(tabId),
+        new Promise((resolve) => setTimeout(resolve, 2000)) // 2s timeout for tab removal
+      ]);
+    } catch (error) {
+      console.warn(`[Import Manager] Error closing tab ${tabId}:`, error);
+    }
+  },
+
+  /**
+   * Close tabs left open by an interrupted or cancelled job
+   */
+  async _closeOpenTabs() {
+    if (!this.job || !Array.isArray(this.job.openTabIds) || this.job.openTabIds.length === 0) {
+      return;
+    }
+
+    const tabIds = [...this.job.openTabIds];
+    this.job.openTabIds = [];
+    await Promise.all(tabIds.map(tabId => this._closeTab(tabId)));
+    console.log(`[Import Manager] Closed ${tabIds.length} leftover tabs`);
+  },
+
+  /**
+   * Wait for tab to finish loading
+   * @param {number} tabId - Tab ID
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<void>}
+   */
+  _waitForTabLoad(tabId, timeout) {
+    return new Promise((resolve) => {
+      let timeoutId;
+      let listener;
+
+      // Timeout fallback - resolve anyway, don't block
+      timeoutId = setTimeout(() => {
+        if (listener) {
+          chrome.tabs.onUpdated.removeListener(listener);
+        }
+        console.log(`[Import Manager] Tab ${tabId} load timeout`);
+        resolve();
+      }, timeout);
+
+      // Listen for tab updates
+      listener = (updatedTabId, changeInfo) => {
+        if (updatedTabId === tabId && changeInfo.status === 'complete') {
+          clearTimeout(timeoutId);
+          chrome.tabs.onUpdated.removeListener(listener);
+          console.log(`[Import Manager] Tab ${tabId} loaded`);
+          resolve();
+        }
+      };
+
+      chrome.tabs.onUpdated.addListener(listener);
+    });
+  },
+
+  /**
+   * Register every platform adapter as a content script for its hosts
+   * Replaces earlier registrations, so the list always matches PlatformRegistry.
+   */
+  async registerContentScripts() {
+    try {
+      const scripts = PlatformRegistry.list().map(platform => ({
+        id: `${this.CONTENT_SCRIPT_PREFIX}${platform.id}`,
+        matches: platform.hostPatterns,
+        js: PlatformRegistry.getContentScripts(platform.id),
+        runAt: 'document_idle'
+      }));
+
+      const registered = await chrome.scripting.getRegisteredContentScripts();
+      const staleIds = registered
+        .map(script => script.id)
+        .filter(id => id.startsWith(this.CONTENT_SCRIPT_PREFIX));
+      if (staleIds.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: staleIds });
+      }
+
+      await chrome.scripting.registerContentScripts(scripts);
+      console.log(`[Import Manager] Registered ${scripts.length} scraper content scripts`);
+    } catch (error) {
+      console.error('[Import Manager] Error registering content scripts:', error);
+    }
+  },
+
+  /**
+   * Inject content script into a tab with retry logic
+   * @param {number} tabId - Tab ID
+   * @param {string} platform - Platform name
+   * @param {number} retryCount - Current retry attempt (internal use)
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   */
+  async _injectContentScript(tabId, platform, retryCount = 0) {
+    const MAX_RETRIES = 1;
+    const RETRY_DELAY = 1000;
+
+    try {
+      // The adapter runs on the registry, ScraperCore and the DOM-to-Markdown converter, which load first
+      const files = PlatformRegistry.getContentScripts(platform);
+      console.log(`[Import Manager] Injecting ${files[files.length - 1]} into tab ${tabId}${retryCount > 0 ? ` (retry ${retryCount})` : ''}`);
+
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files
+      });
+
+      // Wait a bit for script to initialize (increased for stability)
+      await this._delay(800);
+
+      console.log('[Import Manager] Content script injected successfully');
+      return true;
+    } catch (error) {
+      const errorMsg = error.message || String(error);
+
+      // Check if this is a transient error that might succeed on retry
+      const isTransientError =
+        errorMsg.includes('Frame') ||
+        errorMsg.includes('was removed') ||
+        errorMsg.includes('Connection') ||
+        errorMsg.includes('Receiving end does not exist');
+
+      // Retry logic for transient errors
+      if (isTransientError && retryCount < MAX_RETRIES) {
+        console.warn(`[Import Manager] Transient injection error, retrying in ${RETRY_DELAY}ms...`);
+        await this._delay(RETRY_DELAY);
+        return this._injectContentScript(tabId, platform, retryCount + 1);
+      }
+
+      // Error pages, invalid tabs, permanent errors - log and return false
+      console.warn(`[Import Manager] Could not inject content script into tab ${tabId}:`, errorMsg);
+      return false;
+    }
+  },
+
+  /**
+   * Get or create tab for platform
+   * @param {string} platform - Platform name
+   * @returns {Promise<Tab|null>} Chrome tab object
+   */
+  async _getOrCreatePlatformTab(platform) {
+    try {
+      const platformConfig = PlatformRegistry.get(platform);
+      if (!platformConfig) {
+        throw new Error(`Unknown platform: ${platform}`);
+      }
+
+      // Check if tab already exists (on any of the platform's hosts)
+      const tabs = await chrome.tabs.query({ url: platformConfig.hostPatterns });
+
+      if (tabs.length > 0) {
+        console.log(`[Import Manager] Using existing ${platform} tab`);
+        // Inject content script into existing tab
+        await this._injectContentScript(tabs[0].id, platform);
+        return tabs[0];
+      }
+
+      // Create new tab
+      console.log(`[Import Manager] Creating new ${platform} tab`);
+      const tab = await chrome.tabs.create({
+        url: platformConfig.listUrl || platformConfig.baseUrl,
+        active: false
+      });
+
+      // Wait for it to load
+      await this._waitForTabLoad(tab.id, 10000);
+      await this._delay(1000); // Wait for platform to initialize
+
+      // Inject content script
+      await this._injectContentScript(tab.id, platform);
+
+      return tab;
+
+    } catch (error) {
+      console.error(`[Import Manager] Error getting/creating ${platform} tab:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Extract conversation list from platform tab
+   * @param {number} tabId - Tab ID
+   * @param {string} platform - Platform name
+   * @param {number} limit - Conversations wanted; scrapers that page through the list stop there
+   * @returns {Promise<Array>} Array of conversation metadata
+   */
+  async _extractConversationList(tabId, platform, limit) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, {
+        action: 'extractConversations',
+        limit
+      });
+
+      if (response && response.success) {
+        return response.data;
+      }
+
+      console.error(`[Import Manager] Failed to extract conversation list from ${platform}`);
+      return [];
+    } catch (error) {
+      console.error('[Import Manager] Error extracting conversation list:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Simple delay helper
+   * @param {number} ms - Milliseconds to delay
+   * @returns {Promise<void>}
+   */
+  _delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImportManager;
+}
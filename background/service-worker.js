@@ -3,18 +3,19 @@
  *
  * Responsibilities:
  * - Message handling between popup and content scripts
+ * - Resumable import jobs (see import-manager.js)
  * - AI processing pipeline coordination
  * - Periodic sync management
  * - Storage operations orchestration
  */
 
 // Import required services
-importScripts('../lib/storage.js', '../lib/ai-service.js');
+importScripts('../lib/platform-registry.js', '../lib/idb.js', '../lib/search-index.js', '../lib/mind-map.js', '../lib/quiz.js', '../lib/attachment-service.js', '../lib/storage.js', '../lib/migration-service.js', '../lib/ai-service.js', '../lib/sync-service.js', 'import-manager.js');
 
 console.log('[Background] Service worker loaded');
 
 /**
- * Installation handler - Initialize default settings
+ * Installation handler - Initialize default settings and upgrade stored data
  */
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('[Background] Extension installed/updated:', details.reason);
@@ -42,6 +43,34 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'update') {
     console.log('[Background] Extension updated to version', chrome.runtime.getManifest().version);
   }
+
+  if (details.reason === 'install' || details.reason === 'update') {
+    // Scrapers are registered from PlatformRegistry instead of the manifest
+    await ImportManager.registerContentScripts();
+
+    try {
+      await MigrationService.run();
+    } catch (error) {
+      console.error('[Background] Error running schema migrations:', error);
+    }
+  }
+});
+
+/**
+ * Import progress subscriptions - The popup opens a long-lived port to follow a job
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === ImportManager.PORT_NAME) {
+    console.log('[Background] Import progress subscriber connected');
+    ImportManager.addPort(port);
+  }
+});
+
+/**
+ * Import watchdog - Wakes the worker to resume an interrupted import job
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  ImportManager.handleAlarm(alarm);
 });
 
 /**
@@ -55,8 +84,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     try {
       switch (message.type) {
         case 'saveChat':
-          await handleSaveChat(message.data);
-          sendResponse({ success: true });
+          const saveOutcome = await handleSaveChat(message.data);
+          sendResponse({ success: true, data: saveOutcome });
           break;
 
         case 'batchSaveChats':
@@ -64,11 +93,46 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           sendResponse({ success: true });
           break;
 
+        case 'importExportedChats':
+          const exportStats = await handleImportExportedChats(message.data);
+          sendResponse({ success: true, data: exportStats });
+          break;
+
+        case 'startImportJob':
+          const startedJob = await ImportManager.startJob(message.data);
+          sendResponse({ success: true, data: startedJob });
+          break;
+
+        case 'pauseImportJob':
+          const pausedJob = await ImportManager.pauseJob();
+          sendResponse({ success: true, data: pausedJob });
+          break;
+
+        case 'resumeImportJob':
+          const resumedJob = await ImportManager.resumeJob();
+          sendResponse({ success: true, data: resumedJob });
+          break;
+
+        case 'cancelImportJob':
+          const cancelledJob = await ImportManager.cancelJob();
+          sendResponse({ success: true, data: cancelledJob });
+          break;
+
+        case 'getImportJob':
+          await ImportManager.init();
+          sendResponse({ success: true, data: ImportManager.getSnapshot() });
+          break;
+
         case 'getAllChats':
           const chats = await handleGetAllChats();
           sendResponse({ success: true, data: chats });
           break;
 
+        case 'searchChats':
+          const searchResults = await handleSearchChats(message.data);
+          sendResponse({ success: true, data: searchResults });
+          break;
+
         case 'processChatsForLabels':
           await handleProcessChatsForLabels();
           sendResponse({ success: true });
@@ -110,8 +174,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           break;
 
         case 'acceptSuggestedLabel':
-          await handleAcceptSuggestedLabel(message.data);
-          sendResponse({ success: true });
+          const accepted = await handleAcceptSuggestedLabel(message.data);
+          sendResponse({ success: true, data: accepted });
           break;
 
         case 'dismissSuggestedLabel':
@@ -164,6 +228,31 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           sendResponse({ success: true });
           break;
 
+        case 'createLabel':
+          const createdLabel = await handleCreateLabel(message.data);
+          sendResponse({ success: true, data: createdLabel });
+          break;
+
+        case 'renameLabel':
+          await handleRenameLabel(message.data.labelId, message.data.name);
+          sendResponse({ success: true });
+          break;
+
+        case 'updateLabelAppearance':
+          await handleUpdateLabelAppearance(message.data.labelId, message.data);
+          sendResponse({ success: true });
+          break;
+
+        case 'mergeLabels':
+          const mergedLabel = await handleMergeLabels(message.data.targetId, message.data.sourceId);
+          sendResponse({ success: true, data: mergedLabel });
+          break;
+
+        case 'splitLabel':
+          const splitLabel = await handleSplitLabel(message.data);
+          sendResponse({ success: true, data: splitLabel });
+          break;
+
         case 'resetSummaries':
           const resetCount = await handleResetSummaries();
           const labelClearStats = await handleClearLabelAssignments();
@@ -185,17 +274,30 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 /**
- * Handle saving a single chat
+ * Handle saving a single chat (sent by live capture as the user chats)
+ * The chat is merged with its stored copy like a re-sync: labels stay, and a
+ * changed chat loses its stale summaries so it is summarized again.
+ * @param {Object} chatData - Scraped chat
+ * @returns {Promise<'added'|'updated'|'unchanged'>}
  */
 async function handleSaveChat(chatData) {
   console.log('[Background] Saving chat:', chatData.id);
-  await StorageService.saveChat(chatData);
 
-  // Update total count
-  const settings = await StorageService.getSettings();
-  await StorageService.updateSettings({
-    totalChatsImported: settings.totalChatsImported + 1
-  });
+  const storedChats = await StorageService.getChats([chatData.id]);
+  const { chatsToSave, outcomes } = SyncService.reconcileChats(storedChats, [chatData]);
+
+  if (chatsToSave.length > 0) {
+    await StorageService.saveChat(chatsToSave[0]);
+  }
+
+  if (outcomes[0] === 'added') {
+    const settings = await StorageService.getSettings();
+    await StorageService.updateSettings({
+      totalChatsImported: (settings.totalChatsImported || 0) + 1
+    });
+  }
+
+  return outcomes[0];
 }
 
 /**
@@ -213,6 +315,48 @@ async function handleBatchSaveChats(chatsArray) {
   });
 }
 
+/**
+ * Handle saving a chunk of chats converted from an official data export
+ * Chats already in the library are merged so labels and unchanged summaries survive
+ * @param {Object} data - { chats }
+ * @returns {Promise<{added: number, updated: number, unchanged: number}>}
+ */
+async function handleImportExportedChats(data) {
+  const chats = Array.isArray(data?.chats) ? data.chats : [];
+  console.log('[Background] Importing', chats.length, 'chats from data export');
+
+  const storedChats = await StorageService.getChats(chats.map(chat => chat.id));
+  const { chatsToSave, outcomes } = SyncService.reconcileChats(storedChats, chats);
+
+  if (chatsToSave.length > 0) {
+    await StorageService.batchSaveChats(chatsToSave);
+  }
+
+  const stats = { added: 0, updated: 0, unchanged: 0 };
+  outcomes.forEach(outcome => {
+    stats[outcome]++;
+  });
+
+  const settings = await StorageService.getSettings();
+  await StorageService.updateSettings({
+    totalChatsImported: (settings.totalChatsImported || 0) + stats.added,
+    lastSync: Date.now()
+  });
+
+  return stats;
+}
+
+/**
+ * Handle full-text search across all chats
+ * @param {Object} data - { query, limit }
+ * @returns {Promise<{hits: Array<{chatId: string, score: number}>, terms: Array<string>}>}
+ */
+async function handleSearchChats(data) {
+  const query = data?.query || '';
+  console.log('[Background] Searching chats:', query);
+  return StorageService.searchChats(query, { limit: data?.limit });
+}
+
 /**
  * Handle getting all chats
  */
@@ -252,6 +396,69 @@ async function handleRemoveChatFromLabel(labelId, chatId) {
   await StorageService.removeChatFromLabel(labelId, chatId);
 }
 
+/**
+ * Handle creating a label by hand
+ * @param {Object} data - { name, color, emoji, chatIds }
+ * @returns {Promise<Object>} Created label
+ */
+async function handleCreateLabel(data) {
+  console.log('[Background] Creating label:', data.name);
+  return await StorageService.createLabel({
+    name: data.name,
+    color: data.color,
+    emoji: data.emoji,
+    chatIds: Array.isArray(data.chatIds) ? data.chatIds : []
+  });
+}
+
+/**
+ * Handle renaming a label
+ * @param {string} labelId - Label ID
+ * @param {string} name - New name
+ */
+async function handleRenameLabel(labelId, name) {
+  console.log('[Background] Renaming label', labelId, 'to', name);
+  await StorageService.renameLabel(labelId, name);
+}
+
+/**
+ * Handle setting the color and emoji of a label
+ * @param {string} labelId - Label ID
+ * @param {Object} appearance - { color, emoji }
+ */
+async function handleUpdateLabelAppearance(labelId, appearance) {
+  console.log('[Background] Updating appearance of label:', labelId);
+  await StorageService.updateLabelAppearance(labelId, {
+    color: appearance.color,
+    emoji: appearance.emoji
+  });
+}
+
+/**
+ * Handle merging one label into another
+ * @param {string} targetId - Label that is kept
+ * @param {string} sourceId - Label merged into the target and deleted
+ * @returns {Promise<Object>} Merged label
+ */
+async function handleMergeLabels(targetId, sourceId) {
+  console.log('[Background] Merging label', sourceId, 'into', targetId);
+  return await StorageService.mergeLabels(targetId, sourceId);
+}
+
+/**
+ * Handle moving selected chats of a label into a new label
+ * @param {Object} data - { labelId, chatIds, name, color, emoji }
+ * @returns {Promise<Object>} New label
+ */
+async function handleSplitLabel(data) {
+  console.log('[Background] Splitting label:', data.labelId);
+  return await StorageService.splitLabel(data.labelId, Array.isArray(data.chatIds) ? data.chatIds : [], {
+    name: data.name,
+    color: data.color,
+    emoji: data.emoji
+  });
+}
+
 /**
  * Handle resetting chat summaries
  * @returns {Promise<number>} Number of chats reset
@@ -446,65 +653,20 @@ async function handleProcessChatsForLabels() {
 
 /**
  * Handle accepting a suggested label (convert to actual label)
+ * A suggestion named like an existing label adds its chats to that label.
+ * @param {Object} data - { labelId, category }
+ * @returns {Promise<{labelName: string, merged: boolean}>}
  */
 async function handleAcceptSuggestedLabel(data) {
   const { labelId } = data;
 
   console.log('[Background] Accepting suggested label:', labelId);
 
-  // Get the suggested label
-  const suggestedLabels = await StorageService.getAllSuggestedLabels();
-  const suggestedLabel = suggestedLabels[labelId];
-
-  if (!suggestedLabel) {
-    throw new Error('Suggested label not found');
-  }
+  // Allow user to specify category
+  const { label, merged } = await StorageService.acceptSuggestedLabel(labelId, data.category || 'General');
 
-  // Get current labels to determine next position
-  const existingLabels = await StorageService.getAllLabels();
-  const existingLabelsArray = Object.values(existingLabels);
-
-  // Find the highest position value, or default to 0
-  let maxPosition = -1;
-  for (const label of existingLabelsArray) {
-    if (typeof label.position === 'number' && label.position > maxPosition) {
-      maxPosition = label.position;
-    }
-  }
-  const nextPosition = maxPosition + 1;
-
-  // Create actual label
-  const newLabel = {
-    id: `label_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    name: suggestedLabel.name,
-    category: data.category || 'General', // Allow user to specify category
-    chatIds: suggestedLabel.chatIds,
-    created: Date.now(),
-    updated: Date.now(),
-    position: nextPosition,
-    mindMapData: null,
-    summary: null,
-    quizData: null
-  };
-
-  await StorageService.saveLabel(newLabel);
-
-  // Update chats to reference this label
-  for (const chatId of newLabel.chatIds) {
-    const chat = await StorageService.getChat(chatId);
-    if (chat) {
-      const labelIds = chat.labelIds || [];
-      if (!labelIds.includes(newLabel.id)) {
-        labelIds.push(newLabel.id);
-        await StorageService.updateChat(chatId, { labelIds });
-      }
-    }
-  }
-
-  // Remove the suggested label
-  await StorageService.removeSuggestedLabel(labelId);
-
-  console.log('[Background] Suggested label accepted and converted:', newLabel.name);
+  console.log(`[Background] Suggested label ${merged ? 'merged into' : 'accepted as'}:`, label.name);
+  return { labelName: label.name, merged };
 }
 
 /**
@@ -603,4 +765,7 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
 });
 */
 
+// Resume an import job interrupted by a service worker restart
+ImportManager.init();
+
 console.log('[Background] Service worker initialized and ready');
@@ -1,53 +1,37 @@
 /**
- * ChatGPT Content Script - Chat History Scraper
+ * ChatGPT Scraper Adapter
  *
- * Extracts conversation metadata and content from chat.openai.com
- * Supports parallel tab processing for fast bulk imports
+ * Lists and extracts conversations from chatgpt.com (and chat.openai.com).
+ * Registered with ScraperCore, which answers the import job's messages.
  */
 
 (function() {
   'use strict';
 
-  console.log('[ChatGPT Scraper] Content script loaded');
-
-  /**
-   * Wait for an element to appear in the DOM
-   * @param {string} selector - CSS selector
-   * @param {number} timeout - Timeout in milliseconds
-   * @returns {Promise<Element>} The found element
-  */
-  function waitForElement(selector, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      // Check if element already exists
-      const element = document.querySelector(selector);
-      if (element) {
-        return resolve(element);
-      }
-
-      // Set up timeout
-      const timeoutId = setTimeout(() => {
-        observer.disconnect();
-        reject(new Error(`Timeout waiting for element: ${selector}`));
-      }, timeout);
-
-      // Set up MutationObserver
-      const observer = new MutationObserver((mutations) => {
-        const element = document.querySelector(selector);
-        if (element) {
-          clearTimeout(timeoutId);
-          observer.disconnect();
-          resolve(element);
-        }
-      });
-
-      // Start observing
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-    });
+  if (ScraperCore.hasAdapter('chatgpt')) {
+    return;
   }
 
+  const { waitForElement } = ScraperCore;
+
+  const SELECTORS = {
+    sidebar: 'nav[aria-label="Chat history"]',
+    sidebarConversationLink: 'nav[aria-label="Chat history"] a[href*="/c/"]',
+    sidebarLink: 'nav[aria-label="Chat history"] a',
+    turn: '[data-testid^="conversation-turn-"]',
+    markdown: '.markdown',
+    modelSlug: '[data-message-model-slug]',
+    // "2/3" navigator under edited prompts and regenerated replies
+    branchIndicator: '.tabular-nums',
+    branchPrevious: 'button[aria-label="Previous response"]',
+    branchNext: 'button[aria-label="Next response"]',
+    // Canvas cards in replies, and the canvas panel a card opens
+    canvasCard: '[id^="textdoc-message"]',
+    canvasPanel: 'section[data-testid="canvas"], [data-testid="canvas-panel"]',
+    canvasTitle: 'h1, h2',
+    canvasClose: 'button[aria-label*="Close" i]'
+  };
+
   const KNOWN_FILE_EXTENSIONS = [
     'pdf', 'png', 'jpg', 'jpeg', 'webp', 'gif', 'bmp', 'svg', 'heic', 'heif',
     'txt', 'md', 'doc', 'docx', 'ppt', 'pptx', 'xls', 'xlsx', 'csv', 'zip', 'rar', '7z',
@@ -184,7 +168,7 @@
 
     while (scrollAttempts < maxScrolls) {
       // Count current conversations before scroll
-      const currentLinks = document.querySelectorAll('nav[aria-label="Chat history"] a[href*="/c/"]');
+      const currentLinks = document.querySelectorAll(SELECTORS.sidebarConversationLink);
       const currentCount = currentLinks.length;
 
       console.log(`[ChatGPT Scraper] Scroll attempt ${scrollAttempts + 1}: Found ${currentCount} conversations`);
@@ -206,7 +190,7 @@
       await new Promise(resolve => setTimeout(resolve, 1000));
 
       // Count again after scroll
-      const newLinks = document.querySelectorAll('nav[aria-label="Chat history"] a[href*="/c/"]');
+      const newLinks = document.querySelectorAll(SELECTORS.sidebarConversationLink);
       const newCount = newLinks.length;
 
       // Check if new content loaded
@@ -228,7 +212,7 @@
       scrollAttempts++;
     }
 
-    const finalCount = document.querySelectorAll('nav[aria-label="Chat history"] a[href*="/c/"]').length;
+    const finalCount = document.querySelectorAll(SELECTORS.sidebarConversationLink).length;
     console.log(`[ChatGPT Scraper] Auto-scroll complete after ${scrollAttempts} attempts. Total: ${finalCount} conversations`);
   }
 
@@ -236,12 +220,12 @@
    * Extract conversation list from sidebar
    * @returns {Promise<Array>} Array of conversation metadata objects
    */
-  async function extractConversations() {
+  async function listConversations() {
     try {
       console.log('[ChatGPT Scraper] Extracting conversation list...');
 
       // Wait for sidebar navigation to load
-      await waitForElement('nav[aria-label="Chat history"]', 10000);
+      await waitForElement(SELECTORS.sidebar, 10000);
 
       // Small delay to ensure content is rendered
       await new Promise(resolve => setTimeout(resolve, 500));
@@ -252,7 +236,7 @@
       await scrollToLoadAll();
 
       // Now extract all conversation links
-      const conversationElements = document.querySelectorAll('nav[aria-label="Chat history"] a');
+      const conversationElements = document.querySelectorAll(SELECTORS.sidebarLink);
       console.log('[ChatGPT Scraper] Found', conversationElements.length, 'potential links');
 
       const conversations = [];
@@ -268,8 +252,7 @@
           }
 
           // Extract ID from URL (format: /c/{id})
-          const idMatch = url.match(/\/c\/([a-zA-Z0-9-]+)/);
-          const id = idMatch ? `chatgpt-${idMatch[1]}` : null;
+          const id = PlatformRegistry.getChatId('chatgpt', url);
 
           if (!id) {
             console.warn('[ChatGPT Scraper] Could not extract ID from URL:', url);
@@ -314,23 +297,217 @@
       return conversations;
 
     } catch (error) {
-      console.error('[ChatGPT Scraper] Error in extractConversations:', error);
+      console.error('[ChatGPT Scraper] Error in listConversations:', error);
       throw error;
     }
   }
 
+  /**
+   * Text of a message from the conversation JSON
+   * @param {Object|null} message - API message
+   * @returns {string} Text parts joined, empty for tool output, reasoning and other non-text content
+   */
+  function readApiMessageText(message) {
+    const content = message && message.content;
+    if (!content || (content.content_type !== 'text' && content.content_type !== 'multimodal_text')) {
+      return '';
+    }
+    return (content.parts || [])
+      .filter(part => typeof part === 'string')
+      .join('\n\n')
+      .trim();
+  }
+
+  /**
+   * Build the message tree from the conversation JSON's node mapping
+   * @param {Object} mapping - Node ID -> { id, parent, children, message }
+   * @param {string} currentNode - Last node of the visible branch
+   * @returns {Object|null} MessageTree, or null without branches
+   */
+  function buildMessageTree(mapping, currentNode) {
+    const rawNodes = [];
+    const seen = new Set();
+    const pending = Object.values(mapping).filter(node => !node.parent || !mapping[node.parent]);
+
+    // Breadth first, so siblings keep the order of the navigator
+    while (pending.length > 0) {
+      const node = pending.shift();
+      if (!node || seen.has(node.id)) {
+        continue;
+      }
+      seen.add(node.id);
+
+      const message = node.message;
+      const metadata = (message && message.metadata) || {};
+      const visible = message && !metadata.is_visually_hidden_from_conversation &&
+        (!message.recipient || message.recipient === 'all');
+
+      rawNodes.push({
+        id: node.id,
+        parentId: node.parent || null,
+        role: visible ? message.author && message.author.role : null,
+        content: visible ? readApiMessageText(message) : '',
+        timestamp: message ? ScraperCore.toMillis(message.create_time) : null
+      });
+      (node.children || []).forEach(childId => pending.push(mapping[childId]));
+    }
+
+    return MessageTree.fromNodes(rawNodes, currentNode);
+  }
+
+  /**
+   * Attachment sources for the files uploaded with a message
+   * The download URL is requested only when the file is fetched, since it expires.
+   * @param {Object} message - API message
+   * @param {string} accessToken - Session access token
+   * @returns {Array<{name: string, mimeType: string, resolveUrl: Function}>}
+   */
+  function readApiAttachments(message, accessToken) {
+    const attachments = (message.metadata && message.metadata.attachments) || [];
+    return attachments
+      .filter(attachment => attachment && attachment.id)
+      .map(attachment => ({
+        name: attachment.name || 'attachment',
+        mimeType: attachment.mime_type || '',
+        resolveUrl: async () => {
+          const response = await fetch(`/backend-api/files/${attachment.id}/download`, {
+            credentials: 'include',
+            headers: { Authorization: `Bearer ${accessToken}` }
+          });
+          const data = response.ok ? await response.json() : null;
+          return data && data.download_url ? new URL(data.download_url, window.location.origin).href : null;
+        }
+      }));
+  }
+
+  /**
+   * Read one message's text from its conversation turn (for branch variants)
+   * @param {Element} turnElement - Conversation turn
+   * @returns {string}
+   */
+  function readTurnText(turnElement) {
+    const markdownElement = turnElement.querySelector(SELECTORS.markdown);
+    const content = markdownElement
+      ? DomToMarkdown.convert(markdownElement) || markdownElement.innerText?.trim() || ''
+      : turnElement.innerText?.trim() || '';
+    return content.startsWith('You said:\n') ? content.substring(10).trim() : content;
+  }
+
+  /**
+   * Fetch conversation metadata from the backend the ChatGPT web app uses
+   * The rendered page shows no dates, so creation/update times, per-message
+   * times and the model slug come from the conversation JSON. It also holds
+   * every branch (edited prompts, regenerated replies), not only the one shown.
+   * @param {string} conversationId - ChatGPT conversation ID
+   * @returns {Promise<{createdAt: number|null, updatedAt: number|null, model: string|null, messageTimes: Array<{role: string, timestamp: number}>, messageAttachments: Array<{role: string, sources: Array<Object>}>, messageTree: Object|null, artifacts: Array<Object>}|null>}
+   *   null when the API is unavailable (logged out, changed endpoint...)
+   */
+  async function fetchConversationMetadata(conversationId) {
+    try {
+      const sessionResponse = await fetch('/api/auth/session', { credentials: 'include' });
+      const session = sessionResponse.ok ? await sessionResponse.json() : null;
+      if (!session || !session.accessToken) {
+        return null;
+      }
+
+      const response = await fetch(`/backend-api/conversation/${conversationId}`, {
+        credentials: 'include',
+        headers: { Authorization: `Bearer ${session.accessToken}` }
+      });
+      if (!response.ok) {
+        console.warn('[ChatGPT Scraper] Conversation metadata request failed:', response.status);
+        return null;
+      }
+
+      const data = await response.json();
+      const mapping = data.mapping || {};
+
+      // Follow the visible branch from current_node back to the root
+      const path = [];
+      const visited = new Set();
+      let nodeId = data.current_node;
+      while (nodeId && mapping[nodeId] && !visited.has(nodeId)) {
+        visited.add(nodeId);
+        path.unshift(mapping[nodeId]);
+        nodeId = mapping[nodeId].parent;
+      }
+
+      let model = null;
+      const messageTimes = [];
+      const messageAttachments = [];
+      const canvasEvents = [];
+      path.forEach(node => {
+        const message = node.message;
+        const role = message && message.author && message.author.role;
+        if (role !== 'user' && role !== 'assistant') {
+          return;
+        }
+
+        // Canvas writes are assistant messages addressed to the canmore tool, part of the current reply
+        if (role === 'assistant' && String(message.recipient || '').startsWith('canmore.')) {
+          const previousTurn = messageAttachments[messageAttachments.length - 1];
+          const position = previousTurn && previousTurn.role === 'assistant'
+            ? messageAttachments.length - 1
+            : messageAttachments.length;
+          const payload = message.content && (message.content.text || (message.content.parts || [])[0]);
+          const event = Artifacts.fromCanvasCall(message.recipient, payload, position);
+          if (event) {
+            canvasEvents.push(event);
+          }
+        }
+
+        const metadata = message.metadata || {};
+        if (metadata.is_visually_hidden_from_conversation) {
+          return;
+        }
+        if (role === 'assistant' && metadata.model_slug) {
+          model = metadata.model_slug;
+        }
+
+        // Tool calls split one assistant turn into several nodes; the turn starts at the first
+        const previous = messageTimes[messageTimes.length - 1];
+        const timestamp = ScraperCore.toMillis(message.create_time);
+        if (timestamp && !(previous && previous.role === role && role === 'assistant')) {
+          messageTimes.push({ role, timestamp });
+        }
+
+        const sources = readApiAttachments(message, session.accessToken);
+        const previousTurn = messageAttachments[messageAttachments.length - 1];
+        if (previousTurn && previousTurn.role === role && role === 'assistant') {
+          previousTurn.sources.push(...sources);
+        } else {
+          messageAttachments.push({ role, sources });
+        }
+      });
+
+      return {
+        createdAt: ScraperCore.toMillis(data.create_time),
+        updatedAt: ScraperCore.toMillis(data.update_time),
+        model: model || data.default_model_slug || null,
+        messageTimes,
+        messageAttachments,
+        messageTree: buildMessageTree(mapping, data.current_node),
+        // messageIndex is a position in messageAttachments until matched to the scraped messages
+        artifacts: Artifacts.fromEvents(canvasEvents)
+      };
+    } catch (error) {
+      console.warn('[ChatGPT Scraper] Could not load conversation metadata:', error);
+      return null;
+    }
+  }
+
   /**
    * Extract current conversation content
    * @returns {Promise<Object>} Conversation object with messages
    */
-  async function extractCurrentConversation() {
+  async function extractConversation() {
     try {
       console.log('[ChatGPT Scraper] Extracting current conversation...');
 
       // Wait for conversation turns to load (with extended timeout)
       // Some conversations may take longer to load
       try {
-        await waitForElement('[data-testid^="conversation-turn-"]', 12000);
+        await waitForElement(SELECTORS.turn, 12000);
       } catch (error) {
         console.warn('[ChatGPT Scraper] Timeout waiting for conversation turns, will try to extract anyway:', error.message);
         // Don't throw - try to extract what we can
@@ -360,23 +537,25 @@
 
       // Extract URL and ID
       const url = window.location.href;
-      const idMatch = url.match(/\/c\/([a-zA-Z0-9-]+)/);
-      const id = idMatch ? `chatgpt-${idMatch[1]}` : `chatgpt-${Date.now()}`;
+      const chatId = PlatformRegistry.getChatId('chatgpt', url);
+      const id = chatId || `chatgpt-${Date.now()}`;
 
       // Extract all conversation turns
-      const turnElements = document.querySelectorAll('[data-testid^="conversation-turn-"]');
+      const turnElements = document.querySelectorAll(SELECTORS.turn);
       console.log('[ChatGPT Scraper] Found', turnElements.length, 'conversation turns');
 
       const messages = [];
+      const messageTurns = [];
       let rawContent = '';
+      let renderedModel = null;
 
       for (const turnElement of turnElements) {
         try {
-          // Extract content first - try markdown first, fallback to innerText
+          // Extract content first - convert the rendered reply to Markdown, fallback to innerText
           let content = '';
-          const markdownElement = turnElement.querySelector('.markdown');
+          const markdownElement = turnElement.querySelector(SELECTORS.markdown);
           if (markdownElement) {
-            content = markdownElement.innerText?.trim() || '';
+            content = DomToMarkdown.convert(markdownElement) || markdownElement.innerText?.trim() || '';
           } else {
             content = turnElement.innerText?.trim() || '';
           }
@@ -561,7 +740,12 @@
           }
 
           if (content) {
-            messages.push({ role, content });
+            const modelSlug = turnElement.querySelector(SELECTORS.modelSlug)?.getAttribute('data-message-model-slug');
+            if (role === 'assistant' && modelSlug) {
+              renderedModel = modelSlug;
+            }
+            messages.push({ role, content, attachmentSources: ScraperCore.collectAttachmentSources(turnElement) });
+            messageTurns.push(turnElement);
             rawContent += `[${role.toUpperCase()}]\n${content}\n\n`;
           }
         } catch (error) {
@@ -569,63 +753,66 @@
         }
       }
 
-      // Create conversation object
+      // Real dates come from the conversation API; the rendered turns only carry the model
+      const metadata = chatId ? await fetchConversationMetadata(chatId.slice('chatgpt-'.length)) : null;
+      if (metadata) {
+        ScraperCore.applyMessageTimestamps(messages, metadata.messageTimes);
+        ScraperCore.applyMessageAttachments(messages, metadata.messageAttachments);
+      }
+
+      // Alternative branches come with the API's tree; without it, step through the navigators
+      const messageTree = metadata
+        ? metadata.messageTree
+        : MessageTree.fromVariants(messages, await ScraperCore.readBranchVariants(SELECTORS.turn, messageTurns, {
+          indicator: SELECTORS.branchIndicator,
+          previous: SELECTORS.branchPrevious,
+          next: SELECTORS.branchNext,
+          read: readTurnText
+        }));
+      MessageTree.attachToMessages(messages, messageTree);
+
+      // Canvas documents are replayed from the API's tool calls; without it, open each canvas card
+      const artifacts = metadata
+        ? ScraperCore.applyArtifacts(messages, metadata.messageAttachments, metadata.artifacts)
+        : await ScraperCore.readArtifactPanels(messageTurns, {
+          card: SELECTORS.canvasCard,
+          panel: SELECTORS.canvasPanel,
+          title: SELECTORS.canvasTitle,
+          close: SELECTORS.canvasClose
+        });
+
+      // ScraperCore fills in the date, import time and library fields
       const conversation = {
         id,
-        platform: 'chatgpt',
         title,
         url,
-        date: Date.now(),
+        createdAt: metadata ? metadata.createdAt : null,
+        updatedAt: metadata ? metadata.updatedAt : null,
+        model: (metadata && metadata.model) || renderedModel,
         messages,
-        rawContent: rawContent.trim(),
-        processed: false,
-        labelIds: []
+        messageTree,
+        artifacts,
+        rawContent: rawContent.trim()
       };
 
       console.log('[ChatGPT Scraper] Extracted conversation with', messages.length, 'messages');
       return conversation;
 
     } catch (error) {
-      console.error('[ChatGPT Scraper] Error in extractCurrentConversation:', error);
+      console.error('[ChatGPT Scraper] Error in extractConversation:', error);
       throw error;
     }
   }
 
-  /**
-   * Message listener for popup commands
-   */
-  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    console.log('[ChatGPT Scraper] Received message:', message.action);
-
-    if (message.action === 'extractConversations') {
-      // Extract conversation list from sidebar
-      extractConversations()
-        .then(conversations => {
-          sendResponse({ success: true, data: conversations });
-        })
-        .catch(error => {
-          console.error('[ChatGPT Scraper] Error:', error);
-          sendResponse({ success: false, error: error.message });
-        });
-      return true; // Keep channel open for async response
+  ScraperCore.registerAdapter({
+    platform: 'chatgpt',
+    selectors: SELECTORS,
+    listConversations,
+    extractConversation,
+    liveCapture: {
+      reply: '[data-message-author-role="assistant"]',
+      streaming: '[data-testid="stop-button"]'
     }
-
-    if (message.action === 'extractCurrentConversation') {
-      // Extract current conversation content
-      extractCurrentConversation()
-        .then(conversation => {
-          sendResponse({ success: true, data: conversation });
-        })
-        .catch(error => {
-          console.error('[ChatGPT Scraper] Error:', error);
-          sendResponse({ success: false, error: error.message });
-        });
-      return true; // Keep channel open for async response
-    }
-
-    return false;
   });
 
-  console.log('[ChatGPT Scraper] Ready for extraction commands');
-
 })();
@@ -1,102 +1,42 @@
 /**
- * Claude Content Script - Chat History Scraper
+ * Claude Scraper Adapter
  *
- * Extracts conversation metadata and content from claude.ai
- * Supports parallel tab processing for fast bulk imports
+ * Lists and extracts conversations from claude.ai.
+ * Registered with ScraperCore, which answers the import job's messages.
  */
 
 (function() {
   'use strict';
 
-  console.log('[Claude Scraper] Content script loaded');
-
-  /**
-   * Wait for an element to appear in the DOM
-   * @param {string} selector - CSS selector
-   * @param {number} timeout - Timeout in milliseconds
-   * @returns {Promise<Element>} The found element
-   */
-  function waitForElement(selector, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      // Check if element already exists
-      const element = document.querySelector(selector);
-      if (element) {
-        return resolve(element);
-      }
-
-      // Set up timeout
-      const timeoutId = setTimeout(() => {
-        observer.disconnect();
-        reject(new Error(`Timeout waiting for element: ${selector}`));
-      }, timeout);
-
-      // Set up MutationObserver
-      const observer = new MutationObserver((mutations) => {
-        const element = document.querySelector(selector);
-        if (element) {
-          clearTimeout(timeoutId);
-          observer.disconnect();
-          resolve(element);
-        }
-      });
-
-      // Start observing
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-    });
+  if (ScraperCore.hasAdapter('claude')) {
+    return;
   }
 
-  /**
-   * Extract placeholders describing non-text content within a container
-   * @param {Element} container - Message container element
-   * @returns {Array<string>} Attachment placeholder strings
-   */
-  function extractNonTextAttachments(container) {
-    if (!container) {
-      return [];
-    }
-
-    const placeholders = [];
-
-    const addPlaceholder = (type, description) => {
-      const details = description ? ` ${description}` : '';
-      placeholders.push(`[${type}]${details}`);
-    };
-
-    // Images (static uploads or inline renders)
-    container.querySelectorAll('img').forEach(img => {
-      const alt = img.getAttribute('alt')?.trim();
-      addPlaceholder('Image', alt || 'image attachment');
-    });
-
-    // Video snippets
-    container.querySelectorAll('video').forEach(video => {
-      const title = video.getAttribute('title')?.trim();
-      addPlaceholder('Video', title || 'video attachment');
-    });
-
-    // Audio clips
-    container.querySelectorAll('audio').forEach(audio => {
-      const title = audio.getAttribute('title')?.trim();
-      addPlaceholder('Audio', title || 'audio attachment');
-    });
-
-    // File download links
-    container.querySelectorAll('a[download]').forEach(link => {
-      const text = link.innerText?.trim() || link.getAttribute('download')?.trim();
-      addPlaceholder('File', text || 'download attachment');
-    });
-
-    // Canvas renders (e.g., sketches)
-    if (container.querySelector('canvas')) {
-      addPlaceholder('Canvas', 'embedded drawing');
-    }
-
-    // Deduplicate placeholders while preserving order
-    return Array.from(new Set(placeholders));
-  }
+  const { waitForElement, extractNonTextAttachments, toMillis } = ScraperCore;
+
+  // Conversations requested per page from the conversation list API
+  const API_PAGE_SIZE = 50;
+
+  const SELECTORS = {
+    sidebar: 'nav[aria-label="Sidebar"]',
+    conversationLink: 'a[href*="/chat/"]',
+    recentsConversationLink: 'main a[href*="/chat/"]',
+    recentsButton: 'main button',
+    mainContent: 'div.w-full.relative.min-w-0',
+    userMessage: '[class*="font-user-message"]',
+    assistantMessage: '[class*="font-claude-response"]',
+    modelPicker: '[data-testid="model-selector-dropdown"]',
+    // One per message; holds the "2 / 3" navigator of edited prompts and retried replies
+    messageTurn: '[data-test-render-count]',
+    branchIndicator: 'span',
+    branchPrevious: 'button[aria-label*="Previous" i]',
+    branchNext: 'button[aria-label*="Next" i]',
+    // Artifact cards in replies, and the side panel a card opens
+    artifactCard: '.artifact-block-cell, [data-testid="artifact-block"]',
+    artifactPanel: '[data-testid="artifact-view"], [data-testid="artifact-panel"]',
+    artifactTitle: '[data-testid="artifact-title"], h2',
+    artifactClose: 'button[aria-label*="Close" i]'
+  };
 
   /**
    * Parse Claude messages from raw content text
@@ -197,24 +137,175 @@
   }
 
   /**
-   * Extract conversation list from sidebar
-   * @returns {Promise<Array>} Array of conversation metadata objects
+   * Find the organization the signed-in user is working in
+   * @returns {Promise<string|null>} Organization UUID
    */
-  async function extractConversations() {
+  async function getOrganizationId() {
+    const cookie = document.cookie.split('; ').find(entry => entry.startsWith('lastActiveOrg='));
+    if (cookie) {
+      return decodeURIComponent(cookie.split('=')[1]);
+    }
+
+    const response = await fetch('/api/organizations', { credentials: 'include' });
+    if (!response.ok) {
+      return null;
+    }
+    const organizations = await response.json();
+    return Array.isArray(organizations) && organizations[0] ? organizations[0].uuid : null;
+  }
+
+  /**
+   * List conversations through the API behind the Recents page
+   * Pages through every conversation, most recently updated first, so the
+   * listing is not capped by what the sidebar renders.
+   * @param {number} limit - Stop after this many conversations (0 for all)
+   * @returns {Promise<Array|null>} Conversation metadata, or null when the API is unavailable
+   */
+  async function listConversationsFromApi(limit) {
+    try {
+      const organizationId = await getOrganizationId();
+      if (!organizationId) {
+        return null;
+      }
+
+      const conversations = [];
+      const seen = new Set();
+
+      while (!limit || conversations.length < limit) {
+        const response = await fetch(
+          `/api/organizations/${organizationId}/chat_conversations?limit=${API_PAGE_SIZE}&offset=${conversations.length}`,
+          { credentials: 'include' }
+        );
+        if (!response.ok) {
+          console.warn('[Claude Scraper] Conversation list request failed:', response.status);
+          return conversations.length > 0 ? conversations : null;
+        }
+
+        const page = await response.json();
+        if (!Array.isArray(page)) {
+          return conversations.length > 0 ? conversations : null;
+        }
+
+        let added = 0;
+        page.forEach(item => {
+          if (!item || !item.uuid || seen.has(item.uuid)) {
+            return;
+          }
+          seen.add(item.uuid);
+          added++;
+          conversations.push({
+            id: `claude-${item.uuid}`,
+            platform: 'claude',
+            title: (item.name || '').trim() || 'Untitled Conversation',
+            url: `${window.location.origin}/chat/${item.uuid}`,
+            date: toMillis(item.updated_at) || toMillis(item.created_at) || Date.now()
+          });
+        });
+
+        console.log(`[Claude Scraper] Listed ${conversations.length} conversations from the API`);
+
+        // A short page (or one with nothing new, if paging is ignored) is the last one
+        if (page.length < API_PAGE_SIZE || added === 0) {
+          break;
+        }
+      }
+
+      return limit ? conversations.slice(0, limit) : conversations;
+    } catch (error) {
+      console.warn('[Claude Scraper] Could not list conversations from the API:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Scroll the Recents page and press its "Show more" button until every
+   * conversation is rendered (or the limit is reached)
+   * @param {number} limit - Stop once this many conversations are listed (0 for all)
+   * @param {number} maxScrolls - Maximum number of scroll attempts
+   * @returns {Promise<void>}
+   */
+  async function scrollToLoadAll(limit, maxScrolls = 100) {
+    console.log('[Claude Scraper] Starting auto-scroll to load all conversations...');
+
+    let previousCount = 0;
+    let unchangedCount = 0;
+    let scrollAttempts = 0;
+
+    while (scrollAttempts < maxScrolls) {
+      const currentLinks = document.querySelectorAll(SELECTORS.recentsConversationLink);
+      if (currentLinks.length === 0 || (limit && currentLinks.length >= limit)) {
+        break;
+      }
+
+      currentLinks[currentLinks.length - 1].scrollIntoView({ behavior: 'smooth', block: 'end' });
+
+      const showMoreButton = Array.from(document.querySelectorAll(SELECTORS.recentsButton))
+        .find(button => /^(show|load) more/i.test(button.textContent.trim()));
+      if (showMoreButton && !showMoreButton.disabled) {
+        showMoreButton.click();
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 1000));
+
+      const newCount = document.querySelectorAll(SELECTORS.recentsConversationLink).length;
+      if (newCount === previousCount) {
+        unchangedCount++;
+        // If count hasn't changed for 5 consecutive checks, we've reached the end
+        if (unchangedCount >= 5) {
+          console.log('[Claude Scraper] Reached end of conversation list');
+          break;
+        }
+      } else {
+        unchangedCount = 0;
+        console.log(`[Claude Scraper] Loaded ${newCount - previousCount} new conversations`);
+      }
+
+      previousCount = newCount;
+      scrollAttempts++;
+    }
+
+    const finalCount = document.querySelectorAll(SELECTORS.recentsConversationLink).length;
+    console.log(`[Claude Scraper] Auto-scroll complete after ${scrollAttempts} attempts. Total: ${finalCount} conversations`);
+  }
+
+  /**
+   * Extract the conversation list
+   * Uses the paginated API behind the Recents page; without it, falls back to
+   * scrolling the Recents page, or to the sidebar (which only shows ~30 chats).
+   * @param {number} limit - Maximum number of conversations to list (0 for all)
+   * @returns {Promise<Array>} Array of conversation metadata objects, most recent first
+   */
+  async function listConversations({ limit = 0 } = {}) {
     try {
       console.log('[Claude Scraper] Extracting conversation list...');
 
-      // Wait for sidebar navigation to load
-      await waitForElement('nav[aria-label="Sidebar"]', 10000);
+      const fromApi = await listConversationsFromApi(limit);
+      if (fromApi) {
+        console.log('[Claude Scraper] Extracted', fromApi.length, 'conversations from the API');
+        return fromApi;
+      }
+
+      const onRecentsPage = window.location.pathname.startsWith('/recents');
+
+      if (onRecentsPage) {
+        await waitForElement(SELECTORS.recentsConversationLink, 10000);
+        await scrollToLoadAll(limit);
+      } else {
+        console.warn('[Claude Scraper] Conversation API unavailable, reading the sidebar (recent chats only)');
 
-      // Small delay to ensure content is rendered
-      await new Promise(resolve => setTimeout(resolve, 500));
+        // Wait for sidebar navigation to load
+        await waitForElement(SELECTORS.sidebar, 10000);
+
+        // Small delay to ensure content is rendered
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
 
       // Find all conversation links (Claude uses direct links with /chat/ in href)
-      const conversationElements = document.querySelectorAll('a[href*="/chat/"]');
+      const conversationElements = document.querySelectorAll(onRecentsPage ? SELECTORS.recentsConversationLink : SELECTORS.conversationLink);
       console.log('[Claude Scraper] Found', conversationElements.length, 'conversations');
 
       const conversations = [];
+      const seenIds = new Set();
 
       for (const elem of conversationElements) {
         try {
@@ -225,14 +316,19 @@
           const url = elem.href;
 
           // Extract ID from URL (format: /chat/{id})
-          const idMatch = url.match(/\/chat\/([a-zA-Z0-9-]+)/);
-          const id = idMatch ? `claude-${idMatch[1]}` : null;
+          const id = PlatformRegistry.getChatId('claude', url);
 
           if (!id) {
             console.warn('[Claude Scraper] Could not extract ID from URL:', url);
             continue;
           }
 
+          // The same chat can be linked from both the sidebar and the page
+          if (seenIds.has(id)) {
+            continue;
+          }
+          seenIds.add(id);
+
           // Create conversation metadata object
           const conversation = {
             id,
@@ -252,21 +348,177 @@
       return conversations;
 
     } catch (error) {
-      console.error('[Claude Scraper] Error in extractConversations:', error);
+      console.error('[Claude Scraper] Error in listConversations:', error);
       throw error;
     }
   }
 
+  /**
+   * Text of a message from the conversation JSON
+   * @param {Object} chatMessage - API message
+   * @returns {string}
+   */
+  function readApiMessageText(chatMessage) {
+    const blocks = Array.isArray(chatMessage.content) ? chatMessage.content : [];
+    const text = blocks
+      .filter(block => block && block.type === 'text' && block.text)
+      .map(block => block.text)
+      .join('\n\n');
+    return (text || chatMessage.text || '').trim();
+  }
+
+  /**
+   * Artifact writes made by a message (calls to the `artifacts` tool)
+   * @param {Object} chatMessage - API message
+   * @param {number} position - Position of the message among the API entries
+   * @returns {Array<Object>} Events for Artifacts.fromEvents
+   */
+  function readApiArtifactEvents(chatMessage, position) {
+    const blocks = Array.isArray(chatMessage.content) ? chatMessage.content : [];
+    return blocks
+      .filter(block => block && block.type === 'tool_use' && block.name === 'artifacts')
+      .map(block => Artifacts.fromClaudeToolUse(block.input, position))
+      .filter(Boolean);
+  }
+
+  /**
+   * Attachment sources for the files of a message
+   * Pasted and uploaded documents come with the text Claude extracted from
+   * them; images are fetched from their preview URL.
+   * @param {Object} chatMessage - API message
+   * @returns {Array<Object>} Sources for message.attachmentSources
+   */
+  function readApiAttachments(chatMessage) {
+    const sources = [];
+
+    (Array.isArray(chatMessage.attachments) ? chatMessage.attachments : []).forEach(attachment => {
+      if (attachment && attachment.extracted_content) {
+        sources.push({
+          name: attachment.file_name || 'document',
+          mimeType: attachment.file_type || 'text/plain',
+          text: attachment.extracted_content
+        });
+      }
+    });
+
+    const files = Array.isArray(chatMessage.files_v2) ? chatMessage.files_v2 : (chatMessage.files || []);
+    files.forEach(file => {
+      const previewUrl = file && (file.preview_url || file.thumbnail_url);
+      if (previewUrl && file.file_kind === 'image') {
+        sources.push({ name: file.file_name || 'image', url: new URL(previewUrl, window.location.origin).href });
+      }
+    });
+
+    return sources;
+  }
+
+  /**
+   * Fetch conversation metadata from the API the Claude web app uses
+   * The rendered page shows no dates, so creation/update times, per-message
+   * times and the model come from the conversation JSON. Requested as a tree,
+   * it also holds every edited prompt and retried reply, not only the branch shown.
+   * @param {string} conversationId - Claude conversation UUID
+   * @returns {Promise<{createdAt: number|null, updatedAt: number|null, model: string|null, messageTimes: Array<{role: string, timestamp: number}>, messageAttachments: Array<{role: string, sources: Array<Object>}>, messageTree: Object|null, artifacts: Array<Object>}|null>}
+   *   null when the API is unavailable (logged out, changed endpoint...)
+   */
+  async function fetchConversationMetadata(conversationId) {
+    try {
+      const organizationId = await getOrganizationId();
+      if (!organizationId) {
+        return null;
+      }
+
+      const response = await fetch(
+        `/api/organizations/${organizationId}/chat_conversations/${conversationId}?tree=True&rendering_mode=messages`,
+        { credentials: 'include' }
+      );
+      if (!response.ok) {
+        console.warn('[Claude Scraper] Conversation metadata request failed:', response.status);
+        return null;
+      }
+
+      const data = await response.json();
+      // Siblings (edits and retries of one message) in the order they were written
+      const chatMessages = (Array.isArray(data.chat_messages) ? data.chat_messages : [])
+        .slice()
+        .sort((a, b) => (toMillis(a.created_at) || 0) - (toMillis(b.created_at) || 0));
+
+      const messageTree = MessageTree.fromNodes(
+        chatMessages.map(chatMessage => ({
+          id: chatMessage.uuid,
+          parentId: chatMessage.parent_message_uuid || null,
+          role: chatMessage.sender === 'human' ? 'user' : chatMessage.sender,
+          content: readApiMessageText(chatMessage),
+          timestamp: toMillis(chatMessage.created_at)
+        })),
+        data.current_leaf_message_uuid
+      );
+
+      // Times of the branch shown: follow the current leaf back to the root
+      const byId = new Map(chatMessages.map(chatMessage => [chatMessage.uuid, chatMessage]));
+      const path = [];
+      const visited = new Set();
+      let messageId = data.current_leaf_message_uuid;
+      while (messageId && byId.has(messageId) && !visited.has(messageId)) {
+        visited.add(messageId);
+        path.unshift(byId.get(messageId));
+        messageId = byId.get(messageId).parent_message_uuid;
+      }
+
+      const shown = (path.length > 0 ? path : chatMessages)
+        .map(chatMessage => ({
+          chatMessage,
+          role: chatMessage.sender === 'human' ? 'user' : chatMessage.sender,
+          timestamp: toMillis(chatMessage.created_at),
+          sources: readApiAttachments(chatMessage)
+        }))
+        .filter(entry => entry.role === 'user' || entry.role === 'assistant');
+      const messageTimes = shown
+        .filter(entry => entry.timestamp)
+        .map(({ role, timestamp }) => ({ role, timestamp }));
+      const messageAttachments = shown.map(({ role, sources }) => ({ role, sources }));
+
+      // Artifacts as of the branch shown; their messageIndex is a position in `shown` until matched
+      const artifacts = Artifacts.fromEvents(
+        shown.flatMap((entry, position) => readApiArtifactEvents(entry.chatMessage, position))
+      );
+
+      return {
+        createdAt: toMillis(data.created_at),
+        updatedAt: toMillis(data.updated_at),
+        // null when the conversation used the account's default model
+        model: data.model || null,
+        messageTimes,
+        messageAttachments,
+        messageTree,
+        artifacts
+      };
+    } catch (error) {
+      console.warn('[Claude Scraper] Could not load conversation metadata:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read the model name shown in the composer's model picker
+   * @returns {string|null}
+   */
+  function getRenderedModel() {
+    const picker = document.querySelector(SELECTORS.modelPicker);
+    const name = picker ? picker.textContent.replace(/\s+/g, ' ').trim() : '';
+    return name || null;
+  }
+
   /**
    * Extract current conversation content
    * @returns {Promise<Object>} Conversation object with messages
    */
-  async function extractCurrentConversation() {
+  async function extractConversation() {
     try {
       console.log('[Claude Scraper] Extracting current conversation...');
 
       // Wait for main content area to load (Claude changed their structure)
-      await waitForElement('div.w-full.relative.min-w-0', 10000);
+      await waitForElement(SELECTORS.mainContent, 10000);
 
       // Small delay to ensure all content is rendered
       await new Promise(resolve => setTimeout(resolve, 800));
@@ -287,11 +539,11 @@
 
       // Extract URL and ID
       const url = window.location.href;
-      const idMatch = url.match(/\/chat\/([a-zA-Z0-9-]+)/);
-      const id = idMatch ? `claude-${idMatch[1]}` : `claude-${Date.now()}`;
+      const chatId = PlatformRegistry.getChatId('claude', url);
+      const id = chatId || `claude-${Date.now()}`;
 
       // Get main content area (Claude's new structure doesn't use data-testid attributes)
-      const mainContent = document.querySelector('div.w-full.relative.min-w-0');
+      const mainContent = document.querySelector(SELECTORS.mainContent);
 
       // Extract all text content from main area (for backward compatibility)
       const rawContent = mainContent?.innerText?.trim() || '';
@@ -311,11 +563,12 @@
       // Parse individual messages using DOM structure (more reliable than text parsing)
       // Claude uses specific class names to identify user vs assistant messages
       const messages = [];
+      const messageTurns = [];
 
       if (mainContent) {
         // Query all message elements - both user and assistant
-        const userMessages = mainContent.querySelectorAll('[class*="font-user-message"]');
-        const assistantMessages = mainContent.querySelectorAll('[class*="font-claude-response"]');
+        const userMessages = mainContent.querySelectorAll(SELECTORS.userMessage);
+        const assistantMessages = mainContent.querySelectorAll(SELECTORS.assistantMessage);
 
         console.log('[Claude Scraper] Found', userMessages.length, 'user messages and', assistantMessages.length, 'assistant messages via DOM');
 
@@ -326,15 +579,7 @@
         ];
 
         // Sort by position in document
-        allMessageElements.sort((a, b) => {
-          const position = a.el.compareDocumentPosition(b.el);
-          if (position & Node.DOCUMENT_POSITION_FOLLOWING) {
-            return -1; // a comes before b
-          } else if (position & Node.DOCUMENT_POSITION_PRECEDING) {
-            return 1; // b comes before a
-          }
-          return 0;
-        });
+        ScraperCore.sortByDocumentPosition(allMessageElements);
 
         // Extract content from each message
         for (const { el, role } of allMessageElements) {
@@ -354,7 +599,10 @@
             continue;
           }
 
-          let content = textContent;
+          // Assistant replies are rendered Markdown; keep code, tables, lists and math
+          let content = role === 'assistant'
+            ? DomToMarkdown.convert(el) || textContent
+            : textContent;
 
           if (attachments.length > 0) {
             const attachmentSummary = attachments.join('\n');
@@ -364,7 +612,8 @@
           }
 
           if (content) {
-            messages.push({ role, content });
+            messages.push({ role, content, attachmentSources: ScraperCore.collectAttachmentSources(el) });
+            messageTurns.push(el.closest(SELECTORS.messageTurn));
           }
         }
 
@@ -378,63 +627,72 @@
         messages.push(...fallbackMessages);
       }
 
-      // Create conversation object
+      // Real dates and the model come from the conversation API
+      const metadata = chatId ? await fetchConversationMetadata(chatId.slice('claude-'.length)) : null;
+      if (metadata) {
+        ScraperCore.applyMessageTimestamps(messages, metadata.messageTimes);
+        ScraperCore.applyMessageAttachments(messages, metadata.messageAttachments);
+      }
+
+      // Alternative branches come with the API's tree; without it, step through the navigators
+      let messageTree = metadata ? metadata.messageTree : null;
+      if (!metadata && messageTurns.length === messages.length) {
+        messageTree = MessageTree.fromVariants(messages, await ScraperCore.readBranchVariants(SELECTORS.messageTurn, messageTurns, {
+          indicator: SELECTORS.branchIndicator,
+          previous: SELECTORS.branchPrevious,
+          next: SELECTORS.branchNext,
+          read: turn => {
+            const reply = turn.querySelector(SELECTORS.assistantMessage);
+            return reply
+              ? DomToMarkdown.convert(reply) || reply.innerText?.trim() || ''
+              : (turn.querySelector(SELECTORS.userMessage) || turn).innerText?.trim() || '';
+          }
+        }));
+      }
+      MessageTree.attachToMessages(messages, messageTree);
+
+      // Artifacts are written through tool calls the API records; without it, open each card's panel
+      const artifacts = metadata
+        ? ScraperCore.applyArtifacts(messages, metadata.messageAttachments, metadata.artifacts)
+        : await ScraperCore.readArtifactPanels(messageTurns.length === messages.length ? messageTurns : [], {
+          card: SELECTORS.artifactCard,
+          panel: SELECTORS.artifactPanel,
+          title: SELECTORS.artifactTitle,
+          close: SELECTORS.artifactClose
+        });
+
+      // ScraperCore fills in the date, import time and library fields
       const conversation = {
         id,
-        platform: 'claude',
         title,
         url,
-        date: Date.now(),
+        createdAt: metadata ? metadata.createdAt : null,
+        updatedAt: metadata ? metadata.updatedAt : null,
+        model: (metadata && metadata.model) || getRenderedModel(),
         messages,
-        rawContent,
-        processed: false,
-        labelIds: []
+        messageTree,
+        artifacts,
+        rawContent
       };
 
       console.log('[Claude Scraper] Extracted conversation with', rawContent.length, 'characters of content');
       return conversation;
 
     } catch (error) {
-      console.error('[Claude Scraper] Error in extractCurrentConversation:', error);
+      console.error('[Claude Scraper] Error in extractConversation:', error);
       throw error;
     }
   }
 
-  /**
-   * Message listener for popup commands
-   */
-  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    console.log('[Claude Scraper] Received message:', message.action);
-
-    if (message.action === 'extractConversations') {
-      // Extract conversation list from sidebar
-      extractConversations()
-        .then(conversations => {
-          sendResponse({ success: true, data: conversations });
-        })
-        .catch(error => {
-          console.error('[Claude Scraper] Error:', error);
-          sendResponse({ success: false, error: error.message });
-        });
-      return true; // Keep channel open for async response
-    }
-
-    if (message.action === 'extractCurrentConversation') {
-      // Extract current conversation content
-      extractCurrentConversation()
-        .then(conversation => {
-          sendResponse({ success: true, data: conversation });
-        })
-        .catch(error => {
-          console.error('[Claude Scraper] Error:', error);
-          sendResponse({ success: false, error: error.message });
-        });
-      return true; // Keep channel open for async response
+  ScraperCore.registerAdapter({
+    platform: 'claude',
+    selectors: SELECTORS,
+    listConversations,
+    extractConversation,
+    liveCapture: {
+      reply: SELECTORS.assistantMessage,
+      streaming: '[data-is-streaming="true"]'
     }
-
-    return false;
   });
 
-  console.log('[Claude Scraper] Ready for extraction commands');
-
 })();
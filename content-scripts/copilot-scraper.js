@@ -0,0 +1,125 @@
+/**
+ * Microsoft Copilot Scraper Adapter
+ *
+ * Lists and extracts conversations from copilot.microsoft.com.
+ * Registered with ScraperCore, which answers the import job's messages.
+ */
+
+(function() {
+  'use strict';
+
+  if (ScraperCore.hasAdapter('copilot')) {
+    return;
+  }
+
+  const { waitForElement } = ScraperCore;
+
+  const SELECTORS = {
+    sidebarToggle: '[data-testid="sidebar-toggle-button"], button[aria-label*="sidebar" i]',
+    conversationLink: 'a[href*="/chats/"]',
+    userMessage: '[data-content="user-message"]',
+    aiMessage: '[data-content="ai-message"]',
+    title: '[data-testid="conversation-title"], h1'
+  };
+
+  /**
+   * Open the conversation sidebar if it is collapsed
+   * @returns {Promise<void>}
+   */
+  async function openSidebar() {
+    if (document.querySelector(SELECTORS.conversationLink)) {
+      return;
+    }
+    const toggle = document.querySelector(SELECTORS.sidebarToggle);
+    if (toggle) {
+      toggle.click();
+      await ScraperCore.delay(800);
+    }
+  }
+
+  /**
+   * Extract conversation list from the sidebar
+   * @param {Object} options - { limit: maximum number of conversations (0 for all) }
+   * @returns {Promise<Array>} Array of conversation metadata objects
+   */
+  async function listConversations({ limit = 0 } = {}) {
+    try {
+      console.log('[Copilot Scraper] Extracting conversation list...');
+
+      await openSidebar();
+      await waitForElement(SELECTORS.conversationLink, 10000);
+      await ScraperCore.delay(500);
+
+      await ScraperCore.scrollToLoad(SELECTORS.conversationLink, { limit });
+
+      const conversations = ScraperCore.collectConversationLinks('copilot', SELECTORS.conversationLink, limit);
+      console.log('[Copilot Scraper] Extracted', conversations.length, 'conversations');
+      return conversations;
+
+    } catch (error) {
+      console.error('[Copilot Scraper] Error in listConversations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extract current conversation content
+   * @returns {Promise<Object>} Conversation object with messages
+   */
+  async function extractConversation() {
+    try {
+      console.log('[Copilot Scraper] Extracting current conversation...');
+
+      const url = window.location.href.split(/[?#]/)[0];
+      const id = PlatformRegistry.getChatId('copilot', url) || `copilot-${Date.now()}`;
+
+      await waitForElement(SELECTORS.aiMessage, 10000);
+      await ScraperCore.delay(800);
+
+      const messages = ScraperCore.readMessages([
+        ...Array.from(document.querySelectorAll(SELECTORS.userMessage)).map(el => ({ el, role: 'user' })),
+        ...Array.from(document.querySelectorAll(SELECTORS.aiMessage)).map(el => ({ el, role: 'assistant' }))
+      ]);
+
+      // The open conversation is highlighted in the sidebar with its title
+      const sidebarLink = Array.from(document.querySelectorAll(SELECTORS.conversationLink))
+        .find(link => PlatformRegistry.getChatId('copilot', link.href) === id);
+      const titleElement = document.querySelector(SELECTORS.title);
+      const firstUserMessage = messages.find(message => message.role === 'user');
+      const title = ScraperCore.truncateAtWordBoundary(
+        (sidebarLink && sidebarLink.textContent.trim()) ||
+          (titleElement && titleElement.textContent.trim()) ||
+          (firstUserMessage && firstUserMessage.content) ||
+          'Untitled Conversation',
+        80
+      );
+
+      // Copilot shows no conversation or message dates; ScraperCore dates the chat by its import time
+      const conversation = {
+        id,
+        title,
+        url,
+        messages
+      };
+
+      console.log('[Copilot Scraper] Extracted conversation with', messages.length, 'messages');
+      return conversation;
+
+    } catch (error) {
+      console.error('[Copilot Scraper] Error in extractConversation:', error);
+      throw error;
+    }
+  }
+
+  ScraperCore.registerAdapter({
+    platform: 'copilot',
+    selectors: SELECTORS,
+    listConversations,
+    extractConversation,
+    liveCapture: {
+      reply: SELECTORS.aiMessage,
+      streaming: 'button[data-testid="stop-button"], button[aria-label="Stop"]'
+    }
+  });
+
+})();
@@ -0,0 +1,194 @@
+/**
+ * DeepSeek Scraper Adapter
+ *
+ * Lists and extracts conversations from chat.deepseek.com.
+ * Registered with ScraperCore, which answers the import job's messages.
+ * DeepThink reasoning is left out; only the final answers are imported.
+ */
+
+(function() {
+  'use strict';
+
+  if (ScraperCore.hasAdapter('deepseek')) {
+    return;
+  }
+
+  const { waitForElement, toMillis } = ScraperCore;
+
+  const SELECTORS = {
+    conversationLink: 'a[href*="/chat/s/"]',
+    message: '.ds-message, [class*="ds-message"]',
+    answer: '.ds-markdown',
+    reasoning: '[class*="ds-think"], [class*="thinking"]'
+  };
+
+  /**
+   * Extract conversation list from the sidebar
+   * @param {Object} options - { limit: maximum number of conversations (0 for all) }
+   * @returns {Promise<Array>} Array of conversation metadata objects
+   */
+  async function listConversations({ limit = 0 } = {}) {
+    try {
+      console.log('[DeepSeek Scraper] Extracting conversation list...');
+
+      await waitForElement(SELECTORS.conversationLink, 10000);
+      await ScraperCore.delay(500);
+
+      await ScraperCore.scrollToLoad(SELECTORS.conversationLink, { limit });
+
+      const conversations = ScraperCore.collectConversationLinks('deepseek', SELECTORS.conversationLink, limit);
+      console.log('[DeepSeek Scraper] Extracted', conversations.length, 'conversations');
+      return conversations;
+
+    } catch (error) {
+      console.error('[DeepSeek Scraper] Error in listConversations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch conversation metadata from the API the DeepSeek web app uses
+   * The page shows no dates, so creation/update times, per-message times and
+   * the mode (DeepThink or not) come from the message history JSON.
+   * @param {string} sessionId - DeepSeek chat session ID
+   * @returns {Promise<{createdAt: number|null, updatedAt: number|null, model: string|null, messageTimes: Array<{role: string, timestamp: number}>}|null>}
+   *   null when the API is unavailable (logged out, changed endpoint...)
+   */
+  async function fetchConversationMetadata(sessionId) {
+    try {
+      // The web app keeps its bearer token in local storage as { value }
+      const storedToken = JSON.parse(localStorage.getItem('userToken') || 'null');
+      const token = storedToken && (storedToken.value || storedToken);
+      if (!token || typeof token !== 'string') {
+        return null;
+      }
+
+      const response = await fetch(`/api/v0/chat/history_messages?chat_session_id=${encodeURIComponent(sessionId)}`, {
+        credentials: 'include',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (!response.ok) {
+        console.warn('[DeepSeek Scraper] Conversation metadata request failed:', response.status);
+        return null;
+      }
+
+      const data = await response.json();
+      const bizData = (data && data.data && data.data.biz_data) || {};
+      const session = bizData.chat_session || {};
+      const byId = new Map((bizData.chat_messages || []).map(message => [message.message_id, message]));
+
+      // Follow the visible branch from the current message back to the root
+      const path = [];
+      const visited = new Set();
+      let messageId = session.current_message_id;
+      while (messageId && byId.has(messageId) && !visited.has(messageId)) {
+        visited.add(messageId);
+        path.unshift(byId.get(messageId));
+        messageId = byId.get(messageId).parent_id;
+      }
+      if (path.length === 0) {
+        path.push(...byId.values());
+      }
+
+      let model = null;
+      const messageTimes = [];
+      path.forEach(message => {
+        const role = String(message.role || '').toLowerCase();
+        if (role !== 'user' && role !== 'assistant') {
+          return;
+        }
+        if (role === 'assistant') {
+          model = message.model || (message.thinking_enabled ? 'deepseek-reasoner' : 'deepseek-chat');
+        }
+        const timestamp = toMillis(message.inserted_at);
+        if (timestamp) {
+          messageTimes.push({ role, timestamp });
+        }
+      });
+
+      return {
+        createdAt: toMillis(session.inserted_at),
+        updatedAt: toMillis(session.updated_at),
+        model,
+        messageTimes
+      };
+    } catch (error) {
+      console.warn('[DeepSeek Scraper] Could not fetch conversation metadata:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Extract current conversation content
+   * @returns {Promise<Object>} Conversation object with messages
+   */
+  async function extractConversation() {
+    try {
+      console.log('[DeepSeek Scraper] Extracting current conversation...');
+
+      const url = window.location.href.split(/[?#]/)[0];
+      const chatId = PlatformRegistry.getChatId('deepseek', url);
+      const id = chatId || `deepseek-${Date.now()}`;
+
+      await waitForElement(SELECTORS.answer, 10000);
+      await ScraperCore.delay(800);
+
+      // Replies hold their answer in .ds-markdown (the reasoning panel is a separate block)
+      const entries = Array.from(document.querySelectorAll(SELECTORS.message))
+        .filter(el => !el.parentElement || !el.parentElement.closest(SELECTORS.message))
+        .map(el => {
+          const answers = Array.from(el.querySelectorAll(SELECTORS.answer))
+            .filter(answer => !answer.closest(SELECTORS.reasoning));
+          return answers.length > 0
+            ? { el: answers[answers.length - 1], role: 'assistant' }
+            : { el, role: 'user' };
+        });
+      const messages = ScraperCore.readMessages(entries);
+
+      const metadata = chatId ? await fetchConversationMetadata(chatId.slice('deepseek-'.length)) : null;
+      if (metadata) {
+        ScraperCore.applyMessageTimestamps(messages, metadata.messageTimes);
+      }
+
+      const sidebarLink = Array.from(document.querySelectorAll(SELECTORS.conversationLink))
+        .find(link => PlatformRegistry.getChatId('deepseek', link.href) === id);
+      const firstUserMessage = messages.find(message => message.role === 'user');
+      const title = ScraperCore.truncateAtWordBoundary(
+        (sidebarLink && sidebarLink.textContent.trim()) ||
+          (firstUserMessage && firstUserMessage.content) ||
+          'Untitled Conversation',
+        80
+      );
+
+      // ScraperCore fills in the date, import time and library fields
+      const conversation = {
+        id,
+        title,
+        url,
+        createdAt: metadata ? metadata.createdAt : null,
+        updatedAt: metadata ? metadata.updatedAt : null,
+        model: metadata ? metadata.model : null,
+        messages
+      };
+
+      console.log('[DeepSeek Scraper] Extracted conversation with', messages.length, 'messages');
+      return conversation;
+
+    } catch (error) {
+      console.error('[DeepSeek Scraper] Error in extractConversation:', error);
+      throw error;
+    }
+  }
+
+  ScraperCore.registerAdapter({
+    platform: 'deepseek',
+    selectors: SELECTORS,
+    listConversations,
+    extractConversation,
+    // No reliable streaming indicator; the debounce waits for the reply to stop changing
+    liveCapture: {
+      reply: SELECTORS.answer
+    }
+  });
+
+})();
@@ -0,0 +1,413 @@
+/**
+ * DOM to Markdown - Shared converter for the platform scrapers
+ *
+ * Rendered assistant replies lose their structure when read with innerText:
+ * code fences, tables, nested lists and math all flatten into plain lines.
+ * This converter walks the rendered DOM instead and writes Markdown:
+ * - fenced code blocks with the language tag (from `language-*` classes,
+ *   `data-language`, or the code block header the platform renders)
+ * - GFM tables, headings, ordered/unordered/nested lists, blockquotes, links
+ * - KaTeX / MathJax / `data-math` source as $inline$ and $$display$$ TeX
+ *
+ * Injected before each scraper adapter (PlatformRegistry.getContentScripts)
+ * and exposed as the global `DomToMarkdown`; safe to inject more than once.
+ */
+
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.DomToMarkdown) {
+    return;
+  }
+
+  const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DETAILS', 'DIV', 'DL', 'FIELDSET', 'FIGCAPTION',
+    'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN',
+    'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL'
+  ]);
+
+  // UI chrome inside rendered replies (copy buttons, icons, screen-reader labels)
+  const SKIP_SELECTOR = [
+    'button', 'svg', 'style', 'script:not([type^="math/tex"])', 'noscript', 'template',
+    '[role="button"]', '.sr-only', '.katex-html', 'mjx-assistive-mml', '.MJX_Assistive_MathML'
+  ].join(',');
+
+  // A fenced block from _codeBlock: its closing fence repeats the opening one,
+  // after the same list indentation or quote markers
+  const CODE_FENCE_PATTERN = /^[^\n`]*?(`{3,})[^`\n]*\n[\s\S]*?\n[ \t>]*\1(?=[ \t]*$)/gm;
+
+  const MATH_SELECTOR = '.katex, .katex-display, mjx-container, .MathJax, [data-math], [data-latex], script[type^="math/tex"]';
+
+  const DomToMarkdown = {
+    /**
+     * Convert a rendered message element to Markdown
+     * @param {Element} element - Message container
+     * @returns {string} Markdown ('' if the element has no content)
+     */
+    convert(element) {
+      if (!element) {
+        return '';
+      }
+
+      try {
+        return this._tidy(this._children(element));
+      } catch (error) {
+        console.warn('[DOM to Markdown] Conversion failed, falling back to plain text:', error);
+        return '';
+      }
+    },
+
+    /**
+     * NODES
+     */
+
+    /**
+     * Convert the child nodes of an element
+     * @param {Node} node - Parent node
+     * @returns {string}
+     */
+    _children(node) {
+      let output = '';
+      node.childNodes.forEach(child => {
+        output += this._node(child);
+      });
+      return output;
+    },
+
+    /**
+     * Convert one node
+     * @param {Node} node - DOM node
+     * @returns {string}
+     */
+    _node(node) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        return node.nodeValue.replace(/\s+/g, ' ');
+      }
+
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        return '';
+      }
+
+      if (node.matches(MATH_SELECTOR)) {
+        return this._math(node);
+      }
+
+      if (node.matches(SKIP_SELECTOR) || node.hidden) {
+        return '';
+      }
+
+      const tag = node.tagName;
+
+      switch (tag) {
+        case 'H1':
+        case 'H2':
+        case 'H3':
+        case 'H4':
+        case 'H5':
+        case 'H6':
+          return this._block(`${'#'.repeat(Number(tag[1]))} ${this._inline(node)}`);
+        case 'P':
+          return this._block(this._children(node).trim());
+        case 'BR':
+          return '\n';
+        case 'HR':
+          return this._block('---');
+        case 'PRE':
+          return this._block(this._codeBlock(node));
+        case 'CODE':
+          return this._inlineCode(node.textContent);
+        case 'STRONG':
+        case 'B':
+          return this._wrap(this._children(node), '**');
+        case 'EM':
+        case 'I':
+          return this._wrap(this._children(node), '*');
+        case 'DEL':
+        case 'S':
+          return this._wrap(this._children(node), '~~');
+        case 'A':
+          return this._link(node);
+        case 'IMG':
+          return this._image(node);
+        case 'UL':
+        case 'OL':
+          return this._block(this._list(node));
+        case 'BLOCKQUOTE':
+          return this._block(this._tidy(this._children(node))
+            .split('\n')
+            .map(line => (line ? `> ${line}` : '>'))
+            .join('\n'));
+        case 'TABLE':
+          return this._block(this._table(node));
+        default:
+          break;
+      }
+
+      // Gemini wraps code blocks in a custom element with a language header
+      if (tag === 'CODE-BLOCK') {
+        const pre = node.querySelector('pre');
+        return pre ? this._block(this._codeBlock(pre, node)) : '';
+      }
+
+      const content = this._children(node);
+      return BLOCK_TAGS.has(tag) ? this._block(content.trim()) : content;
+    },
+
+    /**
+     * Convert inline content to a single line
+     * @param {Element} node - Element
+     * @returns {string}
+     */
+    _inline(node) {
+      return this._children(node).replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * BLOCKS
+     */
+
+    /**
+     * Fenced code block with language tag
+     * @param {Element} pre - <pre> element
+     * @param {Element} container - Element holding the platform's code header (defaults to pre)
+     * @returns {string}
+     */
+    _codeBlock(pre, container = pre) {
+      const code = pre.querySelector('code') || pre;
+      const text = code.textContent.replace(/\n$/, '');
+      const language = this._codeLanguage(code, container);
+      const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+      const fence = '`'.repeat(longestRun + 1);
+      return `${fence}${language}\n${text}\n${fence}`;
+    },
+
+    /**
+     * Find a code block's language
+     * @param {Element} code - <code> element
+     * @param {Element} container - Code block container
+     * @returns {string} Language tag or ''
+     */
+    _codeLanguage(code, container) {
+      const classMatch = [...code.classList, ...container.classList]
+        .map(name => name.match(/^(?:language|lang)-([\w+#.-]+)$/))
+        .find(Boolean);
+      if (classMatch) {
+        return classMatch[1].toLowerCase();
+      }
+
+      const attribute = code.getAttribute('data-language') || container.getAttribute('data-language');
+      if (attribute) {
+        return attribute.trim().toLowerCase();
+      }
+
+      // Rendered header above the code ("python", "Copy code") in ChatGPT, Claude and Gemini
+      const header = container.querySelector('.code-block-decoration, [class*="code-block__header"], [class*="rounded-t"], [class*="text-token-text-secondary"]');
+      const label = header ? header.textContent.replace(/copy( code)?/ig, '').trim() : '';
+      return /^[\w+#.-]{1,20}$/.test(label) ? label.toLowerCase() : '';
+    },
+
+    /**
+     * Ordered or unordered list, nested lists indented under their item
+     * @param {Element} list - <ul> or <ol>
+     * @returns {string}
+     */
+    _list(list) {
+      const ordered = list.tagName === 'OL';
+      let number = parseInt(list.getAttribute('start'), 10);
+      if (!Number.isInteger(number)) {
+        number = 1;
+      }
+
+      const items = [...list.children].filter(child => child.tagName === 'LI');
+
+      return items.map(item => {
+        const marker = ordered ? `${number++}. ` : '- ';
+        let content = this._tidy(this._children(item));
+        // Keep lists tight unless the item holds a code block, where blank lines matter
+        if (!item.querySelector('pre')) {
+          content = content.replace(/\n{2,}/g, '\n');
+        }
+        const indent = ' '.repeat(marker.length);
+        return marker + content
+          .split('\n')
+          .map((line, index) => (index === 0 || !line ? line : indent + line))
+          .join('\n');
+      }).join('\n');
+    },
+
+    /**
+     * GFM table; the first row is the header
+     * @param {Element} table - <table>
+     * @returns {string}
+     */
+    _table(table) {
+      const rows = [...table.querySelectorAll('tr')]
+        .filter(row => row.closest('table') === table)
+        .map(row => [...row.children]
+          .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+          .map(cell => this._inline(cell).replace(/\|/g, '\\|')));
+
+      if (rows.length === 0) {
+        return '';
+      }
+
+      const columns = Math.max(...rows.map(row => row.length));
+      const line = cells => `| ${Array.from({ length: columns }, (_, index) => cells[index] || '').join(' | ')} |`;
+
+      return [
+        line(rows[0]),
+        line(Array(columns).fill('---')),
+        ...rows.slice(1).map(line)
+      ].join('\n');
+    },
+
+    /**
+     * INLINE
+     */
+
+    /**
+     * Inline code span with a fence longer than any backtick run inside it
+     * @param {string} text - Code text
+     * @returns {string}
+     */
+    _inlineCode(text) {
+      const value = text.replace(/\s*\n\s*/g, ' ');
+      if (!value) {
+        return '';
+      }
+      const longestRun = Math.max(0, ...(value.match(/`+/g) || []).map(run => run.length));
+      const fence = '`'.repeat(longestRun + 1);
+      const padding = value.startsWith('`') || value.endsWith('`') ? ' ' : '';
+      return `${fence}${padding}${value}${padding}${fence}`;
+    },
+
+    /**
+     * Wrap inline text in emphasis markers, keeping surrounding spaces outside
+     * @param {string} text - Inline text
+     * @param {string} marker - '**', '*' or '~~'
+     * @returns {string}
+     */
+    _wrap(text, marker) {
+      const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+    },
+
+    /**
+     * Link; bare URLs become autolinks
+     * @param {Element} anchor - <a>
+     * @returns {string}
+     */
+    _link(anchor) {
+      const text = this._inline(anchor);
+      const href = anchor.getAttribute('href') || '';
+      if (!/^(https?:|mailto:)/i.test(href)) {
+        return text;
+      }
+      if (!text || text === href) {
+        return `<${href}>`;
+      }
+      return `[${text.replace(/[[\]]/g, '\\$&')}](${href.replace(/[()\s]/g, encodeURIComponent)})`;
+    },
+
+    /**
+     * Image with a web URL; uploads and inline data are left to the attachment tokens
+     * @param {Element} image - <img>
+     * @returns {string}
+     */
+    _image(image) {
+      const src = image.getAttribute('src') || '';
+      const alt = (image.getAttribute('alt') || '').trim();
+      return /^https?:/i.test(src) && alt ? `![${alt.replace(/[[\]]/g, '')}](${src})` : '';
+    },
+
+    /**
+     * TeX source of a rendered formula
+     * @param {Element} node - KaTeX, MathJax or data-math element
+     * @returns {string}
+     */
+    _math(node) {
+      let tex = node.getAttribute('data-math') || node.getAttribute('data-latex') || '';
+      let display = node.classList.contains('katex-display') ||
+        node.getAttribute('display') === 'true' ||
+        node.tagName === 'MATH-BLOCK' ||
+        /mode=display/.test(node.getAttribute('type') || '');
+
+      if (!tex && node.tagName === 'SCRIPT') {
+        tex = node.textContent;
+      }
+
+      if (!tex) {
+        const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+        tex = annotation ? annotation.textContent : '';
+      }
+
+      if (!tex) {
+        const script = node.querySelector('script[type^="math/tex"]');
+        if (script) {
+          tex = script.textContent;
+          display = display || /mode=display/.test(script.getAttribute('type'));
+        }
+      }
+
+      tex = tex.trim();
+      if (!tex) {
+        return node.textContent;
+      }
+
+      return display ? this._block(`$$\n${tex}\n$$`) : `$${tex}$`;
+    },
+
+    /**
+     * HELPERS
+     */
+
+    /**
+     * Surround block content with blank lines
+     * @param {string} content - Block Markdown
+     * @returns {string}
+     */
+    _block(content) {
+      return content ? `\n\n${content}\n\n` : '';
+    },
+
+    /**
+     * Trim trailing spaces and collapse runs of blank lines
+     * Fenced code blocks (also indented in lists or quoted) are left as they
+     * are: their whitespace and blank lines are content.
+     * @param {string} markdown - Raw output
+     * @returns {string}
+     */
+    _tidy(markdown) {
+      let output = '';
+      let proseStart = 0;
+
+      for (const match of markdown.matchAll(CODE_FENCE_PATTERN)) {
+        output += this._tidyProse(markdown.slice(proseStart, match.index)) + match[0];
+        proseStart = match.index + match[0].length;
+      }
+
+      return (output + this._tidyProse(markdown.slice(proseStart))).trim();
+    },
+
+    /**
+     * Trim trailing spaces and collapse runs of blank lines outside code
+     * @param {string} prose - Markdown without fenced code
+     * @returns {string}
+     */
+    _tidyProse(prose) {
+      return prose
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n[ \t]+(?=\n)/g, '\n')
+        .replace(/\n{3,}/g, '\n\n');
+    }
+  };
+
+  if (typeof self !== 'undefined') {
+    self.DomToMarkdown = DomToMarkdown;
+  }
+
+  // Export for use in other modules
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DomToMarkdown;
+  }
+})();
@@ -1,137 +1,50 @@
 /**
- * Gemini Content Script - Chat History Scraper
+ * Gemini Scraper Adapter
  *
- * Extracts conversation metadata and content from gemini.google.com
- * Supports parallel tab processing for fast bulk imports
+ * Lists and extracts conversations from gemini.google.com.
+ * Registered with ScraperCore, which answers the import job's messages.
  * Note: Gemini's DOM structure may vary - designed with flexibility
  */
 
 (function() {
   'use strict';
 
-  console.log('[Gemini Scraper] Content script loaded');
-
-  /**
-   * Truncate text at word boundary
-   * @param {string} text - Text to truncate
-   * @param {number} maxLength - Maximum length (default 80)
-   * @returns {string} Truncated text with ellipsis if needed
-   */
-  function truncateAtWordBoundary(text, maxLength = 80) {
-    if (!text || text.length <= maxLength) {
-      return text;
-    }
-
-    // Find the last space before maxLength
-    const truncated = text.substring(0, maxLength);
-    const lastSpace = truncated.lastIndexOf(' ');
-
-    // If there's a space, truncate there; otherwise use maxLength
-    if (lastSpace > 0) {
-      return truncated.substring(0, lastSpace) + '...';
-    }
-
-    return truncated + '...';
+  if (ScraperCore.hasAdapter('gemini')) {
+    return;
   }
 
-  /**
-   * Wait for an element to appear in the DOM
-   * @param {string} selector - CSS selector
-   * @param {number} timeout - Timeout in milliseconds
-   * @returns {Promise<Element>} The found element
-   */
-  function waitForElement(selector, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      // Check if element already exists
-      const element = document.querySelector(selector);
-      if (element) {
-        return resolve(element);
-      }
-
-      // Set up timeout
-      const timeoutId = setTimeout(() => {
-        observer.disconnect();
-        reject(new Error(`Timeout waiting for element: ${selector}`));
-      }, timeout);
-
-      // Set up MutationObserver
-      const observer = new MutationObserver((mutations) => {
-        const element = document.querySelector(selector);
-        if (element) {
-          clearTimeout(timeoutId);
-          observer.disconnect();
-          resolve(element);
-        }
-      });
-
-      // Start observing
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-    });
-  }
-
-  /**
-   * Extract placeholders describing non-text content within a message container
-   * @param {Element} container - Message container element
-   * @returns {Array<string>} Attachment placeholder strings
-   */
-  function extractNonTextAttachments(container) {
-    if (!container) {
-      return [];
-    }
-
-    const placeholders = [];
-
-    const addPlaceholder = (type, description) => {
-      const details = description ? ` ${description}` : '';
-      placeholders.push(`[${type}]${details}`);
-    };
-
-    container.querySelectorAll('img').forEach(img => {
-      const alt = img.getAttribute('alt')?.trim();
-      addPlaceholder('Image', alt || 'image attachment');
-    });
-
-    container.querySelectorAll('video').forEach(video => {
-      const title = video.getAttribute('title')?.trim();
-      addPlaceholder('Video', title || 'video attachment');
-    });
-
-    container.querySelectorAll('audio').forEach(audio => {
-      const title = audio.getAttribute('title')?.trim();
-      addPlaceholder('Audio', title || 'audio attachment');
-    });
-
-    container.querySelectorAll('a[download]').forEach(link => {
-      const text = link.innerText?.trim() || link.getAttribute('download')?.trim();
-      addPlaceholder('File', text || 'download attachment');
-    });
-
-    if (container.querySelector('canvas')) {
-      addPlaceholder('Canvas', 'embedded drawing');
-    }
-
-    return Array.from(new Set(placeholders));
-  }
+  const { waitForElement, extractNonTextAttachments, truncateAtWordBoundary } = ScraperCore;
+
+  const SELECTORS = {
+    conversation: '.conversation',
+    conversationTitle: '.conversation-title',
+    userQuery: '[id^="user-query-content-"]',
+    userQueryFallback: '[data-test-id*="user"], [class*="user-message"]',
+    modelResponse: '[id^="message-content-id-r_"]',
+    modelPicker: '[data-test-id="bard-mode-menu-button"], bard-mode-switcher button',
+    // Canvas cards in replies, and the canvas panel a card opens
+    canvasCard: 'immersive-entry-chip',
+    canvasPanel: 'immersive-panel',
+    canvasTitle: '[data-test-id="title-text"], .title-text, h2',
+    canvasClose: 'button[aria-label*="Close" i]'
+  };
 
   /**
    * Extract conversation list from sidebar
    * @returns {Promise<Array>} Array of conversation metadata objects
    */
-  async function extractConversations() {
+  async function listConversations() {
     try {
       console.log('[Gemini Scraper] Extracting conversation list...');
 
       // Wait for conversation elements to load (Gemini uses divs, not links)
-      await waitForElement('.conversation', 10000);
+      await waitForElement(SELECTORS.conversation, 10000);
 
       // Small delay to ensure content is rendered
       await new Promise(resolve => setTimeout(resolve, 500));
 
       // Gemini uses div elements with class "conversation" instead of links
-      const conversationElements = document.querySelectorAll('.conversation');
+      const conversationElements = document.querySelectorAll(SELECTORS.conversation);
       console.log('[Gemini Scraper] Found', conversationElements.length, 'conversations');
 
       const conversations = [];
@@ -139,7 +52,7 @@
       for (const elem of conversationElements) {
         try {
           // Extract title from conversation-title element
-          const titleElement = elem.querySelector('.conversation-title');
+          const titleElement = elem.querySelector(SELECTORS.conversationTitle);
           let title = titleElement?.textContent?.trim() || 'Untitled Conversation';
 
           // Truncate long titles at word boundary
@@ -166,7 +79,7 @@
           }
 
           // Build URL (format: /app/{id})
-          const url = `https://gemini.google.com/app/${conversationId}`;
+          const url = `${PlatformRegistry.get('gemini').baseUrl}/app/${conversationId}`;
           const id = `gemini-${conversationId}`;
 
           // Create conversation metadata object
@@ -188,7 +101,7 @@
       return conversations;
 
     } catch (error) {
-      console.error('[Gemini Scraper] Error in extractConversations:', error);
+      console.error('[Gemini Scraper] Error in listConversations:', error);
       throw error;
     }
   }
@@ -258,20 +171,33 @@
     return messages;
   }
 
+  /**
+   * Read the model name shown in the input area's mode picker ("2.5 Flash", "2.5 Pro")
+   * @returns {string|null}
+   */
+  function getRenderedModel() {
+    const picker = document.querySelector(SELECTORS.modelPicker);
+    const name = picker ? picker.textContent.replace(/\s+/g, ' ').trim() : '';
+    if (!name) {
+      return null;
+    }
+    return /^gemini/i.test(name) ? name : `Gemini ${name}`;
+  }
+
   /**
    * Extract current conversation content
    * @returns {Promise<Object>} Conversation object with messages
    */
-  async function extractCurrentConversation() {
+  async function extractConversation() {
     try {
       console.log('[Gemini Scraper] Extracting current conversation...');
 
       // Extract URL and ID first
       const url = window.location.href;
-      const idMatch = url.match(/\/app\/([a-zA-Z0-9-]+)/);
-      const id = idMatch ? `gemini-${idMatch[1]}` : `gemini-${Date.now()}`;
+      const id = PlatformRegistry.getChatId('gemini', url) || `gemini-${Date.now()}`;
 
       const messages = [];
+      const messageElements = [];
       let rawContent = '';
 
       // PRIMARY APPROACH: DOM-based parsing using specific selectors
@@ -280,8 +206,8 @@
       // Wait for message content to load - try to wait for either user or assistant messages
       try {
         await Promise.race([
-          waitForElement('[id^="user-query-content-"]', 3000),
-          waitForElement('[id^="message-content-id-r_"]', 3000)
+          waitForElement(SELECTORS.userQuery, 3000),
+          waitForElement(SELECTORS.modelResponse, 3000)
         ]);
       } catch (error) {
         console.log('[Gemini Scraper] Timeout waiting for specific message elements');
@@ -291,15 +217,15 @@
       await new Promise(resolve => setTimeout(resolve, 800));
 
       // Try multiple selector patterns for user messages
-      let userMessageElements = document.querySelectorAll('[id^="user-query-content-"]');
+      let userMessageElements = document.querySelectorAll(SELECTORS.userQuery);
 
       // Also try data attributes or class-based selectors
       if (userMessageElements.length === 0) {
-        userMessageElements = document.querySelectorAll('[data-test-id*="user"], [class*="user-message"]');
+        userMessageElements = document.querySelectorAll(SELECTORS.userQueryFallback);
         console.log('[Gemini Scraper] Trying alternate user message selectors, found:', userMessageElements.length);
       }
 
-      const assistantMessageElements = document.querySelectorAll('[id^="message-content-id-r_"]');
+      const assistantMessageElements = document.querySelectorAll(SELECTORS.modelResponse);
 
       console.log('[Gemini Scraper] Found', userMessageElements.length, 'user messages and',
                   assistantMessageElements.length, 'assistant messages via DOM');
@@ -312,15 +238,7 @@
         ];
 
         // Sort by position in document
-        allMessageElements.sort((a, b) => {
-          const position = a.el.compareDocumentPosition(b.el);
-          if (position & Node.DOCUMENT_POSITION_FOLLOWING) {
-            return -1; // a comes before b
-          } else if (position & Node.DOCUMENT_POSITION_PRECEDING) {
-            return 1; // b comes before a
-          }
-          return 0;
-        });
+        ScraperCore.sortByDocumentPosition(allMessageElements);
 
         // Extract content from each message
         for (const { el, role } of allMessageElements) {
@@ -339,7 +257,8 @@
               content = el.innerText?.trim() || el.textContent?.trim() || '';
             }
           } else {
-            content = el.innerText?.trim() || el.textContent?.trim() || '';
+            // Assistant replies are rendered Markdown; keep code, tables, lists and math
+            content = DomToMarkdown.convert(el) || el.innerText?.trim() || el.textContent?.trim() || '';
           }
 
           const attachments = extractNonTextAttachments(el);
@@ -358,7 +277,8 @@
           );
 
           if (content && content.length > 0) {
-            messages.push({ role, content });
+            messages.push({ role, content, attachmentSources: ScraperCore.collectAttachmentSources(el) });
+            messageElements.push(el.closest('model-response') || el);
             rawContent += `[${role.toUpperCase()}]\n${content}\n\n`;
           } else {
             console.warn('[Gemini Scraper] Empty content for', role, 'message, element:', el);
@@ -424,63 +344,43 @@
         }
       }
 
-      // Create conversation object
+      // Canvas documents only live in the page: open each card's panel
+      const artifacts = await ScraperCore.readArtifactPanels(messageElements, {
+        card: SELECTORS.canvasCard,
+        panel: SELECTORS.canvasPanel,
+        title: SELECTORS.canvasTitle,
+        close: SELECTORS.canvasClose
+      });
+
+      // Gemini shows no conversation or message dates; ScraperCore dates the chat by its import time
       const conversation = {
         id,
-        platform: 'gemini',
         title,
         url,
-        date: Date.now(),
+        model: getRenderedModel(),
         messages,
-        rawContent: rawContent.trim(),
-        processed: false,
-        labelIds: []
+        artifacts,
+        rawContent: rawContent.trim()
       };
 
       console.log('[Gemini Scraper] Extracted conversation with', messages.length, 'messages');
       return conversation;
 
     } catch (error) {
-      console.error('[Gemini Scraper] Error in extractCurrentConversation:', error);
+      console.error('[Gemini Scraper] Error in extractConversation:', error);
       throw error;
     }
   }
 
-  /**
-   * Message listener for popup commands
-   */
-  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    console.log('[Gemini Scraper] Received message:', message.action);
-
-    if (message.action === 'extractConversations') {
-      // Extract conversation list from sidebar
-      extractConversations()
-        .then(conversations => {
-          sendResponse({ success: true, data: conversations });
-        })
-        .catch(error => {
-          console.error('[Gemini Scraper] Error:', error);
-          sendResponse({ success: false, error: error.message });
-        });
-      return true; // Keep channel open for async response
-    }
-
-    if (message.action === 'extractCurrentConversation') {
-      // Extract current conversation content
-      extractCurrentConversation()
-        .then(conversation => {
-          sendResponse({ success: true, data: conversation });
-        })
-        .catch(error => {
-          console.error('[Gemini Scraper] Error:', error);
-          sendResponse({ success: false, error: error.message });
-        });
-      return true; // Keep channel open for async response
+  ScraperCore.registerAdapter({
+    platform: 'gemini',
+    selectors: SELECTORS,
+    listConversations,
+    extractConversation,
+    liveCapture: {
+      reply: SELECTORS.modelResponse,
+      streaming: 'button[aria-label="Stop response"]'
     }
-
-    return false;
   });
 
-  console.log('[Gemini Scraper] Ready for extraction commands');
-
 })();
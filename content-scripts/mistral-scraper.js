@@ -0,0 +1,109 @@
+/**
+ * Mistral Le Chat Scraper Adapter
+ *
+ * Lists and extracts conversations from chat.mistral.ai.
+ * Registered with ScraperCore, which answers the import job's messages.
+ */
+
+(function() {
+  'use strict';
+
+  if (ScraperCore.hasAdapter('mistral')) {
+    return;
+  }
+
+  const { waitForElement } = ScraperCore;
+
+  const SELECTORS = {
+    conversationLink: 'nav a[href*="/chat/"], aside a[href*="/chat/"]',
+    userMessage: '[data-message-author-role="user"]',
+    assistantMessage: '[data-message-author-role="assistant"]',
+    assistantContent: '[data-message-part-type="answer"], .markdown-container-style, .prose'
+  };
+
+  /**
+   * Extract conversation list from the sidebar
+   * @param {Object} options - { limit: maximum number of conversations (0 for all) }
+   * @returns {Promise<Array>} Array of conversation metadata objects
+   */
+  async function listConversations({ limit = 0 } = {}) {
+    try {
+      console.log('[Le Chat Scraper] Extracting conversation list...');
+
+      await waitForElement(SELECTORS.conversationLink, 10000);
+      await ScraperCore.delay(500);
+
+      await ScraperCore.scrollToLoad(SELECTORS.conversationLink, { limit });
+
+      const conversations = ScraperCore.collectConversationLinks('mistral', SELECTORS.conversationLink, limit);
+      console.log('[Le Chat Scraper] Extracted', conversations.length, 'conversations');
+      return conversations;
+
+    } catch (error) {
+      console.error('[Le Chat Scraper] Error in listConversations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extract current conversation content
+   * @returns {Promise<Object>} Conversation object with messages
+   */
+  async function extractConversation() {
+    try {
+      console.log('[Le Chat Scraper] Extracting current conversation...');
+
+      const url = window.location.href.split(/[?#]/)[0];
+      const id = PlatformRegistry.getChatId('mistral', url) || `mistral-${Date.now()}`;
+
+      await waitForElement(SELECTORS.assistantMessage, 10000);
+      await ScraperCore.delay(800);
+
+      // Read the answer part of each reply, not its toolbar or tool call panels
+      const messages = ScraperCore.readMessages([
+        ...Array.from(document.querySelectorAll(SELECTORS.userMessage)).map(el => ({ el, role: 'user' })),
+        ...Array.from(document.querySelectorAll(SELECTORS.assistantMessage)).map(el => ({
+          el: el.querySelector(SELECTORS.assistantContent) || el,
+          role: 'assistant'
+        }))
+      ]);
+
+      const sidebarLink = Array.from(document.querySelectorAll(SELECTORS.conversationLink))
+        .find(link => PlatformRegistry.getChatId('mistral', link.href) === id);
+      const firstUserMessage = messages.find(message => message.role === 'user');
+      const title = ScraperCore.truncateAtWordBoundary(
+        (sidebarLink && sidebarLink.textContent.trim()) ||
+          (firstUserMessage && firstUserMessage.content) ||
+          'Untitled Conversation',
+        80
+      );
+
+      // Le Chat shows no conversation or message dates; ScraperCore dates the chat by its import time
+      const conversation = {
+        id,
+        title,
+        url,
+        messages
+      };
+
+      console.log('[Le Chat Scraper] Extracted conversation with', messages.length, 'messages');
+      return conversation;
+
+    } catch (error) {
+      console.error('[Le Chat Scraper] Error in extractConversation:', error);
+      throw error;
+    }
+  }
+
+  ScraperCore.registerAdapter({
+    platform: 'mistral',
+    selectors: SELECTORS,
+    listConversations,
+    extractConversation,
+    liveCapture: {
+      reply: SELECTORS.assistantMessage,
+      streaming: 'button[aria-label="Stop generation"]'
+    }
+  });
+
+})();
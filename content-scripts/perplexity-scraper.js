@@ -0,0 +1,245 @@
+/**
+ * Perplexity Scraper Adapter
+ *
+ * Lists and extracts threads from perplexity.ai.
+ * Registered with ScraperCore, which answers the import job's messages.
+ *
+ * Every answer keeps the sources Perplexity cited for it: as `message.sources`
+ * ([{ title, url }], numbered like the answer's [n] markers) and as a
+ * "Sources" list appended to the answer text, so they show up in search,
+ * summaries and exports.
+ */
+
+(function() {
+  'use strict';
+
+  if (ScraperCore.hasAdapter('perplexity')) {
+    return;
+  }
+
+  const { waitForElement, toMillis } = ScraperCore;
+
+  const SELECTORS = {
+    libraryThreadLink: 'main a[href*="/search/"]',
+    sidebarThreadLink: 'a[href*="/search/"]',
+    query: '[class*="group/query"]',
+    answer: '[id^="markdown-content-"]',
+    citationLink: '.citation a[href^="http"], a.citation[href^="http"], [class*="citation"] a[href^="http"]',
+    title: 'h1'
+  };
+
+  /**
+   * List threads from the Library page (or the sidebar on other pages)
+   * @param {Object} options - { limit: maximum number of threads (0 for all) }
+   * @returns {Promise<Array>} Array of conversation metadata objects
+   */
+  async function listConversations({ limit = 0 } = {}) {
+    try {
+      console.log('[Perplexity Scraper] Extracting thread list...');
+
+      const onLibraryPage = window.location.pathname.startsWith('/library');
+      const selector = onLibraryPage ? SELECTORS.libraryThreadLink : SELECTORS.sidebarThreadLink;
+
+      await waitForElement(selector, 10000);
+      await ScraperCore.delay(500);
+
+      if (onLibraryPage) {
+        await ScraperCore.scrollToLoad(selector, { limit });
+      }
+
+      const conversations = ScraperCore.collectConversationLinks('perplexity', selector, limit);
+      console.log('[Perplexity Scraper] Extracted', conversations.length, 'threads');
+      return conversations;
+
+    } catch (error) {
+      console.error('[Perplexity Scraper] Error in listConversations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the sources of one thread entry from the thread API
+   * @param {Object} entry - Thread entry
+   * @returns {Array<{title: string, url: string}>}
+   */
+  function readEntrySources(entry) {
+    const results = [];
+
+    (entry.blocks || []).forEach(block => {
+      const webResults = block && block.web_result_block && block.web_result_block.web_results;
+      if (Array.isArray(webResults)) {
+        results.push(...webResults);
+      }
+    });
+
+    if (results.length === 0 && Array.isArray(entry.web_results)) {
+      results.push(...entry.web_results);
+    }
+
+    return results
+      .filter(result => result && result.url)
+      .map(result => ({ title: String(result.name || result.title || result.url).trim(), url: result.url }));
+  }
+
+  /**
+   * Fetch thread metadata from the API behind the thread page
+   * The page shows no dates and no model, and only lists each answer's
+   * sources behind a tab; the thread JSON has all three.
+   * @param {string} slug - Thread slug from the URL
+   * @returns {Promise<{createdAt: number|null, updatedAt: number|null, model: string|null, messageTimes: Array<{role: string, timestamp: number}>, sources: Array<Array<{title: string, url: string}>>}|null>}
+   *   null when the API is unavailable (logged out, changed endpoint...)
+   */
+  async function fetchThreadMetadata(slug) {
+    try {
+      const response = await fetch(`/rest/thread/${encodeURIComponent(slug)}?with_schematized_response=true&limit=100`, {
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        console.warn('[Perplexity Scraper] Thread metadata request failed:', response.status);
+        return null;
+      }
+
+      const data = await response.json();
+      const entries = Array.isArray(data.entries) ? data.entries : [];
+      if (entries.length === 0) {
+        return null;
+      }
+
+      const messageTimes = [];
+      const sources = [];
+      let model = null;
+
+      entries.forEach(entry => {
+        const timestamp = toMillis(entry.created_datetime || entry.updated_datetime);
+        if (timestamp) {
+          messageTimes.push({ role: 'user', timestamp }, { role: 'assistant', timestamp });
+        }
+        sources.push(readEntrySources(entry));
+        model = entry.display_model || model;
+      });
+
+      const times = messageTimes.map(entry => entry.timestamp);
+      return {
+        createdAt: times.length > 0 ? Math.min(...times) : null,
+        updatedAt: toMillis(entries[entries.length - 1].updated_datetime) || (times.length > 0 ? Math.max(...times) : null),
+        model,
+        messageTimes,
+        sources
+      };
+    } catch (error) {
+      console.warn('[Perplexity Scraper] Could not fetch thread metadata:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read the sources cited inline in a rendered answer
+   * @param {Element} answerElement - Answer element
+   * @returns {Array<{title: string, url: string}>}
+   */
+  function readRenderedSources(answerElement) {
+    const sources = [];
+    const seen = new Set();
+
+    answerElement.querySelectorAll(SELECTORS.citationLink).forEach(link => {
+      if (seen.has(link.href)) {
+        return;
+      }
+      seen.add(link.href);
+      const title = link.getAttribute('aria-label') || link.getAttribute('title') || link.textContent.trim();
+      sources.push({ title: title && !/^\d+$/.test(title) ? title : new URL(link.href).hostname, url: link.href });
+    });
+
+    return sources;
+  }
+
+  /**
+   * Append a numbered source list to an answer
+   * @param {string} content - Answer Markdown
+   * @param {Array<{title: string, url: string}>} sources - Cited sources
+   * @returns {string}
+   */
+  function appendSources(content, sources) {
+    const list = sources.map((source, index) => `${index + 1}. [${source.title.replace(/[[\]]/g, '')}](${source.url})`);
+    return `${content}\n\nSources:\n${list.join('\n')}`;
+  }
+
+  /**
+   * Extract current thread content
+   * @returns {Promise<Object>} Conversation object with messages
+   */
+  async function extractConversation() {
+    try {
+      console.log('[Perplexity Scraper] Extracting current thread...');
+
+      const url = window.location.href.split(/[?#]/)[0];
+      const chatId = PlatformRegistry.getChatId('perplexity', url);
+      const id = chatId || `perplexity-${Date.now()}`;
+
+      await waitForElement(SELECTORS.answer, 10000);
+      await ScraperCore.delay(800);
+
+      const answerElements = Array.from(document.querySelectorAll(SELECTORS.answer));
+      const messages = ScraperCore.readMessages([
+        ...Array.from(document.querySelectorAll(SELECTORS.query)).map(el => ({ el, role: 'user' })),
+        ...answerElements.map(el => ({ el, role: 'assistant' }))
+      ]);
+
+      const metadata = chatId ? await fetchThreadMetadata(chatId.slice('perplexity-'.length)) : null;
+      if (metadata) {
+        ScraperCore.applyMessageTimestamps(messages, metadata.messageTimes);
+      }
+
+      // Answers are matched to their sources in order: the API's entries, else the rendered citations
+      messages
+        .filter(message => message.role === 'assistant')
+        .forEach((message, index) => {
+          const apiSources = metadata && metadata.sources[index];
+          const sources = apiSources && apiSources.length > 0
+            ? apiSources
+            : (answerElements[index] ? readRenderedSources(answerElements[index]) : []);
+          if (sources.length > 0) {
+            message.sources = sources;
+            message.content = appendSources(message.content, sources);
+          }
+        });
+
+      const heading = document.querySelector(SELECTORS.title);
+      const firstQuery = messages.find(message => message.role === 'user');
+      const title = ScraperCore.truncateAtWordBoundary(
+        (heading && heading.textContent.trim()) || (firstQuery && firstQuery.content) || 'Untitled Conversation',
+        80
+      );
+
+      // ScraperCore fills in the date, import time and library fields
+      const conversation = {
+        id,
+        title,
+        url,
+        createdAt: metadata ? metadata.createdAt : null,
+        updatedAt: metadata ? metadata.updatedAt : null,
+        model: metadata ? metadata.model : null,
+        messages
+      };
+
+      console.log('[Perplexity Scraper] Extracted thread with', messages.length, 'messages');
+      return conversation;
+
+    } catch (error) {
+      console.error('[Perplexity Scraper] Error in extractConversation:', error);
+      throw error;
+    }
+  }
+
+  ScraperCore.registerAdapter({
+    platform: 'perplexity',
+    selectors: SELECTORS,
+    listConversations,
+    extractConversation,
+    liveCapture: {
+      reply: SELECTORS.answer,
+      streaming: 'button[aria-label="Stop"], [data-testid="stop-generating-response-button"]'
+    }
+  });
+
+})();
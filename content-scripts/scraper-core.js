@@ -0,0 +1,990 @@
+/**
+ * Scraper Core - Shared runtime for the platform scraper adapters
+ *
+ * Each platform has one adapter module (content-scripts/{platform}-scraper.js)
+ * that knows its site's DOM and registers itself here:
+ *
+ *   ScraperCore.registerAdapter({
+ *     platform: 'chatgpt',                 // PlatformRegistry ID
+ *     selectors: { ... },                  // the site selectors the adapter relies on
+ *     listConversations({ limit }),        // -> Promise<Array<{id, platform, title, url, date}>>
+ *     extractConversation(),               // -> Promise<chat> for the open conversation
+ *                                          //    (message.attachmentSources: files to fetch, see collectAttachmentSources)
+ *     liveCapture: { reply, streaming }    // optional: assistant reply selector, and an element shown while a reply streams
+ *   });
+ *
+ * The core answers the import job's `extractConversations` and
+ * `extractCurrentConversation` messages, fills in the fields every scraped chat
+ * shares, and provides the DOM helpers the adapters have in common.
+ *
+ * Artifacts (Claude artifacts, ChatGPT and Gemini canvas) are kept on
+ * `chat.artifacts` (see lib/artifacts.js); adapters read them from the
+ * platform API, or open each card's panel with readArtifactPanels.
+ *
+ * Attachments: before a chat is sent, the files listed in each message's
+ * `attachmentSources` (images and links found in the message, or files the
+ * platform API lists) are fetched and attached as data URLs
+ * (`message.attachments`, stored by AttachmentService), within size limits.
+ *
+ * Live capture (opt-in, `settings.liveCapture`) watches the open conversation
+ * with a MutationObserver. Once the page has been quiet for a moment and no
+ * reply is streaming, a reply that changed since the page settled triggers an
+ * extraction, and the chat is sent to the service worker with `saveChat`.
+ *
+ * Injected before the adapter together with lib/platform-registry.js,
+ * lib/message-tree.js, lib/artifacts.js and dom-to-markdown.js
+ * (PlatformRegistry.getContentScripts); safe to inject more than once.
+ */
+
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.ScraperCore) {
+    return;
+  }
+
+  // Settings live under StorageService.KEYS.SETTINGS in chrome.storage.local
+  const SETTINGS_KEY = 'settings';
+
+  const ScraperCore = {
+    adapters: {},
+
+    // Quiet period after the last DOM change before a live capture check
+    LIVE_CAPTURE_DEBOUNCE_MS: 2000,
+
+    // Wait after each click on a branch navigator for the variant to render
+    BRANCH_STEP_DELAY_MS: 600,
+
+    // Wait after clicking an artifact card for its panel to render
+    ARTIFACT_PANEL_DELAY_MS: 800,
+
+    // Attachment limits; files travel to the service worker inside the chat message
+    MAX_ATTACHMENT_BYTES: 4 * 1024 * 1024,
+    MAX_ATTACHMENT_BYTES_PER_CHAT: 24 * 1024 * 1024,
+    MAX_ATTACHMENTS_PER_CHAT: 20,
+
+    live: {
+      enabled: false,
+      observer: null,
+      timer: null,
+      capturing: false,
+      url: null,
+      baselines: {}, // page URL -> reply signature when the conversation settled
+      saved: {}      // chat ID -> fingerprint of the last chat sent
+    },
+
+    /**
+     * ADAPTERS
+     */
+
+    /**
+     * Register a platform adapter and start answering import messages
+     * @param {Object} adapter - { platform, selectors, listConversations, extractConversation }
+     * @returns {boolean} False if an adapter for the platform was already registered
+     */
+    registerAdapter(adapter) {
+      if (!adapter || !adapter.platform || this.adapters[adapter.platform]) {
+        return false;
+      }
+
+      this.adapters[adapter.platform] = adapter;
+
+      if (Object.keys(this.adapters).length === 1) {
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => this._handleMessage(message, sendResponse));
+        this._initLiveCapture();
+      }
+
+      console.log(`[Scraper Core] ${this._name(adapter.platform)} adapter ready for extraction commands`);
+      return true;
+    },
+
+    /**
+     * Check whether an adapter is already registered (the script was injected before)
+     * @param {string} platform - Platform ID
+     * @returns {boolean}
+     */
+    hasAdapter(platform) {
+      return Boolean(this.adapters[platform]);
+    },
+
+    /**
+     * Answer a message from the import job
+     * @param {Object} message - { action, limit }
+     * @param {Function} sendResponse - Response callback
+     * @returns {boolean} True when the response is sent asynchronously
+     */
+    _handleMessage(message, sendResponse) {
+      if (message.action !== 'extractConversations' && message.action !== 'extractCurrentConversation') {
+        return false;
+      }
+
+      const adapter = this._adapterForPage();
+      if (!adapter) {
+        sendResponse({ success: false, error: `No scraper adapter for ${window.location.hostname}` });
+        return false;
+      }
+
+      console.log(`[Scraper Core] ${this._name(adapter.platform)} received message:`, message.action);
+
+      const task = message.action === 'extractConversations'
+        ? adapter.listConversations({ limit: message.limit || 0 })
+        : adapter.extractConversation()
+          .then(conversation => this._collectAttachments(this._finalizeConversation(adapter.platform, conversation)));
+
+      task
+        .then(data => {
+          sendResponse({ success: true, data });
+        })
+        .catch(error => {
+          console.error(`[Scraper Core] ${this._name(adapter.platform)} error:`, error);
+          sendResponse({ success: false, error: error.message });
+        });
+
+      return true; // Keep channel open for async response
+    },
+
+    /**
+     * Pick the adapter for the current page
+     * @returns {Object|null}
+     */
+    _adapterForPage() {
+      const platform = PlatformRegistry.findByUrl(window.location.href);
+      if (platform && this.adapters[platform.id]) {
+        return this.adapters[platform.id];
+      }
+      return Object.values(this.adapters)[0] || null;
+    },
+
+    /**
+     * Fill in the fields every scraped chat shares
+     * @param {string} platform - Platform ID
+     * @param {Object} conversation - Chat returned by the adapter
+     * @returns {Object} Chat ready to be saved
+     */
+    _finalizeConversation(platform, conversation) {
+      const importedAt = conversation.importedAt || Date.now();
+      const messages = Array.isArray(conversation.messages) ? conversation.messages : [];
+
+      return {
+        platform,
+        createdAt: null,
+        updatedAt: null,
+        model: null,
+        messageTree: null,
+        artifacts: [],
+        rawContent: messages.map(message => `[${message.role.toUpperCase()}]\n${message.content}`).join('\n\n'),
+        ...conversation,
+        messages,
+        date: conversation.updatedAt || conversation.createdAt || importedAt,
+        importedAt,
+        processed: false,
+        labelIds: [],
+        source: 'scrape'
+      };
+    },
+
+    /**
+     * LIVE CAPTURE
+     */
+
+    /**
+     * Follow the live capture setting
+     */
+    _initLiveCapture() {
+      chrome.storage.local.get(SETTINGS_KEY)
+        .then(result => this._setLiveCapture(Boolean(result[SETTINGS_KEY] && result[SETTINGS_KEY].liveCapture)))
+        .catch(error => console.warn('[Scraper Core] Could not read the live capture setting:', error));
+
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[SETTINGS_KEY]) {
+          const settings = changes[SETTINGS_KEY].newValue || {};
+          this._setLiveCapture(Boolean(settings.liveCapture));
+        }
+      });
+
+      // Hidden tabs (including the import job's background tabs) are checked once they are shown
+      document.addEventListener('visibilitychange', () => {
+        if (this.live.enabled && document.visibilityState === 'visible') {
+          this._scheduleLiveCapture();
+        }
+      });
+    },
+
+    /**
+     * Start or stop observing the page
+     * @param {boolean} enabled - Live capture setting
+     */
+    _setLiveCapture(enabled) {
+      if (enabled === this.live.enabled) {
+        return;
+      }
+      this.live.enabled = enabled;
+
+      if (!enabled) {
+        this.live.observer.disconnect();
+        clearTimeout(this.live.timer);
+        console.log('[Scraper Core] Live capture stopped');
+        return;
+      }
+
+      this.live.observer = this.live.observer || new MutationObserver(() => this._scheduleLiveCapture());
+      this.live.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+      this._scheduleLiveCapture();
+      console.log('[Scraper Core] Live capture started');
+    },
+
+    /**
+     * Debounce live capture checks until the page is quiet
+     */
+    _scheduleLiveCapture() {
+      clearTimeout(this.live.timer);
+      this.live.timer = setTimeout(() => this._checkLiveCapture(), this.LIVE_CAPTURE_DEBOUNCE_MS);
+    },
+
+    /**
+     * Capture the open conversation if a reply changed since the page settled
+     * Conversations only being viewed are not captured; a new conversation is
+     * captured from its first reply.
+     * @returns {Promise<void>}
+     */
+    async _checkLiveCapture() {
+      const adapter = this._adapterForPage();
+      if (!this.live.enabled || this.live.capturing || !adapter || !adapter.liveCapture) {
+        return;
+      }
+      if (document.visibilityState !== 'visible') {
+        return;
+      }
+
+      const { reply, streaming } = adapter.liveCapture;
+      if (streaming && document.querySelector(streaming)) {
+        this._scheduleLiveCapture();
+        return;
+      }
+
+      const url = window.location.href.split(/[?#]/)[0];
+      const previousUrl = this.live.url;
+      this.live.url = url;
+      if (!PlatformRegistry.getChatId(adapter.platform, url)) {
+        return;
+      }
+
+      const replies = document.querySelectorAll(reply);
+      const lastReply = replies[replies.length - 1];
+      const signature = `${replies.length}:${lastReply ? lastReply.textContent.length : 0}`;
+
+      if (!(url in this.live.baselines)) {
+        // A conversation that just got its URL was started on this page
+        const startedHere = previousUrl !== null && !PlatformRegistry.getChatId(adapter.platform, previousUrl);
+        this.live.baselines[url] = startedHere ? '0:0' : signature;
+      }
+
+      if (replies.length === 0 || signature === this.live.baselines[url]) {
+        return;
+      }
+      this.live.baselines[url] = signature;
+
+      await this._captureConversation(adapter);
+    },
+
+    /**
+     * Extract the open conversation and send it to the service worker
+     * @param {Object} adapter - Adapter for the page
+     * @returns {Promise<void>}
+     */
+    async _captureConversation(adapter) {
+      this.live.capturing = true;
+
+      try {
+        const chat = this._finalizeConversation(adapter.platform, await adapter.extractConversation());
+        const lastMessage = chat.messages[chat.messages.length - 1];
+        if (!lastMessage || lastMessage.role !== 'assistant') {
+          return;
+        }
+
+        const fingerprint = `${chat.messages.length}:${lastMessage.content}`;
+        if (this.live.saved[chat.id] === fingerprint) {
+          return;
+        }
+        await this._collectAttachments(chat);
+
+        const response = await chrome.runtime.sendMessage({ type: 'saveChat', data: chat });
+        if (!response || !response.success) {
+          throw new Error((response && response.error) || 'Failed to save chat');
+        }
+
+        this.live.saved[chat.id] = fingerprint;
+        console.log(`[Scraper Core] Live capture saved ${chat.id} (${response.data})`);
+      } catch (error) {
+        console.warn(`[Scraper Core] ${this._name(adapter.platform)} live capture failed:`, error);
+      } finally {
+        this.live.capturing = false;
+      }
+    },
+
+    /**
+     * ATTACHMENTS
+     */
+
+    /**
+     * Fetch the attachment sources of every message into `message.attachments`
+     * Sources that cannot be read (expired links, cross-origin files without
+     * CORS, files over the limits) are skipped; their text placeholders remain.
+     * @param {Object} chat - Finalized chat (modified in place)
+     * @returns {Promise<Object>} The chat, without attachmentSources
+     */
+    async _collectAttachments(chat) {
+      let count = 0;
+      let budget = this.MAX_ATTACHMENT_BYTES_PER_CHAT;
+
+      for (const message of chat.messages) {
+        const sources = Array.isArray(message.attachmentSources) ? message.attachmentSources : [];
+        delete message.attachmentSources;
+
+        const attachments = [];
+        for (const source of sources) {
+          if (count >= this.MAX_ATTACHMENTS_PER_CHAT || budget <= 0) {
+            break;
+          }
+          try {
+            const attachment = await this._readAttachment(source, budget);
+            if (attachment) {
+              attachments.push(attachment);
+              count++;
+              budget -= attachment.dataUrl ? Math.ceil(attachment.dataUrl.length * 0.75) : attachment.text.length;
+            }
+          } catch (error) {
+            console.warn(`[Scraper Core] Could not read attachment ${source.name || source.url}:`, error);
+          }
+        }
+
+        if (attachments.length > 0) {
+          message.attachments = attachments;
+        }
+      }
+
+      return chat;
+    },
+
+    /**
+     * Read one attachment source
+     * @param {{name?: string, mimeType?: string, url?: string, resolveUrl?: Function, element?: HTMLImageElement, text?: string}} source - Attachment source
+     * @param {number} budget - Bytes left for this chat
+     * @returns {Promise<{name: string, mimeType: string, dataUrl?: string, text?: string}|null>}
+     */
+    async _readAttachment(source, budget) {
+      if (typeof source.text === 'string') {
+        return source.text.trim()
+          ? { name: source.name || 'document', mimeType: source.mimeType || 'text/plain', text: source.text }
+          : null;
+      }
+
+      const url = source.url || (source.resolveUrl ? await source.resolveUrl() : null);
+      if (!url) {
+        return null;
+      }
+
+      let blob = null;
+      try {
+        const sameOrigin = new URL(url, window.location.href).origin === window.location.origin;
+        const response = await fetch(url, { credentials: sameOrigin ? 'include' : 'omit' });
+        if (response.ok) {
+          blob = await response.blob();
+        }
+      } catch (error) {
+        // Cross-origin files without CORS headers; an image shown on the page can still be copied
+      }
+
+      if (!blob && source.element) {
+        blob = await this._imageToBlob(source.element);
+      }
+      if (!blob || blob.size === 0 || blob.size > Math.min(this.MAX_ATTACHMENT_BYTES, budget)) {
+        return null;
+      }
+
+      return {
+        name: source.name || this._fileNameFromUrl(url) || 'attachment',
+        mimeType: source.mimeType || blob.type || 'application/octet-stream',
+        dataUrl: await this._blobToDataUrl(blob)
+      };
+    },
+
+    /**
+     * Copy a loaded image through a canvas (fails for images that taint the canvas)
+     * @param {HTMLImageElement} img - Image element
+     * @returns {Promise<Blob|null>}
+     */
+    _imageToBlob(img) {
+      if (!img.complete || !img.naturalWidth) {
+        return Promise.resolve(null);
+      }
+
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      } catch (error) {
+        return Promise.resolve(null);
+      }
+    },
+
+    /**
+     * Read a Blob as a data URL
+     * @param {Blob} blob - File contents
+     * @returns {Promise<string>}
+     */
+    _blobToDataUrl(blob) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      });
+    },
+
+    /**
+     * Last path segment of a URL, if it looks like a file name
+     * @param {string} url - URL
+     * @returns {string|null}
+     */
+    _fileNameFromUrl(url) {
+      try {
+        const segment = decodeURIComponent(new URL(url, window.location.href).pathname.split('/').pop() || '');
+        return /\.[a-z0-9]{2,5}$/i.test(segment) ? segment : null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /**
+     * Find the files in a message that can be fetched: images (not avatars or
+     * icons) and download links
+     * @param {Element} container - Message element
+     * @returns {Array<{url: string, name: string, element?: HTMLImageElement}>} Sources for message.attachmentSources
+     */
+    collectAttachmentSources(container) {
+      if (!container) {
+        return [];
+      }
+
+      const sources = [];
+      const seen = new Set();
+      const add = source => {
+        if (source.url && !seen.has(source.url) && !source.url.startsWith('data:image/svg')) {
+          seen.add(source.url);
+          sources.push(source);
+        }
+      };
+
+      container.querySelectorAll('img').forEach(img => {
+        const url = img.currentSrc || img.src;
+        const isIcon = (img.naturalWidth && img.naturalWidth < 48) || (img.width && img.width < 32) ||
+          img.closest('[data-testid*="avatar"], [class*="avatar"], [class*="favicon"], [data-testid="emotion_svg"]');
+        if (url && !isIcon) {
+          const alt = img.getAttribute('alt')?.trim();
+          add({ url, name: alt || this._fileNameFromUrl(url) || 'image', element: img });
+        }
+      });
+
+      container.querySelectorAll('a[download][href], a[href^="blob:"]').forEach(link => {
+        add({
+          url: link.href,
+          name: link.getAttribute('download')?.trim() || link.innerText?.trim() || this._fileNameFromUrl(link.href) || 'file'
+        });
+      });
+
+      return sources;
+    },
+
+    /**
+     * DOM HELPERS
+     */
+
+    /**
+     * Wait for an element to appear in the DOM
+     * @param {string} selector - CSS selector
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise<Element>} The found element
+     */
+    waitForElement(selector, timeout = 5000) {
+      return new Promise((resolve, reject) => {
+        // Check if element already exists
+        const element = document.querySelector(selector);
+        if (element) {
+          return resolve(element);
+        }
+
+        // Set up timeout
+        const timeoutId = setTimeout(() => {
+          observer.disconnect();
+          reject(new Error(`Timeout waiting for element: ${selector}`));
+        }, timeout);
+
+        // Set up MutationObserver
+        const observer = new MutationObserver(() => {
+          const element = document.querySelector(selector);
+          if (element) {
+            clearTimeout(timeoutId);
+            observer.disconnect();
+            resolve(element);
+          }
+        });
+
+        // Start observing
+        observer.observe(document.body, {
+          childList: true,
+          subtree: true
+        });
+      });
+    },
+
+    /**
+     * Wait for a fixed time
+     * @param {number} ms - Milliseconds
+     * @returns {Promise<void>}
+     */
+    delay(ms) {
+      return new Promise(resolve => setTimeout(resolve, ms));
+    },
+
+    /**
+     * Sort message elements into document order
+     * @param {Array<{el: Element, role: string}>} entries - Message elements with their role
+     * @returns {Array<{el: Element, role: string}>} The same array, sorted
+     */
+    sortByDocumentPosition(entries) {
+      return entries.sort((a, b) => {
+        const position = a.el.compareDocumentPosition(b.el);
+        if (position & Node.DOCUMENT_POSITION_FOLLOWING) {
+          return -1; // a comes before b
+        } else if (position & Node.DOCUMENT_POSITION_PRECEDING) {
+          return 1; // b comes before a
+        }
+        return 0;
+      });
+    },
+
+    /**
+     * Scroll a lazily loaded conversation list until it stops growing
+     * @param {string} selector - Selector matching the list's conversation links
+     * @param {Object} options - { limit: stop once this many are rendered (0 for all), maxScrolls }
+     * @returns {Promise<number>} Number of rendered conversation links
+     */
+    async scrollToLoad(selector, { limit = 0, maxScrolls = 100 } = {}) {
+      let previousCount = 0;
+      let unchangedCount = 0;
+
+      for (let scrollAttempts = 0; scrollAttempts < maxScrolls; scrollAttempts++) {
+        const links = document.querySelectorAll(selector);
+        if (links.length === 0 || (limit && links.length >= limit)) {
+          break;
+        }
+
+        links[links.length - 1].scrollIntoView({ behavior: 'smooth', block: 'end' });
+        await this.delay(1000);
+
+        const newCount = document.querySelectorAll(selector).length;
+        if (newCount === previousCount) {
+          unchangedCount++;
+          // If count hasn't changed for 5 consecutive checks, we've reached the end
+          if (unchangedCount >= 5) {
+            break;
+          }
+        } else {
+          unchangedCount = 0;
+        }
+        previousCount = newCount;
+      }
+
+      return document.querySelectorAll(selector).length;
+    },
+
+    /**
+     * Read conversation metadata from rendered conversation links
+     * @param {string} platform - Platform ID
+     * @param {string} selector - Selector matching the conversation links
+     * @param {number} limit - Maximum number of conversations (0 for all)
+     * @returns {Array<{id, platform, title, url, date}>} Conversations in list order, without duplicates
+     */
+    collectConversationLinks(platform, selector, limit = 0) {
+      const conversations = [];
+      const seen = new Set();
+
+      for (const link of document.querySelectorAll(selector)) {
+        const url = link.href;
+        const id = PlatformRegistry.getChatId(platform, url);
+        if (!id || seen.has(id)) {
+          continue;
+        }
+        seen.add(id);
+
+        const title = (link.getAttribute('title') || link.innerText || link.textContent || '')
+          .split('\n')
+          .map(line => line.trim())
+          .find(Boolean);
+
+        conversations.push({
+          id,
+          platform,
+          title: title ? this.truncateAtWordBoundary(title, 80) : 'Untitled Conversation',
+          url: url.split(/[?#]/)[0],
+          date: Date.now() // Lists show no dates; the scraped chat carries the real ones
+        });
+
+        if (limit && conversations.length >= limit) {
+          break;
+        }
+      }
+
+      return conversations;
+    },
+
+    /**
+     * Read message elements into chat messages, in document order
+     * User messages are read as plain text; assistant replies are rendered
+     * Markdown and keep code, tables, lists and math (DomToMarkdown).
+     * @param {Array<{el: Element, role: string}>} entries - Message elements with their role
+     * @returns {Array<{role: string, content: string, attachmentSources: Array<Object>}>} Messages (empty elements are skipped)
+     */
+    readMessages(entries) {
+      const messages = [];
+
+      this.sortByDocumentPosition(entries).forEach(({ el, role }) => {
+        const text = el.innerText?.trim() || el.textContent?.trim() || '';
+        let content = role === 'assistant' ? (DomToMarkdown.convert(el) || text) : text;
+
+        const attachments = this.extractNonTextAttachments(el);
+        if (attachments.length > 0) {
+          content = content ? `${content}\n${attachments.join('\n')}` : attachments.join('\n');
+        }
+
+        if (content) {
+          messages.push({ role, content, attachmentSources: this.collectAttachmentSources(el) });
+        }
+      });
+
+      return messages;
+    },
+
+    /**
+     * Extract placeholders describing non-text content within a message container
+     * @param {Element} container - Message container element
+     * @returns {Array<string>} Attachment placeholder strings
+     */
+    extractNonTextAttachments(container) {
+      if (!container) {
+        return [];
+      }
+
+      const placeholders = [];
+
+      const addPlaceholder = (type, description) => {
+        const details = description ? ` ${description}` : '';
+        placeholders.push(`[${type}]${details}`);
+      };
+
+      // Images (static uploads or inline renders)
+      container.querySelectorAll('img').forEach(img => {
+        const alt = img.getAttribute('alt')?.trim();
+        addPlaceholder('Image', alt || 'image attachment');
+      });
+
+      // Video snippets
+      container.querySelectorAll('video').forEach(video => {
+        const title = video.getAttribute('title')?.trim();
+        addPlaceholder('Video', title || 'video attachment');
+      });
+
+      // Audio clips
+      container.querySelectorAll('audio').forEach(audio => {
+        const title = audio.getAttribute('title')?.trim();
+        addPlaceholder('Audio', title || 'audio attachment');
+      });
+
+      // File download links
+      container.querySelectorAll('a[download]').forEach(link => {
+        const text = link.innerText?.trim() || link.getAttribute('download')?.trim();
+        addPlaceholder('File', text || 'download attachment');
+      });
+
+      // Canvas renders (e.g., sketches)
+      if (container.querySelector('canvas')) {
+        addPlaceholder('Canvas', 'embedded drawing');
+      }
+
+      // Deduplicate placeholders while preserving order
+      return Array.from(new Set(placeholders));
+    },
+
+    /**
+     * Read every variant of the messages that have a branch navigator ("2 / 3")
+     * Steps each navigator back to the first variant, reads them all, then
+     * returns to the variant that was shown. Switching a message re-renders the
+     * ones after it, so turns are looked up again by position after each click.
+     * Used when a platform API with the full message tree is unavailable.
+     * Skipped during live capture, where clicking through the navigators would
+     * switch the branch the user is reading; the stored tree is kept instead.
+     * @param {string} turnSelector - Matches one element per message, containing its navigator
+     * @param {Array<Element|null>} messageTurns - Turn element of each scraped message
+     * @param {Object} navigator - { indicator, previous, next } selectors within a turn, and read(turnElement) -> string
+     * @returns {Promise<Object<number, {variants: Array<string>, activeIndex: number}>>} Message index -> variants in navigator order
+     */
+    async readBranchVariants(turnSelector, messageTurns, { indicator, previous, next, read }) {
+      if (this.live.capturing) {
+        return {};
+      }
+
+      const results = {};
+      const turns = Array.from(document.querySelectorAll(turnSelector));
+      const turnAt = position => document.querySelectorAll(turnSelector)[position] || null;
+
+      const readIndicator = turn => {
+        const label = Array.from(turn.querySelectorAll(indicator))
+          .map(el => el.textContent.match(/^\s*(\d+)\s*\/\s*(\d+)\s*$/))
+          .find(Boolean);
+        return label ? { current: parseInt(label[1], 10), total: parseInt(label[2], 10) } : null;
+      };
+
+      const step = async (position, selector) => {
+        const turn = turnAt(position);
+        const button = turn && turn.querySelector(selector);
+        if (!button || button.disabled) {
+          return false;
+        }
+        button.click();
+        await this.delay(this.BRANCH_STEP_DELAY_MS);
+        return true;
+      };
+
+      for (let index = 0; index < messageTurns.length; index++) {
+        const position = turns.indexOf(messageTurns[index]);
+        const state = position !== -1 ? readIndicator(turns[position]) : null;
+        const total = state ? Math.min(state.total, MessageTree.MAX_DOM_VARIANTS) : 0;
+        if (total < 2 || state.current > total) {
+          continue;
+        }
+
+        const variants = new Array(total).fill('');
+        let current = state.current;
+
+        while (current > 1 && await step(position, previous)) {
+          current--;
+        }
+        for (;;) {
+          const turn = turnAt(position);
+          if (turn && current <= total) {
+            variants[current - 1] = read(turn) || '';
+          }
+          if (current >= total || !(await step(position, next))) {
+            break;
+          }
+          current++;
+        }
+        while (current > state.current && await step(position, previous)) {
+          current--;
+        }
+
+        if (current !== state.current) {
+          // Could not get back to the shown variant; later turns no longer match the scraped messages
+          console.warn('[Scraper Core] Branch navigator did not return to the shown variant');
+          break;
+        }
+        results[index] = { variants, activeIndex: state.current - 1 };
+      }
+
+      return results;
+    },
+
+    /**
+     * Read artifacts by opening the panel behind each artifact card
+     * Used when a platform API is unavailable, or the page is the only source.
+     * A card opens the version written in its message, so an artifact edited
+     * several times keeps the content of its last card. Skipped during live
+     * capture, where opening panels would take over the page being read.
+     * @param {Array<Element|null>} messageElements - Element of each scraped message, containing its cards
+     * @param {Object} panelSelectors - { card, panel, title, close } selectors (title and close within the panel)
+     * @returns {Promise<Array<Object>>} Artifacts (see lib/artifacts.js)
+     */
+    async readArtifactPanels(messageElements, { card, panel, title, close }) {
+      if (this.live.capturing) {
+        return [];
+      }
+
+      const events = [];
+      for (let index = 0; index < messageElements.length; index++) {
+        const cards = messageElements[index] ? Array.from(messageElements[index].querySelectorAll(card)) : [];
+
+        for (const cardElement of cards) {
+          try {
+            cardElement.click();
+            await this.delay(this.ARTIFACT_PANEL_DELAY_MS);
+
+            const panelElement = document.querySelector(panel);
+            if (!panelElement) {
+              continue;
+            }
+
+            const titleElement = panelElement.querySelector(title);
+            const name = (titleElement && titleElement.textContent.trim()) ||
+              (cardElement.innerText || cardElement.textContent || '').trim().split('\n')[0];
+
+            // Code editors and highlighted blocks hold plain text; documents are rendered Markdown
+            const code = panelElement.querySelector('.cm-content, pre code, pre');
+            const languageMatch = code &&
+              `${code.className} ${code.parentElement ? code.parentElement.className : ''}`.match(/language-([\w+#-]+)/);
+            const body = panelElement.querySelector('.ProseMirror, .markdown, [contenteditable="true"]') || panelElement;
+
+            events.push({
+              command: 'create',
+              id: `panel-${(name || 'artifact').toLowerCase()}`,
+              title: name,
+              type: code ? 'code' : 'document',
+              language: languageMatch ? languageMatch[1] : null,
+              content: code
+                ? (code.innerText || code.textContent || '').replace(/\n$/, '')
+                : DomToMarkdown.convert(body) || body.innerText?.trim() || '',
+              messageIndex: index
+            });
+
+            const closeButton = panelElement.querySelector(close);
+            if (closeButton) {
+              closeButton.click();
+              await this.delay(this.ARTIFACT_PANEL_DELAY_MS / 2);
+            }
+          } catch (error) {
+            console.warn('[Scraper Core] Could not read artifact panel:', error);
+          }
+        }
+      }
+
+      // Every card of an artifact counts once; only the final content was read
+      return Artifacts.fromEvents(events).map(artifact => ({ ...artifact, version: 1 }));
+    },
+
+    /**
+     * Truncate text at word boundary
+     * @param {string} text - Text to truncate
+     * @param {number} maxLength - Maximum length (default 80)
+     * @returns {string} Truncated text with ellipsis if needed
+     */
+    truncateAtWordBoundary(text, maxLength = 80) {
+      if (!text || text.length <= maxLength) {
+        return text;
+      }
+
+      // Find the last space before maxLength
+      const truncated = text.substring(0, maxLength);
+      const lastSpace = truncated.lastIndexOf(' ');
+
+      // If there's a space, truncate there; otherwise use maxLength
+      if (lastSpace > 0) {
+        return truncated.substring(0, lastSpace) + '...';
+      }
+
+      return truncated + '...';
+    },
+
+    /**
+     * METADATA HELPERS
+     */
+
+    /**
+     * Convert an API timestamp (Unix seconds, milliseconds or ISO string) to milliseconds
+     * @param {number|string|null} value - Timestamp
+     * @returns {number|null}
+     */
+    toMillis(value) {
+      if (value === null || value === undefined || value === '') {
+        return null;
+      }
+      if (typeof value === 'number') {
+        return value < 1e12 ? Math.round(value * 1000) : Math.round(value);
+      }
+      const parsed = Date.parse(value);
+      return Number.isNaN(parsed) ? null : parsed;
+    },
+
+    /**
+     * Copy API message times onto scraped messages, matching them in order by role
+     * @param {Array<Object>} messages - Scraped messages
+     * @param {Array<{role: string, timestamp: number}>} messageTimes - Times from the platform API
+     */
+    applyMessageTimestamps(messages, messageTimes) {
+      this._matchByRole(messages, messageTimes, (message, entry) => {
+        message.timestamp = entry.timestamp;
+      });
+    },
+
+    /**
+     * Use the files a platform API lists for each message as its attachment sources
+     * They replace the ones found in the page, which the API describes better
+     * (real file names and types, documents the page only shows as a chip).
+     * @param {Array<Object>} messages - Scraped messages
+     * @param {Array<{role: string, sources: Array<Object>}>} messageAttachments - One entry per API message, in order
+     */
+    applyMessageAttachments(messages, messageAttachments) {
+      this._matchByRole(messages, messageAttachments, (message, entry) => {
+        if (entry.sources.length > 0) {
+          message.attachmentSources = entry.sources;
+        }
+      });
+    },
+
+    /**
+     * Point artifacts read from a platform API at the scraped messages that wrote them
+     * Their messageIndex is a position in the API's entries until then.
+     * @param {Array<Object>} messages - Scraped messages
+     * @param {Array<{role: string}>} entries - One entry per API message, in order
+     * @param {Array<Object>} artifacts - Artifacts from Artifacts.fromEvents
+     * @returns {Array<Object>} The artifacts, with message indexes (null when unmatched)
+     */
+    applyArtifacts(messages, entries, artifacts) {
+      const messageIndexes = new Map();
+      this._matchByRole(messages, entries.map((entry, position) => ({ ...entry, position })), (message, entry) => {
+        messageIndexes.set(entry.position, messages.indexOf(message));
+      });
+
+      return artifacts.map(artifact => ({
+        ...artifact,
+        messageIndex: messageIndexes.has(artifact.messageIndex) ? messageIndexes.get(artifact.messageIndex) : null
+      }));
+    },
+
+    /**
+     * Pair scraped messages with API entries in order, by role
+     * @param {Array<Object>} messages - Scraped messages
+     * @param {Array<{role: string}>} entries - API entries
+     * @param {Function} apply - (message, entry) => void
+     */
+    _matchByRole(messages, entries, apply) {
+      let next = 0;
+      messages.forEach(message => {
+        const index = entries.findIndex((entry, position) => position >= next && entry.role === message.role);
+        if (index !== -1) {
+          apply(message, entries[index]);
+          next = index + 1;
+        }
+      });
+    },
+
+    /**
+     * Platform display name for log messages
+     * @param {string} platform - Platform ID
+     * @returns {string}
+     */
+    _name(platform) {
+      return PlatformRegistry.getName(platform);
+    }
+  };
+
+  if (typeof self !== 'undefined') {
+    self.ScraperCore = ScraperCore;
+  }
+
+  // Export for use in other modules
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScraperCore;
+  }
+})();
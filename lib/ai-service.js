@@ -3,7 +3,8 @@
  *
  * Provides a clean interface for:
  * - Summarizer API: Condensing message pairs into short TLDRs and chats into headlines (12-22 words)
- * - Prompt API (LanguageModel): Generating 5-10 thematic labels from all chat headlines in a single step
+ * - Prompt API (LanguageModel): Generating 5-10 thematic labels from all chat headlines in a single step,
+ *   and describing attached images (image input) for summarization
  *
  * Single-step label generation approach (optimized for accuracy):
  * 1. Message pairs → short TLDR summaries
@@ -232,6 +233,53 @@ const AIService = {
     }
   },
 
+  /**
+   * Describe an image attached to a chat, for its message pair summary
+   * Needs the Prompt API with image input; resolves to null where that is
+   * unavailable so summarization carries on with the text alone.
+   *
+   * @param {Blob} image - Image file
+   * @returns {Promise<string|null>} One or two sentence description
+   */
+  async describeImage(image) {
+    try {
+      if (typeof LanguageModel === 'undefined') {
+        return null;
+      }
+
+      const expectedInputs = [{ type: 'image' }];
+      const availability = await LanguageModel.availability({ expectedInputs });
+      if (availability !== 'available' && availability !== 'downloadable' && availability !== 'downloading') {
+        return null;
+      }
+
+      const session = await LanguageModel.create({
+        expectedInputs,
+        initialPrompts: [{
+          role: 'system',
+          content: 'You describe images attached to AI chat conversations so they can be summarized. Answer in one or two plain sentences: what the image shows and any text, chart or diagram content that matters.'
+        }],
+        temperature: 0.2,
+        topK: 10
+      });
+
+      const response = await session.prompt([{
+        role: 'user',
+        content: [
+          { type: 'text', value: 'Describe this image.' },
+          { type: 'image', value: image }
+        ]
+      }]);
+      session.destroy();
+
+      return response.trim() || null;
+
+    } catch (error) {
+      console.warn('[AI Service] Could not describe image:', error);
+      return null;
+    }
+  },
+
   /**
    * Summarize an entire chat from its message pair summaries
    * Creates a short headline (12-22 words) for the conversation
@@ -400,7 +448,7 @@ Return ONLY the summary text, no extra formatting or labels.`;
           pairSamples = '\n   Key exchanges: ' + sampled.map((p, i) => `${i + 1}) ${p}`).join('; ');
         }
 
-        return `${index + 1}. [${chat.platform}] "${chat.title}"
+        return `${index + 1}. [${this._getPlatformName(chat.platform)}] "${chat.title}"
    Overall: ${truncatedSummary}${pairSamples}`;
       }).join('\n\n');
 
@@ -501,9 +549,9 @@ Focus on intellectual coherence and conceptual clarity. Return valid JSON only,
    *
    * @param {Array<Object>} chatsWithContext - Array of chat objects with {id, title, url, platform, chatSummary, messagePairSummaries}
    * @param {string} labelName - Name of the label (for context)
-   * @returns {Promise<string>} HTML string representing the hierarchical mind map with chat links
+   * @returns {Promise<Object>} Mind map data (see MindMap) with examples linked to chat IDs
    */
-  async generateBulletPoints(chatsWithContext, labelName = '') {
+  async generateMindMap(chatsWithContext, labelName = '') {
     try {
       console.log(`[AI Service] Generating mind map from ${chatsWithContext.length} chats for label: ${labelName}`);
 
@@ -517,9 +565,8 @@ Focus on intellectual coherence and conceptual clarity. Return valid JSON only,
         throw new Error(`Prompt API not available: ${status.reason}`);
       }
 
-      // If no chats, return default
       if (!chatsWithContext || chatsWithContext.length === 0) {
-        return '<p class="bulletpoints-placeholder">No chats available.</p>';
+        throw new Error('No chats available.');
       }
 
       const chatCount = chatsWithContext.length;
@@ -538,7 +585,7 @@ Focus on intellectual coherence and conceptual clarity. Return valid JSON only,
           ? chat.chatSummary.substring(0, MAX_SUMMARY_LENGTH) + '...'
           : chat.chatSummary;
 
-        return `${index + 1}. [${chat.platform}] "${chat.title}" - ${truncatedSummary}`;
+        return `${index + 1}. [${this._getPlatformName(chat.platform)}] "${chat.title}" - ${truncatedSummary}`;
       }).join('\n');
 
       // Format themes for the prompt
@@ -652,178 +699,202 @@ Requirements:
         throw new Error('Failed to parse AI response: ' + parseError.message);
       }
 
-      // Convert JSON to HTML with chat links
-      const bulletPointsHTML = this._convertMindmapToHTML(mindmapData.mindmap, chatsWithContext);
-
-
-      return bulletPointsHTML;
+      // Resolve chat numbers to chat IDs so the map can be re-rendered later
+      return MindMap.fromModelResponse(mindmapData.mindmap, chatsWithContext);
 
     } catch (error) {
       console.error('[AI Service] Error generating mind map:', error);
-      // Return a simple fallback
-      return `<p class="bulletpoints-placeholder" style="color: #ef4444;">Error generating mind map: ${error.message}</p>`;
+      throw error;
     }
   },
 
   /**
-   * Convert mindmap JSON to HTML with chat links
-   * @param {Array} mindmap - Array of mindmap topic objects
-   * @param {Array} chatsWithContext - Original chat objects for lookup
-   * @returns {string} HTML string
-   * @private
+   * Generate study cards for a label from its message pair summaries
+   * Mixes question/answer flashcards with multiple-choice questions, each citing
+   * the chats it was drawn from.
+   *
+   * @param {Array<Object>} chatsWithContext - Array of chat objects with {id, title, chatSummary, messagePairSummaries}
+   * @param {string} labelName - Name of the label (for context)
+   * @param {Object|null} previousQuiz - Existing quizData, so regenerated cards keep their review history
+   * @returns {Promise<Object>} Quiz data (see Quiz) with cards linked to chat IDs
    */
-  _convertMindmapToHTML(mindmap, chatsWithContext) {
-    if (!mindmap || !Array.isArray(mindmap) || mindmap.length === 0) {
-      return '<p class="bulletpoints-placeholder">No mind map generated.</p>';
-    }
+  async generateQuiz(chatsWithContext, labelName = '', previousQuiz = null) {
+    try {
+      console.log(`[AI Service] Generating quiz from ${chatsWithContext.length} chats for label: ${labelName}`);
+
+      const status = await this.checkPromptAvailability();
 
-    const escapeText = text => this._escapeHtml(typeof text === 'string' ? text : String(text ?? ''));
+      if (status.downloading) {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      } else if (!status.available && !status.needsDownload) {
+        throw new Error(`Prompt API not available: ${status.reason}`);
+      }
 
-    const renderExamples = examples => {
-      if (!Array.isArray(examples) || examples.length === 0) {
-        return '';
+      if (!chatsWithContext || chatsWithContext.length === 0) {
+        throw new Error('No chats available.');
       }
 
-      let html = '\n          <ul class="mindmap-examples">';
-
-      examples.forEach(example => {
-        const parsedIndex = typeof example.chatIndex === 'number'
-          ? example.chatIndex
-          : parseInt(example.chatIndex, 10);
-        const chatIndex = Number.isInteger(parsedIndex) ? parsedIndex : null;
-        const chat = chatIndex && chatIndex > 0 && chatIndex <= chatsWithContext.length
-          ? chatsWithContext[chatIndex - 1]
-          : null;
-
-        const exampleTitle = typeof example.title === 'string' ? example.title.trim() : '';
-        const detailText = typeof example.detail === 'string' ? example.detail.trim() : '';
-
-        let usedExampleAsPrimary = false;
-
-        html += '\n            <li class="chat-bullet">';
-
-        if (chat && chat.url) {
-          html += `\n              <a href="${this._escapeHtml(chat.url)}" class="chat-link" data-chat-id="${this._escapeHtml(chat.id || '')}">`;
-          html += `\n                <span class="chat-platform ${chat.platform}">${this._getPlatformName(chat.platform)}</span>`;
-          html += `\n                <span class="chat-title">${this._escapeHtml(chat.title)}</span>`;
-          html += '\n              </a>';
-        } else if (exampleTitle) {
-          html += `\n              <span class="chat-title">${escapeText(exampleTitle)}</span>`;
-          usedExampleAsPrimary = true;
-        } else if (chatIndex) {
-          html += `\n              <span class="chat-title">${escapeText(`Chat ${chatIndex}`)}</span>`;
-        } else {
-          html += '\n              <span class="chat-title">Conversation</span>';
-        }
+      // Keep the prompt compact: a few pair summaries per chat, each truncated
+      const MAX_PAIRS_PER_CHAT = 8;
+      const MAX_PAIR_LENGTH = 180;
+      const chatList = chatsWithContext.map((chat, index) => {
+        const pairs = (chat.messagePairSummaries || [])
+          .slice(0, MAX_PAIRS_PER_CHAT)
+          .map(pair => pair.length > MAX_PAIR_LENGTH ? pair.substring(0, MAX_PAIR_LENGTH) + '...' : pair)
+          .map(pair => `   - ${pair}`)
+          .join('\n');
+        return `${index + 1}. "${chat.title}"\n${pairs}`;
+      }).join('\n\n');
 
-        if (exampleTitle && !usedExampleAsPrimary && (!chat || exampleTitle !== chat.title)) {
-          html += `\n              <div class="example-title">${escapeText(exampleTitle)}</div>`;
-        }
+      const cardCount = Math.min(20, Math.max(6, chatsWithContext.length * 2));
 
-        if (detailText) {
-          html += `\n              <div class="example-detail">${escapeText(detailText)}</div>`;
-        }
+      const prompt = `You are writing study material for the topic "${labelName}" from a learner's past AI conversations.
 
-        html += '\n            </li>';
-      });
+Each numbered conversation below lists summaries of its question/answer exchanges:
 
-      html += '\n          </ul>';
+${chatList}
 
-      return html;
-    };
+Write ${cardCount} study cards that test the key facts, concepts and techniques the learner discussed.
+Mix two types, roughly half each:
+- "flashcard": a question and a short answer (1-2 sentences)
+- "multiple_choice": a question, exactly 4 choices, and the 0-based index of the correct choice
 
-    const renderSubtopics = (subtopics, level = 1) => {
-      if (!Array.isArray(subtopics) || subtopics.length === 0) {
-        return '';
-      }
+Guidelines:
+1. Ask about ideas and reasoning, not about the conversations themselves (never "In chat 3, what did the user ask?")
+2. Every card must be answerable from the summaries above
+3. Wrong choices must be plausible but clearly wrong
+4. Add a one-sentence explanation for each card
+5. Cite the conversation numbers each card is based on in "chatIndexes"
+
+Return ONLY a JSON object in this format:
 
-      let html = `\n      <ul class="mindmap-level level-${level}">`;
+{
+  "cards": [
+    {
+      "type": "flashcard",
+      "question": "...",
+      "answer": "...",
+      "explanation": "...",
+      "chatIndexes": [1]
+    },
+    {
+      "type": "multiple_choice",
+      "question": "...",
+      "choices": ["...", "...", "...", "..."],
+      "answerIndex": 2,
+      "explanation": "...",
+      "chatIndexes": [2, 4]
+    }
+  ]
+}
+
+Return valid JSON only, no markdown or commentary.`;
 
-      subtopics.forEach(subtopic => {
-        const name = escapeText(subtopic.name || subtopic.topic || 'Untitled Subtopic');
-        const summary = typeof subtopic.summary === 'string' ? subtopic.summary.trim() : '';
-        const relatedTo = Array.isArray(subtopic.relatedTo) ? subtopic.relatedTo : [];
+      const session = await LanguageModel.create({
+        temperature: 0.5,
+        topK: 40
+      });
 
-        html += '\n        <li class="mindmap-node">';
-        html += '\n          <div class="mindmap-node-header">';
-        html += `\n            <span class="mindmap-node-title">${name}</span>`;
+      const response = await session.prompt(prompt);
+      session.destroy();
 
-        if (summary) {
-          html += `\n            <p class="mindmap-summary">${escapeText(summary)}</p>`;
+      // Parse JSON response
+      let quizResponse;
+      try {
+        let cleanedResponse = response.trim();
+
+        // Remove markdown code blocks if present
+        if (cleanedResponse.startsWith('```json')) {
+          cleanedResponse = cleanedResponse.replace(/```json\n?/g, '').replace(/```\n?$/g, '');
+        } else if (cleanedResponse.startsWith('```')) {
+          cleanedResponse = cleanedResponse.replace(/```\n?/g, '');
         }
 
-        html += '\n          </div>';
+        // Extract JSON object
+        const jsonMatch = cleanedResponse.match(/\{[\s\S]*\}/);
+        if (jsonMatch) {
+          cleanedResponse = jsonMatch[0];
+        }
 
-        if (relatedTo.length > 0) {
-          const relatedList = relatedTo
-            .filter(item => item)
-            .map(item => escapeText(item))
-            .join(', ');
+        quizResponse = JSON.parse(cleanedResponse);
 
-          if (relatedList) {
-            html += `\n          <p class="mindmap-related">Related to: ${relatedList}</p>`;
-          }
+        if (!quizResponse.cards || !Array.isArray(quizResponse.cards)) {
+          throw new Error('Invalid response structure: missing cards array');
         }
+      } catch (parseError) {
+        console.error('[AI Service] Error parsing quiz JSON:', parseError);
+        console.error('[AI Service] Response was:', response);
+        throw new Error('Failed to parse AI response: ' + parseError.message);
+      }
 
-        html += renderExamples(subtopic.examples);
-        html += renderSubtopics(subtopic.subtopics, level + 1);
-        html += '\n        </li>';
-      });
+      const quizData = Quiz.fromModelResponse(quizResponse.cards, chatsWithContext, previousQuiz);
+      if (quizData.cards.length === 0) {
+        throw new Error('The model did not return any usable cards. Please try again.');
+      }
 
-      html += '\n      </ul>';
+      console.log(`[AI Service] Generated ${quizData.cards.length} quiz cards`);
+      return quizData;
 
-      return html;
-    };
+    } catch (error) {
+      console.error('[AI Service] Error generating quiz:', error);
+      throw error;
+    }
+  },
 
-    let html = '<ul class="bulletpoints-list">';
+  /**
+   * Answer a question from retrieved conversation excerpts
+   * The model is told to use only the numbered sources and cite them inline as [n].
+   *
+   * @param {string} question - User question
+   * @param {Array<Object>} sources - Numbered sources from HistoryQA.retrieve ({number, title, summary, excerpt})
+   * @param {string} scopeName - "your library" or the label name (for context)
+   * @returns {Promise<string>} Answer text with [n] citations
+   */
+  async answerFromHistory(question, sources, scopeName = 'your library') {
+    try {
+      console.log(`[AI Service] Answering from ${sources.length} sources in ${scopeName}`);
 
-    mindmap.forEach(topic => {
-      const topicTitle = escapeText(topic.topic || topic.name || 'Untitled Theme');
-      const topicSummary = typeof topic.summary === 'string' ? topic.summary.trim() : '';
+      const status = await this.checkPromptAvailability();
 
-      html += '\n  <li class="mindmap-topic">';
-      html += '\n    <div class="mindmap-topic-header">';
-      html += `\n      <strong>${topicTitle}</strong>`;
+      if (status.downloading) {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      } else if (!status.available && !status.needsDownload) {
+        throw new Error(`Prompt API not available: ${status.reason}`);
+      }
 
-      if (topicSummary) {
-        html += `\n      <p class="mindmap-summary">${escapeText(topicSummary)}</p>`;
+      if (!sources || sources.length === 0) {
+        throw new Error('No sources to answer from.');
       }
 
-      html += '\n    </div>';
-      html += renderSubtopics(topic.subtopics, 1);
-      html += '\n  </li>';
-    });
+      const sourceList = sources.map(source => {
+        const summary = source.summary ? `Summary: ${source.summary}\n` : '';
+        return `[${source.number}] From "${source.title}"\n${summary}${source.excerpt}`;
+      }).join('\n\n');
 
-    html += '\n</ul>';
+      const session = await LanguageModel.create({
+        initialPrompts: [{
+          role: 'system',
+          content: 'You answer questions about the user\'s own past AI conversations. Use only the numbered sources provided. Cite every claim inline with the source number in square brackets, like [2] or [1][3]. If the sources do not contain the answer, say so plainly instead of guessing. Answer in the language of the question, in a few short paragraphs.'
+        }],
+        temperature: 0.3,
+        topK: 20
+      });
 
-    return html;
-  },
+      const prompt = `Sources from ${scopeName}:
 
-  /**
-   * Get platform display name
-   * @param {string} platform - Platform identifier
-   * @returns {string} Display name
-   * @private
-   */
-  _getPlatformName(platform) {
-    const names = {
-      chatgpt: 'ChatGPT',
-      claude: 'Claude',
-      gemini: 'Gemini'
-    };
-    return names[platform] || platform;
-  },
+${sourceList}
 
-  /**
-   * Escape HTML special characters
-   * @param {string} text - Text to escape
-   * @returns {string} Escaped text
-   * @private
-   */
-  _escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+Question: ${question}`;
+
+      const response = await session.prompt(prompt);
+      session.destroy();
+
+      return response.trim();
+
+    } catch (error) {
+      console.error('[AI Service] Error answering from history:', error);
+      throw error;
+    }
   },
 
   /**
@@ -949,7 +1020,7 @@ Requirements:
 Analyze ${chatData.length} AI chat headlines and propose 3–7 distinct thematic labels.
 If the chats strongly overlap in topic, suggest fewer high-confidence themes instead of forcing variety.
 
-${chatData.map((chat, i) => `${i + 1}. [${chat.platform}] ${chat.headline}`).join('\n')}
+${chatData.map((chat, i) => `${i + 1}. [${this._getPlatformName(chat.platform)}] ${chat.headline}`).join('\n')}
 
 Return a JSON array where each object includes:
 - name: concise label (2–5 words)
@@ -1137,7 +1208,7 @@ Return ONLY the JSON array.`;
 
       const preferencesList = sanitizedLabels.map((label, index) => `${index + 1}. ${label}`).join('\n');
       const chatSummariesList = chatData.map((chat, index) =>
-        `${index + 1}. [${chat.platform}] ${chat.title} — ${chat.headline}`
+        `${index + 1}. [${this._getPlatformName(chat.platform)}] ${chat.title} — ${chat.headline}`
       ).join('\n');
 
       const prompt = `You are grouping AI chat summaries into topics using only the user's preferred labels.
@@ -1260,6 +1331,16 @@ Return ONLY the JSON array.`;
     }
   },
 
+  /**
+   * Platform display name for prompts (e.g. "Perplexity" rather than "perplexity")
+   * @param {string} platform - Platform ID
+   * @returns {string} Display name
+   * @private
+   */
+  _getPlatformName(platform) {
+    return PlatformRegistry.getName(platform);
+  },
+
   /**
    * Clean up any active sessions (called when needed)
    */
@@ -1276,8 +1357,7 @@ if (typeof window !== 'undefined') {
      * Usage: debugLabels.viewSuggested()
      */
     viewSuggested: () => {
-      chrome.storage.local.get('suggestedLabels', (result) => {
-        const labels = result.suggestedLabels || {};
+      StorageService.getAllSuggestedLabels().then((labels) => {
         console.log('=== SUGGESTED LABELS ===');
         console.log(`Total: ${Object.keys(labels).length}`);
         console.log(JSON.stringify(labels, null, 2));
@@ -1289,8 +1369,7 @@ if (typeof window !== 'undefined') {
      * Usage: debugLabels.viewAccepted()
      */
     viewAccepted: () => {
-      chrome.storage.local.get('labels', (result) => {
-        const labels = result.labels || {};
+      StorageService.getAllLabels().then((labels) => {
         console.log('=== ACCEPTED LABELS ===');
         console.log(`Total: ${Object.keys(labels).length}`);
         console.log(JSON.stringify(labels, null, 2));
@@ -1302,8 +1381,7 @@ if (typeof window !== 'undefined') {
      * Usage: debugLabels.viewChats()
      */
     viewChats: () => {
-      chrome.storage.local.get('chats', (result) => {
-        const chats = result.chats || {};
+      StorageService.getAllChats().then((chats) => {
         const chatArray = Object.values(chats);
         console.log('=== CHATS ===');
         console.log(`Total: ${chatArray.length}`);
@@ -1336,8 +1414,7 @@ if (typeof window !== 'undefined') {
      * Usage: debugLabels.viewChat(0)
      */
     viewChat: (index = 0) => {
-      chrome.storage.local.get('chats', (result) => {
-        const chats = result.chats || {};
+      StorageService.getAllChats().then((chats) => {
         const chatArray = Object.values(chats);
 
         if (index >= chatArray.length) {
@@ -1355,9 +1432,7 @@ if (typeof window !== 'undefined') {
      * Usage: debugLabels.viewLabelChats(0) or debugLabels.viewLabelChats("Probability")
      */
     viewLabelChats: (labelIdentifier) => {
-      chrome.storage.local.get(['labels', 'chats'], (result) => {
-        const labels = result.labels || {};
-        const chats = result.chats || {};
+      Promise.all([StorageService.getAllLabels(), StorageService.getAllChats()]).then(([labels, chats]) => {
         const labelArray = Object.values(labels);
 
         if (labelArray.length === 0) {
@@ -1414,7 +1489,7 @@ if (typeof window !== 'undefined') {
      */
     clearAll: () => {
       if (confirm('Are you sure you want to clear ALL data? This cannot be undone.')) {
-        chrome.storage.local.clear(() => {
+        StorageService.clearAllData().then(() => {
           console.log('All data cleared!');
         });
       }
@@ -0,0 +1,328 @@
+/**
+ * Artifacts - Long-form outputs kept outside the message stream
+ *
+ * Claude artifacts, ChatGPT canvas and Gemini canvas documents are written
+ * beside the conversation and edited in place, so the messages only show a
+ * card. Each chat keeps the latest version of every one of them:
+ *
+ *   chat.artifacts = [
+ *     {
+ *       id: 'quicksort',
+ *       title: 'Quicksort in Python',
+ *       type: 'code',          // code | document | html | svg | diagram
+ *       language: 'python',    // for code, html, svg and diagrams
+ *       content: '...',        // latest version
+ *       version: 3,            // number of versions written (1 when only the final one was read)
+ *       messageIndex: 5        // message in chat.messages that wrote the latest version, or null
+ *     }
+ *   ]
+ *
+ * Platform APIs and exports describe artifacts as a sequence of writes
+ * (create, rewrite, update with find/replace edits); fromEvents replays them.
+ * Summaries, search and the Markdown export read the result.
+ *
+ * Loaded by the popup and every injected scraper (safe to inject more than once).
+ */
+
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.Artifacts) {
+    return;
+  }
+
+  const Artifacts = {
+    // Characters of an artifact added to the message it belongs to for summarization
+    SUMMARY_EXCERPT_LENGTH: 1500,
+
+    // Claude artifact MIME types -> { type, language }
+    CLAUDE_TYPES: {
+      'application/vnd.ant.code': { type: 'code', language: null },
+      'application/vnd.ant.react': { type: 'code', language: 'jsx' },
+      'application/vnd.ant.mermaid': { type: 'diagram', language: 'mermaid' },
+      'text/markdown': { type: 'document', language: null },
+      'text/html': { type: 'html', language: 'html' },
+      'image/svg+xml': { type: 'svg', language: 'svg' }
+    },
+
+    /**
+     * BUILDING
+     */
+
+    /**
+     * Replay artifact writes into the latest version of each artifact
+     * An update without a known ID edits the artifact written last, which is
+     * what ChatGPT canvas does when a conversation has a single document open.
+     * @param {Array<Object>} events - { command: 'create'|'rewrite'|'update', id, title, type, language, content, edits, messageIndex } in conversation order
+     * @returns {Array<Object>} Artifacts in the order they were created
+     */
+    fromEvents(events) {
+      const byId = new Map();
+      let lastId = null;
+
+      (events || []).forEach(event => {
+        if (!event) {
+          return;
+        }
+
+        const id = event.id || (event.command === 'create' ? null : lastId);
+        let artifact = id ? byId.get(id) : null;
+
+        if (!artifact) {
+          if (event.command === 'update') {
+            return;
+          }
+          const { type, language } = this.normalizeType(event.type, event.language);
+          artifact = {
+            id: id || `artifact-${byId.size + 1}`,
+            title: 'Untitled artifact',
+            type,
+            language,
+            content: '',
+            version: 0,
+            messageIndex: null
+          };
+          byId.set(artifact.id, artifact);
+        }
+
+        if (event.command === 'update') {
+          artifact.content = this._applyEdits(artifact.content, event.edits || []);
+        } else if (typeof event.content === 'string') {
+          artifact.content = event.content;
+        }
+        if (event.title && String(event.title).trim()) {
+          artifact.title = String(event.title).trim();
+        }
+
+        lastId = artifact.id;
+        this._touch(artifact, event);
+      });
+
+      return [...byId.values()];
+    },
+
+    /**
+     * Write event for a Claude `artifacts` tool call
+     * @param {Object} input - tool_use input ({ id, command, type, title, language, content, old_str, new_str })
+     * @param {number} messageIndex - Message (or API turn) the call belongs to
+     * @returns {Object|null} Event for fromEvents
+     */
+    fromClaudeToolUse(input, messageIndex) {
+      if (!input || typeof input !== 'object' || !input.id) {
+        return null;
+      }
+
+      const command = input.command === 'update' ? 'update' : input.command === 'rewrite' ? 'rewrite' : 'create';
+      return {
+        command,
+        id: input.id,
+        title: input.title,
+        type: input.type,
+        language: input.language,
+        content: input.content,
+        edits: command === 'update' ? [{ find: input.old_str || '', replace: input.new_str || '' }] : [],
+        messageIndex
+      };
+    },
+
+    /**
+     * Write event for a ChatGPT canvas tool call (recipient canmore.*)
+     * Updates are regular expressions; a pattern of `.*` rewrites the whole document.
+     * @param {string} recipient - Message recipient (canmore.create_textdoc, canmore.update_textdoc)
+     * @param {string} payload - JSON the assistant sent to the tool
+     * @param {number} messageIndex - Message (or API turn) the call belongs to
+     * @returns {Object|null} Event for fromEvents
+     */
+    fromCanvasCall(recipient, payload, messageIndex) {
+      let data;
+      try {
+        data = typeof payload === 'string' ? JSON.parse(payload) : payload;
+      } catch (error) {
+        return null;
+      }
+      if (!data || typeof data !== 'object') {
+        return null;
+      }
+
+      if (recipient === 'canmore.create_textdoc') {
+        return {
+          command: 'create',
+          id: data.textdoc_id || null,
+          title: data.name,
+          type: data.type,
+          content: data.content,
+          edits: [],
+          messageIndex
+        };
+      }
+
+      if (recipient === 'canmore.update_textdoc' && Array.isArray(data.updates)) {
+        const rewrite = data.updates.length === 1 && data.updates[0].pattern === '.*';
+        return {
+          command: rewrite ? 'rewrite' : 'update',
+          id: data.textdoc_id || null,
+          content: rewrite ? data.updates[0].replacement : undefined,
+          edits: rewrite ? [] : data.updates.map(update => ({
+            find: update.pattern,
+            replace: update.replacement || '',
+            regex: true,
+            all: Boolean(update.multiple)
+          })),
+          messageIndex
+        };
+      }
+
+      return null;
+    },
+
+    /**
+     * Map a platform artifact type to { type, language }
+     * Accepts Claude MIME types, ChatGPT canvas types ('document', 'code/python')
+     * and the types used here.
+     * @param {string} rawType - Platform type
+     * @param {string} [language] - Language given separately
+     * @returns {{type: string, language: string|null}}
+     */
+    normalizeType(rawType, language) {
+      const value = String(rawType || '').toLowerCase();
+      const known = this.CLAUDE_TYPES[value];
+      if (known) {
+        return { type: known.type, language: language || known.language };
+      }
+
+      const canvasCode = value.match(/^code\/(.+)$/);
+      if (canvasCode) {
+        const canvasLanguage = canvasCode[1] === 'react' ? 'jsx' : canvasCode[1];
+        return canvasLanguage === 'html'
+          ? { type: 'html', language: 'html' }
+          : { type: 'code', language: language || canvasLanguage };
+      }
+
+      if (['code', 'html', 'svg', 'diagram'].includes(value)) {
+        return { type: value, language: language || (value === 'code' ? null : value === 'diagram' ? 'mermaid' : value) };
+      }
+
+      return { type: language ? 'code' : 'document', language: language || null };
+    },
+
+    /**
+     * READING
+     */
+
+    /**
+     * Copy messages with each artifact appended to the message that wrote it
+     * Used for summarization; artifacts without a message go to the last reply.
+     * @param {Array<Object>} messages - Messages to summarize
+     * @param {Array<Object>} artifacts - chat.artifacts
+     * @returns {Array<Object>} Message copies
+     */
+    withArtifactContent(messages, artifacts) {
+      if (!Array.isArray(artifacts) || artifacts.length === 0) {
+        return messages;
+      }
+
+      const result = messages.map(message => ({ ...message }));
+      const lastReplyIndex = result.map(message => message.role).lastIndexOf('assistant');
+
+      artifacts.forEach(artifact => {
+        const index = Number.isInteger(artifact.messageIndex) && result[artifact.messageIndex]
+          ? artifact.messageIndex
+          : lastReplyIndex;
+        if (index === -1 || !artifact.content) {
+          return;
+        }
+
+        const excerpt = artifact.content.length > this.SUMMARY_EXCERPT_LENGTH
+          ? `${artifact.content.slice(0, this.SUMMARY_EXCERPT_LENGTH)}...`
+          : artifact.content;
+        result[index].content = `${result[index].content || ''}\n\n[Artifact: ${artifact.title}]\n${excerpt}`.trim();
+      });
+
+      return result;
+    },
+
+    /**
+     * Render an artifact's content as Markdown
+     * Documents are Markdown already; everything else becomes a fenced block.
+     * @param {Object} artifact - Artifact
+     * @returns {string}
+     */
+    toMarkdown(artifact) {
+      const content = String(artifact.content || '').trim();
+      if (artifact.type === 'document') {
+        return content;
+      }
+
+      const longestFence = Math.max(2, ...(content.match(/`{3,}/g) || []).map(fence => fence.length));
+      const fence = '`'.repeat(longestFence + 1);
+      return `${fence}${artifact.language || ''}\n${content}\n${fence}`;
+    },
+
+    /**
+     * Short description of an artifact ("code · python · v3")
+     * @param {Object} artifact - Artifact
+     * @returns {string}
+     */
+    describe(artifact) {
+      return [
+        artifact.type,
+        artifact.type === 'code' ? artifact.language : null,
+        artifact.version > 1 ? `v${artifact.version}` : null
+      ].filter(Boolean).join(' · ');
+    },
+
+    /**
+     * HELPERS
+     */
+
+    /**
+     * Count a new version and remember which message wrote it
+     * @param {Object} artifact - Artifact (modified in place)
+     * @param {Object} event - Write event
+     */
+    _touch(artifact, event) {
+      artifact.version += 1;
+      if (Number.isInteger(event.messageIndex)) {
+        artifact.messageIndex = event.messageIndex;
+      }
+    },
+
+    /**
+     * Apply find/replace edits to an artifact's content
+     * Edits that do not match (or whose pattern is invalid) are skipped.
+     * @param {string} content - Current content
+     * @param {Array<{find: string, replace: string, regex?: boolean, all?: boolean}>} edits - Edits in order
+     * @returns {string} Edited content
+     */
+    _applyEdits(content, edits) {
+      return edits.reduce((text, edit) => {
+        if (!edit || !edit.find) {
+          return text;
+        }
+
+        if (!edit.regex) {
+          const index = text.indexOf(edit.find);
+          return index === -1 ? text : text.slice(0, index) + edit.replace + text.slice(index + edit.find.length);
+        }
+
+        try {
+          // Canvas replacements use Python's \1 group references; escape literal dollar signs first
+          const replacement = String(edit.replace).replace(/\$/g, '$$$$').replace(/\\(\d+)/g, '$$$1');
+          return text.replace(new RegExp(edit.find, edit.all ? 'g' : ''), replacement);
+        } catch (error) {
+          console.warn('[Artifacts] Skipping invalid edit pattern:', edit.find);
+          return text;
+        }
+      }, content || '');
+    }
+  };
+
+  if (typeof self !== 'undefined') {
+    self.Artifacts = Artifacts;
+  }
+
+  // Export for use in other modules
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Artifacts;
+  }
+})();
@@ -0,0 +1,422 @@
+/**
+ * AttachmentService - Files and images attached to chat messages
+ *
+ * The scrapers fetch the images and files of each message where the page
+ * lets them (uploads, generated images, documents) and send them along with
+ * the chat as data URLs, or as text when the platform already extracted it:
+ *
+ *   message.attachments = [{ name, mimeType, dataUrl }, { name, mimeType, text }]
+ *
+ * Before a chat is written, prepareChat moves those payloads into attachment
+ * records (blob plus extracted text, in their own IndexedDB store) and leaves
+ * only a reference on the message:
+ *
+ *   message.attachments = [{ id, name, mimeType, kind, size }]
+ *
+ * The text placeholders the scrapers write into message content ("[Image] alt",
+ * "[FILE: name]") stay, so chats read the same without their attachments.
+ * Loaded by the service worker and the popup.
+ */
+
+const AttachmentService = {
+  // Extracted document text kept per attachment
+  MAX_TEXT_LENGTH: 20000,
+
+  // Document text added to a message for summarization
+  SUMMARY_EXCERPT_LENGTH: 1000,
+
+  TEXT_EXTENSIONS: ['txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'xml', 'html', 'htm', 'yaml', 'yml', 'log',
+    'js', 'jsx', 'ts', 'tsx', 'py', 'java', 'rb', 'go', 'c', 'cpp', 'h', 'cs', 'php', 'sql', 'sh', 'css', 'ini', 'cfg'],
+
+  /**
+   * CLASSIFICATION
+   */
+
+  /**
+   * Kind of an attachment: images are previewed and described, documents have their text extracted
+   * @param {string} mimeType - MIME type
+   * @param {string} name - File name
+   * @returns {'image'|'document'|'file'}
+   */
+  kindOf(mimeType = '', name = '') {
+    const extension = String(name).split('.').pop().toLowerCase();
+    if (/^image\//.test(mimeType) || ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'svg', 'heic'].includes(extension)) {
+      return 'image';
+    }
+    if (this._isText(mimeType, name) || mimeType === 'application/pdf' || extension === 'pdf') {
+      return 'document';
+    }
+    return 'file';
+  },
+
+  /**
+   * Whether a file can be read as plain text
+   * @param {string} mimeType - MIME type
+   * @param {string} name - File name
+   * @returns {boolean}
+   */
+  _isText(mimeType = '', name = '') {
+    const extension = String(name).split('.').pop().toLowerCase();
+    return /^text\//.test(mimeType) ||
+      /(json|xml|javascript|yaml|csv)/.test(mimeType) ||
+      this.TEXT_EXTENSIONS.includes(extension);
+  },
+
+  /**
+   * STORING
+   */
+
+  /**
+   * Split a chat into the chat to store and its new attachment records
+   * Attachments with a payload (dataUrl or text) become records with
+   * `${chatId}:${messageIndex}:${position}` IDs, so a re-scraped message
+   * replaces its previous files. References without a payload (already
+   * stored) are kept as they are.
+   * @param {Object} chat - Chat as scraped or imported
+   * @returns {Promise<{chat: Object, records: Array<Object>}>}
+   */
+  async prepareChat(chat) {
+    const messages = Array.isArray(chat.messages) ? chat.messages : [];
+    if (!messages.some(message => Array.isArray(message.attachments) && message.attachments.length > 0)) {
+      return { chat, records: [] };
+    }
+
+    const records = [];
+    const preparedMessages = [];
+
+    for (let messageIndex = 0; messageIndex < messages.length; messageIndex++) {
+      const message = messages[messageIndex];
+      if (!Array.isArray(message.attachments) || message.attachments.length === 0) {
+        preparedMessages.push(message);
+        continue;
+      }
+
+      const attachments = [];
+      for (let position = 0; position < message.attachments.length; position++) {
+        const attachment = message.attachments[position];
+        if (!attachment || (!attachment.dataUrl && typeof attachment.text !== 'string')) {
+          if (attachment && attachment.id) {
+            attachments.push(attachment);
+          }
+          continue;
+        }
+
+        try {
+          const record = await this._toRecord(chat.id, messageIndex, position, attachment);
+          const { blob, text, chatId, messageIndex: recordIndex, createdAt, ...reference } = record;
+          records.push(record);
+          attachments.push(reference);
+        } catch (error) {
+          console.warn(`[Attachments] Could not store ${attachment.name || 'attachment'} of ${chat.id}:`, error);
+        }
+      }
+
+      preparedMessages.push({ ...message, attachments });
+    }
+
+    return { chat: { ...chat, messages: preparedMessages }, records };
+  },
+
+  /**
+   * Build an attachment record from a scraped attachment
+   * @param {string} chatId - Chat ID
+   * @param {number} messageIndex - Message position in chat.messages
+   * @param {number} position - Attachment position in the message
+   * @param {{name: string, mimeType?: string, dataUrl?: string, text?: string}} attachment - Scraped attachment
+   * @returns {Promise<Object>} Record for the attachments store
+   */
+  async _toRecord(chatId, messageIndex, position, attachment) {
+    const blob = attachment.dataUrl ? this.dataUrlToBlob(attachment.dataUrl) : null;
+    const name = String(attachment.name || (blob && blob.type.startsWith('image/') ? 'image' : 'attachment')).trim();
+    const mimeType = attachment.mimeType || (blob && blob.type) || 'text/plain';
+    const kind = this.kindOf(mimeType, name);
+
+    let text = typeof attachment.text === 'string' ? attachment.text : null;
+    if (text === null && blob && kind === 'document') {
+      text = await this.extractText(blob, mimeType, name);
+    }
+
+    return {
+      id: `${chatId}:${messageIndex}:${position}`,
+      chatId,
+      messageIndex,
+      name,
+      mimeType,
+      kind,
+      size: blob ? blob.size : (text || '').length,
+      blob,
+      text: text ? text.trim().slice(0, this.MAX_TEXT_LENGTH) : null,
+      createdAt: Date.now()
+    };
+  },
+
+  /**
+   * Decode a data URL into a Blob
+   * @param {string} dataUrl - data:[mime][;base64],payload
+   * @returns {Blob}
+   */
+  dataUrlToBlob(dataUrl) {
+    const match = String(dataUrl).match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+    if (!match) {
+      throw new Error('Invalid data URL');
+    }
+
+    const mimeType = match[1] || 'application/octet-stream';
+    if (!match[2]) {
+      return new Blob([decodeURIComponent(match[3])], { type: mimeType });
+    }
+
+    const binary = atob(match[3]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+  },
+
+  /**
+   * Encode a Blob as a data URL
+   * @param {Blob} blob - File contents
+   * @returns {Promise<string>}
+   */
+  blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  },
+
+  /**
+   * TEXT EXTRACTION
+   */
+
+  /**
+   * Extract the text of a document
+   * Plain text formats are read as-is; PDFs go through a small text-layer
+   * reader (scanned PDFs and fonts without a plain encoding yield nothing).
+   * @param {Blob} blob - File contents
+   * @param {string} mimeType - MIME type
+   * @param {string} name - File name
+   * @returns {Promise<string|null>} Text, or null when none could be read
+   */
+  async extractText(blob, mimeType, name) {
+    try {
+      if (this._isText(mimeType, name)) {
+        return await blob.text();
+      }
+      if (mimeType === 'application/pdf' || /\.pdf$/i.test(name)) {
+        const text = await this._extractPdfText(blob);
+        return text || null;
+      }
+      return null;
+    } catch (error) {
+      console.warn(`[Attachments] Could not extract text from ${name}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Read the text layer of a PDF
+   * Inflates FlateDecode streams and collects the strings shown by the
+   * Tj, TJ, ' and " text operators, starting a new line on line moves.
+   * @param {Blob} blob - PDF file
+   * @returns {Promise<string>}
+   */
+  async _extractPdfText(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const source = this._latin1(bytes);
+    const streamPattern = /<<((?:(?!>>)[\s\S])*?)>>\s*stream\r?\n/g;
+    const lines = [];
+    let match;
+
+    while ((match = streamPattern.exec(source)) !== null) {
+      const start = match.index + match[0].length;
+      const end = source.indexOf('endstream', start);
+      if (end === -1) {
+        break;
+      }
+      streamPattern.lastIndex = end;
+
+      const dictionary = match[1];
+      // Images, fonts and other binary streams have no text operators
+      if (/\/Subtype\s*\/(Image|Type1C|CIDFontType0C|OpenType)|\/Length1|\/Type\s*\/XRef/.test(dictionary)) {
+        continue;
+      }
+      if (/\/Filter/.test(dictionary) && !/\/FlateDecode/.test(dictionary)) {
+        continue;
+      }
+
+      let content = source.slice(start, end);
+      if (/\/FlateDecode/.test(dictionary)) {
+        try {
+          content = this._latin1(await this._inflate(bytes.subarray(start, end)));
+        } catch (error) {
+          continue;
+        }
+      }
+
+      const text = this._readPdfTextOperators(content);
+      if (text) {
+        lines.push(text);
+      }
+    }
+
+    return lines.join('\n').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  },
+
+  /**
+   * Collect the text shown by a PDF content stream
+   * @param {string} content - Decoded content stream
+   * @returns {string}
+   */
+  _readPdfTextOperators(content) {
+    if (!/\bBT\b/.test(content)) {
+      return '';
+    }
+
+    let text = '';
+    const tokenPattern = /\((?:\\[\s\S]|[^\\)])*\)|\[(?:\((?:\\[\s\S]|[^\\)])*\)|[^\]])*\]\s*TJ|T\*|\b(?:Td|TD|ET)\b/g;
+    let token;
+
+    while ((token = tokenPattern.exec(content)) !== null) {
+      const value = token[0];
+      if (value.startsWith('[')) {
+        const parts = value.match(/\((?:\\[\s\S]|[^\\)])*\)/g) || [];
+        text += parts.map(part => this._decodePdfString(part)).join('');
+      } else if (value.startsWith('(')) {
+        // A string is shown by the operator after it: Tj, or ' and " which move to the next line first
+        const after = content.slice(tokenPattern.lastIndex).match(/^\s*(Tj|'|")/);
+        if (after) {
+          if (after[1] !== 'Tj' && text && !text.endsWith('\n')) {
+            text += '\n';
+          }
+          text += this._decodePdfString(value);
+          tokenPattern.lastIndex += after[0].length;
+        }
+      } else if (text && !text.endsWith('\n')) {
+        text += value === 'ET' ? '\n' : ' ';
+      }
+    }
+
+    return text.trim();
+  },
+
+  /**
+   * Decode a PDF literal string "(...)"
+   * @param {string} literal - String with its parentheses
+   * @returns {string}
+   */
+  _decodePdfString(literal) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+    return literal
+      .slice(1, -1)
+      .replace(/\\(?:([0-7]{1,3})|(\r?\n)|([\s\S]))/g, (match, octal, newline, character) => {
+        if (octal) {
+          return String.fromCharCode(parseInt(octal, 8));
+        }
+        if (newline) {
+          return '';
+        }
+        return escapes[character] !== undefined ? escapes[character] : character;
+      });
+  },
+
+  /**
+   * Inflate a zlib stream
+   * @param {Uint8Array} bytes - Compressed bytes
+   * @returns {Promise<Uint8Array>}
+   */
+  async _inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  },
+
+  /**
+   * Bytes as a string of the same length (one character per byte)
+   * @param {Uint8Array} bytes - Bytes
+   * @returns {string}
+   */
+  _latin1(bytes) {
+    let result = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      result += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return result;
+  },
+
+  /**
+   * SUMMARIZATION
+   */
+
+  /**
+   * Add what the attachments hold to the messages that carry them
+   * Documents contribute an excerpt of their text, images a description
+   * when describeImage can produce one (Prompt API with image input).
+   * @param {Array<Object>} messages - Messages to summarize
+   * @param {Array<Object>} records - The chat's attachment records (StorageService.getAttachments)
+   * @param {Function} [describeImage] - (blob) => Promise<string|null>
+   * @returns {Promise<Array<Object>>} Messages with attachment content appended (copies)
+   */
+  async withAttachmentContent(messages, records, describeImage = null) {
+    const byId = new Map((records || []).map(record => [record.id, record]));
+    if (byId.size === 0) {
+      return messages;
+    }
+
+    const enriched = [];
+    for (const message of messages) {
+      const additions = [];
+
+      for (const reference of (Array.isArray(message.attachments) ? message.attachments : [])) {
+        const record = byId.get(reference.id);
+        if (!record) {
+          continue;
+        }
+
+        if (record.text) {
+          const excerpt = record.text.length > this.SUMMARY_EXCERPT_LENGTH
+            ? `${record.text.slice(0, this.SUMMARY_EXCERPT_LENGTH)}...`
+            : record.text;
+          additions.push(`[Attached document: ${record.name}]\n${excerpt}`);
+        } else if (record.kind === 'image' && record.blob && describeImage) {
+          const description = await describeImage(record.blob);
+          if (description) {
+            additions.push(`[Attached image: ${record.name}] ${description}`);
+          }
+        }
+      }
+
+      enriched.push(additions.length > 0
+        ? { ...message, content: `${message.content}\n\n${additions.join('\n\n')}` }
+        : message);
+    }
+
+    return enriched;
+  },
+
+  /**
+   * Format a byte count for display
+   * @param {number} bytes - Size in bytes
+   * @returns {string}
+   */
+  formatSize(bytes) {
+    if (!bytes) {
+      return '';
+    }
+    if (bytes < 1024) {
+      return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+      return `${Math.round(bytes / 1024)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AttachmentService;
+}
@@ -0,0 +1,650 @@
+/**
+ * BackupService - Export and restore the whole AI-ReCap library
+ *
+ * A backup is one versioned JSON document (optionally inside a ZIP):
+ * {
+ *   format: 'ai-recap-backup', version, schemaVersion, extensionVersion, exportedAt,
+ *   data: { chats, labels, suggestedLabels, preferredLabels, settings, attachments }
+ * }
+ *
+ * attachments (format v2) are the records of the attachments store without
+ * their blob: in a ZIP each file is its own entry (record.file), in a plain
+ * JSON backup it is inlined as record.dataUrl. Restored chats that refer to
+ * files missing from the backup (v1 backups have none) lose those references.
+ *
+ * Restoring supports two modes:
+ * - replace: the current chats, labels and suggested labels are deleted first
+ * - merge: backup records are added; chats with the same ID keep the more
+ *   complete copy, labels with the same ID or name are combined
+ * Backups from an older schema are upgraded with MigrationService afterwards.
+ */
+
+const BackupService = {
+  FORMAT: 'ai-recap-backup',
+  VERSION: 2,
+  FILE_NAME: 'ai-recap-backup.json',
+  ATTACHMENT_FOLDER: 'attachments/',
+  MAX_PREFERRED_LABELS: 6,
+  MAX_REPORTED_PROBLEMS: 5,
+
+  // Settings that describe the library rather than this browser
+  PORTABLE_SETTINGS: ['lastSync', 'totalChatsImported', 'syncCursors', 'preferredLabelsUpdated'],
+
+  /**
+   * EXPORT
+   */
+
+  /**
+   * Collect the whole library into a backup object
+   * Attachment records keep their blob (see exportBackupFile for how it is written).
+   * @returns {Promise<Object>} Backup document
+   */
+  async createBackup() {
+    try {
+      const [chats, labels, suggestedLabels, settings, attachments] = await Promise.all([
+        StorageService.getAllChats(),
+        StorageService.getAllLabels(),
+        StorageService.getAllSuggestedLabels(),
+        StorageService.getSettings(),
+        StorageService.getAllAttachments()
+      ]);
+
+      const portableSettings = {};
+      this.PORTABLE_SETTINGS.forEach(key => {
+        if (settings[key] !== undefined) {
+          portableSettings[key] = settings[key];
+        }
+      });
+
+      return {
+        format: this.FORMAT,
+        version: this.VERSION,
+        schemaVersion: settings.schemaVersion || 0,
+        extensionVersion: chrome.runtime.getManifest().version,
+        exportedAt: Date.now(),
+        data: {
+          chats: Object.values(chats),
+          labels: Object.values(labels),
+          suggestedLabels: Object.values(suggestedLabels),
+          preferredLabels: Array.isArray(settings.preferredLabels) ? settings.preferredLabels : [],
+          settings: portableSettings,
+          attachments
+        }
+      };
+    } catch (error) {
+      console.error('[Backup] Error creating backup:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Build a downloadable backup file
+   * @param {Object} options - { zip: boolean }
+   * @returns {Promise<{blob: Blob, fileName: string, counts: Object}>}
+   */
+  async exportBackupFile(options = {}) {
+    const { zip = false } = options;
+    const backup = await this.createBackup();
+    const { attachments, files } = await this._packAttachments(backup.data.attachments, zip);
+    const json = JSON.stringify({ ...backup, data: { ...backup.data, attachments } });
+    const stamp = new Date(backup.exportedAt).toISOString().slice(0, 10);
+    const counts = {
+      chats: backup.data.chats.length,
+      labels: backup.data.labels.length,
+      attachments: attachments.length
+    };
+
+    if (zip) {
+      const blob = await ZipUtils.createZip([{ name: this.FILE_NAME, data: json }, ...files]);
+      return { blob, fileName: `ai-recap-backup-${stamp}.zip`, counts };
+    }
+
+    return {
+      blob: new Blob([json], { type: 'application/json' }),
+      fileName: `ai-recap-backup-${stamp}.json`,
+      counts
+    };
+  },
+
+  /**
+   * IMPORT
+   */
+
+  /**
+   * Read and validate a backup file (.json or .zip)
+   * @param {File} file - Backup file
+   * @returns {Promise<Object>} Validated backup document
+   */
+  async readBackupFile(file) {
+    let text;
+    let entries = null;
+
+    if (await ZipUtils.isZip(file)) {
+      entries = await ZipUtils.listEntries(file);
+      const entry = ZipUtils.findEntry(entries, this.FILE_NAME)
+        || entries.find(candidate => candidate.name.toLowerCase().endsWith('.json'));
+
+      if (!entry) {
+        throw new Error('No backup JSON found in the ZIP file');
+      }
+      text = await ZipUtils.readEntryText(file, entry);
+    } else {
+      text = await file.text();
+    }
+
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Backup file is not valid JSON');
+    }
+
+    this.validateBackup(backup);
+    backup.data.attachments = await this._unpackAttachments(backup.data.attachments || [], entries ? file : null, entries);
+    return backup;
+  },
+
+  /**
+   * Check a backup document and throw a descriptive error if it is malformed
+   * @param {Object} backup - Parsed backup
+   */
+  validateBackup(backup) {
+    if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+      throw new Error('Backup file is empty or not an object');
+    }
+    if (backup.format !== this.FORMAT) {
+      throw new Error('This file is not an AI-ReCap library backup');
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+      throw new Error('Backup file has no valid format version');
+    }
+    if (backup.version > this.VERSION) {
+      throw new Error(`Backup format v${backup.version} is newer than this extension supports (v${this.VERSION}). Update AI-ReCap first.`);
+    }
+    if (typeof backup.schemaVersion === 'number' && backup.schemaVersion > MigrationService.CURRENT_SCHEMA_VERSION) {
+      throw new Error('Backup was created by a newer version of AI-ReCap. Update the extension first.');
+    }
+
+    const data = backup.data;
+    if (!data || typeof data !== 'object') {
+      throw new Error('Backup file has no data section');
+    }
+
+    const problems = [];
+    const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+    const checkArray = (name, value, checkItem) => {
+      if (!Array.isArray(value)) {
+        problems.push(`${name} must be a list`);
+        return;
+      }
+      value.forEach((item, index) => {
+        if (!item || typeof item !== 'object') {
+          problems.push(`${name}[${index}] is not an object`);
+          return;
+        }
+        checkItem(item, `${name}[${index}]`);
+      });
+    };
+
+    checkArray('chats', data.chats, (chat, path) => {
+      if (!isNonEmptyString(chat.id)) {
+        problems.push(`${path} has no id`);
+      }
+      if (!isNonEmptyString(chat.platform)) {
+        problems.push(`${path} has no platform`);
+      }
+      if (chat.messages !== undefined && !Array.isArray(chat.messages)) {
+        problems.push(`${path}.messages must be a list`);
+      }
+      if (chat.labelIds !== undefined && !Array.isArray(chat.labelIds)) {
+        problems.push(`${path}.labelIds must be a list`);
+      }
+    });
+
+    checkArray('labels', data.labels, (label, path) => {
+      if (!isNonEmptyString(label.id)) {
+        problems.push(`${path} has no id`);
+      }
+      if (!isNonEmptyString(label.name)) {
+        problems.push(`${path} has no name`);
+      }
+      if (label.chatIds !== undefined && !Array.isArray(label.chatIds)) {
+        problems.push(`${path}.chatIds must be a list`);
+      }
+    });
+
+    if (data.suggestedLabels !== undefined) {
+      checkArray('suggestedLabels', data.suggestedLabels, (suggestedLabel, path) => {
+        if (!isNonEmptyString(suggestedLabel.id)) {
+          problems.push(`${path} has no id`);
+        }
+      });
+    }
+
+    if (data.preferredLabels !== undefined && !Array.isArray(data.preferredLabels)) {
+      problems.push('preferredLabels must be a list');
+    }
+
+    if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+      problems.push('settings must be an object');
+    }
+
+    if (data.attachments !== undefined) {
+      checkArray('attachments', data.attachments, (attachment, path) => {
+        if (!isNonEmptyString(attachment.id)) {
+          problems.push(`${path} has no id`);
+        }
+        if (!isNonEmptyString(attachment.chatId)) {
+          problems.push(`${path} has no chatId`);
+        }
+      });
+    }
+
+    const chatIds = new Set();
+    (Array.isArray(data.chats) ? data.chats : []).forEach(chat => {
+      if (chat && chatIds.has(chat.id)) {
+        problems.push(`chat id "${chat.id}" appears more than once`);
+      }
+      chatIds.add(chat && chat.id);
+    });
+
+    if (problems.length > 0) {
+      const shown = problems.slice(0, this.MAX_REPORTED_PROBLEMS);
+      const more = problems.length - shown.length;
+      throw new Error(`Backup file is malformed:\n- ${shown.join('\n- ')}${more > 0 ? `\n- ...and ${more} more` : ''}`);
+    }
+  },
+
+  /**
+   * Restore a validated backup
+   * @param {Object} backup - Backup document
+   * @param {Object} options - { mode: 'merge'|'replace' }
+   * @returns {Promise<Object>} Report of what changed
+   */
+  async restoreBackup(backup, options = {}) {
+    const { mode = 'merge' } = options;
+
+    try {
+      this.validateBackup(backup);
+
+      const report = mode === 'replace'
+        ? await this._replaceLibrary(backup.data)
+        : await this._mergeLibrary(backup.data);
+
+      // Records from an older schema go through the same upgrades as stored data
+      const backupSchema = backup.schemaVersion || 0;
+      if (backupSchema < MigrationService.CURRENT_SCHEMA_VERSION) {
+        await StorageService.updateSettings({ schemaVersion: backupSchema });
+        report.migration = await MigrationService.run();
+      }
+
+      console.log(`[Backup] Restored backup (${mode}):`, report);
+      return report;
+    } catch (error) {
+      console.error('[Backup] Error restoring backup:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace the library with the backup contents
+   * @param {Object} data - Backup data section
+   * @returns {Promise<Object>} Report
+   */
+  async _replaceLibrary(data) {
+    const chatsById = {};
+    const labelsById = {};
+    data.chats.forEach(chat => {
+      chatsById[chat.id] = { ...chat, labelIds: chat.labelIds || [] };
+    });
+    data.labels.forEach(label => {
+      labelsById[label.id] = { ...label, chatIds: label.chatIds || [] };
+    });
+    this._linkLabels(chatsById, labelsById);
+    const attachments = this._settleAttachments(chatsById, Object.keys(chatsById), data.attachments || [], new Set());
+
+    // One transaction: a backup that fails to write leaves the current library untouched
+    await StorageService.replaceLibrary({
+      chats: Object.values(chatsById),
+      attachments: attachments.records,
+      labels: Object.values(labelsById),
+      suggestedLabels: data.suggestedLabels || []
+    });
+    await StorageService.savePreferredLabels(data.preferredLabels || []);
+
+    const settings = data.settings || {};
+    const restoredSettings = {};
+    this.PORTABLE_SETTINGS.forEach(key => {
+      restoredSettings[key] = settings[key] !== undefined ? settings[key] : null;
+    });
+    restoredSettings.totalChatsImported = settings.totalChatsImported || data.chats.length;
+    restoredSettings.syncCursors = settings.syncCursors || {};
+    await StorageService.updateSettings(restoredSettings);
+
+    return {
+      mode: 'replace',
+      chats: { added: data.chats.length, updated: 0, unchanged: 0, conflicts: 0 },
+      labels: { added: data.labels.length, merged: 0 },
+      suggestedLabels: (data.suggestedLabels || []).length,
+      attachments: { restored: attachments.records.length, missing: attachments.missing }
+    };
+  },
+
+  /**
+   * Merge the backup into the current library
+   * @param {Object} data - Backup data section
+   * @returns {Promise<Object>} Report
+   */
+  async _mergeLibrary(data) {
+    const [localChats, localLabels, localSuggested, settings, localAttachmentIds] = await Promise.all([
+      StorageService.getAllChats(),
+      StorageService.getAllLabels(),
+      StorageService.getAllSuggestedLabels(),
+      StorageService.getSettings(),
+      StorageService.getAttachmentIds()
+    ]);
+
+    const report = {
+      mode: 'merge',
+      chats: { added: 0, updated: 0, unchanged: 0, conflicts: 0 },
+      labels: { added: 0, merged: 0 },
+      suggestedLabels: 0,
+      attachments: { restored: 0, missing: 0 }
+    };
+
+    // Labels: same ID or same name (case-insensitive) are the same label
+    const labelsById = {};
+    Object.values(localLabels).forEach(label => {
+      labelsById[label.id] = { ...label, chatIds: [...(label.chatIds || [])] };
+    });
+    const labelsByName = new Map(Object.values(labelsById).map(label => [label.name.trim().toLowerCase(), label]));
+    const labelIdMap = {};
+    let nextPosition = Object.values(labelsById).reduce((max, label) =>
+      typeof label.position === 'number' ? Math.max(max, label.position) : max, -1) + 1;
+
+    data.labels.forEach(label => {
+      const match = labelsById[label.id] || labelsByName.get(label.name.trim().toLowerCase());
+      if (match) {
+        labelIdMap[label.id] = match.id;
+        match.chatIds = this._union(match.chatIds, label.chatIds || []);
+        report.labels.merged++;
+        return;
+      }
+
+      const added = { ...label, chatIds: [...(label.chatIds || [])], position: nextPosition++ };
+      labelIdMap[label.id] = added.id;
+      labelsById[added.id] = added;
+      labelsByName.set(added.name.trim().toLowerCase(), added);
+      report.labels.added++;
+    });
+
+    // Chats: conflicts by ID keep the more complete copy, label assignments are combined
+    const chatsById = {};
+    Object.values(localChats).forEach(chat => {
+      chatsById[chat.id] = { ...chat, labelIds: [...(chat.labelIds || [])] };
+    });
+    const touchedChatIds = new Set();
+
+    data.chats.forEach(chat => {
+      const incoming = {
+        ...chat,
+        labelIds: (chat.labelIds || []).map(labelId => labelIdMap[labelId] || labelId)
+      };
+      const local = chatsById[chat.id];
+
+      if (!local) {
+        chatsById[chat.id] = incoming;
+        touchedChatIds.add(chat.id);
+        report.chats.added++;
+        return;
+      }
+
+      const labelIds = this._union(local.labelIds, incoming.labelIds);
+      const keepIncoming = this._prefersIncoming(local, incoming);
+      if (SyncService.hasChanged(local, incoming)) {
+        report.chats.conflicts++;
+      }
+
+      if (keepIncoming) {
+        chatsById[chat.id] = { ...incoming, labelIds };
+        touchedChatIds.add(chat.id);
+        report.chats.updated++;
+      } else if (labelIds.length !== local.labelIds.length) {
+        chatsById[chat.id] = { ...local, labelIds };
+        touchedChatIds.add(chat.id);
+        report.chats.updated++;
+      } else {
+        report.chats.unchanged++;
+      }
+    });
+
+    // Label links may now point at chats on either side, so make both directions agree
+    const linkChanges = this._linkLabels(chatsById, labelsById);
+    linkChanges.forEach(chatId => touchedChatIds.add(chatId));
+
+    // Files of chats taken from the backup come from the backup; local ones stay usable
+    const attachments = this._settleAttachments(chatsById, [...touchedChatIds], data.attachments || [], new Set(localAttachmentIds));
+    report.attachments = { restored: attachments.records.length, missing: attachments.missing };
+
+    await StorageService.batchSaveChats([...touchedChatIds].map(chatId => chatsById[chatId]));
+    await StorageService.batchSaveAttachments(attachments.records);
+    await StorageService.batchSaveLabels(Object.values(labelsById));
+
+    const newSuggested = (data.suggestedLabels || []).filter(suggestedLabel => !localSuggested[suggestedLabel.id]);
+    if (newSuggested.length > 0) {
+      await StorageService.batchSaveSuggestedLabels(newSuggested);
+    }
+    report.suggestedLabels = newSuggested.length;
+
+    const localPreferred = Array.isArray(settings.preferredLabels) ? settings.preferredLabels : [];
+    const preferred = [...localPreferred];
+    (data.preferredLabels || []).forEach(name => {
+      const normalized = String(name || '').trim().toLowerCase();
+      if (normalized && !preferred.some(existing => existing.trim().toLowerCase() === normalized)) {
+        preferred.push(String(name).trim());
+      }
+    });
+    if (preferred.length !== localPreferred.length) {
+      await StorageService.savePreferredLabels(preferred.slice(0, this.MAX_PREFERRED_LABELS));
+    }
+
+    const backupSettings = data.settings || {};
+    await StorageService.updateSettings({
+      lastSync: Math.max(settings.lastSync || 0, backupSettings.lastSync || 0) || null,
+      totalChatsImported: (settings.totalChatsImported || 0) + report.chats.added,
+      // Keep this browser's cursors and only adopt ones for platforms it has never synced
+      syncCursors: { ...(backupSettings.syncCursors || {}), ...(settings.syncCursors || {}) }
+    });
+
+    return report;
+  },
+
+  /**
+   * HELPERS
+   */
+
+  /**
+   * Turn attachment records into their backup form
+   * @param {Array<Object>} records - Records with their blob
+   * @param {boolean} zip - Write blobs as ZIP entries (otherwise inline data URLs)
+   * @returns {Promise<{attachments: Array<Object>, files: Array<{name: string, data: Blob}>}>}
+   */
+  async _packAttachments(records, zip) {
+    const attachments = [];
+    const files = [];
+
+    for (const { blob, ...record } of records) {
+      if (!blob) {
+        attachments.push(record);
+      } else if (zip) {
+        const name = `${this.ATTACHMENT_FOLDER}${files.length}`;
+        files.push({ name, data: blob });
+        attachments.push({ ...record, file: name });
+      } else {
+        attachments.push({ ...record, dataUrl: await AttachmentService.blobToDataUrl(blob) });
+      }
+    }
+
+    return { attachments, files };
+  },
+
+  /**
+   * Turn backup attachment records back into store records
+   * Records whose file cannot be read are left out.
+   * @param {Array<Object>} attachments - Records as written by _packAttachments
+   * @param {Blob|null} zip - ZIP backup holding the files
+   * @param {Array<Object>|null} entries - Entries of that ZIP
+   * @returns {Promise<Array<Object>>} Records with their blob
+   */
+  async _unpackAttachments(attachments, zip, entries) {
+    const records = [];
+
+    for (const { file, dataUrl, ...record } of attachments) {
+      try {
+        let blob = null;
+        if (file) {
+          const entry = zip && entries.find(candidate => candidate.name === file);
+          if (!entry) {
+            throw new Error(`${file} is missing from the backup`);
+          }
+          blob = (await ZipUtils.readEntry(zip, entry)).slice(0, undefined, record.mimeType || '');
+        } else if (dataUrl) {
+          blob = AttachmentService.dataUrlToBlob(dataUrl);
+        }
+        records.push({ ...record, blob });
+      } catch (error) {
+        console.warn(`[Backup] Skipping attachment ${record.id}:`, error);
+      }
+    }
+
+    return records;
+  },
+
+  /**
+   * Pick the attachment records to write for the chats being saved, and drop
+   * (in place) message references to files that neither this library nor the
+   * backup has (files already stored are kept as they are)
+   * @param {Object} chatsById - Chats keyed by ID
+   * @param {Array<string>} chatIds - Chats that will be saved
+   * @param {Array<Object>} records - Attachment records from the backup
+   * @param {Set<string>} storedIds - IDs of attachment records already stored
+   * @returns {{records: Array<Object>, missing: number}}
+   */
+  _settleAttachments(chatsById, chatIds, records, storedIds) {
+    const recordsById = new Map(records.map(record => [record.id, record]));
+    const kept = [];
+    let missing = 0;
+
+    chatIds.forEach(chatId => {
+      const chat = chatsById[chatId];
+      if (!chat || !Array.isArray(chat.messages)) {
+        return;
+      }
+
+      chat.messages = chat.messages.map(message => {
+        if (!message || !Array.isArray(message.attachments) || message.attachments.length === 0) {
+          return message;
+        }
+
+        const attachments = message.attachments.filter(attachment => {
+          if (attachment && storedIds.has(attachment.id)) {
+            return true;
+          }
+          const record = attachment && recordsById.get(attachment.id);
+          if (record && record.chatId === chatId) {
+            kept.push(record);
+            return true;
+          }
+          missing++;
+          return false;
+        });
+
+        return attachments.length === message.attachments.length ? message : { ...message, attachments };
+      });
+    });
+
+    return { records: kept, missing };
+  },
+
+  /**
+   * Decide whether a backup copy of a chat should replace the local copy
+   * Prefers more messages, then a summarized copy, then the more recent one.
+   * @param {Object} local - Chat in storage
+   * @param {Object} incoming - Chat from the backup
+   * @returns {boolean}
+   */
+  _prefersIncoming(local, incoming) {
+    const localCount = (local.messages || []).length;
+    const incomingCount = (incoming.messages || []).length;
+    if (incomingCount !== localCount) {
+      return incomingCount > localCount;
+    }
+
+    const localSummarized = Boolean(local.processed && local.chatSummary);
+    const incomingSummarized = Boolean(incoming.processed && incoming.chatSummary);
+    if (incomingSummarized !== localSummarized) {
+      return incomingSummarized;
+    }
+
+    const localTime = local.updatedAt || local.date || 0;
+    const incomingTime = incoming.updatedAt || incoming.date || 0;
+    return incomingTime > localTime;
+  },
+
+  /**
+   * Make label.chatIds and chat.labelIds agree (in place), dropping dangling IDs
+   * @param {Object} chatsById - Chats keyed by ID
+   * @param {Object} labelsById - Labels keyed by ID
+   * @returns {Array<string>} IDs of chats whose labelIds changed
+   */
+  _linkLabels(chatsById, labelsById) {
+    const chatIdsByLabel = {};
+    const labelIdsByChat = {};
+    const link = (chatId, labelId) => {
+      if (!chatsById[chatId] || !labelsById[labelId]) {
+        return;
+      }
+      (chatIdsByLabel[labelId] = chatIdsByLabel[labelId] || new Set()).add(chatId);
+      (labelIdsByChat[chatId] = labelIdsByChat[chatId] || new Set()).add(labelId);
+    };
+
+    Object.values(labelsById).forEach(label => {
+      (label.chatIds || []).forEach(chatId => link(chatId, label.id));
+    });
+    Object.values(chatsById).forEach(chat => {
+      (chat.labelIds || []).forEach(labelId => link(chat.id, labelId));
+    });
+
+    Object.values(labelsById).forEach(label => {
+      label.chatIds = [...(chatIdsByLabel[label.id] || [])];
+      label.mindMapData = MindMap.pruneChats(label.mindMapData, label.chatIds) || label.mindMapData || null;
+      label.quizData = Quiz.pruneChats(label.quizData, label.chatIds) || label.quizData || null;
+    });
+
+    const changed = [];
+    Object.values(chatsById).forEach(chat => {
+      const labelIds = [...(labelIdsByChat[chat.id] || [])];
+      if (labelIds.length !== (chat.labelIds || []).length) {
+        changed.push(chat.id);
+      }
+      chat.labelIds = labelIds;
+    });
+
+    return changed;
+  },
+
+  /**
+   * Union of two ID lists, keeping the order of the first
+   * @param {Array<string>} first - IDs
+   * @param {Array<string>} second - IDs
+   * @returns {Array<string>}
+   */
+  _union(first, second) {
+    return [...new Set([...(first || []), ...(second || [])])];
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BackupService;
+}
@@ -0,0 +1,833 @@
+/**
+ * ExportImporter - Converts official platform data exports into AI-ReCap chats
+ *
+ * Produces the same chat objects the scrapers do ({ id, platform, title, url,
+ * date, createdAt, updatedAt, importedAt, model, messages, messageTree,
+ * artifacts, rawContent, processed, labelIds }), with the real timestamps the exports carry (per
+ * message too), so they can be stored with StorageService.batchSaveChats
+ * without opening a single tab.
+ * Chat IDs use the scraper prefixes (chatgpt-, claude-, gemini-) so exported
+ * chats dedupe against scraped ones, and every chat is marked source: 'export'.
+ *
+ * Supported exports:
+ * - ChatGPT "Export data": ZIP or conversations.json (message `mapping` tree)
+ * - Claude "Export data": ZIP or conversations.json (`chat_messages`)
+ * - Google Takeout "My Activity > Gemini Apps": ZIP, MyActivity.json or MyActivity.html
+ */
+
+const ExportImporter = {
+  // Takeout path of the Gemini Apps activity file inside the archive
+  GEMINI_ACTIVITY_PATTERN: /Gemini Apps\/MyActivity\.(json|html?)$/i,
+
+  // Activity entries further apart than this start a new Gemini conversation
+  GEMINI_SESSION_GAP: 30 * 60 * 1000,
+
+  MAX_TITLE_LENGTH: 80,
+
+  /**
+   * Read an export file picked by the user and convert it into chats
+   * @param {File} file - ZIP archive or JSON file
+   * @returns {Promise<{platform: string, chats: Array<Object>}>}
+   */
+  async parseExportFile(file) {
+    if (!file) {
+      throw new Error('No file selected');
+    }
+
+    let text;
+    let isHtml = /\.html?$/i.test(file.name || '');
+
+    if (await ZipUtils.isZip(file)) {
+      const entries = await ZipUtils.listEntries(file);
+      const entry = ZipUtils.findEntry(entries, 'conversations.json') ||
+        entries.find(item => this.GEMINI_ACTIVITY_PATTERN.test(item.name));
+
+      if (!entry) {
+        throw new Error('No conversations.json or Gemini Apps activity file was found in the ZIP file');
+      }
+
+      isHtml = /\.html?$/i.test(entry.name);
+      text = await ZipUtils.readEntryText(file, entry);
+    } else {
+      text = await file.text();
+    }
+
+    if (isHtml) {
+      return { platform: 'gemini', chats: this.parseGeminiActivityHtml(text) };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The export file is not valid JSON');
+    }
+
+    if (this.isChatgptExport(data)) {
+      return { platform: 'chatgpt', chats: this.parseChatgptExport(data) };
+    }
+
+    if (this.isClaudeExport(data)) {
+      return { platform: 'claude', chats: this.parseClaudeExport(data) };
+    }
+
+    if (this.isGeminiActivityExport(data)) {
+      return { platform: 'gemini', chats: this.parseGeminiActivity(data) };
+    }
+
+    throw new Error('Unrecognized export format');
+  },
+
+  /**
+   * CHATGPT EXPORT
+   */
+
+  /**
+   * Check whether parsed JSON is a ChatGPT conversations.json
+   * @param {*} data - Parsed JSON
+   * @returns {boolean}
+   */
+  isChatgptExport(data) {
+    return Array.isArray(data) && data.length > 0 && data.every(item =>
+      item && typeof item === 'object' && item.mapping && typeof item.mapping === 'object'
+    );
+  },
+
+  /**
+   * Convert a ChatGPT conversations.json into chat objects
+   * @param {Array<Object>} conversations - Parsed conversations.json
+   * @returns {Array<Object>} Chats ready for batchSaveChats
+   */
+  parseChatgptExport(conversations) {
+    const chats = [];
+
+    conversations.forEach(conversation => {
+      try {
+        const chat = this._convertChatgptConversation(conversation);
+        if (chat) {
+          chats.push(chat);
+        }
+      } catch (error) {
+        console.error('[Export Importer] Error converting ChatGPT conversation:', error);
+      }
+    });
+
+    console.log(`[Export Importer] Converted ${chats.length}/${conversations.length} ChatGPT conversations`);
+    return chats;
+  },
+
+  /**
+   * Convert one ChatGPT export conversation
+   * @param {Object} conversation - Conversation with title, mapping, current_node, timestamps
+   * @returns {Object|null} Chat object or null when it has no usable messages
+   */
+  _convertChatgptConversation(conversation) {
+    const conversationId = conversation.conversation_id || conversation.id;
+    if (!conversationId) {
+      return null;
+    }
+
+    const messages = [];
+    const canvasEvents = [];
+    let model = null;
+    const activePath = this._getChatgptActivePath(conversation);
+    activePath.forEach(node => {
+      // Canvas writes are tool calls belonging to the reply they are part of
+      const recipient = node.message && String(node.message.recipient || '');
+      if (recipient && recipient.startsWith('canmore.') && node.message.content) {
+        const previous = messages[messages.length - 1];
+        const event = Artifacts.fromCanvasCall(
+          recipient,
+          node.message.content.text || (node.message.content.parts || [])[0],
+          previous && previous.role === 'assistant' ? messages.length - 1 : messages.length
+        );
+        if (event) {
+          canvasEvents.push(event);
+        }
+      }
+
+      const message = this._convertChatgptMessage(node.message);
+      if (!message) {
+        return;
+      }
+
+      const slug = node.message.metadata && node.message.metadata.model_slug;
+      if (message.role === 'assistant' && slug) {
+        model = slug;
+      }
+
+      // Tool calls split one assistant turn into several nodes; keep one message per turn
+      const previous = messages[messages.length - 1];
+      if (previous && previous.role === message.role && message.role === 'assistant') {
+        previous.content = `${previous.content}\n\n${message.content}`;
+      } else {
+        messages.push(message);
+      }
+    });
+
+    if (messages.length === 0) {
+      return null;
+    }
+
+    const createdAt = this._toMillis(conversation.create_time);
+    const updatedAt = this._toMillis(conversation.update_time) || createdAt;
+    const leaf = activePath[activePath.length - 1];
+    const messageTree = MessageTree.attachToMessages(
+      messages,
+      MessageTree.fromNodes(this._getChatgptTreeNodes(conversation), leaf ? leaf.id : null)
+    );
+
+    return {
+      id: `chatgpt-${conversationId}`,
+      platform: 'chatgpt',
+      title: (conversation.title || '').trim() || 'Untitled Conversation',
+      url: `https://chatgpt.com/c/${conversationId}`,
+      date: updatedAt || Date.now(),
+      createdAt,
+      updatedAt,
+      importedAt: Date.now(),
+      model: model || conversation.default_model_slug || null,
+      messages,
+      messageTree,
+      artifacts: Artifacts.fromEvents(canvasEvents),
+      rawContent: this._buildRawContent(messages),
+      processed: false,
+      labelIds: [],
+      source: 'export'
+    };
+  },
+
+  /**
+   * Walk the mapping tree from current_node up to the root
+   * The mapping holds every edit/regeneration branch; current_node marks the
+   * branch that was visible when the export was made.
+   * @param {Object} conversation - Export conversation
+   * @returns {Array<Object>} Nodes from root to leaf
+   */
+  _getChatgptActivePath(conversation) {
+    const mapping = conversation.mapping || {};
+    let nodeId = conversation.current_node;
+
+    // Older exports may lack current_node: follow the last child from the root instead
+    if (!nodeId || !mapping[nodeId]) {
+      const root = Object.values(mapping).find(node => !node.parent || !mapping[node.parent]);
+      let node = root;
+      while (node && Array.isArray(node.children) && node.children.length > 0) {
+        node = mapping[node.children[node.children.length - 1]];
+      }
+      nodeId = node ? node.id : null;
+    }
+
+    const path = [];
+    const visited = new Set();
+    while (nodeId && mapping[nodeId] && !visited.has(nodeId)) {
+      visited.add(nodeId);
+      path.push(mapping[nodeId]);
+      nodeId = mapping[nodeId].parent;
+    }
+
+    return path.reverse();
+  },
+
+  /**
+   * Every node of the mapping tree as MessageTree raw nodes
+   * Breadth first, so siblings keep the order of ChatGPT's branch navigator;
+   * nodes that are not shown as messages get no role and are skipped by MessageTree.
+   * @param {Object} conversation - Export conversation
+   * @returns {Array<Object>}
+   */
+  _getChatgptTreeNodes(conversation) {
+    const mapping = conversation.mapping || {};
+    const rawNodes = [];
+    const seen = new Set();
+    const pending = Object.values(mapping).filter(node => !node.parent || !mapping[node.parent]);
+
+    while (pending.length > 0) {
+      const node = pending.shift();
+      if (!node || seen.has(node.id)) {
+        continue;
+      }
+      seen.add(node.id);
+
+      const message = this._convertChatgptMessage(node.message);
+      rawNodes.push({
+        id: node.id,
+        parentId: node.parent || null,
+        role: message ? message.role : null,
+        content: message ? message.content : '',
+        timestamp: message ? message.timestamp : null
+      });
+      (Array.isArray(node.children) ? node.children : []).forEach(childId => pending.push(mapping[childId]));
+    }
+
+    return rawNodes;
+  },
+
+  /**
+   * Convert a ChatGPT export message into { role, content, timestamp }
+   * Skips system/tool messages, hidden context and non-text content.
+   * @param {Object} message - Export message
+   * @returns {Object|null}
+   */
+  _convertChatgptMessage(message) {
+    if (!message || !message.author || !message.content) {
+      return null;
+    }
+
+    const role = message.author.role;
+    if (role !== 'user' && role !== 'assistant') {
+      return null;
+    }
+
+    const metadata = message.metadata || {};
+    if (metadata.is_visually_hidden_from_conversation) {
+      return null;
+    }
+
+    // Assistant messages addressed to a tool (browsing, python...) are not shown to the user
+    if (role === 'assistant' && message.recipient && message.recipient !== 'all') {
+      return null;
+    }
+
+    const { content_type: contentType, parts } = message.content;
+    if (contentType !== 'text' && contentType !== 'multimodal_text') {
+      return null;
+    }
+
+    const textParts = [];
+    const attachmentTokens = [];
+
+    (Array.isArray(parts) ? parts : []).forEach(part => {
+      if (typeof part === 'string') {
+        if (part.trim()) {
+          textParts.push(part.trim());
+        }
+      } else if (part && typeof part === 'object') {
+        if (part.content_type === 'image_asset_pointer') {
+          attachmentTokens.push('[IMAGE]');
+        } else if (typeof part.text === 'string' && part.text.trim()) {
+          textParts.push(part.text.trim());
+        }
+      }
+    });
+
+    (Array.isArray(metadata.attachments) ? metadata.attachments : []).forEach(attachment => {
+      if (attachment && attachment.name) {
+        attachmentTokens.push(`[${String(attachment.name).replace(/[\[\]]/g, '').trim()}]`);
+      }
+    });
+
+    let content = textParts.join('\n\n');
+    const tokensToPrefix = [...new Set(attachmentTokens)].filter(token => !content.includes(token));
+    if (tokensToPrefix.length > 0) {
+      content = `${tokensToPrefix.join(' ')} ${content}`.trim();
+    }
+
+    if (!content) {
+      return null;
+    }
+
+    return { role, content, timestamp: this._toMillis(message.create_time) };
+  },
+
+  /**
+   * CLAUDE EXPORT
+   */
+
+  /**
+   * Check whether parsed JSON is a Claude conversations.json
+   * @param {*} data - Parsed JSON
+   * @returns {boolean}
+   */
+  isClaudeExport(data) {
+    return Array.isArray(data) && data.length > 0 && data.every(item =>
+      item && typeof item === 'object' && item.uuid && Array.isArray(item.chat_messages)
+    );
+  },
+
+  /**
+   * Convert a Claude conversations.json into chat objects
+   * @param {Array<Object>} conversations - Parsed conversations.json
+   * @returns {Array<Object>} Chats ready for batchSaveChats
+   */
+  parseClaudeExport(conversations) {
+    const chats = [];
+
+    conversations.forEach(conversation => {
+      try {
+        const chat = this._convertClaudeConversation(conversation);
+        if (chat) {
+          chats.push(chat);
+        }
+      } catch (error) {
+        console.error('[Export Importer] Error converting Claude conversation:', error);
+      }
+    });
+
+    console.log(`[Export Importer] Converted ${chats.length}/${conversations.length} Claude conversations`);
+    return chats;
+  },
+
+  /**
+   * Convert one Claude export conversation
+   * @param {Object} conversation - Conversation with uuid, name, chat_messages, timestamps
+   * @returns {Object|null} Chat object or null when it has no usable messages
+   */
+  _convertClaudeConversation(conversation) {
+    const messages = [];
+    const artifactEvents = [];
+
+    conversation.chat_messages.forEach(chatMessage => {
+      const role = chatMessage.sender === 'human' ? 'user' : chatMessage.sender === 'assistant' ? 'assistant' : null;
+      if (!role) {
+        return;
+      }
+
+      // Newer exports split a message into typed content blocks; older ones only have `text`
+      let content = '';
+      if (Array.isArray(chatMessage.content) && chatMessage.content.length > 0) {
+        content = chatMessage.content
+          .filter(block => block && block.type === 'text' && typeof block.text === 'string')
+          .map(block => block.text.trim())
+          .filter(Boolean)
+          .join('\n\n');
+      }
+      if (!content && typeof chatMessage.text === 'string') {
+        content = chatMessage.text.trim();
+      }
+
+      const attachmentNames = [
+        ...(Array.isArray(chatMessage.attachments) ? chatMessage.attachments : []),
+        ...(Array.isArray(chatMessage.files) ? chatMessage.files : [])
+      ]
+        .map(file => file && (file.file_name || file.name))
+        .filter(Boolean);
+
+      const tokens = [...new Set(attachmentNames)]
+        .map(name => `[${String(name).replace(/[\[\]]/g, '').trim()}]`)
+        .filter(token => !content.includes(token));
+
+      if (tokens.length > 0) {
+        content = `${tokens.join(' ')} ${content}`.trim();
+      }
+
+      if (content) {
+        messages.push({ role, content, timestamp: this._toMillis(chatMessage.created_at) });
+      }
+
+      // Artifacts are written by `artifacts` tool calls in the message's content blocks
+      (Array.isArray(chatMessage.content) ? chatMessage.content : [])
+        .filter(block => block && block.type === 'tool_use' && block.name === 'artifacts')
+        .forEach(block => {
+          const event = Artifacts.fromClaudeToolUse(block.input, messages.length - 1);
+          if (event) {
+            artifactEvents.push(event);
+          }
+        });
+    });
+
+    if (messages.length === 0) {
+      return null;
+    }
+
+    const createdAt = this._toMillis(conversation.created_at);
+    const updatedAt = this._toMillis(conversation.updated_at) || createdAt;
+
+    return {
+      id: `claude-${conversation.uuid}`,
+      platform: 'claude',
+      title: (conversation.name || '').trim() || 'Untitled Conversation',
+      url: `https://claude.ai/chat/${conversation.uuid}`,
+      date: updatedAt || Date.now(),
+      createdAt,
+      updatedAt,
+      importedAt: Date.now(),
+      // Only some exports record the model
+      model: conversation.model || null,
+      messages,
+      artifacts: Artifacts.fromEvents(artifactEvents),
+      rawContent: this._buildRawContent(messages),
+      processed: false,
+      labelIds: [],
+      source: 'export'
+    };
+  },
+
+  /**
+   * GEMINI (GOOGLE TAKEOUT) EXPORT
+   * Takeout only records individual prompts as activity entries, so entries are
+   * grouped into conversations by their Gemini conversation URL when present
+   * and otherwise by time (a gap of GEMINI_SESSION_GAP starts a new chat).
+   */
+
+  /**
+   * Check whether parsed JSON is a Takeout My Activity file for Gemini Apps
+   * @param {*} data - Parsed JSON
+   * @returns {boolean}
+   */
+  isGeminiActivityExport(data) {
+    return Array.isArray(data) && data.length > 0 && data.some(item =>
+      item && typeof item === 'object' && typeof item.title === 'string' && item.time &&
+      ((Array.isArray(item.products) && item.products.some(product => /gemini/i.test(product))) ||
+        /gemini/i.test(item.header || ''))
+    );
+  },
+
+  /**
+   * Convert Takeout MyActivity.json entries into chat objects
+   * @param {Array<Object>} activities - Parsed MyActivity.json
+   * @returns {Array<Object>} Chats ready for batchSaveChats
+   */
+  parseGeminiActivity(activities) {
+    const turns = [];
+    let unrecognized = 0;
+
+    activities.forEach(activity => {
+      const prompt = this._extractGeminiPrompt(activity && activity.title);
+      if (!prompt) {
+        // Entries with a response are prompts whose title uses another wording
+        if (activity && Array.isArray(activity.safeHtmlItem) && activity.safeHtmlItem.length > 0) {
+          unrecognized++;
+        }
+        return;
+      }
+
+      const responseHtml = (Array.isArray(activity.safeHtmlItem) ? activity.safeHtmlItem : [])
+        .map(item => item && item.html)
+        .filter(Boolean)
+        .join('\n');
+
+      turns.push({
+        time: this._toMillis(activity.time),
+        prompt,
+        response: this._htmlToText(responseHtml),
+        attachments: Array.isArray(activity.attachedFiles) ? activity.attachedFiles : [],
+        conversationId: this._extractGeminiConversationId(activity.titleUrl)
+      });
+    });
+
+    this._checkGeminiPromptsRecognized(turns, unrecognized);
+    return this._groupGeminiTurns(turns);
+  },
+
+  /**
+   * Convert a Takeout MyActivity.html file into chat objects
+   * @param {string} html - MyActivity.html contents
+   * @returns {Array<Object>} Chats ready for batchSaveChats
+   */
+  parseGeminiActivityHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const turns = [];
+    let unrecognized = 0;
+
+    doc.querySelectorAll('.outer-cell').forEach(cell => {
+      try {
+        const contentCell = cell.querySelector('.content-cell');
+        if (!contentCell) {
+          return;
+        }
+
+        // The cell reads: "Prompted <prompt>" <br> <date> <br> <response markup>
+        const segments = [[]];
+        contentCell.childNodes.forEach(node => {
+          if (node.nodeName === 'BR' && segments.length < 3) {
+            segments.push([]);
+          } else {
+            segments[segments.length - 1].push(node);
+          }
+        });
+
+        const segmentText = nodes => nodes.map(node => node.textContent).join('').trim();
+        const prompt = this._extractGeminiPrompt(segmentText(segments[0] || []));
+        if (!prompt) {
+          // Cells with a response segment are prompts whose title uses another wording
+          if (segments.length === 3 && segmentText(segments[2])) {
+            unrecognized++;
+          }
+          return;
+        }
+
+        const time = this._parseActivityDate(segmentText(segments[1] || []));
+        const responseContainer = doc.createElement('div');
+        (segments[2] || []).forEach(node => responseContainer.appendChild(node.cloneNode(true)));
+
+        const link = contentCell.querySelector('a[href*="gemini.google.com/app/"]');
+
+        turns.push({
+          time,
+          prompt,
+          response: this._htmlToText(responseContainer.innerHTML),
+          attachments: [],
+          conversationId: this._extractGeminiConversationId(link && link.getAttribute('href'))
+        });
+      } catch (error) {
+        console.error('[Export Importer] Error reading Gemini activity cell:', error);
+      }
+    });
+
+    this._checkGeminiPromptsRecognized(turns, unrecognized);
+    return this._groupGeminiTurns(turns);
+  },
+
+  /**
+   * Group Gemini activity turns into conversations
+   * @param {Array<Object>} turns - { time, prompt, response, attachments, conversationId }
+   * @returns {Array<Object>} Chat objects
+   */
+  _groupGeminiTurns(turns) {
+    const sorted = turns
+      .filter(turn => turn.time)
+      .sort((a, b) => a.time - b.time);
+
+    const sessions = [];
+    const sessionsById = {};
+    let current = null;
+
+    sorted.forEach(turn => {
+      if (turn.conversationId) {
+        if (!sessionsById[turn.conversationId]) {
+          sessionsById[turn.conversationId] = { conversationId: turn.conversationId, turns: [] };
+          sessions.push(sessionsById[turn.conversationId]);
+        }
+        sessionsById[turn.conversationId].turns.push(turn);
+        return;
+      }
+
+      const lastTurn = current ? current.turns[current.turns.length - 1] : null;
+      if (!current || turn.time - lastTurn.time > this.GEMINI_SESSION_GAP) {
+        current = { conversationId: null, turns: [] };
+        sessions.push(current);
+      }
+      current.turns.push(turn);
+    });
+
+    const chats = sessions.map(session => this._convertGeminiSession(session));
+    console.log(`[Export Importer] Grouped ${sorted.length} Gemini activity entries into ${chats.length} conversations`);
+    return chats;
+  },
+
+  /**
+   * Convert a group of Gemini activity turns into a chat
+   * @param {{conversationId: string|null, turns: Array<Object>}} session - Grouped turns
+   * @returns {Object} Chat object
+   */
+  _convertGeminiSession(session) {
+    const messages = [];
+
+    session.turns.forEach(turn => {
+      const tokens = turn.attachments
+        .map(name => `[${String(name).replace(/[\[\]]/g, '').trim()}]`)
+        .filter(token => !turn.prompt.includes(token));
+      const userContent = tokens.length > 0 ? `${tokens.join(' ')} ${turn.prompt}` : turn.prompt;
+
+      messages.push({ role: 'user', content: userContent, timestamp: turn.time });
+      if (turn.response) {
+        messages.push({ role: 'assistant', content: turn.response, timestamp: turn.time });
+      }
+    });
+
+    const firstTurn = session.turns[0];
+    const lastTurn = session.turns[session.turns.length - 1];
+
+    // Activity-only sessions have no Gemini ID; derive a stable one so re-imports dedupe
+    const id = session.conversationId
+      ? `gemini-${session.conversationId}`
+      : `gemini-activity-${this._hashString(`${firstTurn.time}|${firstTurn.prompt}`)}`;
+
+    return {
+      id,
+      platform: 'gemini',
+      title: this._truncateTitle(firstTurn.prompt),
+      url: session.conversationId
+        ? `https://gemini.google.com/app/${session.conversationId}`
+        : 'https://gemini.google.com/app',
+      date: lastTurn.time,
+      createdAt: firstTurn.time,
+      updatedAt: lastTurn.time,
+      importedAt: Date.now(),
+      // Takeout activity does not record the model
+      model: null,
+      messages,
+      rawContent: this._buildRawContent(messages),
+      processed: false,
+      labelIds: [],
+      source: 'export'
+    };
+  },
+
+  /**
+   * Strip the "Prompted" verb Takeout puts in front of each prompt
+   * @param {string} title - Activity title
+   * @returns {string|null} Prompt text, or null for non-prompt activity
+   */
+  _extractGeminiPrompt(title) {
+    if (typeof title !== 'string') {
+      return null;
+    }
+
+    const match = title.replace(/\u00a0/g, ' ').match(/^\s*Prompted\s+([\s\S]+)$/);
+    return match ? match[1].trim() : null;
+  },
+
+  /**
+   * Fail with an explanation when the activity has prompts but none could be read
+   * Takeout words activity titles in the account language, and only the
+   * English "Prompted" title is understood.
+   * @param {Array<Object>} turns - Recognized turns
+   * @param {number} unrecognized - Entries with a response whose prompt was not recognized
+   */
+  _checkGeminiPromptsRecognized(turns, unrecognized) {
+    if (turns.length === 0 && unrecognized > 0) {
+      throw new Error(`No Gemini prompts were recognized in ${unrecognized} activity ${unrecognized === 1 ? 'entry' : 'entries'}. ` +
+        'Only Takeout exports in English ("Prompted ...") can be read: set your Google Account language to English and export again.');
+    }
+  },
+
+  /**
+   * Pull the Gemini conversation ID out of an activity link
+   * @param {string} url - Activity URL
+   * @returns {string|null}
+   */
+  _extractGeminiConversationId(url) {
+    if (typeof url !== 'string') {
+      return null;
+    }
+
+    const match = url.match(/gemini\.google\.com\/app\/([a-zA-Z0-9]+)/);
+    return match ? match[1] : null;
+  },
+
+  /**
+   * Parse the human-readable date printed in MyActivity.html
+   * e.g. "Oct 1, 2025, 10:00:00 AM PDT"
+   * @param {string} text - Date text
+   * @returns {number|null}
+   */
+  _parseActivityDate(text) {
+    if (!text) {
+      return null;
+    }
+
+    const normalized = text
+      .replace(/[\u202f\u00a0]/g, ' ')
+      .replace(/\s+[A-Z]{2,5}$/, '')
+      .trim();
+    const parsed = Date.parse(normalized);
+    return Number.isNaN(parsed) ? null : parsed;
+  },
+
+  /**
+   * HELPERS
+   */
+
+  /**
+   * Build rawContent the same way the scrapers do
+   * @param {Array<Object>} messages - { role, content }
+   * @returns {string}
+   */
+  _buildRawContent(messages) {
+    return messages
+      .map(message => `[${message.role.toUpperCase()}]\n${message.content}`)
+      .join('\n\n');
+  },
+
+  /**
+   * Convert response HTML into readable plain text
+   * @param {string} html - HTML snippet
+   * @returns {string}
+   */
+  _htmlToText(html) {
+    if (!html) {
+      return '';
+    }
+
+    if (typeof DOMParser === 'undefined') {
+      return html.replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div|li|h[1-6]|pre|tr)>/gi, '\n').replace(/<[^>]+>/g, '').trim();
+    }
+
+    const doc = new DOMParser().parseFromString(`<div>${html}</div>`, 'text/html');
+    const blockTags = new Set(['P', 'DIV', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'PRE', 'TR', 'BLOCKQUOTE', 'UL', 'OL', 'TABLE']);
+    let text = '';
+
+    const walk = node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        text += node.textContent;
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        return;
+      }
+      if (node.nodeName === 'BR') {
+        text += '\n';
+        return;
+      }
+      if (node.nodeName === 'LI') {
+        text += '- ';
+      }
+      node.childNodes.forEach(walk);
+      if (blockTags.has(node.nodeName)) {
+        text += '\n';
+      }
+    };
+
+    walk(doc.body);
+    return text.replace(/\n{3,}/g, '\n\n').trim();
+  },
+
+  /**
+   * Truncate a prompt into a chat title at a word boundary
+   * @param {string} text - Prompt text
+   * @returns {string}
+   */
+  _truncateTitle(text) {
+    const singleLine = (text || '').replace(/\s+/g, ' ').trim();
+    if (!singleLine) {
+      return 'Untitled Conversation';
+    }
+    if (singleLine.length <= this.MAX_TITLE_LENGTH) {
+      return singleLine;
+    }
+
+    const cut = singleLine.slice(0, this.MAX_TITLE_LENGTH);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > 40 ? cut.slice(0, lastSpace) : cut).trim()}...`;
+  },
+
+  /**
+   * Small stable string hash (FNV-1a) used for derived IDs
+   * @param {string} value - Input string
+   * @returns {string} Base-36 hash
+   */
+  _hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  },
+
+  /**
+   * Convert an export timestamp (seconds, milliseconds or ISO string) to milliseconds
+   * @param {number|string|null} value - Timestamp
+   * @returns {number|null}
+   */
+  _toMillis(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    if (typeof value === 'number') {
+      // Unix seconds (possibly fractional) vs milliseconds
+      return value < 1e12 ? Math.round(value * 1000) : Math.round(value);
+    }
+
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExportImporter;
+}
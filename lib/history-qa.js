@@ -0,0 +1,174 @@
+/**
+ * HistoryQA - Retrieval for "Ask your history"
+ *
+ * Answers are grounded in the user's own conversations in two steps:
+ * 1. The full-text index (StorageService.searchChats) picks the chats most
+ *    relevant to the question, optionally limited to one label.
+ * 2. Those chats are split into message pairs (pair summary + the exchange
+ *    itself) and the pairs are ranked against the question with BM25.
+ *
+ * The top pairs become numbered sources that AIService.answerFromHistory
+ * cites inline as [1], [2], ...
+ */
+
+const HistoryQA = {
+  MAX_CHATS: 8,
+  MAX_SOURCES: 8,
+  MAX_EXCERPT_LENGTH: 420,
+
+  // Words that phrase a question about the history rather than its subject
+  QUESTION_WORDS: new Set([
+    'about', 'across', 'all', 'any', 'asked', 'chat', 'chats', 'conversation', 'conversations',
+    'did', 'does', 'explain', 'know', 'learn', 'learned', 'learnt', 'tell', 'there', 'they',
+    'were', 'where', 'who', 'why', 'will', 'would', 'should', 'could'
+  ]),
+
+  /**
+   * Find the passages most relevant to a question
+   * @param {string} question - User question
+   * @param {Object} options - { labelId: limit to one label (null for the whole library) }
+   * @returns {Promise<Array<{number: number, chatId: string, title: string, url: string, platform: string, pairIndex: number, summary: string, excerpt: string}>>}
+   */
+  async retrieve(question, options = {}) {
+    const { labelId = null } = options;
+
+    try {
+      const query = this._toQuery(question);
+      if (!query) {
+        return [];
+      }
+
+      let scopeIds = null;
+      if (labelId) {
+        const label = await StorageService.getLabel(labelId);
+        scopeIds = new Set((label && label.chatIds) || []);
+      }
+
+      // Rank chats by relevance alone; searchChats favors chats matching every term
+      const { hits } = await StorageService.searchChats(query, {
+        limit: scopeIds ? Number.MAX_SAFE_INTEGER : 200
+      });
+      const chatIds = hits
+        .filter(hit => !scopeIds || scopeIds.has(hit.chatId))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.MAX_CHATS)
+        .map(hit => hit.chatId);
+
+      if (chatIds.length === 0) {
+        return [];
+      }
+
+      const chatsById = await StorageService.getChats(chatIds);
+      const passages = [];
+
+      chatIds.forEach((chatId, chatRank) => {
+        const chat = chatsById[chatId];
+        if (!chat || chat.excludeFromLibrary) {
+          return;
+        }
+
+        const pairs = SyncService.buildMessagePairs(chat.messages);
+        const summaries = Array.isArray(chat.messagePairSummaries) ? chat.messagePairSummaries : [];
+        const count = Math.max(pairs.length, summaries.length);
+
+        for (let pairIndex = 0; pairIndex < count; pairIndex++) {
+          const pair = pairs[pairIndex] || { user: '', assistant: '' };
+          passages.push({
+            chat,
+            chatRank,
+            pairIndex,
+            summary: summaries[pairIndex] || '',
+            user: pair.user,
+            assistant: pair.assistant
+          });
+        }
+      });
+
+      const ranked = this._rankPassages(passages, query);
+
+      return ranked.slice(0, this.MAX_SOURCES).map((passage, index) => ({
+        number: index + 1,
+        chatId: passage.chat.id,
+        title: passage.chat.title,
+        url: passage.chat.url,
+        platform: passage.chat.platform,
+        pairIndex: passage.pairIndex,
+        summary: passage.summary,
+        excerpt: this._excerpt(passage)
+      }));
+    } catch (error) {
+      console.error('[History QA] Error retrieving sources:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Rank message pairs against the query with BM25
+   * Summaries are weighted above raw text; ties go to the better-ranked chat.
+   * @param {Array<Object>} passages - Candidate pairs
+   * @param {string} query - Search query
+   * @returns {Array<Object>} Matching passages, best first
+   */
+  _rankPassages(passages, query) {
+    const queryTerms = SearchIndex.parseQuery(`${query} `);
+    if (queryTerms.length === 0 || passages.length === 0) {
+      return [];
+    }
+
+    const docs = passages.map((passage, index) => ({
+      chatId: String(index),
+      ...SearchIndex.weighTerms([
+        [passage.summary, SearchIndex.FIELD_WEIGHTS.messagePairSummaries],
+        [passage.user, SearchIndex.FIELD_WEIGHTS.messages],
+        [passage.assistant, SearchIndex.FIELD_WEIGHTS.messages]
+      ])
+    }));
+
+    const totalLength = docs.reduce((sum, doc) => sum + doc.length, 0);
+    const { hits } = SearchIndex.rank(docs, queryTerms, {
+      totalDocs: docs.length,
+      avgLength: totalLength / docs.length
+    });
+
+    return hits
+      .filter(hit => hit.score > 0)
+      .map(hit => ({ ...passages[Number(hit.chatId)], score: hit.score }))
+      .sort((a, b) => b.score - a.score || a.chatRank - b.chatRank);
+  },
+
+  /**
+   * Strip question phrasing so retrieval matches on the subject
+   * @param {string} question - User question
+   * @returns {string} Query text ('' if nothing searchable is left)
+   */
+  _toQuery(question) {
+    const terms = SearchIndex.tokenize(question).filter(term => !this.QUESTION_WORDS.has(term));
+    return terms.join(' ');
+  },
+
+  /**
+   * Shorten a pair to an excerpt for the prompt
+   * @param {Object} passage - Ranked passage
+   * @returns {string}
+   */
+  _excerpt(passage) {
+    const clip = text => {
+      const value = String(text || '').replace(/\s+/g, ' ').trim();
+      return value.length > this.MAX_EXCERPT_LENGTH ? `${value.slice(0, this.MAX_EXCERPT_LENGTH)}...` : value;
+    };
+
+    const parts = [];
+    if (passage.user) {
+      parts.push(`User: ${clip(passage.user)}`);
+    }
+    if (passage.assistant) {
+      parts.push(`Assistant: ${clip(passage.assistant)}`);
+    }
+    return parts.join('\n');
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HistoryQA;
+}
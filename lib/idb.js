@@ -0,0 +1,102 @@
+/**
+ * IDBService - Thin promise wrapper around IndexedDB for AI-ReCap
+ *
+ * Extension pages (popup) and the service worker share the extension origin,
+ * so they see the same databases. Only the handful of operations the storage
+ * layer needs are wrapped here; schema lives with the caller.
+ */
+
+const IDBService = {
+  /**
+   * Open (and upgrade if needed) a database
+   * @param {string} name - Database name
+   * @param {number} version - Schema version
+   * @param {Function} onUpgrade - (db, oldVersion, transaction) => void
+   * @returns {Promise<IDBDatabase>}
+   */
+  open(name, version, onUpgrade) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, version);
+
+      request.onupgradeneeded = (event) => {
+        onUpgrade(request.result, event.oldVersion, request.transaction);
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version in another context take over instead of blocking it
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn(`[IDB] Opening ${name} is blocked by another connection`);
+    });
+  },
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request - Request to await
+   * @returns {Promise<*>} Request result
+   */
+  request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Wait for a transaction to commit
+   * @param {IDBTransaction} transaction - Transaction to await
+   * @returns {Promise<void>}
+   */
+  done(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  },
+
+  /**
+   * Iterate a store or index with a cursor
+   * @param {IDBObjectStore|IDBIndex} source - Store or index
+   * @param {Function} onRecord - (value, cursor) => void; may call cursor.update/delete
+   * @param {IDBKeyRange|*} query - Optional key range
+   * @param {string} direction - Cursor direction ('next' or 'prev')
+   * @returns {Promise<void>}
+   */
+  iterate(source, onRecord, query = null, direction = 'next') {
+    return new Promise((resolve, reject) => {
+      const request = source.openCursor(query, direction);
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        try {
+          if (onRecord(cursor.value, cursor) === false) {
+            resolve();
+            return;
+          }
+        } catch (error) {
+          reject(error);
+          return;
+        }
+
+        cursor.continue();
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDBService;
+}
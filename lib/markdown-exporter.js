@@ -0,0 +1,419 @@
+/**
+ * MarkdownExporter - Turn label knowledge pages into Markdown notes
+ *
+ * Two outputs:
+ * - labelToMarkdown: one self-contained note for a label (front-matter,
+ *   summary, mind map, chat list with headlines, pair summaries and links)
+ * - buildVault: an Obsidian-style folder with one note per label and per
+ *   labeled chat, cross-linked with [[wikilinks]], plus an index note
+ *
+ * The mind map comes from label.mindMapData (see MindMap); labels that still
+ * only have the legacy rendered HTML are read back with MindMap.fromHTML.
+ */
+
+const MarkdownExporter = {
+  VAULT_FOLDER: 'AI-ReCap',
+  INDEX_NOTE: 'AI-ReCap',
+  MAX_FILE_NAME_LENGTH: 80,
+
+  /**
+   * SINGLE LABEL
+   */
+
+  /**
+   * Render a label's knowledge page as Markdown
+   * @param {Object} label - Label object
+   * @param {Array<Object>} chats - Chats in the label
+   * @param {Object} options - { linkChat(chat) => Markdown link to use instead of the URL }
+   * @returns {string} Markdown document
+   */
+  labelToMarkdown(label, chats, options = {}) {
+    const { linkChat = null } = options;
+    const sortedChats = [...chats].sort((a, b) => (b.date || 0) - (a.date || 0));
+    const lines = [];
+
+    lines.push(this._frontMatter({
+      title: label.name,
+      type: 'label',
+      category: label.category || 'General',
+      created: this._formatDate(label.created),
+      updated: this._formatDate(label.updated),
+      chats: sortedChats.length,
+      tags: ['ai-recap', this._tag(label.name)]
+    }));
+    lines.push(`# ${label.name}`, '');
+
+    lines.push('## Summary', '');
+    const summary = this._htmlToText(label.summary);
+    lines.push(summary || '_No summary generated yet._', '');
+
+    lines.push('## Mind Map', '');
+    const mindMapData = label.mindMapData || MindMap.fromHTML(label.bulletPoints);
+    const mindMap = this.mindMapToMarkdown(mindMapData, sortedChats, linkChat);
+    lines.push(mindMap || '_No mind map generated yet._', '');
+
+    lines.push('## Chats', '');
+    if (sortedChats.length === 0) {
+      lines.push('_No chats in this label._', '');
+    }
+
+    sortedChats.forEach(chat => {
+      const heading = linkChat ? linkChat(chat) : this._link(chat.title, chat.url);
+      lines.push(`### ${heading}`, '');
+      lines.push(`*${this._platformName(chat.platform)} · ${this._formatDate(chat.date)}*${chat.url ? ` · [Open original](${chat.url})` : ''}`, '');
+
+      if (chat.chatSummary) {
+        lines.push(`> ${this._singleLine(chat.chatSummary)}`, '');
+      }
+
+      const pairSummaries = Array.isArray(chat.messagePairSummaries) ? chat.messagePairSummaries : [];
+      pairSummaries.forEach((pairSummary, index) => {
+        lines.push(`${index + 1}. ${this._singleLine(pairSummary)}`);
+      });
+      if (pairSummaries.length > 0) {
+        lines.push('');
+      }
+    });
+
+    return `${lines.join('\n').trim()}\n`;
+  },
+
+  /**
+   * Convert mind map data into a nested Markdown list
+   * @param {Object|null} mindMapData - label.mindMapData
+   * @param {Array<Object>} chats - Chats in the label (to resolve chat links)
+   * @param {Function|null} linkChat - Optional (chat) => Markdown link
+   * @returns {string} Markdown list, or '' if there is no mind map
+   */
+  mindMapToMarkdown(mindMapData, chats = [], linkChat = null) {
+    if (!mindMapData || !Array.isArray(mindMapData.topics)) {
+      return '';
+    }
+
+    const chatsById = new Map(chats.map(chat => [chat.id, chat]));
+    const lines = [];
+    const indent = depth => '  '.repeat(depth);
+
+    const renderExamples = (examples, depth) => {
+      (examples || []).forEach(example => {
+        const chat = example.chatId ? chatsById.get(example.chatId) : null;
+        if (example.chatId && !chat) {
+          return;
+        }
+
+        let entry;
+        if (chat) {
+          entry = linkChat ? linkChat(chat) : this._link(chat.title, chat.url);
+          entry += ` (${this._platformName(chat.platform)})`;
+        } else {
+          entry = this._singleLine(example.title) || 'Conversation';
+        }
+
+        const detail = this._singleLine(example.detail);
+        lines.push(`${indent(depth)}- ${entry}${detail ? `: ${detail}` : ''}`);
+      });
+    };
+
+    const renderNode = (node, depth) => {
+      const name = this._singleLine(node.name);
+      const summary = this._singleLine(node.summary);
+      const title = depth === 0 ? `**${name}**` : name;
+      lines.push(`${indent(depth)}- ${title}${summary ? ` — ${summary}` : ''}`);
+
+      if (Array.isArray(node.relatedTo) && node.relatedTo.length > 0) {
+        lines.push(`${indent(depth + 1)}- _Related to: ${node.relatedTo.map(item => this._singleLine(item)).join(', ')}_`);
+      }
+
+      renderExamples(node.examples, depth + 1);
+      (node.subtopics || []).forEach(child => renderNode(child, depth + 1));
+    };
+
+    mindMapData.topics.forEach(topic => renderNode(topic, 0));
+
+    return lines.join('\n');
+  },
+
+  /**
+   * VAULT
+   */
+
+  /**
+   * Build an Obsidian-style folder for every label
+   * @param {Array<Object>} labels - Labels to export
+   * @param {Object} chatsById - All chats keyed by ID
+   * @returns {Array<{name: string, data: string}>} Files with vault-relative paths
+   */
+  buildVault(labels, chatsById) {
+    const usedNames = new Set();
+    const labelNotes = new Map();
+    const chatNotes = new Map();
+
+    const sortedLabels = [...labels].sort((a, b) => {
+      const posA = typeof a.position === 'number' ? a.position : Number.MAX_SAFE_INTEGER;
+      const posB = typeof b.position === 'number' ? b.position : Number.MAX_SAFE_INTEGER;
+      return posA - posB;
+    });
+
+    // Assign unique note paths first so every note can link to every other
+    sortedLabels.forEach(label => {
+      labelNotes.set(label.id, this._uniquePath('Labels', label.name, usedNames));
+      (label.chatIds || []).forEach(chatId => {
+        const chat = chatsById[chatId];
+        if (chat && !chat.excludeFromLibrary && !chatNotes.has(chatId)) {
+          chatNotes.set(chatId, this._uniquePath('Chats', chat.title || 'Untitled chat', usedNames));
+        }
+      });
+    });
+
+    const wikilink = (path, alias) => `[[${path}|${this._wikiAlias(alias)}]]`;
+    const linkChat = chat => wikilink(chatNotes.get(chat.id), chat.title || 'Untitled chat');
+    const files = [];
+
+    sortedLabels.forEach(label => {
+      const chats = (label.chatIds || [])
+        .filter(chatId => chatNotes.has(chatId))
+        .map(chatId => chatsById[chatId]);
+
+      files.push({
+        name: `${this.VAULT_FOLDER}/${labelNotes.get(label.id)}.md`,
+        data: this.labelToMarkdown(label, chats, { linkChat })
+      });
+    });
+
+    chatNotes.forEach((path, chatId) => {
+      const chat = chatsById[chatId];
+      const chatLabels = sortedLabels.filter(label => (label.chatIds || []).includes(chatId));
+      files.push({
+        name: `${this.VAULT_FOLDER}/${path}.md`,
+        data: this.chatToMarkdown(chat, chatLabels.map(label => wikilink(labelNotes.get(label.id), label.name)))
+      });
+    });
+
+    const indexLines = [
+      this._frontMatter({ title: 'AI-ReCap', type: 'index', exported: this._formatDate(Date.now()), tags: ['ai-recap'] }),
+      '# AI-ReCap',
+      '',
+      `${sortedLabels.length} labels · ${chatNotes.size} chats`,
+      '',
+      '## Labels',
+      '',
+      ...sortedLabels.map(label => `- ${wikilink(labelNotes.get(label.id), label.name)} (${(label.chatIds || []).filter(chatId => chatNotes.has(chatId)).length} chats)`)
+    ];
+    files.unshift({
+      name: `${this.VAULT_FOLDER}/${this.INDEX_NOTE}.md`,
+      data: `${indexLines.join('\n')}\n`
+    });
+
+    return files;
+  },
+
+  /**
+   * Render a chat note for the vault
+   * @param {Object} chat - Chat object
+   * @param {Array<string>} labelLinks - Wikilinks to the chat's label notes
+   * @returns {string} Markdown document
+   */
+  chatToMarkdown(chat, labelLinks = []) {
+    const lines = [];
+
+    lines.push(this._frontMatter({
+      title: chat.title || 'Untitled chat',
+      type: 'chat',
+      platform: chat.platform,
+      model: chat.model || '',
+      date: this._formatDate(chat.date),
+      created: this._formatDate(chat.createdAt),
+      imported: this._formatDate(chat.importedAt),
+      url: chat.url || '',
+      labels: labelLinks,
+      tags: ['ai-recap']
+    }));
+    lines.push(`# ${chat.title || 'Untitled chat'}`, '');
+    lines.push(`*${this._platformName(chat.platform)} · ${this._formatDate(chat.date)}*${chat.url ? ` · [Open original](${chat.url})` : ''}`, '');
+
+    if (labelLinks.length > 0) {
+      lines.push(`Labels: ${labelLinks.join(', ')}`, '');
+    }
+
+    lines.push('## Summary', '');
+    lines.push(chat.chatSummary ? this._singleLine(chat.chatSummary) : '_Not summarized yet._', '');
+
+    const pairSummaries = Array.isArray(chat.messagePairSummaries) ? chat.messagePairSummaries : [];
+    if (pairSummaries.length > 0) {
+      lines.push('## Message Pair Summaries', '');
+      pairSummaries.forEach((pairSummary, index) => {
+        lines.push(`${index + 1}. ${this._singleLine(pairSummary)}`);
+      });
+      lines.push('');
+    }
+
+    const messages = Array.isArray(chat.messages) ? chat.messages : [];
+    if (messages.length > 0) {
+      lines.push('## Conversation', '');
+      messages.forEach(message => {
+        if (!message || typeof message.content !== 'string') {
+          return;
+        }
+        const speaker = message.role === 'user' ? 'You' : this._platformName(chat.platform);
+        lines.push(`**${speaker}:**`, '', message.content.trim(), '');
+      });
+    }
+
+    const artifacts = Array.isArray(chat.artifacts) ? chat.artifacts : [];
+    if (artifacts.length > 0) {
+      lines.push('## Artifacts', '');
+      artifacts.forEach(artifact => {
+        lines.push(`### ${this._singleLine(artifact.title)}`, '');
+        lines.push(`*${Artifacts.describe(artifact)}*`, '');
+        lines.push(Artifacts.toMarkdown(artifact), '');
+      });
+    }
+
+    return `${lines.join('\n').trim()}\n`;
+  },
+
+  /**
+   * HELPERS
+   */
+
+  /**
+   * Build a YAML front-matter block
+   * @param {Object} fields - Scalar, number or string-array values
+   * @returns {string}
+   */
+  _frontMatter(fields) {
+    const lines = ['---'];
+
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') {
+        return;
+      }
+      if (Array.isArray(value)) {
+        lines.push(`${key}:`);
+        value.forEach(item => lines.push(`  - ${JSON.stringify(String(item))}`));
+        return;
+      }
+      lines.push(`${key}: ${typeof value === 'number' ? value : JSON.stringify(String(value))}`);
+    });
+
+    lines.push('---', '');
+    return lines.join('\n');
+  },
+
+  /**
+   * File-system safe note name for a title (without extension)
+   * @param {string} title - Note title
+   * @returns {string}
+   */
+  noteFileName(title) {
+    return String(title || 'Untitled')
+      .replace(/[\\/:*?"<>|#^[\]]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, this.MAX_FILE_NAME_LENGTH)
+      .replace(/[. ]+$/, '') || 'Untitled';
+  },
+
+  /**
+   * Pick a unique, file-system safe note path
+   * @param {string} folder - Folder inside the vault
+   * @param {string} title - Note title
+   * @param {Set<string>} usedNames - Lower-cased paths already taken
+   * @returns {string} Path without extension
+   */
+  _uniquePath(folder, title, usedNames) {
+    const base = this.noteFileName(title);
+    let path = `${folder}/${base}`;
+    let counter = 2;
+    while (usedNames.has(path.toLowerCase())) {
+      path = `${folder}/${base} ${counter++}`;
+    }
+
+    usedNames.add(path.toLowerCase());
+    return path;
+  },
+
+  /**
+   * Markdown link, or plain text when there is no URL
+   * @param {string} title - Link text
+   * @param {string} url - Target URL
+   * @returns {string}
+   */
+  _link(title, url) {
+    const label = this._singleLine(title || 'Untitled chat').replace(/([[\]])/g, '\\$1');
+    return url ? `[${label}](${url})` : label;
+  },
+
+  /**
+   * Make text safe for the alias part of a wikilink
+   * @param {string} text - Alias text
+   * @returns {string}
+   */
+  _wikiAlias(text) {
+    return this._singleLine(String(text || '').replace(/[[\]|]/g, ' '));
+  },
+
+  /**
+   * Tag-safe form of a label name
+   * @param {string} name - Label name
+   * @returns {string}
+   */
+  _tag(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}_/-]+/gu, '-')
+      .replace(/^-+|-+$/g, '') || 'label';
+  },
+
+  /**
+   * Strip HTML tags if present
+   * @param {string} html - HTML or plain text
+   * @returns {string}
+   */
+  _htmlToText(html) {
+    if (!html || typeof html !== 'string') {
+      return '';
+    }
+    if (!/<[a-z][\s\S]*>/i.test(html)) {
+      return html.trim();
+    }
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return (doc.body.textContent || '').trim();
+  },
+
+  /**
+   * Collapse whitespace so text fits on one Markdown line
+   * @param {string} text - Text
+   * @returns {string}
+   */
+  _singleLine(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * Format a timestamp as YYYY-MM-DD
+   * @param {number} timestamp - Milliseconds since epoch
+   * @returns {string}
+   */
+  _formatDate(timestamp) {
+    if (!timestamp) {
+      return '';
+    }
+    const date = new Date(timestamp);
+    return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+  },
+
+  /**
+   * Platform display name
+   * @param {string} platform - Platform identifier
+   * @returns {string}
+   */
+  _platformName(platform) {
+    return platform ? PlatformRegistry.getName(platform) : 'Unknown';
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownExporter;
+}
@@ -0,0 +1,525 @@
+/**
+ * MarkdownRenderer - Stored message Markdown to HTML for the conversation reader
+ *
+ * Replies are stored as the Markdown DomToMarkdown writes: fenced code with a
+ * language tag, GFM tables, nested lists, blockquotes, headings, links and
+ * emphasis. This renders that subset. Every piece of text is escaped, links
+ * are kept only for http(s) and mailto URLs, and images are shown as links,
+ * so a stored message can never run script or load anything by itself.
+ *
+ * Fenced code is highlighted by a small tokenizer (comments, strings, numbers,
+ * keywords) for a few language families; unknown languages stay plain.
+ */
+
+const MarkdownRenderer = {
+  // Lists and quotes nested deeper than this are rendered as paragraphs
+  MAX_DEPTH: 8,
+
+  // Highlighting grammars: tokens in priority order, then identifiers checked against keywords
+  GRAMMARS: {
+    clike: {
+      tokens: [
+        ['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+        ['string', /"(?:\\[\s\S]|[^"\\\n])*"|'(?:\\[\s\S]|[^'\\\n])*'|`(?:\\[\s\S]|[^`\\])*`/],
+        ['number', /\b(?:0x[\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/],
+        ['word', /[A-Za-z_$][\w$]*/]
+      ],
+      keywords: 'abstract as async await break case catch class const continue default defer delete do else enum export extends false final finally fn for func function go if impl implements import in instanceof interface let match mod mut namespace new nil null override package private protected pub public return self static struct super switch this throw throws trait true try type typeof undefined unsafe use val var void where while with yield'
+    },
+    python: {
+      tokens: [
+        ['comment', /#[^\n]*/],
+        ['string', /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\[\s\S]|[^"\\\n])*"|'(?:\\[\s\S]|[^'\\\n])*'/],
+        ['number', /\b(?:0x[\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/],
+        ['word', /[A-Za-z_]\w*[?!]?/]
+      ],
+      keywords: 'False None True and as assert async await begin break class def del elif else elsif end ensure except finally for from global if import in is lambda module nil nonlocal not or pass raise require rescue return self then try unless until while with yield'
+    },
+    shell: {
+      tokens: [
+        ['comment', /(?:^|(?<=\s))#[^\n]*/],
+        ['string', /"(?:\\[\s\S]|[^"\\])*"|'[^']*'/],
+        ['number', /\b\d+(?:\.\d+)?\b/],
+        ['word', /[A-Za-z_][\w-]*/]
+      ],
+      keywords: 'case cd do done echo elif else esac exit export fi for function if in local return set sudo then unset until while'
+    },
+    sql: {
+      caseInsensitive: true,
+      tokens: [
+        ['comment', /--[^\n]*|\/\*[\s\S]*?\*\//],
+        ['string', /'(?:''|[^'])*'|"(?:""|[^"])*"/],
+        ['number', /\b\d+(?:\.\d+)?\b/],
+        ['word', /[A-Za-z_]\w*/]
+      ],
+      keywords: 'add alter and as asc between by case create delete desc distinct drop else end exists false from full group having if in index inner insert into is join key left like limit not null offset on or order outer primary references right select set table then true union unique update values view when where with'
+    },
+    markup: {
+      tokens: [
+        ['comment', /<!--[\s\S]*?-->/],
+        ['keyword', /<\/?[A-Za-z][\w:.-]*|\/?>/],
+        ['string', /"[^"]*"|'[^']*'/]
+      ],
+      keywords: ''
+    },
+    css: {
+      tokens: [
+        ['comment', /\/\*[\s\S]*?\*\//],
+        ['string', /"(?:\\[\s\S]|[^"\\\n])*"|'(?:\\[\s\S]|[^'\\\n])*'/],
+        ['keyword', /@[\w-]+|!important/],
+        ['number', /#[\da-fA-F]{3,8}\b|-?\b\d*\.?\d+(?:px|em|rem|%|vh|vw|s|ms|deg|fr)?\b/]
+      ],
+      keywords: ''
+    },
+    json: {
+      tokens: [
+        ['string', /"(?:\\[\s\S]|[^"\\\n])*"/],
+        ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+        ['word', /[A-Za-z_]\w*/]
+      ],
+      keywords: 'false null true'
+    }
+  },
+
+  // Fence language tag -> grammar
+  LANGUAGE_ALIASES: {
+    javascript: 'clike', js: 'clike', jsx: 'clike', mjs: 'clike', cjs: 'clike',
+    typescript: 'clike', ts: 'clike', tsx: 'clike',
+    java: 'clike', kotlin: 'clike', kt: 'clike', scala: 'clike', dart: 'clike',
+    c: 'clike', h: 'clike', cpp: 'clike', 'c++': 'clike', cc: 'clike', 'c#': 'clike', cs: 'clike', csharp: 'clike',
+    go: 'clike', golang: 'clike', rust: 'clike', rs: 'clike', swift: 'clike', php: 'clike',
+    python: 'python', py: 'python', ruby: 'python', rb: 'python',
+    bash: 'shell', sh: 'shell', zsh: 'shell', shell: 'shell', console: 'shell', powershell: 'shell', ps1: 'shell',
+    dockerfile: 'shell', yaml: 'shell', yml: 'shell', toml: 'shell', ini: 'shell',
+    sql: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql',
+    html: 'markup', xml: 'markup', svg: 'markup', vue: 'markup',
+    css: 'css', scss: 'css', sass: 'css', less: 'css',
+    json: 'json', jsonc: 'json'
+  },
+
+  /**
+   * Render Markdown as HTML
+   * @param {string} markdown - Message content
+   * @returns {string} HTML string
+   */
+  render(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    return this._blocks(lines, 0, false);
+  },
+
+  /**
+   * Highlight code as HTML
+   * @param {string} code - Code text
+   * @param {string} language - Fence language tag
+   * @returns {string} HTML string (escaped, tokens wrapped in md-token-* spans)
+   */
+  highlight(code, language) {
+    const text = String(code || '');
+    const grammar = this._grammar(language);
+    if (!grammar) {
+      return this._escapeHtml(text);
+    }
+
+    const pattern = grammar.pattern;
+    pattern.lastIndex = 0;
+    let html = '';
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0] === '') {
+        pattern.lastIndex++;
+        continue;
+      }
+
+      let type = grammar.types.find((_, index) => match[index + 1] !== undefined);
+      if (type === 'word') {
+        const word = grammar.caseInsensitive ? match[0].toLowerCase() : match[0];
+        type = grammar.keywords.has(word) ? 'keyword' : null;
+      }
+
+      html += this._escapeHtml(text.slice(last, match.index));
+      html += type
+        ? `<span class="md-token-${type}">${this._escapeHtml(match[0])}</span>`
+        : this._escapeHtml(match[0]);
+      last = match.index + match[0].length;
+    }
+
+    return html + this._escapeHtml(text.slice(last));
+  },
+
+  /**
+   * BLOCKS
+   */
+
+  /**
+   * Render block-level Markdown
+   * @param {Array<string>} lines - Source lines
+   * @param {number} depth - Nesting depth (lists and quotes)
+   * @param {boolean} tight - Render paragraphs without <p> (items of tight lists)
+   * @returns {string} HTML string
+   */
+  _blocks(lines, depth, tight) {
+    let html = '';
+    let paragraph = [];
+    let i = 0;
+
+    const flush = () => {
+      if (paragraph.length > 0) {
+        const content = this._inline(paragraph.join('\n'));
+        html += tight ? content : `<p>${content}</p>`;
+        paragraph = [];
+      }
+    };
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        flush();
+        i++;
+        continue;
+      }
+
+      const fence = line.match(/^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/);
+      if (fence) {
+        flush();
+        const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+        const code = [];
+        i++;
+        while (i < lines.length && !closing.test(lines[i])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        html += this._codeBlock(code.join('\n'), fence[2]);
+        continue;
+      }
+
+      if (/^\s*\$\$/.test(line)) {
+        flush();
+        const math = [line.replace(/^\s*\$\$/, '')];
+        while (!/\$\$\s*$/.test(math[math.length - 1]) && i + 1 < lines.length) {
+          i++;
+          math.push(lines[i]);
+        }
+        i++;
+        html += `<pre class="md-math">${this._escapeHtml(math.join('\n').replace(/\$\$\s*$/, '').trim())}</pre>`;
+        continue;
+      }
+
+      const heading = line.match(/^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+      if (heading) {
+        flush();
+        html += `<h${heading[1].length}>${this._inline(heading[2])}</h${heading[1].length}>`;
+        i++;
+        continue;
+      }
+
+      if (/^ {0,3}([-*_])(?:\s*\1){2,}\s*$/.test(line)) {
+        flush();
+        html += '<hr>';
+        i++;
+        continue;
+      }
+
+      if (line.includes('|') && i + 1 < lines.length && this._isTableSeparator(lines[i + 1])) {
+        flush();
+        const separator = lines[i + 1];
+        const rows = [line];
+        i += 2;
+        while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+          rows.push(lines[i]);
+          i++;
+        }
+        html += this._table(rows, separator);
+        continue;
+      }
+
+      if (/^ {0,3}>/.test(line) && depth < this.MAX_DEPTH) {
+        flush();
+        const quoted = [];
+        while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+          quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+          i++;
+        }
+        html += `<blockquote>${this._blocks(quoted, depth + 1, false)}</blockquote>`;
+        continue;
+      }
+
+      if (this._listMarker(line) && depth < this.MAX_DEPTH) {
+        flush();
+        const list = this._list(lines, i, depth);
+        html += list.html;
+        i = list.next;
+        continue;
+      }
+
+      paragraph.push(line);
+      i++;
+    }
+
+    flush();
+    return html;
+  },
+
+  /**
+   * Fenced code block with its language label
+   * @param {string} code - Code text
+   * @param {string} language - Fence language tag
+   * @returns {string} HTML string
+   */
+  _codeBlock(code, language) {
+    const tag = String(language || '').toLowerCase();
+    const label = tag ? `<div class="md-code-language">${this._escapeHtml(tag)}</div>` : '';
+    return `<div class="md-code">${label}<pre><code>${this.highlight(code, tag)}</code></pre></div>`;
+  },
+
+  /**
+   * Parse a list item marker
+   * @param {string} line - Source line
+   * @returns {{indent: number, width: number, ordered: boolean, start: number, content: string}|null}
+   *   width is the column the item's content starts at
+   */
+  _listMarker(line) {
+    const match = line.match(/^(\s*)([-*+]|\d{1,9}[.)])(\s+)(.*)$/);
+    if (!match) {
+      return null;
+    }
+    const ordered = /\d/.test(match[2]);
+    return {
+      indent: match[1].length,
+      width: match[1].length + match[2].length + Math.min(match[3].length, 4),
+      ordered,
+      start: ordered ? parseInt(match[2], 10) : 1,
+      content: match[4]
+    };
+  },
+
+  /**
+   * Render a list starting at a marker line
+   * Lines indented to the item's content column (or deeper than its marker)
+   * belong to the item, so nested lists and code blocks are rendered inside it.
+   * @param {Array<string>} lines - Source lines
+   * @param {number} start - Index of the first marker line
+   * @param {number} depth - Nesting depth
+   * @returns {{html: string, next: number}} HTML and the index of the first line after the list
+   */
+  _list(lines, start, depth) {
+    const first = this._listMarker(lines[start]);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const marker = this._listMarker(line);
+      const indent = line.match(/^\s*/)[0].length;
+
+      if (marker && marker.indent <= first.indent + 1 && marker.indent < first.width) {
+        if (marker.ordered !== first.ordered) {
+          break;
+        }
+        items.push([marker.content]);
+        i++;
+        continue;
+      }
+
+      const item = items[items.length - 1];
+
+      if (!line.trim()) {
+        let next = i + 1;
+        while (next < lines.length && !lines[next].trim()) {
+          next++;
+        }
+        const nextMarker = next < lines.length ? this._listMarker(lines[next]) : null;
+        const nextIndent = next < lines.length ? lines[next].match(/^\s*/)[0].length : 0;
+        const continues = next < lines.length && (nextIndent > first.indent ||
+          (nextMarker && nextMarker.ordered === first.ordered && nextMarker.indent <= first.indent + 1));
+        if (!continues) {
+          break;
+        }
+        loose = loose || !nextMarker || nextIndent > first.indent;
+        item.push('');
+        i++;
+        continue;
+      }
+
+      if (indent > first.indent) {
+        item.push(line.slice(Math.min(indent, first.width)));
+        i++;
+        continue;
+      }
+
+      // Lazy continuation of the item's text
+      if (!marker && item[item.length - 1].trim() && !/^ {0,3}(#|>|`{3}|~{3})/.test(line)) {
+        item.push(line.trim());
+        i++;
+        continue;
+      }
+
+      break;
+    }
+
+    const tag = first.ordered ? 'ol' : 'ul';
+    const startAttribute = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+    const body = items.map(item => `<li>${this._blocks(item, depth + 1, !loose)}</li>`).join('');
+    return { html: `<${tag}${startAttribute}>${body}</${tag}>`, next: i };
+  },
+
+  /**
+   * Whether a line is a GFM table delimiter row (| --- | :---: |)
+   * @param {string} line - Source line
+   * @returns {boolean}
+   */
+  _isTableSeparator(line) {
+    return line.includes('-') && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line);
+  },
+
+  /**
+   * GFM table
+   * @param {Array<string>} rows - Header row, then body rows
+   * @param {string} separator - Delimiter row (column alignment)
+   * @returns {string} HTML string
+   */
+  _table(rows, separator) {
+    const cells = row => row.trim()
+      .replace(/^\|/, '')
+      .replace(/(?<!\\)\|$/, '')
+      .split(/(?<!\\)\|/)
+      .map(cell => cell.trim());
+
+    const alignments = cells(separator).map(cell => {
+      if (cell.startsWith(':') && cell.endsWith(':')) {
+        return 'center';
+      }
+      return cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : null;
+    });
+    const [header, ...body] = rows.map(cells);
+    const renderRow = (row, tag) => `<tr>${header.map((_, index) => {
+      const align = alignments[index] ? ` style="text-align: ${alignments[index]}"` : '';
+      return `<${tag}${align}>${this._inline(row[index] || '')}</${tag}>`;
+    }).join('')}</tr>`;
+
+    return `<div class="md-table-wrap"><table><thead>${renderRow(header, 'th')}</thead>` +
+      `<tbody>${body.map(row => renderRow(row, 'td')).join('')}</tbody></table></div>`;
+  },
+
+  /**
+   * INLINE
+   */
+
+  /**
+   * Render inline Markdown (code spans, links, emphasis, line breaks)
+   * Code spans, escapes and links are swapped for placeholders first so the
+   * emphasis rules never reach into them.
+   * @param {string} text - Inline source
+   * @returns {string} HTML string
+   */
+  _inline(text) {
+    const held = [];
+    const hold = html => `\u0000${held.push(html) - 1}\u0000`;
+
+    // Placeholders are NUL-delimited, so NULs in the source must not survive to meet them
+    let result = String(text)
+      .replace(/\u0000/g, '')
+      .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, fence, code) =>
+        hold(`<code>${this._escapeHtml(code.replace(/^ ([\s\S]*) $/, '$1'))}</code>`))
+      .replace(/\\([\\`*_{}[\]()#+\-.!|~$<>])/g, (match, char) => hold(this._escapeHtml(char)));
+
+    result = this._escapeHtml(result)
+      // URLs may hold one level of balanced parentheses (Wikipedia_(disambiguation) links)
+      .replace(/!\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, alt, url) => {
+        const href = this._safeUrl(url);
+        return href
+          ? hold(`<a href="${href}" class="md-image-link" target="_blank" rel="noopener noreferrer">${alt || 'Image'}</a>`)
+          : alt;
+      })
+      .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, url) => {
+        const href = this._safeUrl(url);
+        return href
+          ? hold(`<a href="${href}" target="_blank" rel="noopener noreferrer">${this._emphasis(label)}</a>`)
+          : label;
+      })
+      .replace(/&lt;((?:https?:\/\/|mailto:)[^\s]*?)&gt;/gi, (match, url) =>
+        hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`));
+
+    result = this._emphasis(result).replace(/\n/g, '<br>');
+
+    // Placeholders can hold placeholders (link labels with code spans)
+    for (let pass = 0; pass < 3 && result.includes('\u0000'); pass++) {
+      result = result.replace(/\u0000(\d+)\u0000/g, (match, index) => held[Number(index)]);
+    }
+    return result;
+  },
+
+  /**
+   * Bold, italic and strikethrough on escaped text
+   * @param {string} html - Escaped inline text
+   * @returns {string} HTML string
+   */
+  _emphasis(html) {
+    return html
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+      .replace(/(^|[^*\w])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?![*\w])/g, '$1<em>$2</em>')
+      .replace(/(^|[^\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+  },
+
+  /**
+   * HELPERS
+   */
+
+  /**
+   * Compiled grammar for a fence language tag (cached)
+   * @param {string} language - Fence language tag
+   * @returns {{pattern: RegExp, types: Array<string>, keywords: Set<string>, caseInsensitive: boolean}|null}
+   */
+  _grammar(language) {
+    const name = this.LANGUAGE_ALIASES[String(language || '').toLowerCase()];
+    if (!name) {
+      return null;
+    }
+
+    this._compiled = this._compiled || {};
+    if (!this._compiled[name]) {
+      const grammar = this.GRAMMARS[name];
+      this._compiled[name] = {
+        pattern: new RegExp(grammar.tokens.map(([, regex]) => `(${regex.source})`).join('|'), 'gm'),
+        types: grammar.tokens.map(([type]) => type),
+        keywords: new Set(grammar.keywords.split(' ').filter(Boolean)),
+        caseInsensitive: Boolean(grammar.caseInsensitive)
+      };
+    }
+    return this._compiled[name];
+  },
+
+  /**
+   * Link target if it is a web or mail link
+   * @param {string} url - Escaped URL from the Markdown source
+   * @returns {string|null}
+   */
+  _safeUrl(url) {
+    return /^(https?:\/\/|mailto:)/i.test(url) ? url : null;
+  },
+
+  /**
+   * Escape HTML special characters (works without a DOM)
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  _escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownRenderer;
+}
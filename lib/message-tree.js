@@ -0,0 +1,308 @@
+/**
+ * MessageTree - Branching conversations (edited prompts, regenerated replies)
+ *
+ * ChatGPT and Claude keep every edited prompt and regenerated reply as a
+ * sibling of the message it replaced, and show one path through the tree
+ * ("2 / 3" navigators). `chat.messages` is always that active path: it is what
+ * summaries, search and exports read. When a conversation has branches, the
+ * whole tree is kept next to it:
+ *
+ *   chat.messageTree = {
+ *     version: 1,
+ *     activeLeafId: 'c3',
+ *     nodes: [                          // parents before children, siblings in platform order
+ *       { id: 'a1', parentId: null, role: 'user', content, timestamp },
+ *       { id: 'b1', parentId: 'a1', role: 'assistant', content, timestamp },
+ *       { id: 'b2', parentId: 'a1', role: 'assistant', content, timestamp },  // regenerated reply
+ *       ...
+ *     ]
+ *   }
+ *
+ * Messages on the active path carry their node `id` and `parentId`.
+ * Conversations without branches have no tree.
+ *
+ * Loaded by the popup and every injected scraper (safe to inject more than once).
+ */
+
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.MessageTree) {
+    return;
+  }
+
+  const MessageTree = {
+    VERSION: 1,
+
+    // Variants read per message when walking a branch navigator in the page
+    MAX_DOM_VARIANTS: 10,
+
+    /**
+     * BUILDING
+     */
+
+    /**
+     * Build a tree from a platform's raw message nodes
+     * Nodes that are not chat messages (system prompts, tool calls, hidden
+     * messages - anything without a user/assistant role or content) are
+     * skipped and their children attached to the nearest chat message above.
+     * An assistant node directly under another assistant node continues the
+     * same reply (tool use splits replies) and is merged into it.
+     * @param {Array<{id: string, parentId: string|null, role: string, content: string, timestamp?: number}>} rawNodes - Nodes, siblings in platform order
+     * @param {string} activeLeafId - ID of the last node on the visible path
+     * @returns {Object|null} Tree, or null if the conversation has no branches
+     */
+    fromNodes(rawNodes, activeLeafId) {
+      const byId = new Map(rawNodes.map(node => [node.id, node]));
+      const childrenOf = new Map();
+      const roots = [];
+
+      rawNodes.forEach(node => {
+        if (node.parentId && byId.has(node.parentId)) {
+          if (!childrenOf.has(node.parentId)) {
+            childrenOf.set(node.parentId, []);
+          }
+          childrenOf.get(node.parentId).push(node);
+        } else {
+          roots.push(node);
+        }
+      });
+
+      // Raw node ID -> ID of the tree node it became part of (null above the first message)
+      const resolved = new Map();
+      const nodes = [];
+      const nodesById = new Map();
+      const queue = roots.map(node => ({ node, parentId: null }));
+
+      while (queue.length > 0) {
+        const { node, parentId } = queue.shift();
+        if (resolved.has(node.id)) {
+          continue;
+        }
+
+        const role = node.role;
+        const content = String(node.content || '').trim();
+        const parent = parentId ? nodesById.get(parentId) : null;
+        let targetId = parentId;
+
+        if ((role === 'user' || role === 'assistant') && content) {
+          if (role === 'assistant' && parent && parent.role === 'assistant') {
+            parent.content = `${parent.content}\n\n${content}`;
+          } else {
+            const treeNode = {
+              id: node.id,
+              parentId,
+              role,
+              content,
+              timestamp: node.timestamp || null
+            };
+            nodes.push(treeNode);
+            nodesById.set(treeNode.id, treeNode);
+            targetId = treeNode.id;
+          }
+        }
+
+        resolved.set(node.id, targetId);
+        (childrenOf.get(node.id) || []).forEach(child => queue.push({ node: child, parentId: targetId }));
+      }
+
+      const tree = {
+        version: this.VERSION,
+        activeLeafId: resolved.get(activeLeafId) || null,
+        nodes
+      };
+
+      // Without a known leaf, follow the latest variant at every branch
+      if (!tree.activeLeafId && nodes.length > 0) {
+        let current = null;
+        let children = this.getChildren(tree, null);
+        while (children.length > 0) {
+          current = children[children.length - 1];
+          children = this.getChildren(tree, current.id);
+        }
+        tree.activeLeafId = current.id;
+      }
+
+      return this.hasBranches(tree) ? tree : null;
+    },
+
+    /**
+     * Build a tree from the active path and the variants read from branch navigators
+     * Only the variants themselves are known, not what followed them, so each
+     * is a leaf next to the active message.
+     * @param {Array<Object>} messages - Active path messages
+     * @param {Object<number, {variants: Array<string>, activeIndex: number}>} variantsByMessage - Message index -> variant contents in navigator order
+     * @returns {Object|null} Tree, or null if no message has variants
+     */
+    fromVariants(messages, variantsByMessage) {
+      const rawNodes = [];
+      let parentId = null;
+
+      messages.forEach((message, index) => {
+        const id = `m${index}`;
+        const entry = variantsByMessage[index];
+        const variants = entry ? entry.variants : [message.content];
+        const activeIndex = entry ? entry.activeIndex : 0;
+
+        variants.forEach((content, variantIndex) => {
+          if (variantIndex === activeIndex) {
+            rawNodes.push({ id, parentId, role: message.role, content: message.content, timestamp: message.timestamp });
+          } else if (content) {
+            rawNodes.push({ id: `m${index}v${variantIndex}`, parentId, role: message.role, content });
+          }
+        });
+        parentId = id;
+      });
+
+      return this.fromNodes(rawNodes, parentId);
+    },
+
+    /**
+     * Link a tree to the scraped active path
+     * Messages get their node's `id` and `parentId` (matched in order by role),
+     * and active nodes take the scraped content, which is rendered Markdown.
+     * @param {Array<Object>} messages - Scraped messages (modified in place)
+     * @param {Object|null} tree - Tree from fromNodes/fromVariants
+     * @returns {Object|null} The tree
+     */
+    attachToMessages(messages, tree) {
+      if (!tree) {
+        return null;
+      }
+
+      const path = this.getActivePath(tree);
+      let next = 0;
+      messages.forEach(message => {
+        const index = path.findIndex((node, position) => position >= next && node.role === message.role);
+        if (index !== -1) {
+          const node = path[index];
+          node.content = message.content;
+          message.id = node.id;
+          message.parentId = node.parentId;
+          next = index + 1;
+        }
+      });
+
+      return tree;
+    },
+
+    /**
+     * READING
+     */
+
+    /**
+     * Child nodes of a node, in platform order
+     * @param {Object} tree - Message tree
+     * @param {string|null} parentId - Parent node ID (null for the first messages)
+     * @returns {Array<Object>}
+     */
+    getChildren(tree, parentId) {
+      return tree.nodes.filter(node => (node.parentId || null) === (parentId || null));
+    },
+
+    /**
+     * Nodes from the first message to the active leaf
+     * @param {Object} tree - Message tree
+     * @returns {Array<Object>}
+     */
+    getActivePath(tree) {
+      const byId = new Map(tree.nodes.map(node => [node.id, node]));
+      const path = [];
+      const visited = new Set();
+      let node = byId.get(tree.activeLeafId);
+
+      while (node && !visited.has(node.id)) {
+        visited.add(node.id);
+        path.unshift(node);
+        node = node.parentId ? byId.get(node.parentId) : null;
+      }
+
+      return path;
+    },
+
+    /**
+     * Whether any message has an alternative
+     * @param {Object|null} tree - Message tree
+     * @returns {boolean}
+     */
+    hasBranches(tree) {
+      if (!tree || !Array.isArray(tree.nodes)) {
+        return false;
+      }
+      const parents = new Set();
+      return tree.nodes.some(node => {
+        const key = node.parentId || '';
+        if (parents.has(key)) {
+          return true;
+        }
+        parents.add(key);
+        return false;
+      });
+    },
+
+    /**
+     * Active messages that have alternatives, with every variant
+     * @param {Object} chat - Chat object
+     * @returns {Array<{messageIndex: number, role: string, activeIndex: number, variants: Array<Object>}>}
+     *   messageIndex is the position in chat.messages
+     */
+    getBranchPoints(chat) {
+      const tree = chat && chat.messageTree;
+      if (!this.hasBranches(tree)) {
+        return [];
+      }
+
+      const messages = chat.messages || [];
+      return this.getActivePath(tree)
+        .map(node => {
+          const variants = this.getChildren(tree, node.parentId);
+          return {
+            messageIndex: messages.findIndex(message => message.id === node.id),
+            role: node.role,
+            activeIndex: variants.indexOf(node),
+            variants
+          };
+        })
+        .filter(point => point.variants.length > 1 && point.messageIndex !== -1);
+    },
+
+    /**
+     * Messages of the active branch, the ones to summarize
+     * @param {Object} chat - Chat object
+     * @returns {Array<Object>}
+     */
+    getActiveMessages(chat) {
+      if (Array.isArray(chat.messages) && chat.messages.length > 0) {
+        return chat.messages;
+      }
+      if (!this.hasBranches(chat.messageTree)) {
+        return [];
+      }
+      return this.getActivePath(chat.messageTree).map(node => ({
+        id: node.id,
+        parentId: node.parentId,
+        role: node.role,
+        content: node.content,
+        ...(node.timestamp ? { timestamp: node.timestamp } : {})
+      }));
+    },
+
+    /**
+     * Number of messages in the tree, alternatives included
+     * @param {Object|null} tree - Message tree
+     * @returns {number}
+     */
+    countNodes(tree) {
+      return tree && Array.isArray(tree.nodes) ? tree.nodes.length : 0;
+    }
+  };
+
+  if (typeof self !== 'undefined') {
+    self.MessageTree = MessageTree;
+  }
+
+  // Export for use in other modules
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageTree;
+  }
+})();
@@ -0,0 +1,288 @@
+/**
+ * MigrationService - Versioned schema upgrades for AI-ReCap
+ *
+ * The stored data model is versioned with `settings.schemaVersion`. On install
+ * and update the service worker runs every migration newer than the stored
+ * version, in order, saving the version after each step so an interrupted
+ * upgrade resumes where it stopped. Each step returns counts of what it
+ * changed; the combined report is kept in `settings.lastMigration`.
+ *
+ * To evolve the data model, append a migration with the next version number
+ * and bump CURRENT_SCHEMA_VERSION. Migrations must be safe to run again.
+ */
+
+const MigrationService = {
+  CURRENT_SCHEMA_VERSION: 6,
+
+  MIGRATIONS: [
+    {
+      version: 1,
+      description: 'Backfill default fields on chats, labels and suggested labels',
+      migrate: () => MigrationService._backfillDefaults()
+    },
+    {
+      version: 2,
+      description: 'Repair chat/label cross references',
+      migrate: () => MigrationService._repairLabelReferences()
+    },
+    {
+      version: 3,
+      description: 'Build the full-text search index',
+      migrate: async () => ({ chats: await StorageService.rebuildSearchIndex() })
+    },
+    {
+      version: 4,
+      description: 'Drop mind map examples for chats no longer in their label',
+      migrate: () => MigrationService._pruneMindMaps()
+    },
+    {
+      version: 5,
+      description: 'Separate import time from conversation time on chats',
+      migrate: () => MigrationService._backfillChatTimes()
+    },
+    {
+      version: 6,
+      description: 'Add color and emoji to labels',
+      migrate: () => MigrationService._backfillLabelAppearance()
+    }
+  ],
+
+  /**
+   * Run all pending migrations
+   * @returns {Promise<Object>} Report ({ fromVersion, toVersion, steps, ranAt })
+   */
+  async run() {
+    try {
+      const settings = await StorageService.getSettings();
+      const fromVersion = settings.schemaVersion || 0;
+      const pending = this.MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .sort((a, b) => a.version - b.version);
+
+      const report = {
+        fromVersion,
+        toVersion: fromVersion,
+        steps: [],
+        ranAt: Date.now()
+      };
+
+      if (pending.length === 0) {
+        console.log(`[Migration] Schema is up to date (v${fromVersion})`);
+        return report;
+      }
+
+      for (const migration of pending) {
+        console.log(`[Migration] Running v${migration.version}: ${migration.description}`);
+        const changes = await migration.migrate();
+
+        report.toVersion = migration.version;
+        report.steps.push({
+          version: migration.version,
+          description: migration.description,
+          changes
+        });
+
+        await StorageService.updateSettings({
+          schemaVersion: migration.version,
+          lastMigration: report
+        });
+        console.log(`[Migration] v${migration.version} complete:`, changes);
+      }
+
+      console.log(`[Migration] Schema upgraded from v${fromVersion} to v${report.toVersion}`);
+      return report;
+    } catch (error) {
+      console.error('[Migration] Error running migrations:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * MIGRATIONS
+   */
+
+  /**
+   * v1: Give every record the fields the rest of the extension expects
+   * @returns {Promise<{chats: number, labels: number, suggestedLabels: number}>}
+   */
+  async _backfillDefaults() {
+    const chats = await StorageService.transformChats(chat =>
+      this._withDefaults(chat, {
+        messages: [],
+        labelIds: [],
+        processed: false,
+        summarizationFailed: false,
+        excludeFromLibrary: false,
+        messagePairSummaries: [],
+        chatSummary: null,
+        // Every chat stored before data-export import existed was scraped
+        source: 'scrape'
+      })
+    );
+
+    // Labels without a position go after positioned ones, oldest first
+    const existingLabels = Object.values(await StorageService.getAllLabels());
+    let nextPosition = existingLabels.reduce((max, label) =>
+      typeof label.position === 'number' ? Math.max(max, label.position) : max, -1) + 1;
+    const positions = {};
+    existingLabels
+      .filter(label => typeof label.position !== 'number')
+      .sort((a, b) => (a.created || 0) - (b.created || 0))
+      .forEach(label => {
+        positions[label.id] = nextPosition++;
+      });
+
+    const labels = await StorageService.transformLabels(label =>
+      this._withDefaults(label, {
+        category: 'General',
+        chatIds: [],
+        created: label.updated || Date.now(),
+        updated: label.created || Date.now(),
+        position: positions[label.id],
+        mindMapData: null,
+        summary: null,
+        quizData: null,
+        bulletPoints: null
+      })
+    );
+
+    const suggestedLabels = await StorageService.transformSuggestedLabels(suggestedLabel =>
+      this._withDefaults(suggestedLabel, {
+        chatIds: [],
+        dismissed: false
+      })
+    );
+
+    return { chats, labels, suggestedLabels };
+  },
+
+  /**
+   * v2: Make label.chatIds and chat.labelIds agree and drop dangling IDs
+   * A chat/label pair is kept if either side references the other.
+   * @returns {Promise<{chats: number, labels: number}>}
+   */
+  async _repairLabelReferences() {
+    const [chatsById, labelsById] = await Promise.all([
+      StorageService.getAllChats(),
+      StorageService.getAllLabels()
+    ]);
+
+    const chatIdsByLabel = {};
+    const labelIdsByChat = {};
+    const link = (chatId, labelId) => {
+      if (!chatsById[chatId] || !labelsById[labelId]) {
+        return;
+      }
+      (chatIdsByLabel[labelId] = chatIdsByLabel[labelId] || new Set()).add(chatId);
+      (labelIdsByChat[chatId] = labelIdsByChat[chatId] || new Set()).add(labelId);
+    };
+
+    Object.values(labelsById).forEach(label => {
+      (label.chatIds || []).forEach(chatId => link(chatId, label.id));
+    });
+    Object.values(chatsById).forEach(chat => {
+      (chat.labelIds || []).forEach(labelId => link(chat.id, labelId));
+    });
+
+    const labels = await StorageService.transformLabels(label => {
+      const chatIds = [...(chatIdsByLabel[label.id] || [])];
+      return this._sameIds(label.chatIds, chatIds) ? null : { ...label, chatIds, updated: Date.now() };
+    });
+
+    const chats = await StorageService.transformChats(chat => {
+      const labelIds = [...(labelIdsByChat[chat.id] || [])];
+      return this._sameIds(chat.labelIds, labelIds) ? null : { ...chat, labelIds };
+    });
+
+    return { chats, labels };
+  },
+
+  /**
+   * v4: Mind maps now reference chats by ID; drop references to chats that left the label
+   * Labels with only the legacy HTML mind map are converted when the popup opens them.
+   * @returns {Promise<{labels: number}>}
+   */
+  async _pruneMindMaps() {
+    const labels = await StorageService.transformLabels(label => {
+      const mindMapData = MindMap.pruneChats(label.mindMapData, label.chatIds);
+      return mindMapData ? { ...label, mindMapData } : null;
+    });
+
+    return { labels };
+  },
+
+  /**
+   * v5: Chats now carry createdAt/updatedAt/importedAt and the model
+   * Scraped chats stored so far only have `date`, which was the import time.
+   * Exported chats already had real timestamps but no recorded import time.
+   * @returns {Promise<{chats: number}>}
+   */
+  async _backfillChatTimes() {
+    const chats = await StorageService.transformChats(chat =>
+      this._withDefaults(chat, {
+        createdAt: null,
+        updatedAt: null,
+        importedAt: chat.source === 'export' ? null : chat.date || null,
+        model: null
+      })
+    );
+
+    return { chats };
+  },
+
+  /**
+   * v6: Labels can be given a color and an emoji (none for existing labels)
+   * @returns {Promise<{labels: number}>}
+   */
+  async _backfillLabelAppearance() {
+    const labels = await StorageService.transformLabels(label =>
+      this._withDefaults(label, {
+        color: null,
+        emoji: null
+      })
+    );
+
+    return { labels };
+  },
+
+  /**
+   * HELPERS
+   */
+
+  /**
+   * Fill in missing fields
+   * @param {Object} record - Stored record
+   * @param {Object} defaults - Field defaults (undefined values are skipped)
+   * @returns {Object|null} Updated record, or null if nothing was missing
+   */
+  _withDefaults(record, defaults) {
+    const missing = {};
+
+    Object.entries(defaults).forEach(([field, value]) => {
+      if (record[field] === undefined && value !== undefined) {
+        missing[field] = value;
+      }
+    });
+
+    return Object.keys(missing).length > 0 ? { ...record, ...missing } : null;
+  },
+
+  /**
+   * Compare two ID lists ignoring order
+   * @param {Array<string>} current - Stored IDs
+   * @param {Array<string>} expected - Repaired IDs
+   * @returns {boolean}
+   */
+  _sameIds(current, expected) {
+    if (!Array.isArray(current) || current.length !== expected.length) {
+      return false;
+    }
+    const expectedSet = new Set(expected);
+    return current.every(id => expectedSet.has(id));
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MigrationService;
+}
@@ -0,0 +1,522 @@
+/**
+ * MindMapCanvas - Interactive SVG rendering of a label's mind map
+ *
+ * Draws label.mindMapData (see MindMap) as a left-to-right node-link tree:
+ * the label in the root column, then topics, subtopics and the chats given as
+ * examples. Topics and subtopics collapse/expand on click, `relatedTo` links
+ * are drawn as dashed edges between the nodes they name, and chat nodes open
+ * the conversation at the message the example comes from. The view pans by
+ * dragging and zooms with the wheel.
+ *
+ * The SVG fills its container, so the same canvas works in the popup and in a
+ * full-page tab; it fits itself to the container whenever that gets resized
+ * from hidden (zero size) to visible.
+ */
+
+const MindMapCanvas = {
+  NODE_WIDTH: 184,
+  NODE_HEIGHT: 30,
+  COLUMN_GAP: 56,
+  ROW_HEIGHT: 40,
+  CHAR_WIDTH: 6.6,
+  MIN_ZOOM: 0.2,
+  MAX_ZOOM: 2.5,
+  // Larger maps start with subtopics collapsed
+  COLLAPSE_THRESHOLD: 40,
+  DRAG_THRESHOLD: 4,
+
+  SVG_NS: 'http://www.w3.org/2000/svg',
+
+  /**
+   * Render a mind map into a container
+   * @param {HTMLElement} container - Element the SVG fills
+   * @param {Object} mindMapData - label.mindMapData
+   * @param {Object} options - { title, chatsById, onOpenChat(chat, example) }
+   * @returns {{fit: Function, zoomBy: Function, expandAll: Function, collapseAll: Function, destroy: Function}}
+   */
+  create(container, mindMapData, options = {}) {
+    const { title = 'Mind Map', chatsById = {}, onOpenChat = null } = options;
+    const root = this._buildTree(mindMapData, title, chatsById);
+    const collapsed = new Set();
+    const view = { x: 0, y: 0, k: 1 };
+    let layout = null;
+    let fitted = false;
+
+    const expandable = [];
+    this._walk(root, node => {
+      if (node.children.length > 0 && node.depth > 0) {
+        expandable.push(node);
+      }
+    });
+    if (expandable.length + root.leafCount > this.COLLAPSE_THRESHOLD) {
+      expandable.filter(node => node.depth >= 2).forEach(node => collapsed.add(node.id));
+    }
+
+    const svg = this._el('svg', { class: 'mindmap-canvas', role: 'tree', 'aria-label': `${title} mind map` });
+    const viewport = this._el('g', { class: 'mindmap-canvas-viewport' });
+    svg.appendChild(viewport);
+    container.appendChild(svg);
+
+    const applyView = () => {
+      viewport.setAttribute('transform', `translate(${view.x} ${view.y}) scale(${view.k})`);
+    };
+
+    const render = () => {
+      layout = this._layout(root, collapsed);
+      viewport.replaceChildren(this._draw(layout, collapsed));
+      applyView();
+    };
+
+    const fit = () => {
+      const width = svg.clientWidth;
+      const height = svg.clientHeight;
+      if (!layout || width === 0 || height === 0) {
+        return;
+      }
+      const { minX, minY, maxX, maxY } = layout.bounds;
+      const k = this._clamp(Math.min(width / (maxX - minX), height / (maxY - minY), 1) * 0.92);
+      view.k = k;
+      view.x = (width - (maxX - minX) * k) / 2 - minX * k;
+      view.y = (height - (maxY - minY) * k) / 2 - minY * k;
+      fitted = true;
+      applyView();
+    };
+
+    const zoomAt = (factor, pointX, pointY) => {
+      const k = this._clamp(view.k * factor);
+      view.x = pointX - (pointX - view.x) * (k / view.k);
+      view.y = pointY - (pointY - view.y) * (k / view.k);
+      view.k = k;
+      applyView();
+    };
+
+    // Keep the toggled node under the pointer while the layout shifts around it
+    const toggle = nodeId => {
+      const before = layout.positions.get(nodeId);
+      if (collapsed.has(nodeId)) {
+        collapsed.delete(nodeId);
+      } else {
+        collapsed.add(nodeId);
+      }
+      render();
+      const after = layout.positions.get(nodeId);
+      if (before && after) {
+        view.x += (before.x - after.x) * view.k;
+        view.y += (before.y - after.y) * view.k;
+        applyView();
+      }
+    };
+
+    const activate = nodeElement => {
+      const node = layout.nodesById.get(nodeElement.getAttribute('data-node-id'));
+      if (!node) {
+        return;
+      }
+      if (node.kind === 'chat') {
+        if (node.chat && onOpenChat) {
+          onOpenChat(node.chat, node.example);
+        }
+      } else if (node.children.length > 0 && node.depth > 0) {
+        toggle(node.id);
+      }
+    };
+
+    // Pan by dragging; a drag never counts as a click on the node it started on
+    let drag = null;
+    const onPointerDown = event => {
+      if (event.button !== 0) {
+        return;
+      }
+      drag = { startX: event.clientX, startY: event.clientY, x: view.x, y: view.y, moved: false, pointerId: event.pointerId };
+    };
+    const onPointerMove = event => {
+      if (!drag) {
+        return;
+      }
+      const dx = event.clientX - drag.startX;
+      const dy = event.clientY - drag.startY;
+      if (!drag.moved && Math.hypot(dx, dy) < this.DRAG_THRESHOLD) {
+        return;
+      }
+      if (!drag.moved) {
+        drag.moved = true;
+        svg.setPointerCapture(drag.pointerId);
+        svg.classList.add('dragging');
+      }
+      view.x = drag.x + dx;
+      view.y = drag.y + dy;
+      applyView();
+    };
+    const onPointerUp = event => {
+      if (!drag) {
+        return;
+      }
+      const wasDrag = drag.moved;
+      drag = null;
+      svg.classList.remove('dragging');
+      if (!wasDrag) {
+        const nodeElement = event.target.closest('.mindmap-canvas-node');
+        if (nodeElement) {
+          activate(nodeElement);
+        }
+      }
+    };
+    const onWheel = event => {
+      event.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      zoomAt(Math.exp(-event.deltaY * 0.0015), event.clientX - rect.left, event.clientY - rect.top);
+    };
+    const onKeyDown = event => {
+      const nodeElement = event.target.closest && event.target.closest('.mindmap-canvas-node');
+      if (nodeElement && (event.key === 'Enter' || event.key === ' ')) {
+        event.preventDefault();
+        activate(nodeElement);
+      }
+    };
+
+    svg.addEventListener('pointerdown', onPointerDown);
+    svg.addEventListener('pointermove', onPointerMove);
+    svg.addEventListener('pointerup', onPointerUp);
+    svg.addEventListener('pointercancel', () => {
+      drag = null;
+      svg.classList.remove('dragging');
+    });
+    svg.addEventListener('wheel', onWheel, { passive: false });
+    svg.addEventListener('keydown', onKeyDown);
+
+    // The tab panel may be hidden when the canvas is created; fit once it has a size
+    const resizeObserver = new ResizeObserver(() => {
+      if (!fitted) {
+        fit();
+      }
+    });
+    resizeObserver.observe(svg);
+
+    render();
+    fit();
+
+    return {
+      fit,
+      zoomBy: factor => zoomAt(factor, svg.clientWidth / 2, svg.clientHeight / 2),
+      expandAll: () => {
+        collapsed.clear();
+        render();
+        fit();
+      },
+      collapseAll: () => {
+        expandable.forEach(node => collapsed.add(node.id));
+        render();
+        fit();
+      },
+      destroy: () => {
+        resizeObserver.disconnect();
+        svg.remove();
+      }
+    };
+  },
+
+  /**
+   * TREE AND LAYOUT
+   */
+
+  /**
+   * Turn mind map data into one tree of display nodes
+   * @param {Object} mindMapData - label.mindMapData
+   * @param {string} title - Root node text
+   * @param {Object} chatsById - Chats that can be shown, keyed by ID
+   * @returns {Object} Root display node
+   */
+  _buildTree(mindMapData, title, chatsById) {
+    const toNode = (node, depth) => {
+      const children = (node.subtopics || []).map(child => toNode(child, depth + 1));
+
+      (node.examples || []).forEach((example, index) => {
+        const chat = example.chatId ? chatsById[example.chatId] : null;
+        // Chats hidden from the library stay in the data but are not drawn
+        if (example.chatId && !chat) {
+          return;
+        }
+        children.push({
+          id: `${node.id}_example_${index}`,
+          kind: 'chat',
+          depth: depth + 1,
+          name: (chat && chat.title) || example.title || 'Conversation',
+          detail: example.detail || '',
+          platform: chat ? chat.platform : '',
+          chat,
+          example,
+          relatedTo: [],
+          children: []
+        });
+      });
+
+      return {
+        id: node.id,
+        kind: depth === 1 ? 'topic' : 'subtopic',
+        depth,
+        name: node.name,
+        detail: node.summary || '',
+        relatedTo: node.relatedTo || [],
+        children
+      };
+    };
+
+    const root = {
+      id: 'root',
+      kind: 'root',
+      depth: 0,
+      name: title,
+      detail: '',
+      relatedTo: [],
+      children: ((mindMapData && mindMapData.topics) || []).map(topic => toNode(topic, 1))
+    };
+
+    let leafCount = 0;
+    this._walk(root, node => {
+      if (node.children.length === 0) {
+        leafCount++;
+      }
+    });
+    root.leafCount = leafCount;
+
+    return root;
+  },
+
+  /**
+   * Position the visible nodes: one column per depth, leaves on consecutive rows,
+   * parents centered on their children
+   * @param {Object} root - Root display node
+   * @param {Set<string>} collapsed - IDs of collapsed nodes
+   * @returns {{nodes: Array<Object>, edges: Array<Object>, related: Array<Object>, positions: Map, nodesById: Map, bounds: Object}}
+   */
+  _layout(root, collapsed) {
+    const nodes = [];
+    const edges = [];
+    const positions = new Map();
+    const nodesById = new Map();
+    let row = 0;
+
+    const place = node => {
+      const children = collapsed.has(node.id) ? [] : node.children;
+      const x = node.depth * (this.NODE_WIDTH + this.COLUMN_GAP);
+      let y;
+
+      if (children.length === 0) {
+        y = row++ * this.ROW_HEIGHT;
+      } else {
+        const childPositions = children.map(place);
+        y = (childPositions[0].y + childPositions[childPositions.length - 1].y) / 2;
+        children.forEach((child, index) => {
+          edges.push({ from: { x, y }, to: childPositions[index] });
+        });
+      }
+
+      positions.set(node.id, { x, y });
+      nodesById.set(node.id, node);
+      nodes.push(node);
+      return { x, y };
+    };
+
+    place(root);
+
+    // relatedTo names another topic or subtopic; link the first visible match
+    const byName = new Map();
+    nodes.forEach(node => {
+      if (node.kind === 'topic' || node.kind === 'subtopic') {
+        const key = node.name.trim().toLowerCase();
+        if (!byName.has(key)) {
+          byName.set(key, node);
+        }
+      }
+    });
+
+    const related = [];
+    const seenPairs = new Set();
+    nodes.forEach(node => {
+      node.relatedTo.forEach(name => {
+        const target = byName.get(String(name).trim().toLowerCase());
+        if (!target || target === node) {
+          return;
+        }
+        const pair = [node.id, target.id].sort().join('|');
+        if (!seenPairs.has(pair)) {
+          seenPairs.add(pair);
+          related.push({ from: positions.get(node.id), to: positions.get(target.id) });
+        }
+      });
+    });
+
+    const halfWidth = this.NODE_WIDTH / 2;
+    const halfHeight = this.NODE_HEIGHT / 2;
+    const xs = [...positions.values()].map(position => position.x);
+    const ys = [...positions.values()].map(position => position.y);
+
+    return {
+      nodes,
+      edges,
+      related,
+      positions,
+      nodesById,
+      bounds: {
+        minX: Math.min(...xs) - halfWidth - 8,
+        maxX: Math.max(...xs) + halfWidth + (related.length > 0 ? 72 : 8),
+        minY: Math.min(...ys) - halfHeight - 8,
+        maxY: Math.max(...ys) + halfHeight + 8
+      }
+    };
+  },
+
+  /**
+   * DRAWING
+   */
+
+  /**
+   * Build the SVG content for a layout
+   * @param {Object} layout - Result of _layout
+   * @param {Set<string>} collapsed - IDs of collapsed nodes
+   * @returns {DocumentFragment}
+   */
+  _draw(layout, collapsed) {
+    const fragment = document.createDocumentFragment();
+    const halfWidth = this.NODE_WIDTH / 2;
+    const halfHeight = this.NODE_HEIGHT / 2;
+
+    const edgeGroup = this._el('g', { class: 'mindmap-canvas-edges' });
+    layout.edges.forEach(({ from, to }) => {
+      const x1 = from.x + halfWidth;
+      const x2 = to.x - halfWidth;
+      const mid = (x1 + x2) / 2;
+      edgeGroup.appendChild(this._el('path', {
+        class: 'mindmap-canvas-edge',
+        d: `M ${x1} ${from.y} C ${mid} ${from.y}, ${mid} ${to.y}, ${x2} ${to.y}`
+      }));
+    });
+
+    // Related links bulge out to the right of both nodes so they stay clear of tree edges
+    layout.related.forEach(({ from, to }) => {
+      const x1 = from.x + halfWidth;
+      const x2 = to.x + halfWidth;
+      const bulge = Math.max(x1, x2) + 40 + Math.min(Math.abs(to.y - from.y) / 8, 32);
+      edgeGroup.appendChild(this._el('path', {
+        class: 'mindmap-canvas-related',
+        d: `M ${x1} ${from.y} C ${bulge} ${from.y}, ${bulge} ${to.y}, ${x2} ${to.y}`
+      }));
+    });
+    fragment.appendChild(edgeGroup);
+
+    const nodeGroup = this._el('g', { class: 'mindmap-canvas-nodes' });
+    layout.nodes.forEach(node => {
+      const { x, y } = layout.positions.get(node.id);
+      const hasChildren = node.children.length > 0 && node.depth > 0;
+      const isCollapsed = collapsed.has(node.id);
+      const interactive = hasChildren || (node.kind === 'chat' && node.chat);
+
+      const attrs = {
+        class: `mindmap-canvas-node ${node.kind}${isCollapsed ? ' collapsed' : ''}${interactive ? ' interactive' : ''}`,
+        'data-node-id': node.id,
+        transform: `translate(${x - halfWidth} ${y - halfHeight})`,
+        role: 'treeitem'
+      };
+      if (interactive) {
+        attrs.tabindex = '0';
+      }
+      if (hasChildren) {
+        attrs['aria-expanded'] = String(!isCollapsed);
+      }
+      const group = this._el('g', attrs);
+
+      const tooltip = this._el('title');
+      tooltip.textContent = node.detail ? `${node.name}\n${node.detail}` : node.name;
+      group.appendChild(tooltip);
+
+      group.appendChild(this._el('rect', {
+        class: 'mindmap-canvas-box',
+        width: this.NODE_WIDTH,
+        height: this.NODE_HEIGHT,
+        rx: node.kind === 'chat' ? 6 : this.NODE_HEIGHT / 2
+      }));
+
+      let textX = 12;
+      if (node.kind === 'chat') {
+        group.appendChild(this._el('circle', {
+          class: `mindmap-canvas-platform ${node.platform}`,
+          cx: 12,
+          cy: halfHeight,
+          r: 4
+        }));
+        textX = 22;
+      }
+
+      const maxChars = Math.floor((this.NODE_WIDTH - textX - (hasChildren ? 22 : 10)) / this.CHAR_WIDTH);
+      const label = this._el('text', { class: 'mindmap-canvas-label', x: textX, y: halfHeight, 'dominant-baseline': 'central' });
+      label.textContent = this._truncate(node.name, maxChars);
+      group.appendChild(label);
+
+      if (hasChildren) {
+        const badgeX = this.NODE_WIDTH - 12;
+        group.appendChild(this._el('circle', { class: 'mindmap-canvas-toggle', cx: badgeX, cy: halfHeight, r: 7 }));
+        const sign = this._el('text', { class: 'mindmap-canvas-toggle-sign', x: badgeX, y: halfHeight, 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+        sign.textContent = isCollapsed ? '+' : '−';
+        group.appendChild(sign);
+      }
+
+      nodeGroup.appendChild(group);
+    });
+    fragment.appendChild(nodeGroup);
+
+    return fragment;
+  },
+
+  /**
+   * HELPERS
+   */
+
+  /**
+   * Create an SVG element
+   * @param {string} tag - Element name
+   * @param {Object} attrs - Attributes
+   * @returns {SVGElement}
+   */
+  _el(tag, attrs = {}) {
+    const element = document.createElementNS(this.SVG_NS, tag);
+    Object.entries(attrs).forEach(([name, value]) => {
+      element.setAttribute(name, value);
+    });
+    return element;
+  },
+
+  /**
+   * Visit every display node depth-first
+   * @param {Object} node - Display node
+   * @param {Function} callback - (node) => void
+   */
+  _walk(node, callback) {
+    callback(node);
+    node.children.forEach(child => this._walk(child, callback));
+  },
+
+  /**
+   * Shorten text to fit a node
+   * @param {string} text - Text
+   * @param {number} maxChars - Maximum characters
+   * @returns {string}
+   */
+  _truncate(text, maxChars) {
+    const value = String(text || '');
+    return value.length > maxChars ? `${value.slice(0, Math.max(maxChars - 1, 1))}…` : value;
+  },
+
+  /**
+   * Keep a zoom level within bounds
+   * @param {number} k - Zoom level
+   * @returns {number}
+   */
+  _clamp(k) {
+    return Math.min(this.MAX_ZOOM, Math.max(this.MIN_ZOOM, k));
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MindMapCanvas;
+}
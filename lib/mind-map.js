@@ -0,0 +1,415 @@
+/**
+ * MindMap - Structured mind map data for label knowledge pages
+ *
+ * A label's mind map is stored in `label.mindMapData` as plain JSON:
+ *
+ *   {
+ *     version: 1,
+ *     generatedAt: 1700000000000,
+ *     topics: [{
+ *       id: 'node_1',
+ *       name: 'Theme',
+ *       summary: 'Short synthesis',
+ *       relatedTo: ['Other node name'],
+ *       examples: [{ chatId: 'chat_123', pairIndex: 2, detail: 'What this chat adds' }],
+ *       subtopics: [ ...nodes with the same shape ]
+ *     }]
+ *   }
+ *
+ * Examples reference chats by ID, so the map is rendered at view time from
+ * the current chats and dangling references can be pruned when chats leave
+ * the label. `pairIndex` is the message pair of the chat the example comes
+ * from (matched against its pair summaries), which the reader opens at.
+ *
+ * Labels saved before this format only have the rendered HTML in
+ * `label.bulletPoints`; fromHTML reads those back (popup only, needs DOMParser).
+ */
+
+const MindMap = {
+  VERSION: 1,
+
+  /**
+   * BUILDING
+   */
+
+  /**
+   * Build mind map data from the Prompt API response
+   * @param {Array<Object>} mindmap - Parsed `mindmap` array ({topic, summary, subtopics[{name, examples[{chatIndex, detail}], relatedTo, subtopics}]})
+   * @param {Array<Object>} chats - Chats in the order they were numbered in the prompt
+   * @returns {Object} mindMapData
+   */
+  fromModelResponse(mindmap, chats) {
+    let nextId = 1;
+
+    const toExample = example => {
+      const index = parseInt(example && example.chatIndex, 10);
+      const chat = index > 0 && index <= chats.length ? chats[index - 1] : null;
+      const title = this._text(example && example.title);
+      if (!chat && !title) {
+        return null;
+      }
+
+      const entry = { chatId: chat ? chat.id : null, detail: this._text(example.detail) };
+      if (!chat) {
+        entry.title = title;
+      } else {
+        const pairIndex = this._matchPair(entry.detail, chat.messagePairSummaries);
+        if (pairIndex !== null) {
+          entry.pairIndex = pairIndex;
+        }
+      }
+      return entry;
+    };
+
+    const toNode = (node, fallbackName) => ({
+      id: `node_${nextId++}`,
+      name: this._text(node.name || node.topic) || fallbackName,
+      summary: this._text(node.summary),
+      relatedTo: (Array.isArray(node.relatedTo) ? node.relatedTo : [])
+        .map(item => this._text(item))
+        .filter(Boolean),
+      examples: (Array.isArray(node.examples) ? node.examples : [])
+        .map(toExample)
+        .filter(Boolean),
+      subtopics: (Array.isArray(node.subtopics) ? node.subtopics : [])
+        .filter(child => child && typeof child === 'object')
+        .map(child => toNode(child, 'Untitled Subtopic'))
+    });
+
+    return {
+      version: this.VERSION,
+      generatedAt: Date.now(),
+      topics: (Array.isArray(mindmap) ? mindmap : [])
+        .filter(topic => topic && typeof topic === 'object')
+        .map(topic => toNode(topic, 'Untitled Theme'))
+    };
+  },
+
+  /**
+   * Read a legacy mind map back from the HTML stored in label.bulletPoints
+   * @param {string} html - HTML rendered by the previous AIService._convertMindmapToHTML
+   * @returns {Object|null} mindMapData, or null if the HTML holds no mind map
+   */
+  fromHTML(html) {
+    if (!html || typeof html !== 'string' || typeof DOMParser === 'undefined') {
+      return null;
+    }
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const root = doc.querySelector('ul.bulletpoints-list');
+    if (!root) {
+      return null;
+    }
+
+    let nextId = 1;
+    const text = element => (element ? this._text(element.textContent) : '');
+
+    const readExamples = node => [...node.querySelectorAll(':scope > ul.mindmap-examples > li.chat-bullet')]
+      .map(item => {
+        const anchor = item.querySelector(':scope > a.chat-link');
+        const chatId = anchor ? anchor.getAttribute('data-chat-id') : '';
+        const example = { chatId: chatId || null, detail: text(item.querySelector(':scope > .example-detail')) };
+        if (!example.chatId) {
+          example.title = text(item.querySelector('.chat-title'));
+        }
+        return example;
+      });
+
+    const readNodes = parent => [...parent.querySelectorAll(':scope > ul.mindmap-level > li.mindmap-node')]
+      .map(node => {
+        const header = node.querySelector(':scope > .mindmap-node-header');
+        const related = text(node.querySelector(':scope > .mindmap-related')).replace(/^Related to:\s*/, '');
+        return {
+          id: `node_${nextId++}`,
+          name: text(header && header.querySelector('.mindmap-node-title')) || 'Untitled Subtopic',
+          summary: text(header && header.querySelector('.mindmap-summary')),
+          relatedTo: related ? related.split(/\s*,\s*/).filter(Boolean) : [],
+          examples: readExamples(node),
+          subtopics: readNodes(node)
+        };
+      });
+
+    const topics = [...root.querySelectorAll(':scope > li.mindmap-topic')].map(topic => {
+      const header = topic.querySelector(':scope > .mindmap-topic-header');
+      return {
+        id: `node_${nextId++}`,
+        name: text(header && header.querySelector('strong')) || 'Untitled Theme',
+        summary: text(header && header.querySelector('.mindmap-summary')),
+        relatedTo: [],
+        examples: [],
+        subtopics: readNodes(topic)
+      };
+    });
+
+    return topics.length > 0
+      ? { version: this.VERSION, generatedAt: null, topics }
+      : null;
+  },
+
+  /**
+   * CHAT REFERENCES
+   */
+
+  /**
+   * Collect every chat ID referenced by the mind map
+   * @param {Object} mindMapData - Mind map data
+   * @returns {Set<string>}
+   */
+  getChatIds(mindMapData) {
+    const chatIds = new Set();
+    this._walk(mindMapData, node => {
+      node.examples.forEach(example => {
+        if (example.chatId) {
+          chatIds.add(example.chatId);
+        }
+      });
+    });
+    return chatIds;
+  },
+
+  /**
+   * Drop examples that reference chats outside the given set
+   * @param {Object} mindMapData - Mind map data
+   * @param {Array<string>|Set<string>} keepChatIds - Chats still in the label
+   * @returns {Object|null} Pruned copy, or null if nothing referenced a missing chat
+   */
+  pruneChats(mindMapData, keepChatIds) {
+    if (!mindMapData || !Array.isArray(mindMapData.topics)) {
+      return null;
+    }
+
+    const keep = keepChatIds instanceof Set ? keepChatIds : new Set(keepChatIds || []);
+    let removed = 0;
+
+    const pruneNode = node => {
+      const examples = (node.examples || []).filter(example => {
+        const dangling = example.chatId && !keep.has(example.chatId);
+        if (dangling) {
+          removed++;
+        }
+        return !dangling;
+      });
+      return { ...node, examples, subtopics: (node.subtopics || []).map(pruneNode) };
+    };
+
+    const topics = mindMapData.topics.map(pruneNode);
+    return removed > 0 ? { ...mindMapData, topics } : null;
+  },
+
+  /**
+   * RENDERING
+   */
+
+  /**
+   * Render mind map data as the nested list shown on the label page
+   * @param {Object} mindMapData - Mind map data
+   * @param {Object} chatsById - Chats available to link, keyed by ID
+   * @returns {string} HTML string
+   */
+  toHTML(mindMapData, chatsById = {}) {
+    const topics = mindMapData && Array.isArray(mindMapData.topics) ? mindMapData.topics : [];
+    if (topics.length === 0) {
+      return '<p class="bulletpoints-placeholder">No mind map generated.</p>';
+    }
+
+    const escape = text => this._escapeHtml(text);
+
+    const renderExamples = examples => {
+      // Chats hidden from the library stay in the data but are not shown
+      const visible = (examples || []).filter(example => !example.chatId || chatsById[example.chatId]);
+      if (visible.length === 0) {
+        return '';
+      }
+
+      let html = '\n          <ul class="mindmap-examples">';
+
+      visible.forEach(example => {
+        const chat = example.chatId ? chatsById[example.chatId] : null;
+
+        html += '\n            <li class="chat-bullet">';
+
+        if (chat) {
+          const pairIndex = this.resolvePairIndex(example, chat);
+          const pairAttribute = pairIndex !== null ? ` data-pair-index="${pairIndex}"` : '';
+          html += `\n              <a href="${escape(chat.url || '#')}" class="chat-link" data-chat-id="${escape(chat.id)}"${pairAttribute}>`;
+          html += `\n                <span class="chat-platform ${escape(chat.platform)}">${escape(this._platformName(chat.platform))}</span>`;
+          html += `\n                <span class="chat-title">${escape(chat.title)}</span>`;
+          html += '\n              </a>';
+        } else {
+          html += `\n              <span class="chat-title">${escape(example.title || 'Conversation')}</span>`;
+        }
+
+        if (example.detail) {
+          html += `\n              <div class="example-detail">${escape(example.detail)}</div>`;
+        }
+
+        html += '\n            </li>';
+      });
+
+      html += '\n          </ul>';
+
+      return html;
+    };
+
+    const renderSubtopics = (subtopics, level) => {
+      if (!Array.isArray(subtopics) || subtopics.length === 0) {
+        return '';
+      }
+
+      let html = `\n      <ul class="mindmap-level level-${level}">`;
+
+      subtopics.forEach(subtopic => {
+        html += `\n        <li class="mindmap-node" data-node-id="${escape(subtopic.id)}">`;
+        html += '\n          <div class="mindmap-node-header">';
+        html += `\n            <span class="mindmap-node-title">${escape(subtopic.name)}</span>`;
+
+        if (subtopic.summary) {
+          html += `\n            <p class="mindmap-summary">${escape(subtopic.summary)}</p>`;
+        }
+
+        html += '\n          </div>';
+
+        if (subtopic.relatedTo && subtopic.relatedTo.length > 0) {
+          html += `\n          <p class="mindmap-related">Related to: ${subtopic.relatedTo.map(escape).join(', ')}</p>`;
+        }
+
+        html += renderExamples(subtopic.examples);
+        html += renderSubtopics(subtopic.subtopics, level + 1);
+        html += '\n        </li>';
+      });
+
+      html += '\n      </ul>';
+
+      return html;
+    };
+
+    let html = '<ul class="bulletpoints-list">';
+
+    topics.forEach(topic => {
+      html += `\n  <li class="mindmap-topic" data-node-id="${escape(topic.id)}">`;
+      html += '\n    <div class="mindmap-topic-header">';
+      html += `\n      <strong>${escape(topic.name)}</strong>`;
+
+      if (topic.summary) {
+        html += `\n      <p class="mindmap-summary">${escape(topic.summary)}</p>`;
+      }
+
+      html += '\n    </div>';
+      html += renderExamples(topic.examples);
+      html += renderSubtopics(topic.subtopics, 1);
+      html += '\n  </li>';
+    });
+
+    html += '\n</ul>';
+
+    return html;
+  },
+
+  /**
+   * Message pair of its chat an example refers to
+   * Examples from before pairIndex existed are matched when opened.
+   * @param {Object} example - Mind map example
+   * @param {Object} chat - The example's chat
+   * @returns {number|null} Index into the chat's message pairs
+   */
+  resolvePairIndex(example, chat) {
+    if (example && Number.isInteger(example.pairIndex) && example.pairIndex >= 0) {
+      return example.pairIndex;
+    }
+    return this._matchPair(example && example.detail, chat && chat.messagePairSummaries);
+  },
+
+  /**
+   * HELPERS
+   */
+
+  /**
+   * Visit every node depth-first
+   * @param {Object} mindMapData - Mind map data
+   * @param {Function} callback - (node, depth) => void
+   */
+  _walk(mindMapData, callback) {
+    const visit = (nodes, depth) => {
+      (nodes || []).forEach(node => {
+        callback({ examples: [], subtopics: [], ...node }, depth);
+        visit(node.subtopics, depth + 1);
+      });
+    };
+    visit(mindMapData && mindMapData.topics, 0);
+  },
+
+  /**
+   * Pair summary sharing the most words with an example's detail
+   * @param {string} detail - Example detail
+   * @param {Array<string>} summaries - chat.messagePairSummaries
+   * @returns {number|null} Pair index, or null without a convincing match
+   */
+  _matchPair(detail, summaries) {
+    const words = this._words(detail);
+    if (words.size === 0 || !Array.isArray(summaries)) {
+      return null;
+    }
+
+    let best = null;
+    let bestScore = 0;
+    summaries.forEach((summary, index) => {
+      const summaryWords = this._words(summary);
+      const score = [...words].filter(word => summaryWords.has(word)).length;
+      if (score > bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    });
+
+    return bestScore >= Math.min(2, words.size) ? best : null;
+  },
+
+  /**
+   * Distinct words of four letters or more, lowercased
+   * @param {string} text - Text
+   * @returns {Set<string>}
+   */
+  _words(text) {
+    return new Set(this._text(text).toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) || []);
+  },
+
+  /**
+   * Coerce a model or DOM value to a trimmed single-line string
+   * @param {*} value - Value to coerce
+   * @returns {string}
+   */
+  _text(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return String(value).replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * Get platform display name
+   * @param {string} platform - Platform identifier
+   * @returns {string} Display name
+   */
+  _platformName(platform) {
+    return PlatformRegistry.getName(platform);
+  },
+
+  /**
+   * Escape HTML special characters (works without a DOM)
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  _escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MindMap;
+}
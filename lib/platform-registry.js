@@ -0,0 +1,214 @@
+/**
+ * PlatformRegistry - The AI chat platforms AI-ReCap can import from
+ *
+ * Everything the popup, the service worker and the scrapers need to know
+ * about a platform lives in one entry here: display name and color, the URLs
+ * it is served from, how a conversation URL maps to a chat ID, the import
+ * limits offered, and the adapter module that scrapes it. The popup and the
+ * import job iterate this registry, and the service worker registers each
+ * adapter as a content script from it.
+ *
+ * Adding a platform:
+ * 1. Add an entry below (IDs are also the chat ID prefix: `${id}-${conversationId}`)
+ * 2. Write content-scripts/{id}-scraper.js, calling ScraperCore.registerAdapter
+ * 3. Add its hostPatterns to host_permissions in manifest.json
+ *    (Chrome only grants hosts declared there)
+ *
+ * Loaded by the service worker, the popup and every injected scraper (safe to
+ * inject more than once).
+ */
+
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.PlatformRegistry) {
+    return;
+  }
+
+  const PlatformRegistry = {
+    // Scripts injected before every adapter module, in order
+    CORE_SCRIPTS: [
+      'lib/platform-registry.js',
+      'lib/message-tree.js',
+      'lib/artifacts.js',
+      'content-scripts/scraper-core.js',
+      'content-scripts/dom-to-markdown.js'
+    ],
+
+    PLATFORMS: {
+      chatgpt: {
+        id: 'chatgpt',
+        name: 'ChatGPT',
+        color: '#10a37f',
+        baseUrl: 'https://chatgpt.com',
+        hostPatterns: ['https://chatgpt.com/*', 'https://chat.openai.com/*'],
+        conversationUrlPattern: /\/c\/([a-zA-Z0-9-]+)/,
+        adapter: 'content-scripts/chatgpt-scraper.js',
+        limits: { options: [50, 100, 150, 200], defaultValue: 100 }
+      },
+      claude: {
+        id: 'claude',
+        name: 'Claude',
+        color: '#cc785c',
+        baseUrl: 'https://claude.ai',
+        // The Recents page lists every conversation, the home page only the latest
+        listUrl: 'https://claude.ai/recents',
+        hostPatterns: ['https://claude.ai/*'],
+        conversationUrlPattern: /\/chat\/([a-zA-Z0-9-]+)/,
+        adapter: 'content-scripts/claude-scraper.js',
+        limits: { options: [50, 100, 250, 500, 1000], defaultValue: 50 }
+      },
+      gemini: {
+        id: 'gemini',
+        name: 'Gemini',
+        color: '#4285f4',
+        baseUrl: 'https://gemini.google.com',
+        hostPatterns: ['https://gemini.google.com/*'],
+        conversationUrlPattern: /\/app\/([a-zA-Z0-9-]+)/,
+        adapter: 'content-scripts/gemini-scraper.js',
+        limits: { options: [50], defaultValue: 50 }
+      },
+      // Newer platforms are opt-in: "Do not import" is preselected
+      perplexity: {
+        id: 'perplexity',
+        name: 'Perplexity',
+        color: '#20808d',
+        baseUrl: 'https://www.perplexity.ai',
+        // The Library page lists every thread
+        listUrl: 'https://www.perplexity.ai/library',
+        hostPatterns: ['https://www.perplexity.ai/*', 'https://perplexity.ai/*'],
+        conversationUrlPattern: /\/search\/([a-zA-Z0-9._-]+)/,
+        adapter: 'content-scripts/perplexity-scraper.js',
+        limits: { options: [50, 100, 200], defaultValue: 0 }
+      },
+      copilot: {
+        id: 'copilot',
+        name: 'Copilot',
+        color: '#0078d4',
+        baseUrl: 'https://copilot.microsoft.com',
+        hostPatterns: ['https://copilot.microsoft.com/*'],
+        conversationUrlPattern: /\/chats\/([a-zA-Z0-9_-]+)/,
+        adapter: 'content-scripts/copilot-scraper.js',
+        limits: { options: [50, 100], defaultValue: 0 }
+      },
+      deepseek: {
+        id: 'deepseek',
+        name: 'DeepSeek',
+        color: '#4d6bfe',
+        baseUrl: 'https://chat.deepseek.com',
+        hostPatterns: ['https://chat.deepseek.com/*'],
+        conversationUrlPattern: /\/chat\/s\/([a-zA-Z0-9-]+)/,
+        adapter: 'content-scripts/deepseek-scraper.js',
+        limits: { options: [50, 100, 200], defaultValue: 0 }
+      },
+      mistral: {
+        id: 'mistral',
+        name: 'Le Chat',
+        color: '#fa520f',
+        baseUrl: 'https://chat.mistral.ai',
+        hostPatterns: ['https://chat.mistral.ai/*'],
+        conversationUrlPattern: /\/chat\/([a-zA-Z0-9-]+)/,
+        adapter: 'content-scripts/mistral-scraper.js',
+        limits: { options: [50, 100], defaultValue: 0 }
+      }
+    },
+
+    /**
+     * All platforms, in display order
+     * @returns {Array<Object>}
+     */
+    list() {
+      return Object.values(this.PLATFORMS);
+    },
+
+    /**
+     * Get a platform by ID
+     * @param {string} platformId - Platform ID
+     * @returns {Object|null}
+     */
+    get(platformId) {
+      return this.PLATFORMS[platformId] || null;
+    },
+
+    /**
+     * Display name of a platform (falls back to the ID for unknown platforms)
+     * @param {string} platformId - Platform ID
+     * @returns {string}
+     */
+    getName(platformId) {
+      const platform = this.get(platformId);
+      return platform ? platform.name : (platformId || 'Chat');
+    },
+
+    /**
+     * Find the platform serving a URL
+     * @param {string} url - Page URL
+     * @returns {Object|null}
+     */
+    findByUrl(url) {
+      return this.list().find(platform =>
+        platform.hostPatterns.some(pattern => this._matchesPattern(url, pattern))
+      ) || null;
+    },
+
+    /**
+     * Chat ID for a conversation URL
+     * @param {string} platformId - Platform ID
+     * @param {string} url - Conversation URL
+     * @returns {string|null} `${platformId}-${conversationId}`, or null if the URL is not a conversation
+     */
+    getChatId(platformId, url) {
+      const platform = this.get(platformId);
+      const match = platform && String(url || '').match(platform.conversationUrlPattern);
+      return match ? `${platform.id}-${match[1]}` : null;
+    },
+
+    /**
+     * Files to inject for a platform's scraper, core scripts first
+     * @param {string} platformId - Platform ID
+     * @returns {Array<string>}
+     */
+    getContentScripts(platformId) {
+      const platform = this.get(platformId);
+      return platform ? [...this.CORE_SCRIPTS, platform.adapter] : [];
+    },
+
+    /**
+     * Clamp a requested import limit to what the platform offers
+     * @param {string} platformId - Platform ID
+     * @param {number} value - Requested limit (0 skips the platform)
+     * @returns {number}
+     */
+    clampLimit(platformId, value) {
+      const platform = this.get(platformId);
+      if (!platform) {
+        return 0;
+      }
+      const limit = parseInt(value, 10);
+      if (Number.isNaN(limit)) {
+        return platform.limits.defaultValue;
+      }
+      return Math.min(Math.max(limit, 0), Math.max(...platform.limits.options));
+    },
+
+    /**
+     * Match a URL against a Chrome match pattern of the form https://host/*
+     * @param {string} url - URL
+     * @param {string} pattern - Match pattern
+     * @returns {boolean}
+     */
+    _matchesPattern(url, pattern) {
+      const prefix = pattern.replace(/\*$/, '');
+      return String(url || '').startsWith(prefix);
+    }
+  };
+
+  if (typeof self !== 'undefined') {
+    self.PlatformRegistry = PlatformRegistry;
+  }
+
+  // Export for use in other modules
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlatformRegistry;
+  }
+})();
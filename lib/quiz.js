@@ -0,0 +1,318 @@
+/**
+ * Quiz - Flashcards, multiple-choice questions and spaced repetition for labels
+ *
+ * A label's quiz is stored in `label.quizData`:
+ *
+ *   {
+ *     version: 1,
+ *     generatedAt: 1700000000000,
+ *     cards: [{
+ *       id: 'card_1700000000000_ab12cd',
+ *       type: 'flashcard' | 'multiple-choice',
+ *       question: '...',
+ *       answer: '...',                  // flashcard answer, or the correct choice
+ *       choices: ['...'],                // multiple-choice only
+ *       correctIndex: 0,                 // multiple-choice only
+ *       explanation: '...',
+ *       chatIds: ['chat_123'],           // source chats cited by the card
+ *       review: { ease, interval, repetitions, lapses, due, lastReviewed }
+ *     }]
+ *   }
+ *
+ * Reviews follow SM-2: each answer is graded 0-5, grades below 3 reset the
+ * card to a one-day interval, otherwise the interval grows by the card's ease
+ * factor, which is itself nudged up or down by the grade.
+ */
+
+const Quiz = {
+  VERSION: 1,
+
+  DAY_MS: 24 * 60 * 60 * 1000,
+
+  // SM-2 parameters
+  SM2: {
+    initialEase: 2.5,
+    minEase: 1.3,
+    firstInterval: 1,
+    secondInterval: 6,
+    passingGrade: 3
+  },
+
+  // Grades offered by the review buttons
+  GRADES: {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+  },
+
+  /**
+   * BUILDING
+   */
+
+  /**
+   * Build quiz data from the Prompt API response
+   * @param {Array<Object>} items - Parsed `cards` array ({type, question, answer, choices, answerIndex, explanation, chatIndexes})
+   * @param {Array<Object>} chats - Chats in the order they were numbered in the prompt
+   * @param {Object|null} previous - Existing quizData; cards with the same question keep their review state
+   * @returns {Object} quizData
+   */
+  fromModelResponse(items, chats, previous = null) {
+    const now = Date.now();
+    const previousByQuestion = new Map(
+      ((previous && previous.cards) || []).map(card => [this._questionKey(card.question), card])
+    );
+
+    // Cards are matched to the previous quiz by question, so each question appears once
+    const seenQuestions = new Set();
+    const cards = (Array.isArray(items) ? items : [])
+      .map(item => this._toCard(item, chats))
+      .filter(card => {
+        if (!card || seenQuestions.has(this._questionKey(card.question))) {
+          return false;
+        }
+        seenQuestions.add(this._questionKey(card.question));
+        return true;
+      })
+      .map(card => {
+        const existing = previousByQuestion.get(this._questionKey(card.question));
+        return {
+          ...card,
+          id: existing ? existing.id : this._cardId(now),
+          review: existing ? existing.review : this.newReview(now)
+        };
+      });
+
+    return {
+      version: this.VERSION,
+      generatedAt: now,
+      cards
+    };
+  },
+
+  /**
+   * Initial review state: due immediately
+   * @param {number} now - Timestamp
+   * @returns {Object}
+   */
+  newReview(now = Date.now()) {
+    return {
+      ease: this.SM2.initialEase,
+      interval: 0,
+      repetitions: 0,
+      lapses: 0,
+      due: now,
+      lastReviewed: null
+    };
+  },
+
+  /**
+   * SCHEDULING
+   */
+
+  /**
+   * Apply one SM-2 review to a card
+   * @param {Object} card - Card
+   * @param {number} grade - 0 (blackout) to 5 (perfect recall)
+   * @param {number} now - Review timestamp
+   * @returns {Object} Card with updated review state
+   */
+  review(card, grade, now = Date.now()) {
+    const { minEase, firstInterval, secondInterval, passingGrade } = this.SM2;
+    const quality = Math.max(0, Math.min(5, Math.round(grade)));
+    const current = { ...this.newReview(now), ...(card.review || {}) };
+    const next = { ...current, lastReviewed: now };
+
+    if (quality < passingGrade) {
+      next.repetitions = 0;
+      next.interval = firstInterval;
+      next.lapses = current.lapses + 1;
+    } else {
+      next.repetitions = current.repetitions + 1;
+      if (next.repetitions === 1) {
+        next.interval = firstInterval;
+      } else if (next.repetitions === 2) {
+        next.interval = secondInterval;
+      } else {
+        next.interval = Math.round(current.interval * current.ease);
+      }
+    }
+
+    next.ease = Math.max(minEase, current.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    next.due = now + next.interval * this.DAY_MS;
+
+    return { ...card, review: next };
+  },
+
+  /**
+   * Cards due by the end of the given day, most overdue first
+   * @param {Object|null} quizData - label.quizData
+   * @param {number} now - Timestamp
+   * @returns {Array<Object>}
+   */
+  getDueCards(quizData, now = Date.now()) {
+    const endOfDay = this.endOfDay(now);
+    return ((quizData && quizData.cards) || [])
+      .filter(card => !card.review || card.review.due <= endOfDay)
+      .sort((a, b) => ((a.review && a.review.due) || 0) - ((b.review && b.review.due) || 0));
+  },
+
+  /**
+   * Number of cards due today
+   * @param {Object|null} quizData - label.quizData
+   * @param {number} now - Timestamp
+   * @returns {number}
+   */
+  countDue(quizData, now = Date.now()) {
+    return this.getDueCards(quizData, now).length;
+  },
+
+  /**
+   * Earliest due date among cards not due today
+   * @param {Object|null} quizData - label.quizData
+   * @param {number} now - Timestamp
+   * @returns {number|null}
+   */
+  getNextDue(quizData, now = Date.now()) {
+    const endOfDay = this.endOfDay(now);
+    const upcoming = ((quizData && quizData.cards) || [])
+      .map(card => card.review && card.review.due)
+      .filter(due => typeof due === 'number' && due > endOfDay);
+    return upcoming.length > 0 ? Math.min(...upcoming) : null;
+  },
+
+  /**
+   * Last millisecond of the local day containing a timestamp
+   * @param {number} now - Timestamp
+   * @returns {number}
+   */
+  endOfDay(now = Date.now()) {
+    const date = new Date(now);
+    date.setHours(23, 59, 59, 999);
+    return date.getTime();
+  },
+
+  /**
+   * CHAT REFERENCES
+   */
+
+  /**
+   * Drop citations of chats outside the given set
+   * Cards stay even when all their sources are gone; the question is still valid.
+   * @param {Object} quizData - label.quizData
+   * @param {Array<string>|Set<string>} keepChatIds - Chats still in the label
+   * @returns {Object|null} Pruned copy, or null if nothing cited a missing chat
+   */
+  pruneChats(quizData, keepChatIds) {
+    if (!quizData || !Array.isArray(quizData.cards)) {
+      return null;
+    }
+
+    const keep = keepChatIds instanceof Set ? keepChatIds : new Set(keepChatIds || []);
+    let removed = 0;
+
+    const cards = quizData.cards.map(card => {
+      const chatIds = (card.chatIds || []).filter(chatId => keep.has(chatId));
+      removed += (card.chatIds || []).length - chatIds.length;
+      return { ...card, chatIds };
+    });
+
+    return removed > 0 ? { ...quizData, cards } : null;
+  },
+
+  /**
+   * HELPERS
+   */
+
+  /**
+   * Validate one model item and convert it to a card (without id/review)
+   * @param {Object} item - Model output item
+   * @param {Array<Object>} chats - Numbered chats
+   * @returns {Object|null}
+   */
+  _toCard(item, chats) {
+    if (!item || typeof item !== 'object') {
+      return null;
+    }
+
+    const question = this._text(item.question);
+    if (!question) {
+      return null;
+    }
+
+    const indexes = Array.isArray(item.chatIndexes) ? item.chatIndexes : [item.chatIndex];
+    const chatIds = [...new Set(indexes
+      .map(index => parseInt(index, 10))
+      .filter(index => index > 0 && index <= chats.length)
+      .map(index => chats[index - 1].id))];
+    const explanation = this._text(item.explanation);
+
+    // The answer index refers to the choices as given, before empty ones are dropped
+    const givenChoices = Array.isArray(item.choices) ? item.choices.map(choice => this._text(choice)) : [];
+    const choices = givenChoices.filter(Boolean);
+    const isMultipleChoice = /multiple|choice|mcq/i.test(String(item.type || '')) || choices.length > 0;
+
+    if (isMultipleChoice) {
+      const givenIndex = parseInt(item.answerIndex ?? item.correctIndex, 10);
+      let correctIndex = givenIndex >= 0 && givenIndex < givenChoices.length && givenChoices[givenIndex]
+        ? givenChoices.slice(0, givenIndex).filter(Boolean).length
+        : -1;
+      if (correctIndex < 0) {
+        correctIndex = choices.indexOf(this._text(item.answer));
+      }
+      if (choices.length < 2 || correctIndex < 0) {
+        return null;
+      }
+      return {
+        type: 'multiple-choice',
+        question,
+        answer: choices[correctIndex],
+        choices,
+        correctIndex,
+        explanation,
+        chatIds
+      };
+    }
+
+    const answer = this._text(item.answer);
+    if (!answer) {
+      return null;
+    }
+    return { type: 'flashcard', question, answer, explanation, chatIds };
+  },
+
+  /**
+   * Normalize a question for matching against a previous quiz
+   * @param {string} question - Question text
+   * @returns {string}
+   */
+  _questionKey(question) {
+    return String(question || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  },
+
+  /**
+   * Generate a card ID
+   * @param {number} now - Timestamp
+   * @returns {string}
+   */
+  _cardId(now) {
+    return `card_${now}_${Math.random().toString(36).slice(2, 8)}`;
+  },
+
+  /**
+   * Coerce a model value to a trimmed string
+   * @param {*} value - Value
+   * @returns {string}
+   */
+  _text(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return String(value).trim();
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Quiz;
+}
@@ -0,0 +1,236 @@
+/**
+ * SearchIndex - Full-text search helpers for AI-ReCap
+ *
+ * Each chat is turned into one search document ({ chatId, terms, tf, length })
+ * that StorageService writes to the `searchDocs` store in the same transaction
+ * as the chat itself. The multiEntry `terms` index on that store is the
+ * inverted index: looking up a term returns every document that contains it.
+ * Results are ranked with BM25, with title and summary matches weighted above
+ * message and artifact content.
+ *
+ * Latin text is split into words; Chinese/Japanese/Korean text has no spaces,
+ * so it is indexed as overlapping character bigrams.
+ */
+
+const SearchIndex = {
+  // Term frequency weight per field
+  FIELD_WEIGHTS: {
+    title: 3,
+    chatSummary: 2,
+    messagePairSummaries: 1.5,
+    messages: 1,
+    artifacts: 1
+  },
+
+  // BM25 parameters
+  BM25: {
+    k1: 1.2,
+    b: 0.75
+  },
+
+  MAX_TERM_LENGTH: 40,
+
+  CJK_PATTERN: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー]/u,
+
+  TOKEN_PATTERN: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー]+|(?:(?![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー])[\p{L}\p{N}])+/gu,
+
+  STOP_WORDS: new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from',
+    'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'no', 'not',
+    'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'we', 'what', 'when',
+    'which', 'with', 'you', 'your'
+  ]),
+
+  /**
+   * Split text into normalized search terms
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} Terms in document order (may repeat)
+   */
+  tokenize(text) {
+    if (typeof text !== 'string' || !text) {
+      return [];
+    }
+
+    // Lowercase and strip Latin diacritics, then recompose so kana voicing marks survive
+    const normalized = text
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .normalize('NFKC');
+
+    const terms = [];
+    const runs = normalized.match(this.TOKEN_PATTERN) || [];
+
+    runs.forEach(run => {
+      if (this.CJK_PATTERN.test(run)) {
+        if (run.length === 1) {
+          terms.push(run);
+          return;
+        }
+        for (let i = 0; i < run.length - 1; i++) {
+          terms.push(run.slice(i, i + 2));
+        }
+        return;
+      }
+
+      if (run.length < 2 || run.length > this.MAX_TERM_LENGTH || this.STOP_WORDS.has(run)) {
+        return;
+      }
+      terms.push(run);
+    });
+
+    return terms;
+  },
+
+  /**
+   * Build the search document for a chat
+   * @param {Object} chat - Chat object
+   * @returns {{chatId: string, platform: string, terms: Array<string>, tf: Object, length: number}}
+   */
+  buildDocument(chat) {
+    const fields = [
+      [chat.title, this.FIELD_WEIGHTS.title],
+      [chat.chatSummary, this.FIELD_WEIGHTS.chatSummary]
+    ];
+
+    (chat.messagePairSummaries || []).forEach(summary => {
+      fields.push([summary, this.FIELD_WEIGHTS.messagePairSummaries]);
+    });
+
+    (chat.messages || []).forEach(message => {
+      fields.push([message && message.content, this.FIELD_WEIGHTS.messages]);
+    });
+
+    (chat.artifacts || []).forEach(artifact => {
+      fields.push([artifact && artifact.title, this.FIELD_WEIGHTS.artifacts]);
+      fields.push([artifact && artifact.content, this.FIELD_WEIGHTS.artifacts]);
+    });
+
+    return {
+      chatId: chat.id,
+      platform: chat.platform,
+      ...this.weighTerms(fields)
+    };
+  },
+
+  /**
+   * Count weighted term frequencies over a set of text fields
+   * Shared by chat documents and any ad hoc documents passed to rank().
+   * @param {Array<[string, number]>} fields - [text, weight] pairs
+   * @returns {{terms: Array<string>, tf: Object, length: number}}
+   */
+  weighTerms(fields) {
+    // No prototype, so terms such as "constructor" start from zero
+    const tf = Object.create(null);
+    let length = 0;
+
+    fields.forEach(([text, weight]) => {
+      const terms = this.tokenize(text);
+      terms.forEach(term => {
+        tf[term] = (tf[term] || 0) + weight;
+      });
+      length += terms.length;
+    });
+
+    return {
+      terms: Object.keys(tf),
+      tf,
+      length
+    };
+  },
+
+  /**
+   * Parse a search query into terms
+   * The last term is matched as a prefix while the user is still typing,
+   * and single CJK characters are matched as prefixes of indexed bigrams.
+   * @param {string} query - Raw query text
+   * @returns {Array<{term: string, prefix: boolean}>}
+   */
+  parseQuery(query) {
+    const terms = [...new Set(this.tokenize(query))];
+    const stillTyping = typeof query === 'string' && !/\s$/.test(query);
+
+    return terms.map((term, index) => ({
+      term,
+      prefix: term.length === 1 || (stillTyping && index === terms.length - 1)
+    }));
+  },
+
+  /**
+   * Rank candidate documents with BM25
+   * @param {Array<Object>} docs - Candidate documents (each contains at least one query term)
+   * @param {Array<{term: string, prefix: boolean}>} queryTerms - Parsed query
+   * @param {{totalDocs: number, avgLength: number}} stats - Collection statistics
+   * @returns {{hits: Array<{chatId: string, score: number, matchedTerms: number}>, terms: Array<string>}}
+   */
+  rank(docs, queryTerms, stats) {
+    const { k1, b } = this.BM25;
+    const totalDocs = Math.max(stats.totalDocs, docs.length, 1);
+    const avgLength = stats.avgLength || 1;
+    const matchedTerms = new Set();
+
+    // Resolve each query term to the indexed terms it matches in every document
+    const docMatches = docs.map(doc => queryTerms.map(({ term, prefix }) => {
+      if (!prefix) {
+        return this._termFrequency(doc, term) > 0 ? [term] : [];
+      }
+      return doc.terms.filter(docTerm => docTerm.startsWith(term));
+    }));
+
+    const documentFrequency = queryTerms.map((_, termIndex) =>
+      docMatches.filter(matches => matches[termIndex].length > 0).length
+    );
+
+    const hits = docs.map((doc, docIndex) => {
+      let score = 0;
+      let matchedCount = 0;
+
+      queryTerms.forEach((_, termIndex) => {
+        const matches = docMatches[docIndex][termIndex];
+        if (matches.length === 0) {
+          return;
+        }
+
+        matchedCount++;
+        matches.forEach(term => matchedTerms.add(term));
+
+        const tf = matches.reduce((sum, term) => sum + this._termFrequency(doc, term), 0);
+        const df = documentFrequency[termIndex];
+        const idf = Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5));
+        const norm = tf + k1 * (1 - b + b * (doc.length / avgLength));
+        score += idf * (tf * (k1 + 1)) / norm;
+      });
+
+      return {
+        chatId: doc.chatId,
+        // Documents matching every query term rank above partial matches
+        score: score * (matchedCount / queryTerms.length),
+        matchedTerms: matchedCount
+      };
+    });
+
+    hits.sort((a, b) => b.matchedTerms - a.matchedTerms || b.score - a.score);
+
+    return {
+      hits,
+      terms: [...matchedTerms]
+    };
+  },
+
+  /**
+   * Read a term's frequency from a document
+   * Documents read back from IndexedDB are plain objects again, so only own
+   * properties count; "constructor" must not resolve to Object.prototype.
+   * @param {Object} doc - Search document
+   * @param {string} term - Indexed term
+   * @returns {number} Weighted frequency (0 if absent)
+   */
+  _termFrequency(doc, term) {
+    return Object.prototype.hasOwnProperty.call(doc.tf, term) ? doc.tf[term] : 0;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchIndex;
+}
@@ -1,20 +1,361 @@
 /**
- * StorageService - Manages all Chrome storage operations for AI-ReCap
+ * StorageService - Manages all storage operations for AI-ReCap
+ *
+ * Chats, labels and suggested labels live in IndexedDB (one record per
+ * object, so updating a chat no longer rewrites every other chat). Settings
+ * and the import job stay in chrome.storage.local.
  *
  * Data Schemas:
  * - CHATS: Individual chat conversations from AI platforms
+ * - ATTACHMENTS: Files and images of chat messages (see AttachmentService)
  * - LABELS: User-curated topic categories
  * - SUGGESTED_LABELS: AI-generated label suggestions
  * - SETTINGS: Extension configuration and status
+ * - IMPORT_JOB: Persisted state of the current background import job
  */
 
 const StorageService = {
-  // Storage keys
+  // Storage keys (chrome.storage.local; chats/labels/suggestedLabels are only read for migration)
   KEYS: {
     CHATS: 'chats',
     LABELS: 'labels',
     SUGGESTED_LABELS: 'suggestedLabels',
-    SETTINGS: 'settings'
+    SETTINGS: 'settings',
+    IMPORT_JOB: 'importJob'
+  },
+
+  // IndexedDB configuration
+  DB_NAME: 'ai-recap',
+  DB_VERSION: 3,
+  STORES: {
+    CHATS: 'chats',
+    LABELS: 'labels',
+    SUGGESTED_LABELS: 'suggestedLabels',
+    SEARCH_DOCS: 'searchDocs',
+    ATTACHMENTS: 'attachments'
+  },
+
+  // Colors a label can be given (label.color); null keeps the default look
+  LABEL_COLORS: ['#6366f1', '#0ea5e9', '#10b981', '#84cc16', '#f59e0b', '#f97316', '#ef4444', '#ec4899', '#8b5cf6', '#64748b'],
+  LABEL_NAME_MAX_LENGTH: 60,
+
+  // Cached database connection promise
+  _dbPromise: null,
+
+  /**
+   * DATABASE SETUP
+   */
+
+  /**
+   * Open the database, creating stores on first use and migrating legacy data
+   * @returns {Promise<IDBDatabase>}
+   */
+  _getDB() {
+    if (!this._dbPromise) {
+      this._dbPromise = IDBService.open(this.DB_NAME, this.DB_VERSION, (db, oldVersion) => {
+        if (oldVersion < 1) {
+          const chats = db.createObjectStore(this.STORES.CHATS, { keyPath: 'id' });
+          chats.createIndex('platform', 'platform');
+          chats.createIndex('date', 'date');
+          chats.createIndex('processed', 'processedKey');
+          chats.createIndex('labelIds', 'labelIds', { multiEntry: true });
+
+          const labels = db.createObjectStore(this.STORES.LABELS, { keyPath: 'id' });
+          labels.createIndex('chatIds', 'chatIds', { multiEntry: true });
+
+          db.createObjectStore(this.STORES.SUGGESTED_LABELS, { keyPath: 'id' });
+        }
+
+        if (oldVersion < 2) {
+          // Inverted index: one document per chat, multiEntry on its terms (see search-index.js)
+          const searchDocs = db.createObjectStore(this.STORES.SEARCH_DOCS, { keyPath: 'chatId' });
+          searchDocs.createIndex('terms', 'terms', { multiEntry: true });
+          searchDocs.createIndex('length', 'length');
+        }
+
+        if (oldVersion < 3) {
+          // One record per attachment (blob and extracted text), referenced from message.attachments
+          const attachments = db.createObjectStore(this.STORES.ATTACHMENTS, { keyPath: 'id' });
+          attachments.createIndex('chatId', 'chatId');
+        }
+      })
+        .then(async (db) => {
+          await this._migrateFromChromeStorage(db);
+          return db;
+        })
+        .catch(error => {
+          // Allow a later call to retry opening
+          this._dbPromise = null;
+          throw error;
+        });
+    }
+
+    return this._dbPromise;
+  },
+
+  /**
+   * One-time migration of chats, labels and suggested labels from chrome.storage.local
+   * Legacy keys are removed once their records are committed to IndexedDB.
+   * @param {IDBDatabase} db - Open database
+   * @returns {Promise<void>}
+   */
+  async _migrateFromChromeStorage(db) {
+    const legacyKeys = [this.KEYS.CHATS, this.KEYS.LABELS, this.KEYS.SUGGESTED_LABELS];
+    const legacy = await chrome.storage.local.get(legacyKeys);
+    const presentKeys = legacyKeys.filter(key => legacy[key] && typeof legacy[key] === 'object');
+
+    if (presentKeys.length === 0) {
+      return;
+    }
+
+    const tx = db.transaction(Object.values(this.STORES), 'readwrite');
+    const counts = {};
+
+    presentKeys.forEach(key => {
+      const records = Object.values(legacy[key]).filter(record => record && record.id);
+      counts[key] = records.length;
+      records.forEach(record => {
+        if (key === this.KEYS.CHATS) {
+          this._putChat(tx, record);
+        } else {
+          tx.objectStore(key).put(record);
+        }
+      });
+    });
+
+    await IDBService.done(tx);
+    await chrome.storage.local.remove(presentKeys);
+    console.log('[Storage] Migrated legacy chrome.storage data to IndexedDB:', counts);
+  },
+
+  /**
+   * Run a callback inside a transaction and wait for it to commit
+   * If the callback throws, the transaction is aborted so none of the writes
+   * it already issued are committed.
+   * @param {string|Array<string>} storeNames - Store(s) to open
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - (tx) => value|Promise<value>
+   * @returns {Promise<*>} Callback result
+   */
+  async _transaction(storeNames, mode, callback) {
+    const db = await this._getDB();
+    const tx = db.transaction(storeNames, mode);
+    const completion = IDBService.done(tx);
+
+    let result;
+    try {
+      result = await callback(tx);
+    } catch (error) {
+      completion.catch(() => {});
+      try {
+        tx.abort();
+      } catch (abortError) {
+        // Already finished; nothing left to roll back
+      }
+      throw error;
+    }
+
+    await completion;
+    return result;
+  },
+
+  /**
+   * Add derived index fields to a chat before it is written
+   * (booleans are not valid IndexedDB keys, so `processed` is indexed as 0/1)
+   * @param {Object} chat - Chat object
+   * @returns {Object} Record to store
+   */
+  _toChatRecord(chat) {
+    return {
+      ...chat,
+      labelIds: Array.isArray(chat.labelIds) ? chat.labelIds : [],
+      processedKey: chat.processed ? 1 : 0
+    };
+  },
+
+  /**
+   * Strip derived index fields from a stored chat record
+   * @param {Object} record - Stored record
+   * @returns {Object|null} Chat object
+   */
+  _fromChatRecord(record) {
+    if (!record) {
+      return null;
+    }
+    const { processedKey, ...chat } = record;
+    return chat;
+  },
+
+  /**
+   * Write a chat and its search document within an open transaction
+   * @param {IDBTransaction} tx - Transaction covering the chats and searchDocs stores
+   * @param {Object} chat - Chat object
+   */
+  _putChat(tx, chat) {
+    tx.objectStore(this.STORES.CHATS).put(this._toChatRecord(chat));
+    tx.objectStore(this.STORES.SEARCH_DOCS).put(SearchIndex.buildDocument(chat));
+  },
+
+  /**
+   * Write a chat's new attachment records and drop the ones its messages no longer reference
+   * @param {IDBTransaction} tx - Transaction covering the attachments store
+   * @param {Object} chat - Chat as stored (from AttachmentService.prepareChat)
+   * @param {Array<Object>} records - New attachment records
+   * @returns {Promise<void>}
+   */
+  async _putAttachments(tx, chat, records) {
+    const store = tx.objectStore(this.STORES.ATTACHMENTS);
+    const referenced = new Set();
+    (chat.messages || []).forEach(message => {
+      (Array.isArray(message.attachments) ? message.attachments : []).forEach(attachment => {
+        referenced.add(attachment.id);
+      });
+    });
+
+    await IDBService.iterate(store.index('chatId'), (record, cursor) => {
+      if (!referenced.has(record.id)) {
+        cursor.delete();
+      }
+    }, IDBKeyRange.only(chat.id));
+
+    records.forEach(record => store.put(record));
+  },
+
+  /**
+   * Drop mind map examples and quiz citations that point at chats no longer in the label
+   * @param {Object} label - Label with its updated chatIds
+   * @returns {Object} Label, with mindMapData/quizData pruned if needed
+   */
+  _withChatReferencesPruned(label) {
+    const mindMapData = MindMap.pruneChats(label.mindMapData, label.chatIds);
+    const quizData = Quiz.pruneChats(label.quizData, label.chatIds);
+    return {
+      ...label,
+      ...(mindMapData ? { mindMapData } : {}),
+      ...(quizData ? { quizData } : {})
+    };
+  },
+
+  /**
+   * Build a new, empty label placed after the existing ones
+   * @param {Object} fields - { name, color, emoji, category }
+   * @param {Array<Object>} labels - Existing labels (for the name check and position)
+   * @returns {Object} Label with an empty chatIds list
+   */
+  _buildLabel(fields, labels) {
+    const position = labels.reduce((max, label) =>
+      typeof label.position === 'number' ? Math.max(max, label.position) : max, -1) + 1;
+    const now = Date.now();
+
+    return {
+      id: `label_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      name: this._checkLabelName(fields.name, labels),
+      category: fields.category || 'General',
+      color: this._checkLabelColor(fields.color),
+      emoji: this._checkLabelEmoji(fields.emoji),
+      chatIds: [],
+      created: now,
+      updated: now,
+      position,
+      mindMapData: null,
+      summary: null,
+      quizData: null
+    };
+  },
+
+  /**
+   * Rewrite a chat's labelIds within an open transaction
+   * @param {IDBObjectStore} chatStore - Chats store of a readwrite transaction
+   * @param {string} chatId - Chat ID
+   * @param {Function} update - (labelIds) => new labelIds (duplicates are dropped)
+   * @returns {Promise<boolean>} Whether the chat exists
+   */
+  async _updateChatLabelIds(chatStore, chatId, update) {
+    const chat = await IDBService.request(chatStore.get(chatId));
+    if (!chat) {
+      return false;
+    }
+    const labelIds = Array.isArray(chat.labelIds) ? chat.labelIds : [];
+    chatStore.put({ ...chat, labelIds: [...new Set(update(labelIds))] });
+    return true;
+  },
+
+  /**
+   * Validate a label name
+   * @param {string} name - Name as entered
+   * @param {Array<Object>} labels - Existing labels
+   * @param {string|null} labelId - Label being renamed (its own name does not clash)
+   * @returns {string} Trimmed name
+   */
+  _checkLabelName(name, labels, labelId = null) {
+    const trimmed = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+    if (!trimmed) {
+      throw new Error('Label name cannot be empty');
+    }
+    if (trimmed.length > this.LABEL_NAME_MAX_LENGTH) {
+      throw new Error(`Label name must be at most ${this.LABEL_NAME_MAX_LENGTH} characters`);
+    }
+
+    const clash = this._findLabelByName(trimmed, labels.filter(label => label.id !== labelId));
+    if (clash) {
+      throw new Error(`A label named "${clash.name}" already exists`);
+    }
+    return trimmed;
+  },
+
+  /**
+   * Find the label with a name, ignoring case and surrounding whitespace
+   * @param {string} name - Name to look for
+   * @param {Array<Object>} labels - Labels to search
+   * @returns {Object|undefined}
+   */
+  _findLabelByName(name, labels) {
+    const key = (name || '').trim().toLowerCase();
+    return labels.find(label => (label.name || '').trim().toLowerCase() === key);
+  },
+
+  /**
+   * Validate a label color
+   * @param {string|null|undefined} color - One of LABEL_COLORS
+   * @returns {string|null}
+   */
+  _checkLabelColor(color) {
+    if (color === null || color === undefined || color === '') {
+      return null;
+    }
+    if (!this.LABEL_COLORS.includes(color)) {
+      throw new Error(`Unknown label color: ${color}`);
+    }
+    return color;
+  },
+
+  /**
+   * Validate a label emoji
+   * @param {string|null|undefined} emoji - A single emoji (sequences such as flags count as one)
+   * @returns {string|null}
+   */
+  _checkLabelEmoji(emoji) {
+    const trimmed = typeof emoji === 'string' ? emoji.trim() : '';
+    if (!trimmed) {
+      return null;
+    }
+    if (/\s/.test(trimmed) || Array.from(trimmed).length > 8 || !/\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(trimmed)) {
+      throw new Error('Label icon must be a single emoji');
+    }
+    return trimmed;
+  },
+
+  /**
+   * Convert an array of records into an object keyed by ID
+   * @param {Array<Object>} records - Records with an `id`
+   * @returns {Object}
+   */
+  _toMap(records) {
+    const map = {};
+    records.forEach(record => {
+      map[record.id] = record;
+    });
+    return map;
   },
 
   /**
@@ -28,9 +369,11 @@ const StorageService = {
    */
   async saveChat(chat) {
     try {
-      const chats = await this.getAllChats();
-      chats[chat.id] = chat;
-      await chrome.storage.local.set({ [this.KEYS.CHATS]: chats });
+      const { chat: storedChat, records } = await AttachmentService.prepareChat(chat);
+      await this._transaction([this.STORES.CHATS, this.STORES.SEARCH_DOCS, this.STORES.ATTACHMENTS], 'readwrite', tx => {
+        this._putChat(tx, storedChat);
+        return this._putAttachments(tx, storedChat, records);
+      });
       console.log(`[Storage] Chat saved: ${chat.id}`);
     } catch (error) {
       console.error('[Storage] Error saving chat:', error);
@@ -45,28 +388,189 @@ const StorageService = {
    */
   async getChat(chatId) {
     try {
-      const chats = await this.getAllChats();
-      return chats[chatId] || null;
+      const record = await this._transaction(this.STORES.CHATS, 'readonly', tx =>
+        IDBService.request(tx.objectStore(this.STORES.CHATS).get(chatId))
+      );
+      return this._fromChatRecord(record);
     } catch (error) {
       console.error('[Storage] Error getting chat:', error);
       throw error;
     }
   },
 
+  /**
+   * Get several chats by ID
+   * @param {Array<string>} chatIds - Chat IDs to read
+   * @returns {Promise<Object>} Object with chatId as keys (missing chats are omitted)
+   */
+  async getChats(chatIds) {
+    try {
+      const records = await this._transaction(this.STORES.CHATS, 'readonly', tx => {
+        const store = tx.objectStore(this.STORES.CHATS);
+        return Promise.all(chatIds.map(chatId => IDBService.request(store.get(chatId))));
+      });
+      return this._toMap(records.filter(Boolean).map(record => this._fromChatRecord(record)));
+    } catch (error) {
+      console.error('[Storage] Error getting chats:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the attachment records of a chat (blob, extracted text and metadata)
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Array<Object>>} Records referenced from the chat's message.attachments
+   */
+  async getAttachments(chatId) {
+    try {
+      return await this._transaction(this.STORES.ATTACHMENTS, 'readonly', tx =>
+        IDBService.request(tx.objectStore(this.STORES.ATTACHMENTS).index('chatId').getAll(chatId))
+      );
+    } catch (error) {
+      console.error('[Storage] Error getting attachments:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get every attachment record (for backups)
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAllAttachments() {
+    try {
+      return await this._transaction(this.STORES.ATTACHMENTS, 'readonly', tx =>
+        IDBService.request(tx.objectStore(this.STORES.ATTACHMENTS).getAll())
+      );
+    } catch (error) {
+      console.error('[Storage] Error getting all attachments:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the IDs of all stored attachment records
+   * @returns {Promise<Array<string>>}
+   */
+  async getAttachmentIds() {
+    try {
+      return await this._transaction(this.STORES.ATTACHMENTS, 'readonly', tx =>
+        IDBService.request(tx.objectStore(this.STORES.ATTACHMENTS).getAllKeys())
+      );
+    } catch (error) {
+      console.error('[Storage] Error getting attachment IDs:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Write attachment records as they are (restoring a backup)
+   * The chats referring to them must be saved first: saving a chat drops the
+   * records of that chat its messages do not reference.
+   * @param {Array<Object>} records - Attachment records
+   * @returns {Promise<void>}
+   */
+  async batchSaveAttachments(records) {
+    try {
+      await this._transaction(this.STORES.ATTACHMENTS, 'readwrite', tx => {
+        const store = tx.objectStore(this.STORES.ATTACHMENTS);
+        records.forEach(record => {
+          store.put(record);
+        });
+      });
+      console.log(`[Storage] Batch saved ${records.length} attachments`);
+    } catch (error) {
+      console.error('[Storage] Error batch saving attachments:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get all chats from storage
    * @returns {Promise<Object>} Object with chatId as keys
    */
   async getAllChats() {
     try {
-      const result = await chrome.storage.local.get(this.KEYS.CHATS);
-      return result[this.KEYS.CHATS] || {};
+      const records = await this._transaction(this.STORES.CHATS, 'readonly', tx =>
+        IDBService.request(tx.objectStore(this.STORES.CHATS).getAll())
+      );
+      return this._toMap(records.map(record => this._fromChatRecord(record)));
     } catch (error) {
       console.error('[Storage] Error getting all chats:', error);
       throw error;
     }
   },
 
+  /**
+   * Get all chats from one platform
+   * @param {string} platform - Platform name (chatgpt, claude, gemini)
+   * @returns {Promise<Object>} Object with chatId as keys
+   */
+  async getChatsByPlatform(platform) {
+    try {
+      const records = await this._transaction(this.STORES.CHATS, 'readonly', tx =>
+        IDBService.request(tx.objectStore(this.STORES.CHATS).index('platform').getAll(platform))
+      );
+      return this._toMap(records.map(record => this._fromChatRecord(record)));
+    } catch (error) {
+      console.error('[Storage] Error getting chats by platform:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get all chats assigned to a label
+   * @param {string} labelId - Label ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async getChatsByLabel(labelId) {
+    try {
+      const records = await this._transaction(this.STORES.CHATS, 'readonly', tx =>
+        IDBService.request(tx.objectStore(this.STORES.CHATS).index('labelIds').getAll(labelId))
+      );
+      return records.map(record => this._fromChatRecord(record));
+    } catch (error) {
+      console.error('[Storage] Error getting chats by label:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get chats that have not been summarized yet
+   * @returns {Promise<Array<Object>>}
+   */
+  async getUnprocessedChats() {
+    try {
+      const records = await this._transaction(this.STORES.CHATS, 'readonly', tx =>
+        IDBService.request(tx.objectStore(this.STORES.CHATS).index('processed').getAll(0))
+      );
+      return records.map(record => this._fromChatRecord(record));
+    } catch (error) {
+      console.error('[Storage] Error getting unprocessed chats:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the most recent chats by date
+   * @param {number} limit - Maximum number of chats to return
+   * @returns {Promise<Array<Object>>} Chats, newest first
+   */
+  async getRecentChats(limit) {
+    try {
+      const chats = [];
+      await this._transaction(this.STORES.CHATS, 'readonly', tx =>
+        IDBService.iterate(tx.objectStore(this.STORES.CHATS).index('date'), record => {
+          chats.push(this._fromChatRecord(record));
+          return chats.length < limit;
+        }, null, 'prev')
+      );
+      return chats;
+    } catch (error) {
+      console.error('[Storage] Error getting recent chats:', error);
+      throw error;
+    }
+  },
+
   /**
    * Update specific fields of a chat
    * @param {string} chatId - Chat ID to update
@@ -75,12 +579,14 @@ const StorageService = {
    */
   async updateChat(chatId, updates) {
     try {
-      const chat = await this.getChat(chatId);
-      if (!chat) {
-        throw new Error(`Chat not found: ${chatId}`);
-      }
-      const updatedChat = { ...chat, ...updates };
-      await this.saveChat(updatedChat);
+      // Read and write in one transaction so concurrent updates cannot interleave
+      await this._transaction([this.STORES.CHATS, this.STORES.SEARCH_DOCS], 'readwrite', async tx => {
+        const record = await IDBService.request(tx.objectStore(this.STORES.CHATS).get(chatId));
+        if (!record) {
+          throw new Error(`Chat not found: ${chatId}`);
+        }
+        this._putChat(tx, { ...this._fromChatRecord(record), ...updates });
+      });
       console.log(`[Storage] Chat updated: ${chatId}`);
     } catch (error) {
       console.error('[Storage] Error updating chat:', error);
@@ -96,9 +602,13 @@ const StorageService = {
   async deleteChat(chatId) {
     try {
       await this.removeChatFromLabels(chatId);
-      const chats = await this.getAllChats();
-      delete chats[chatId];
-      await chrome.storage.local.set({ [this.KEYS.CHATS]: chats });
+      await this._transaction([this.STORES.CHATS, this.STORES.SEARCH_DOCS, this.STORES.ATTACHMENTS], 'readwrite', tx => {
+        tx.objectStore(this.STORES.CHATS).delete(chatId);
+        tx.objectStore(this.STORES.SEARCH_DOCS).delete(chatId);
+        return IDBService.iterate(tx.objectStore(this.STORES.ATTACHMENTS).index('chatId'), (record, cursor) => {
+          cursor.delete();
+        }, IDBKeyRange.only(chatId));
+      });
       console.log(`[Storage] Chat deleted: ${chatId}`);
     } catch (error) {
       console.error('[Storage] Error deleting chat:', error);
@@ -113,44 +623,29 @@ const StorageService = {
    */
   async clearAllLabelAssignments() {
     try {
-      const labels = await this.getAllLabels();
-      const chats = await this.getAllChats();
-
       let labelsCleared = 0;
       let chatAssignmentsCleared = 0;
 
-      const updatedLabels = { ...labels };
-      Object.keys(updatedLabels).forEach(labelId => {
-        const label = updatedLabels[labelId];
-        if (Array.isArray(label.chatIds) && label.chatIds.length > 0) {
-          labelsCleared += label.chatIds.length;
-          updatedLabels[labelId] = {
-            ...label,
-            chatIds: [],
-            updated: Date.now()
-          };
-        }
+      await this._transaction([this.STORES.LABELS, this.STORES.CHATS], 'readwrite', async tx => {
+        await IDBService.iterate(tx.objectStore(this.STORES.LABELS), (label, cursor) => {
+          if (Array.isArray(label.chatIds) && label.chatIds.length > 0) {
+            labelsCleared += label.chatIds.length;
+            cursor.update(this._withChatReferencesPruned({ ...label, chatIds: [], updated: Date.now() }));
+          }
+        });
+
+        await IDBService.iterate(tx.objectStore(this.STORES.CHATS), (chat, cursor) => {
+          if (Array.isArray(chat.labelIds) && chat.labelIds.length > 0) {
+            chatAssignmentsCleared += chat.labelIds.length;
+            cursor.update({ ...chat, labelIds: [] });
+          }
+        });
       });
 
       if (labelsCleared > 0) {
-        await chrome.storage.local.set({ [this.KEYS.LABELS]: updatedLabels });
         console.log(`[Storage] Cleared ${labelsCleared} label chat references`);
       }
-
-      const updatedChats = { ...chats };
-      Object.keys(updatedChats).forEach(chatId => {
-        const chat = updatedChats[chatId];
-        if (Array.isArray(chat.labelIds) && chat.labelIds.length > 0) {
-          chatAssignmentsCleared += chat.labelIds.length;
-          updatedChats[chatId] = {
-            ...chat,
-            labelIds: []
-          };
-        }
-      });
-
       if (chatAssignmentsCleared > 0) {
-        await chrome.storage.local.set({ [this.KEYS.CHATS]: updatedChats });
         console.log(`[Storage] Cleared ${chatAssignmentsCleared} chat label references`);
       }
 
@@ -171,23 +666,20 @@ const StorageService = {
    */
   async removeChatFromLabels(chatId) {
     try {
-      const labels = await this.getAllLabels();
       let updatedCount = 0;
 
-      Object.keys(labels).forEach(labelId => {
-        const label = labels[labelId];
-        if (Array.isArray(label.chatIds) && label.chatIds.includes(chatId)) {
-          labels[labelId] = {
+      await this._transaction(this.STORES.LABELS, 'readwrite', tx =>
+        IDBService.iterate(tx.objectStore(this.STORES.LABELS).index('chatIds'), (label, cursor) => {
+          cursor.update(this._withChatReferencesPruned({
             ...label,
             chatIds: label.chatIds.filter(id => id !== chatId),
             updated: Date.now()
-          };
+          }));
           updatedCount++;
-        }
-      });
+        }, IDBKeyRange.only(chatId))
+      );
 
       if (updatedCount > 0) {
-        await chrome.storage.local.set({ [this.KEYS.LABELS]: labels });
         console.log(`[Storage] Removed chat ${chatId} from ${updatedCount} labels`);
       }
     } catch (error) {
@@ -199,26 +691,37 @@ const StorageService = {
   /**
    * Remove a chat from a specific label
    * @param {string} labelId - Label ID
-  * @param {string} chatId - Chat ID to remove
+   * @param {string} chatId - Chat ID to remove
    * @returns {Promise<void>}
    */
   async removeChatFromLabel(labelId, chatId) {
     try {
-      const label = await this.getLabel(labelId);
-      if (!label || !Array.isArray(label.chatIds) || !label.chatIds.includes(chatId)) {
-        return;
-      }
+      let removed = false;
 
-      const updatedChatIds = label.chatIds.filter(id => id !== chatId);
-      await this.updateLabel(labelId, { chatIds: updatedChatIds });
+      await this._transaction([this.STORES.LABELS, this.STORES.CHATS], 'readwrite', async tx => {
+        const labelStore = tx.objectStore(this.STORES.LABELS);
+        const label = await IDBService.request(labelStore.get(labelId));
+        if (!label || !Array.isArray(label.chatIds) || !label.chatIds.includes(chatId)) {
+          return;
+        }
 
-      const chat = await this.getChat(chatId);
-      if (chat && Array.isArray(chat.labelIds) && chat.labelIds.includes(labelId)) {
-        const updatedLabelIds = chat.labelIds.filter(id => id !== labelId);
-        await this.updateChat(chatId, { labelIds: updatedLabelIds });
-      }
+        labelStore.put(this._withChatReferencesPruned({
+          ...label,
+          chatIds: label.chatIds.filter(id => id !== chatId),
+          updated: Date.now()
+        }));
+
+        const chatStore = tx.objectStore(this.STORES.CHATS);
+        const chat = await IDBService.request(chatStore.get(chatId));
+        if (chat && Array.isArray(chat.labelIds) && chat.labelIds.includes(labelId)) {
+          chatStore.put({ ...chat, labelIds: chat.labelIds.filter(id => id !== labelId) });
+        }
+        removed = true;
+      });
 
-      console.log(`[Storage] Removed chat ${chatId} from label ${labelId}`);
+      if (removed) {
+        console.log(`[Storage] Removed chat ${chatId} from label ${labelId}`);
+      }
     } catch (error) {
       console.error('[Storage] Error removing chat from label:', error);
       throw error;
@@ -232,22 +735,16 @@ const StorageService = {
    */
   async removeLabelFromChats(labelId) {
     try {
-      const chats = await this.getAllChats();
       let updatedCount = 0;
 
-      Object.keys(chats).forEach(chatId => {
-        const chat = chats[chatId];
-        if (Array.isArray(chat.labelIds) && chat.labelIds.includes(labelId)) {
-          chats[chatId] = {
-            ...chat,
-            labelIds: chat.labelIds.filter(id => id !== labelId)
-          };
+      await this._transaction(this.STORES.CHATS, 'readwrite', tx =>
+        IDBService.iterate(tx.objectStore(this.STORES.CHATS).index('labelIds'), (chat, cursor) => {
+          cursor.update({ ...chat, labelIds: chat.labelIds.filter(id => id !== labelId) });
           updatedCount++;
-        }
-      });
+        }, IDBKeyRange.only(labelId))
+      );
 
       if (updatedCount > 0) {
-        await chrome.storage.local.set({ [this.KEYS.CHATS]: chats });
         console.log(`[Storage] Removed label ${labelId} from ${updatedCount} chats`);
       }
     } catch (error) {
@@ -263,11 +760,18 @@ const StorageService = {
    */
   async batchSaveChats(chatArray) {
     try {
-      const chats = await this.getAllChats();
-      chatArray.forEach(chat => {
-        chats[chat.id] = chat;
+      // Attachment payloads are decoded (and documents read) before the transaction opens
+      const prepared = [];
+      for (const chat of chatArray) {
+        prepared.push(await AttachmentService.prepareChat(chat));
+      }
+
+      await this._transaction([this.STORES.CHATS, this.STORES.SEARCH_DOCS, this.STORES.ATTACHMENTS], 'readwrite', tx => {
+        prepared.forEach(({ chat }) => {
+          this._putChat(tx, chat);
+        });
+        return Promise.all(prepared.map(({ chat, records }) => this._putAttachments(tx, chat, records)));
       });
-      await chrome.storage.local.set({ [this.KEYS.CHATS]: chats });
       console.log(`[Storage] Batch saved ${chatArray.length} chats`);
     } catch (error) {
       console.error('[Storage] Error batch saving chats:', error);
@@ -281,23 +785,22 @@ const StorageService = {
    */
   async resetAllSummaries() {
     try {
-      const chats = await this.getAllChats();
-      const updatedChats = {};
       let resetCount = 0;
 
-      Object.entries(chats).forEach(([chatId, chat]) => {
-        updatedChats[chatId] = {
-          ...chat,
-          processed: false,
-          summarizationFailed: false,
-          excludeFromLibrary: false,
-          messagePairSummaries: [],
-          chatSummary: null
-        };
-        resetCount++;
-      });
+      await this._transaction([this.STORES.CHATS, this.STORES.SEARCH_DOCS], 'readwrite', tx =>
+        IDBService.iterate(tx.objectStore(this.STORES.CHATS), record => {
+          this._putChat(tx, {
+            ...this._fromChatRecord(record),
+            processed: false,
+            summarizationFailed: false,
+            excludeFromLibrary: false,
+            messagePairSummaries: [],
+            chatSummary: null
+          });
+          resetCount++;
+        })
+      );
 
-      await chrome.storage.local.set({ [this.KEYS.CHATS]: updatedChats });
       console.log(`[Storage] Reset summaries for ${resetCount} chats`);
       return resetCount;
     } catch (error) {
@@ -317,9 +820,9 @@ const StorageService = {
    */
   async saveLabel(label) {
     try {
-      const labels = await this.getAllLabels();
-      labels[label.id] = label;
-      await chrome.storage.local.set({ [this.KEYS.LABELS]: labels });
+      await this._transaction(this.STORES.LABELS, 'readwrite', tx => {
+        tx.objectStore(this.STORES.LABELS).put(label);
+      });
       console.log(`[Storage] Label saved: ${label.id}`);
     } catch (error) {
       console.error('[Storage] Error saving label:', error);
@@ -327,6 +830,26 @@ const StorageService = {
     }
   },
 
+  /**
+   * Save multiple labels at once (batch operation)
+   * @param {Array<Object>} labelArray - Array of label objects
+   * @returns {Promise<void>}
+   */
+  async batchSaveLabels(labelArray) {
+    try {
+      await this._transaction(this.STORES.LABELS, 'readwrite', tx => {
+        const store = tx.objectStore(this.STORES.LABELS);
+        labelArray.forEach(label => {
+          store.put(label);
+        });
+      });
+      console.log(`[Storage] Batch saved ${labelArray.length} labels`);
+    } catch (error) {
+      console.error('[Storage] Error batch saving labels:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get a single label by ID
    * @param {string} labelId - Unique label identifier
@@ -334,8 +857,10 @@ const StorageService = {
    */
   async getLabel(labelId) {
     try {
-      const labels = await this.getAllLabels();
-      return labels[labelId] || null;
+      const label = await this._transaction(this.STORES.LABELS, 'readonly', tx =>
+        IDBService.request(tx.objectStore(this.STORES.LABELS).get(labelId))
+      );
+      return label || null;
     } catch (error) {
       console.error('[Storage] Error getting label:', error);
       throw error;
@@ -348,8 +873,10 @@ const StorageService = {
    */
   async getAllLabels() {
     try {
-      const result = await chrome.storage.local.get(this.KEYS.LABELS);
-      return result[this.KEYS.LABELS] || {};
+      const labels = await this._transaction(this.STORES.LABELS, 'readonly', tx =>
+        IDBService.request(tx.objectStore(this.STORES.LABELS).getAll())
+      );
+      return this._toMap(labels);
     } catch (error) {
       console.error('[Storage] Error getting all labels:', error);
       throw error;
@@ -364,12 +891,14 @@ const StorageService = {
    */
   async updateLabel(labelId, updates) {
     try {
-      const label = await this.getLabel(labelId);
-      if (!label) {
-        throw new Error(`Label not found: ${labelId}`);
-      }
-      const updatedLabel = { ...label, ...updates, updated: Date.now() };
-      await this.saveLabel(updatedLabel);
+      await this._transaction(this.STORES.LABELS, 'readwrite', async tx => {
+        const store = tx.objectStore(this.STORES.LABELS);
+        const label = await IDBService.request(store.get(labelId));
+        if (!label) {
+          throw new Error(`Label not found: ${labelId}`);
+        }
+        store.put({ ...label, ...updates, updated: Date.now() });
+      });
       console.log(`[Storage] Label updated: ${labelId}`);
     } catch (error) {
       console.error('[Storage] Error updating label:', error);
@@ -384,9 +913,9 @@ const StorageService = {
    */
   async deleteLabel(labelId) {
     try {
-      const labels = await this.getAllLabels();
-      delete labels[labelId];
-      await chrome.storage.local.set({ [this.KEYS.LABELS]: labels });
+      await this._transaction(this.STORES.LABELS, 'readwrite', tx => {
+        tx.objectStore(this.STORES.LABELS).delete(labelId);
+      });
       await this.removeLabelFromChats(labelId);
       console.log(`[Storage] Label deleted: ${labelId}`);
     } catch (error) {
@@ -395,6 +924,175 @@ const StorageService = {
     }
   },
 
+  /**
+   * Create a label and add its ID to each of its chats
+   * Chats that are not in storage are left out of the label.
+   * @param {Object} fields - { name, color, emoji, category, chatIds }
+   * @returns {Promise<Object>} Created label
+   */
+  async createLabel(fields) {
+    try {
+      const label = await this._transaction([this.STORES.LABELS, this.STORES.CHATS], 'readwrite', async tx => {
+        const labelStore = tx.objectStore(this.STORES.LABELS);
+        const chatStore = tx.objectStore(this.STORES.CHATS);
+        const labels = await IDBService.request(labelStore.getAll());
+        const newLabel = this._buildLabel(fields, labels);
+
+        for (const chatId of new Set(fields.chatIds || [])) {
+          if (await this._updateChatLabelIds(chatStore, chatId, labelIds => [...labelIds, newLabel.id])) {
+            newLabel.chatIds.push(chatId);
+          }
+        }
+
+        labelStore.put(newLabel);
+        return newLabel;
+      });
+      console.log(`[Storage] Label created: ${label.id}`);
+      return label;
+    } catch (error) {
+      console.error('[Storage] Error creating label:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Rename a label
+   * @param {string} labelId - Label ID
+   * @param {string} name - New name (must not match another label, ignoring case)
+   * @returns {Promise<void>}
+   */
+  async renameLabel(labelId, name) {
+    try {
+      await this._transaction(this.STORES.LABELS, 'readwrite', async tx => {
+        const store = tx.objectStore(this.STORES.LABELS);
+        const labels = await IDBService.request(store.getAll());
+        const label = labels.find(candidate => candidate.id === labelId);
+        if (!label) {
+          throw new Error(`Label not found: ${labelId}`);
+        }
+        store.put({ ...label, name: this._checkLabelName(name, labels, labelId), updated: Date.now() });
+      });
+      console.log(`[Storage] Label renamed: ${labelId}`);
+    } catch (error) {
+      console.error('[Storage] Error renaming label:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Set the color and emoji of a label
+   * @param {string} labelId - Label ID
+   * @param {Object} appearance - { color, emoji }; null clears a field, undefined keeps it
+   * @returns {Promise<void>}
+   */
+  async updateLabelAppearance(labelId, appearance) {
+    const updates = {};
+    if (appearance.color !== undefined) {
+      updates.color = this._checkLabelColor(appearance.color);
+    }
+    if (appearance.emoji !== undefined) {
+      updates.emoji = this._checkLabelEmoji(appearance.emoji);
+    }
+    await this.updateLabel(labelId, updates);
+  },
+
+  /**
+   * Merge one label into another
+   * The target gets the union of both chat lists, every chat of the source
+   * refers to the target instead, and the source label is deleted.
+   * @param {string} targetId - Label that is kept
+   * @param {string} sourceId - Label merged into the target
+   * @returns {Promise<Object>} Merged label
+   */
+  async mergeLabels(targetId, sourceId) {
+    try {
+      if (targetId === sourceId) {
+        throw new Error('A label cannot be merged into itself');
+      }
+
+      const merged = await this._transaction([this.STORES.LABELS, this.STORES.CHATS], 'readwrite', async tx => {
+        const labelStore = tx.objectStore(this.STORES.LABELS);
+        const chatStore = tx.objectStore(this.STORES.CHATS);
+        const target = await IDBService.request(labelStore.get(targetId));
+        const source = await IDBService.request(labelStore.get(sourceId));
+        if (!target || !source) {
+          throw new Error(`Label not found: ${target ? sourceId : targetId}`);
+        }
+
+        const chatIds = [...(target.chatIds || [])];
+        for (const chatId of source.chatIds || []) {
+          const exists = await this._updateChatLabelIds(chatStore, chatId, labelIds =>
+            labelIds.map(id => (id === sourceId ? targetId : id))
+          );
+          if (exists && !chatIds.includes(chatId)) {
+            chatIds.push(chatId);
+          }
+        }
+
+        const label = { ...target, chatIds, updated: Date.now() };
+        labelStore.put(label);
+        labelStore.delete(sourceId);
+        return label;
+      });
+      console.log(`[Storage] Label ${sourceId} merged into ${targetId}`);
+      return merged;
+    } catch (error) {
+      console.error('[Storage] Error merging labels:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Move some chats of a label into a new label
+   * The chats refer to the new label instead, and the original label's mind
+   * map and quiz drop the references to them.
+   * @param {string} labelId - Label to split
+   * @param {Array<string>} chatIds - Chats of the label to move
+   * @param {Object} fields - { name, color, emoji } of the new label
+   * @returns {Promise<Object>} New label
+   */
+  async splitLabel(labelId, chatIds, fields) {
+    try {
+      const label = await this._transaction([this.STORES.LABELS, this.STORES.CHATS], 'readwrite', async tx => {
+        const labelStore = tx.objectStore(this.STORES.LABELS);
+        const chatStore = tx.objectStore(this.STORES.CHATS);
+        const labels = await IDBService.request(labelStore.getAll());
+        const source = labels.find(candidate => candidate.id === labelId);
+        if (!source) {
+          throw new Error(`Label not found: ${labelId}`);
+        }
+
+        const sourceChatIds = source.chatIds || [];
+        const moving = new Set(chatIds.filter(chatId => sourceChatIds.includes(chatId)));
+        if (moving.size === 0) {
+          throw new Error('Select at least one chat of the label to split off');
+        }
+
+        const newLabel = this._buildLabel({ category: source.category, ...fields }, labels);
+        for (const chatId of moving) {
+          if (await this._updateChatLabelIds(chatStore, chatId, labelIds =>
+            labelIds.map(id => (id === labelId ? newLabel.id : id))
+          )) {
+            newLabel.chatIds.push(chatId);
+          }
+        }
+
+        labelStore.put(this._withChatReferencesPruned({
+          ...source,
+          chatIds: sourceChatIds.filter(chatId => !moving.has(chatId)),
+          updated: Date.now()
+        }));
+        labelStore.put(newLabel);
+        return newLabel;
+      });
+      console.log(`[Storage] Split ${label.chatIds.length} chats of label ${labelId} into ${label.id}`);
+      return label;
+    } catch (error) {
+      console.error('[Storage] Error splitting label:', error);
+      throw error;
+    }
+  },
+
   /**
    * SUGGESTED LABEL OPERATIONS
    */
@@ -406,9 +1104,9 @@ const StorageService = {
    */
   async saveSuggestedLabel(suggestedLabel) {
     try {
-      const suggestedLabels = await this.getAllSuggestedLabels();
-      suggestedLabels[suggestedLabel.id] = suggestedLabel;
-      await chrome.storage.local.set({ [this.KEYS.SUGGESTED_LABELS]: suggestedLabels });
+      await this._transaction(this.STORES.SUGGESTED_LABELS, 'readwrite', tx => {
+        tx.objectStore(this.STORES.SUGGESTED_LABELS).put(suggestedLabel);
+      });
       console.log(`[Storage] Suggested label saved: ${suggestedLabel.id}`);
     } catch (error) {
       console.error('[Storage] Error saving suggested label:', error);
@@ -416,14 +1114,36 @@ const StorageService = {
     }
   },
 
+  /**
+   * Save multiple suggested labels at once (batch operation)
+   * @param {Array<Object>} suggestedLabelArray - Array of suggested label objects
+   * @returns {Promise<void>}
+   */
+  async batchSaveSuggestedLabels(suggestedLabelArray) {
+    try {
+      await this._transaction(this.STORES.SUGGESTED_LABELS, 'readwrite', tx => {
+        const store = tx.objectStore(this.STORES.SUGGESTED_LABELS);
+        suggestedLabelArray.forEach(suggestedLabel => {
+          store.put(suggestedLabel);
+        });
+      });
+      console.log(`[Storage] Batch saved ${suggestedLabelArray.length} suggested labels`);
+    } catch (error) {
+      console.error('[Storage] Error batch saving suggested labels:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get all suggested labels
    * @returns {Promise<Object>} Object with suggested label IDs as keys
    */
   async getAllSuggestedLabels() {
     try {
-      const result = await chrome.storage.local.get(this.KEYS.SUGGESTED_LABELS);
-      return result[this.KEYS.SUGGESTED_LABELS] || {};
+      const suggestedLabels = await this._transaction(this.STORES.SUGGESTED_LABELS, 'readonly', tx =>
+        IDBService.request(tx.objectStore(this.STORES.SUGGESTED_LABELS).getAll())
+      );
+      return this._toMap(suggestedLabels);
     } catch (error) {
       console.error('[Storage] Error getting suggested labels:', error);
       throw error;
@@ -437,10 +1157,18 @@ const StorageService = {
    */
   async dismissSuggestedLabel(labelId) {
     try {
-      const suggestedLabels = await this.getAllSuggestedLabels();
-      if (suggestedLabels[labelId]) {
-        suggestedLabels[labelId].dismissed = true;
-        await chrome.storage.local.set({ [this.KEYS.SUGGESTED_LABELS]: suggestedLabels });
+      let dismissed = false;
+
+      await this._transaction(this.STORES.SUGGESTED_LABELS, 'readwrite', async tx => {
+        const store = tx.objectStore(this.STORES.SUGGESTED_LABELS);
+        const suggestedLabel = await IDBService.request(store.get(labelId));
+        if (suggestedLabel) {
+          store.put({ ...suggestedLabel, dismissed: true });
+          dismissed = true;
+        }
+      });
+
+      if (dismissed) {
         console.log(`[Storage] Suggested label dismissed: ${labelId}`);
       }
     } catch (error) {
@@ -449,6 +1177,55 @@ const StorageService = {
     }
   },
 
+  /**
+   * Turn a suggested label into a label and remove the suggestion
+   * When a label with the same name already exists (ignoring case), the
+   * suggestion's chats are added to it instead of creating a duplicate.
+   * Chats that are not in storage are left out of the label.
+   * @param {string} suggestionId - Suggested label ID
+   * @param {string} category - Category for a newly created label
+   * @returns {Promise<{label: Object, merged: boolean}>} The label the chats now belong to
+   */
+  async acceptSuggestedLabel(suggestionId, category) {
+    try {
+      const stores = [this.STORES.SUGGESTED_LABELS, this.STORES.LABELS, this.STORES.CHATS];
+      const result = await this._transaction(stores, 'readwrite', async tx => {
+        const suggestionStore = tx.objectStore(this.STORES.SUGGESTED_LABELS);
+        const labelStore = tx.objectStore(this.STORES.LABELS);
+        const chatStore = tx.objectStore(this.STORES.CHATS);
+
+        const suggestion = await IDBService.request(suggestionStore.get(suggestionId));
+        if (!suggestion) {
+          throw new Error('Suggested label not found');
+        }
+
+        const labels = await IDBService.request(labelStore.getAll());
+        const existing = this._findLabelByName(suggestion.name, labels);
+        const label = existing
+          ? { ...existing, chatIds: [...(existing.chatIds || [])], updated: Date.now() }
+          : this._buildLabel({ name: suggestion.name, category }, labels);
+
+        for (const chatId of new Set(suggestion.chatIds || [])) {
+          if (label.chatIds.includes(chatId)) {
+            continue;
+          }
+          if (await this._updateChatLabelIds(chatStore, chatId, labelIds => [...labelIds, label.id])) {
+            label.chatIds.push(chatId);
+          }
+        }
+
+        labelStore.put(label);
+        suggestionStore.delete(suggestionId);
+        return { label, merged: Boolean(existing) };
+      });
+      console.log(`[Storage] Suggested label ${suggestionId} accepted into ${result.label.id}`);
+      return result;
+    } catch (error) {
+      console.error('[Storage] Error accepting suggested label:', error);
+      throw error;
+    }
+  },
+
   /**
    * Remove a suggested label entirely
    * @param {string} labelId - Suggested label ID to remove
@@ -456,9 +1233,9 @@ const StorageService = {
    */
   async removeSuggestedLabel(labelId) {
     try {
-      const suggestedLabels = await this.getAllSuggestedLabels();
-      delete suggestedLabels[labelId];
-      await chrome.storage.local.set({ [this.KEYS.SUGGESTED_LABELS]: suggestedLabels });
+      await this._transaction(this.STORES.SUGGESTED_LABELS, 'readwrite', tx => {
+        tx.objectStore(this.STORES.SUGGESTED_LABELS).delete(labelId);
+      });
       console.log(`[Storage] Suggested label removed: ${labelId}`);
     } catch (error) {
       console.error('[Storage] Error removing suggested label:', error);
@@ -466,6 +1243,189 @@ const StorageService = {
     }
   },
 
+  /**
+   * SEARCH OPERATIONS
+   */
+
+  /**
+   * Full-text search across all chats
+   * @param {string} query - Search query
+   * @param {Object} options - { limit }
+   * @returns {Promise<{hits: Array<{chatId: string, score: number, matchedTerms: number}>, terms: Array<string>}>}
+   *   Ranked hits and the indexed terms that matched (for highlighting)
+   */
+  async searchChats(query, options = {}) {
+    const { limit = 200 } = options;
+
+    try {
+      const queryTerms = SearchIndex.parseQuery(query);
+      if (queryTerms.length === 0) {
+        return { hits: [], terms: [] };
+      }
+
+      const { docs, totalDocs, totalLength } = await this._transaction(this.STORES.SEARCH_DOCS, 'readonly', async tx => {
+        const store = tx.objectStore(this.STORES.SEARCH_DOCS);
+        const termIndex = store.index('terms');
+
+        const [matches, count, lengthSum] = await Promise.all([
+          Promise.all(queryTerms.map(({ term, prefix }) =>
+            IDBService.request(termIndex.getAll(prefix ? IDBKeyRange.bound(term, `${term}\uffff`) : term))
+          )),
+          IDBService.request(store.count()),
+          this._sumIndexKeys(store.index('length'))
+        ]);
+
+        // A document is returned once per matching term, so de-duplicate by chat ID
+        const docsById = new Map();
+        matches.flat().forEach(doc => docsById.set(doc.chatId, doc));
+
+        return { docs: [...docsById.values()], totalDocs: count, totalLength: lengthSum };
+      });
+
+      const result = SearchIndex.rank(docs, queryTerms, {
+        totalDocs,
+        avgLength: totalDocs > 0 ? totalLength / totalDocs : 0
+      });
+
+      return {
+        hits: result.hits.slice(0, limit),
+        terms: result.terms
+      };
+    } catch (error) {
+      console.error('[Storage] Error searching chats:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Rebuild the search index from every stored chat
+   * @returns {Promise<number>} Number of chats indexed
+   */
+  async rebuildSearchIndex() {
+    try {
+      let indexedCount = 0;
+
+      await this._transaction([this.STORES.CHATS, this.STORES.SEARCH_DOCS], 'readwrite', tx => {
+        const searchDocs = tx.objectStore(this.STORES.SEARCH_DOCS);
+        searchDocs.clear();
+        return IDBService.iterate(tx.objectStore(this.STORES.CHATS), record => {
+          searchDocs.put(SearchIndex.buildDocument(this._fromChatRecord(record)));
+          indexedCount++;
+        });
+      });
+
+      console.log(`[Storage] Search index rebuilt for ${indexedCount} chats`);
+      return indexedCount;
+    } catch (error) {
+      console.error('[Storage] Error rebuilding search index:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sum the keys of a numeric index without loading the records
+   * @param {IDBIndex} index - Index to walk
+   * @returns {Promise<number>}
+   */
+  _sumIndexKeys(index) {
+    return new Promise((resolve, reject) => {
+      let total = 0;
+      const request = index.openKeyCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(total);
+          return;
+        }
+        total += cursor.key;
+        cursor.continue();
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * SCHEMA OPERATIONS
+   */
+
+  /**
+   * Rewrite every record of a store inside one transaction
+   * @param {string} storeName - Store to walk
+   * @param {Function} transform - (record) => updated record, or null to leave it unchanged
+   * @returns {Promise<number>} Number of records rewritten
+   */
+  async _transformStore(storeName, transform) {
+    let changedCount = 0;
+
+    await this._transaction(storeName, 'readwrite', tx =>
+      IDBService.iterate(tx.objectStore(storeName), (record, cursor) => {
+        const updated = transform(record);
+        if (updated) {
+          cursor.update(updated);
+          changedCount++;
+        }
+      })
+    );
+
+    return changedCount;
+  },
+
+  /**
+   * Apply a transform to every chat (used by schema migrations)
+   * @param {Function} transform - (chat) => updated chat, or null to leave it unchanged
+   * @returns {Promise<number>} Number of chats rewritten
+   */
+  async transformChats(transform) {
+    try {
+      let changedCount = 0;
+
+      await this._transaction([this.STORES.CHATS, this.STORES.SEARCH_DOCS], 'readwrite', tx =>
+        IDBService.iterate(tx.objectStore(this.STORES.CHATS), record => {
+          const updated = transform(this._fromChatRecord(record));
+          if (updated) {
+            this._putChat(tx, updated);
+            changedCount++;
+          }
+        })
+      );
+
+      return changedCount;
+    } catch (error) {
+      console.error('[Storage] Error transforming chats:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Apply a transform to every label (used by schema migrations)
+   * @param {Function} transform - (label) => updated label, or null to leave it unchanged
+   * @returns {Promise<number>} Number of labels rewritten
+   */
+  async transformLabels(transform) {
+    try {
+      return await this._transformStore(this.STORES.LABELS, transform);
+    } catch (error) {
+      console.error('[Storage] Error transforming labels:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Apply a transform to every suggested label (used by schema migrations)
+   * @param {Function} transform - (suggestedLabel) => updated suggested label, or null to leave it unchanged
+   * @returns {Promise<number>} Number of suggested labels rewritten
+   */
+  async transformSuggestedLabels(transform) {
+    try {
+      return await this._transformStore(this.STORES.SUGGESTED_LABELS, transform);
+    } catch (error) {
+      console.error('[Storage] Error transforming suggested labels:', error);
+      throw error;
+    }
+  },
+
   /**
    * SETTINGS OPERATIONS
    */
@@ -482,7 +1442,10 @@ const StorageService = {
         importStatus: 'idle',
         totalChatsImported: 0,
         preferredLabels: [],
-        preferredLabelsUpdated: null
+        preferredLabelsUpdated: null,
+        schemaVersion: 0,
+        lastMigration: null,
+        liveCapture: false
       };
     } catch (error) {
       console.error('[Storage] Error getting settings:', error);
@@ -544,6 +1507,72 @@ const StorageService = {
     }
   },
 
+  /**
+   * Get the re-sync cursor recorded for a platform
+   * @param {string} platform - Platform name (chatgpt, claude, gemini)
+   * @returns {Promise<Object|null>} Cursor ({ headId, lastSyncedAt }) or null
+   */
+  async getSyncCursor(platform) {
+    try {
+      const settings = await this.getSettings();
+      const cursors = settings.syncCursors || {};
+      return cursors[platform] || null;
+    } catch (error) {
+      console.error('[Storage] Error getting sync cursor:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record the re-sync cursor for a platform
+   * @param {string} platform - Platform name (chatgpt, claude, gemini)
+   * @param {Object} cursor - Cursor fields ({ headId, lastSyncedAt })
+   * @returns {Promise<void>}
+   */
+  async updateSyncCursor(platform, cursor) {
+    try {
+      const settings = await this.getSettings();
+      const cursors = { ...(settings.syncCursors || {}) };
+      cursors[platform] = { ...(cursors[platform] || {}), ...cursor };
+      await this.updateSettings({ syncCursors: cursors });
+    } catch (error) {
+      console.error('[Storage] Error updating sync cursor:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * IMPORT JOB OPERATIONS
+   */
+
+  /**
+   * Get the persisted import job
+   * @returns {Promise<Object|null>} Job state (queue, done, failed, status...) or null
+   */
+  async getImportJob() {
+    try {
+      const result = await chrome.storage.local.get(this.KEYS.IMPORT_JOB);
+      return result[this.KEYS.IMPORT_JOB] || null;
+    } catch (error) {
+      console.error('[Storage] Error getting import job:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Persist the import job state
+   * @param {Object} job - Job state
+   * @returns {Promise<void>}
+   */
+  async saveImportJob(job) {
+    try {
+      await chrome.storage.local.set({ [this.KEYS.IMPORT_JOB]: job });
+    } catch (error) {
+      console.error('[Storage] Error saving import job:', error);
+      throw error;
+    }
+  },
+
   /**
    * UTILITY OPERATIONS
    */
@@ -554,6 +1583,11 @@ const StorageService = {
    */
   async clearAllData() {
     try {
+      await this._transaction(Object.values(this.STORES), 'readwrite', tx => {
+        Object.values(this.STORES).forEach(storeName => {
+          tx.objectStore(storeName).clear();
+        });
+      });
       await chrome.storage.local.clear();
       console.log('[Storage] All data cleared');
     } catch (error) {
@@ -562,22 +1596,98 @@ const StorageService = {
     }
   },
 
+  /**
+   * Delete all chats, labels and suggested labels but keep settings
+   * @returns {Promise<void>}
+   */
+  async clearLibrary() {
+    try {
+      await this._transaction(Object.values(this.STORES), 'readwrite', tx => {
+        Object.values(this.STORES).forEach(storeName => {
+          tx.objectStore(storeName).clear();
+        });
+      });
+      console.log('[Storage] Library cleared');
+    } catch (error) {
+      console.error('[Storage] Error clearing library:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace every chat, attachment, label and suggested label in one transaction
+   * Attachment payloads are decoded and search documents built before the
+   * transaction opens, so nothing is cleared unless the new library can be
+   * written; a failure leaves the old library in place. Settings are kept.
+   * @param {Object} library - { chats, attachments, labels, suggestedLabels }
+   * @returns {Promise<void>}
+   */
+  async replaceLibrary({ chats = [], attachments = [], labels = [], suggestedLabels = [] }) {
+    try {
+      const prepared = [];
+      for (const chat of chats) {
+        const { chat: storedChat, records } = await AttachmentService.prepareChat(chat);
+        prepared.push({
+          record: this._toChatRecord(storedChat),
+          searchDoc: SearchIndex.buildDocument(storedChat),
+          records
+        });
+      }
+
+      await this._transaction(Object.values(this.STORES), 'readwrite', tx => {
+        Object.values(this.STORES).forEach(storeName => {
+          tx.objectStore(storeName).clear();
+        });
+
+        const chatStore = tx.objectStore(this.STORES.CHATS);
+        const searchStore = tx.objectStore(this.STORES.SEARCH_DOCS);
+        const attachmentStore = tx.objectStore(this.STORES.ATTACHMENTS);
+        prepared.forEach(({ record, searchDoc, records }) => {
+          chatStore.put(record);
+          searchStore.put(searchDoc);
+          records.forEach(attachment => attachmentStore.put(attachment));
+        });
+        attachments.forEach(attachment => attachmentStore.put(attachment));
+
+        const labelStore = tx.objectStore(this.STORES.LABELS);
+        labels.forEach(label => labelStore.put(label));
+
+        const suggestedStore = tx.objectStore(this.STORES.SUGGESTED_LABELS);
+        suggestedLabels.forEach(suggestedLabel => suggestedStore.put(suggestedLabel));
+      });
+      console.log(`[Storage] Library replaced with ${chats.length} chats`);
+    } catch (error) {
+      console.error('[Storage] Error replacing library:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get storage statistics
    * @returns {Promise<Object>} Storage stats including bytes used
    */
   async getStorageStats() {
     try {
-      const bytesUsed = await chrome.storage.local.getBytesInUse();
-      const chats = await this.getAllChats();
-      const labels = await this.getAllLabels();
-      const suggestedLabels = await this.getAllSuggestedLabels();
+      const chromeBytes = await chrome.storage.local.getBytesInUse();
+      const estimate = navigator.storage && navigator.storage.estimate
+        ? await navigator.storage.estimate()
+        : {};
+
+      const [chatCount, labelCount, suggestedLabelCount] = await this._transaction(
+        Object.values(this.STORES),
+        'readonly',
+        tx => Promise.all([
+          IDBService.request(tx.objectStore(this.STORES.CHATS).count()),
+          IDBService.request(tx.objectStore(this.STORES.LABELS).count()),
+          IDBService.request(tx.objectStore(this.STORES.SUGGESTED_LABELS).count())
+        ])
+      );
 
       return {
-        bytesUsed,
-        chatCount: Object.keys(chats).length,
-        labelCount: Object.keys(labels).length,
-        suggestedLabelCount: Object.keys(suggestedLabels).length
+        bytesUsed: chromeBytes + (estimate.usage || 0),
+        chatCount,
+        labelCount,
+        suggestedLabelCount
       };
     } catch (error) {
       console.error('[Storage] Error getting storage stats:', error);
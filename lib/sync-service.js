@@ -0,0 +1,380 @@
+/**
+ * SyncService - Incremental re-sync helpers for AI-ReCap
+ *
+ * Re-Sync compares the sidebar conversation list of a platform against the
+ * chats already in storage and only re-scrapes conversations that are new or
+ * that moved above the last synced head (platform sidebars are ordered by
+ * recent activity). Scraped chats are then fingerprinted and merged so that
+ * summaries for unchanged message pairs are kept and only the delta is
+ * re-summarized.
+ *
+ * Sync cursors are stored per platform in settings:
+ * - syncCursors: { [platform]: { headId, lastSyncedAt } }
+ */
+
+const SyncService = {
+  /**
+   * Split chat messages into user/assistant pairs
+   * Unmatched messages are paired with a placeholder so every turn is kept
+   * @param {Array<Object>} messages - Chat messages ({ role, content })
+   * @returns {Array<{user: string, assistant: string}>}
+   */
+  buildMessagePairs(messages) {
+    const messagePairs = [];
+    const userQueue = [];
+
+    if (!Array.isArray(messages)) {
+      return messagePairs;
+    }
+
+    for (const message of messages) {
+      if (!message || typeof message.content !== 'string') {
+        continue;
+      }
+
+      const content = message.content.trim();
+      if (!content) {
+        continue;
+      }
+
+      if (message.role === 'user') {
+        userQueue.push(content);
+      } else if (message.role === 'assistant') {
+        const userContent = userQueue.length > 0 ? userQueue.shift() : null;
+
+        messagePairs.push({
+          user: userContent || 'User prompt not captured.',
+          assistant: content
+        });
+      }
+    }
+
+    while (userQueue.length > 0) {
+      const remainingUser = userQueue.shift();
+      if (remainingUser && remainingUser.trim().length > 0) {
+        messagePairs.push({
+          user: remainingUser,
+          assistant: 'Assistant response not captured.'
+        });
+      }
+    }
+
+    return messagePairs;
+  },
+
+  /**
+   * Pair each message belongs to, as split by buildMessagePairs
+   * (chat.messagePairSummaries[pairIndex] summarizes that pair)
+   * @param {Array<Object>} messages - Chat messages ({ role, content })
+   * @returns {Array<number|null>} Pair index per message; null for empty messages
+   */
+  getMessagePairIndexes(messages) {
+    if (!Array.isArray(messages)) {
+      return [];
+    }
+
+    const pairIndexes = messages.map(() => null);
+    const userQueue = [];
+    let pairCount = 0;
+
+    messages.forEach((message, index) => {
+      if (!message || typeof message.content !== 'string' || !message.content.trim()) {
+        return;
+      }
+
+      if (message.role === 'user') {
+        userQueue.push(index);
+      } else if (message.role === 'assistant') {
+        if (userQueue.length > 0) {
+          pairIndexes[userQueue.shift()] = pairCount;
+        }
+        pairIndexes[index] = pairCount++;
+      }
+    });
+
+    userQueue.forEach(index => {
+      pairIndexes[index] = pairCount++;
+    });
+
+    return pairIndexes;
+  },
+
+  /**
+   * Build a lightweight fingerprint used to detect changed conversations
+   * treeSize counts every message of the branch tree (MessageTree), so a new
+   * edit or retry off the active branch is noticed too.
+   * @param {Object} chat - Chat object
+   * @returns {{messageCount: number, lastMessage: string, treeSize: number}}
+   */
+  getFingerprint(chat) {
+    const messages = Array.isArray(chat?.messages) ? chat.messages : [];
+    const last = messages.length > 0 ? messages[messages.length - 1] : null;
+    const treeNodes = chat?.messageTree && Array.isArray(chat.messageTree.nodes) ? chat.messageTree.nodes : [];
+
+    return {
+      messageCount: messages.length,
+      lastMessage: last && typeof last.content === 'string'
+        ? `${last.role}:${last.content.trim()}`
+        : '',
+      treeSize: treeNodes.length
+    };
+  },
+
+  /**
+   * Check whether a freshly scraped chat differs from the stored copy
+   * @param {Object} storedChat - Chat currently in storage
+   * @param {Object} scrapedChat - Chat just extracted from the platform
+   * @returns {boolean}
+   */
+  hasChanged(storedChat, scrapedChat) {
+    return this.hasActiveBranchChanged(storedChat, scrapedChat) ||
+      this.getFingerprint(storedChat).treeSize !== this.getFingerprint(scrapedChat).treeSize;
+  },
+
+  /**
+   * Check whether the messages shown (the active branch) differ from the stored copy
+   * @param {Object} storedChat - Chat currently in storage
+   * @param {Object} scrapedChat - Chat just extracted from the platform
+   * @returns {boolean}
+   */
+  hasActiveBranchChanged(storedChat, scrapedChat) {
+    const before = this.getFingerprint(storedChat);
+    const after = this.getFingerprint(scrapedChat);
+
+    return before.messageCount !== after.messageCount || before.lastMessage !== after.lastMessage;
+  },
+
+  /**
+   * Select which sidebar conversations need to be scraped during a re-sync
+   * New conversations are always selected. Known conversations are selected
+   * when they sit at or above the previous head of the sidebar, since those
+   * are the only ones that can have received new messages since the last sync.
+   * Without a usable cursor every listed conversation is re-checked.
+   * @param {Array<Object>} conversations - Sidebar list, most recent first
+   * @param {Object} storedChats - Stored chats keyed by chat ID
+   * @param {Object|null} cursor - Sync cursor for the platform ({ headId })
+   * @returns {{toScrape: Array<Object>, newCount: number, candidateCount: number, skippedCount: number}}
+   */
+  planSync(conversations, storedChats, cursor) {
+    const list = Array.isArray(conversations) ? conversations : [];
+    const known = storedChats || {};
+    const headIndex = cursor && cursor.headId
+      ? list.findIndex(conversation => conversation.id === cursor.headId)
+      : -1;
+
+    const toScrape = [];
+    let newCount = 0;
+    let candidateCount = 0;
+
+    list.forEach((conversation, index) => {
+      if (!conversation || !conversation.id) {
+        return;
+      }
+
+      if (!known[conversation.id]) {
+        newCount++;
+        toScrape.push(conversation);
+        return;
+      }
+
+      if (headIndex === -1 || index <= headIndex) {
+        candidateCount++;
+        toScrape.push(conversation);
+      }
+    });
+
+    return {
+      toScrape,
+      newCount,
+      candidateCount,
+      skippedCount: list.length - toScrape.length
+    };
+  },
+
+  /**
+   * Reconcile incoming chats (re-scraped or imported) against stored chats
+   * New chats are added as-is, changed chats are merged with mergeSyncedChat
+   * and unchanged chats are left out of the save set.
+   * @param {Object} storedChats - Stored chats keyed by chat ID
+   * @param {Array<Object>} incomingChats - Chats to reconcile
+   * @returns {{chatsToSave: Array<Object>, outcomes: Array<'added'|'updated'|'unchanged'>}}
+   *   outcomes are aligned with incomingChats
+   */
+  reconcileChats(storedChats, incomingChats) {
+    const chatsToSave = [];
+    const outcomes = [];
+
+    incomingChats.forEach(chat => {
+      const storedChat = storedChats[chat.id];
+
+      if (!storedChat) {
+        chatsToSave.push(chat);
+        outcomes.push('added');
+      } else if (this.hasChanged(storedChat, chat)) {
+        chatsToSave.push(this.mergeSyncedChat(storedChat, chat));
+        outcomes.push('updated');
+      } else {
+        outcomes.push('unchanged');
+      }
+    });
+
+    return { chatsToSave, outcomes };
+  },
+
+  /**
+   * Carry stored attachment references over to re-scraped messages that came without them
+   * Attachment URLs expire, so a re-scrape may not be able to fetch files it
+   * stored before; a message with the same role and content keeps them.
+   * @param {Array<Object>} storedMessages - Messages currently in storage
+   * @param {Array<Object>} scrapedMessages - Messages just extracted
+   * @returns {Array<Object>} Scraped messages (copies where attachments were kept)
+   */
+  _keepStoredAttachments(storedMessages, scrapedMessages) {
+    const previous = Array.isArray(storedMessages) ? storedMessages : [];
+    return (Array.isArray(scrapedMessages) ? scrapedMessages : []).map((message, index) => {
+      const stored = previous[index];
+      const hasAttachments = Array.isArray(message.attachments) && message.attachments.length > 0;
+      if (hasAttachments || !stored || !Array.isArray(stored.attachments) || stored.attachments.length === 0) {
+        return message;
+      }
+      return stored.role === message.role && stored.content === message.content
+        ? { ...message, attachments: stored.attachments }
+        : message;
+    });
+  },
+
+  /**
+   * Keep the stored branch tree when a re-scrape came without one
+   * Live capture does not step through branch navigators, so its chats have
+   * no tree even when the conversation has branches. As long as the stored
+   * active path still leads the scraped messages, the stored tree is kept and
+   * any new messages are appended below its active leaf. If the user switched
+   * branches instead, the tree no longer matches and is left for the next sync.
+   * @param {Object} storedChat - Chat currently in storage
+   * @param {Object} scrapedChat - Chat just extracted from the platform
+   * @param {Array<Object>} scrapedMessages - Messages to save
+   * @returns {{messages: Array<Object>, messageTree: Object|null}}
+   */
+  _keepStoredTree(storedChat, scrapedChat, scrapedMessages) {
+    const storedTree = storedChat.messageTree;
+    const storedMessages = Array.isArray(storedChat.messages) ? storedChat.messages : [];
+    const unchanged = { messages: scrapedMessages, messageTree: scrapedChat.messageTree || null };
+
+    if (scrapedChat.messageTree || !storedTree || !Array.isArray(storedTree.nodes)) {
+      return unchanged;
+    }
+
+    const leadsScraped = storedMessages.length <= scrapedMessages.length &&
+      storedMessages.every((message, index) =>
+        message.id &&
+        message.role === scrapedMessages[index].role &&
+        message.content === scrapedMessages[index].content
+      );
+    if (!leadsScraped) {
+      return unchanged;
+    }
+
+    const nodes = [...storedTree.nodes];
+    const usedIds = new Set(nodes.map(node => node.id));
+    let parentId = storedMessages.length > 0
+      ? storedMessages[storedMessages.length - 1].id
+      : null;
+
+    const messages = scrapedMessages.map((message, index) => {
+      if (index < storedMessages.length) {
+        return { ...message, id: storedMessages[index].id, parentId: storedMessages[index].parentId || null };
+      }
+
+      let id = `m${index}`;
+      for (let suffix = 1; usedIds.has(id); suffix++) {
+        id = `m${index}-${suffix}`;
+      }
+      usedIds.add(id);
+
+      nodes.push({ id, parentId, role: message.role, content: message.content, timestamp: message.timestamp || null });
+      const appended = { ...message, id, parentId };
+      parentId = id;
+      return appended;
+    });
+
+    return {
+      messages,
+      messageTree: { ...storedTree, activeLeafId: parentId || storedTree.activeLeafId, nodes }
+    };
+  },
+
+  /**
+   * Merge a re-scraped chat into its stored copy
+   * Keeps label assignments and the pair summaries for the leading message
+   * pairs that did not change; everything after the first changed pair and
+   * the overall chat summary are invalidated so summarization picks them up.
+   * importedAt stays at the first import; createdAt and the model are kept
+   * from the stored copy when the new one could not read them.
+   * When only alternative branches were added, the summaries all still hold.
+   * A re-scrape without a branch tree keeps the stored one (see _keepStoredTree).
+   * @param {Object} storedChat - Chat currently in storage
+   * @param {Object} scrapedChat - Chat just extracted from the platform
+   * @returns {Object} Merged chat ready to be saved
+   */
+  mergeSyncedChat(storedChat, scrapedChat) {
+    const { messages, messageTree } = this._keepStoredTree(
+      storedChat,
+      scrapedChat,
+      this._keepStoredAttachments(storedChat.messages, scrapedChat.messages)
+    );
+    // Artifact panels are not opened during live capture; keep the ones read before
+    const artifacts = Array.isArray(scrapedChat.artifacts) && scrapedChat.artifacts.length > 0
+      ? scrapedChat.artifacts
+      : storedChat.artifacts || [];
+
+    if (!this.hasActiveBranchChanged(storedChat, scrapedChat)) {
+      return {
+        ...storedChat,
+        messageTree,
+        messages,
+        artifacts,
+        updatedAt: scrapedChat.updatedAt || storedChat.updatedAt || null,
+        date: scrapedChat.date || storedChat.date
+      };
+    }
+
+    const previousPairs = this.buildMessagePairs(storedChat.messages);
+    const nextPairs = this.buildMessagePairs(scrapedChat.messages);
+    const previousSummaries = Array.isArray(storedChat.messagePairSummaries)
+      ? storedChat.messagePairSummaries
+      : [];
+
+    let unchangedPairs = 0;
+    while (
+      unchangedPairs < previousPairs.length &&
+      unchangedPairs < nextPairs.length &&
+      unchangedPairs < previousSummaries.length &&
+      previousPairs[unchangedPairs].user === nextPairs[unchangedPairs].user &&
+      previousPairs[unchangedPairs].assistant === nextPairs[unchangedPairs].assistant
+    ) {
+      unchangedPairs++;
+    }
+
+    return {
+      ...storedChat,
+      ...scrapedChat,
+      messages,
+      messageTree,
+      artifacts,
+      createdAt: scrapedChat.createdAt || storedChat.createdAt || null,
+      importedAt: storedChat.importedAt || scrapedChat.importedAt || null,
+      model: scrapedChat.model || storedChat.model || null,
+      labelIds: Array.isArray(storedChat.labelIds) ? storedChat.labelIds : [],
+      messagePairSummaries: previousSummaries.slice(0, unchangedPairs),
+      chatSummary: null,
+      processed: false,
+      summarizationFailed: false,
+      excludeFromLibrary: false
+    };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SyncService;
+}
@@ -0,0 +1,265 @@
+/**
+ * ZipUtils - Minimal ZIP reader/writer for AI-ReCap data exports and backups
+ *
+ * Reads the central directory of a ZIP archive and inflates single entries
+ * on demand with the browser's DecompressionStream, so large exports are
+ * never fully loaded into memory. Supports stored (0) and deflate (8) entries.
+ * Writing uses CompressionStream and always produces deflate entries.
+ */
+
+const ZipUtils = {
+  SIGNATURES: {
+    LOCAL_FILE_HEADER: 0x04034b50,
+    CENTRAL_DIRECTORY: 0x02014b50,
+    END_OF_CENTRAL_DIRECTORY: 0x06054b50
+  },
+
+  METHODS: {
+    STORED: 0,
+    DEFLATE: 8
+  },
+
+  /**
+   * Check whether a file looks like a ZIP archive
+   * @param {Blob} blob - File or blob to inspect
+   * @returns {Promise<boolean>}
+   */
+  async isZip(blob) {
+    if (!blob || blob.size < 4) {
+      return false;
+    }
+    const header = new DataView(await blob.slice(0, 4).arrayBuffer());
+    return header.getUint32(0, true) === this.SIGNATURES.LOCAL_FILE_HEADER;
+  },
+
+  /**
+   * List the entries of a ZIP archive
+   * @param {Blob} blob - ZIP file
+   * @returns {Promise<Array<{name: string, method: number, compressedSize: number, size: number, localHeaderOffset: number}>>}
+   */
+  async listEntries(blob) {
+    // The end of central directory record sits in the last 22 bytes + up to 64KB of comment
+    const tailSize = Math.min(blob.size, 22 + 0xffff);
+    const tailStart = blob.size - tailSize;
+    const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+
+    let eocdOffset = -1;
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+      if (tail.getUint32(i, true) === this.SIGNATURES.END_OF_CENTRAL_DIRECTORY) {
+        eocdOffset = i;
+        break;
+      }
+    }
+
+    if (eocdOffset === -1) {
+      throw new Error('Invalid ZIP file: end of central directory not found');
+    }
+
+    const entryCount = tail.getUint16(eocdOffset + 10, true);
+    const directorySize = tail.getUint32(eocdOffset + 12, true);
+    const directoryOffset = tail.getUint32(eocdOffset + 16, true);
+
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+
+    const directory = new DataView(
+      await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer()
+    );
+    const decoder = new TextDecoder();
+    const entries = [];
+    let offset = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+      if (directory.getUint32(offset, true) !== this.SIGNATURES.CENTRAL_DIRECTORY) {
+        throw new Error('Invalid ZIP file: corrupt central directory');
+      }
+
+      const method = directory.getUint16(offset + 10, true);
+      const compressedSize = directory.getUint32(offset + 20, true);
+      const size = directory.getUint32(offset + 24, true);
+      const nameLength = directory.getUint16(offset + 28, true);
+      const extraLength = directory.getUint16(offset + 30, true);
+      const commentLength = directory.getUint16(offset + 32, true);
+      const localHeaderOffset = directory.getUint32(offset + 42, true);
+      const nameBytes = new Uint8Array(directory.buffer, directory.byteOffset + offset + 46, nameLength);
+
+      entries.push({
+        name: decoder.decode(nameBytes),
+        method,
+        compressedSize,
+        size,
+        localHeaderOffset
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  },
+
+  /**
+   * Find an entry by file name (ignoring leading folders)
+   * @param {Array<Object>} entries - Entries from listEntries
+   * @param {string} fileName - File name to look for, e.g. 'conversations.json'
+   * @returns {Object|null}
+   */
+  findEntry(entries, fileName) {
+    const target = fileName.toLowerCase();
+    return entries.find(entry => {
+      const name = entry.name.toLowerCase();
+      return name === target || name.endsWith(`/${target}`);
+    }) || null;
+  },
+
+  /**
+   * Read and inflate a single entry
+   * @param {Blob} blob - ZIP file
+   * @param {Object} entry - Entry from listEntries
+   * @returns {Promise<Blob>} Uncompressed entry contents
+   */
+  async readEntry(blob, entry) {
+    const header = new DataView(
+      await blob.slice(entry.localHeaderOffset, entry.localHeaderOffset + 30).arrayBuffer()
+    );
+
+    if (header.getUint32(0, true) !== this.SIGNATURES.LOCAL_FILE_HEADER) {
+      throw new Error(`Invalid ZIP file: bad local header for ${entry.name}`);
+    }
+
+    const nameLength = header.getUint16(26, true);
+    const extraLength = header.getUint16(28, true);
+    const dataStart = entry.localHeaderOffset + 30 + nameLength + extraLength;
+    const data = blob.slice(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === this.METHODS.STORED) {
+      return data;
+    }
+
+    if (entry.method === this.METHODS.DEFLATE) {
+      const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Response(stream).blob();
+    }
+
+    throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+  },
+
+  /**
+   * Create a ZIP archive
+   * @param {Array<{name: string, data: Blob|string}>} files - Files to add
+   * @returns {Promise<Blob>} ZIP file
+   */
+  async createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const nameBytes = encoder.encode(file.name);
+      const data = typeof file.data === 'string'
+        ? encoder.encode(file.data)
+        : new Uint8Array(await file.data.arrayBuffer());
+      const compressed = new Uint8Array(await new Response(
+        new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'))
+      ).arrayBuffer());
+      const crc = this._crc32(data);
+      const { time, date } = this._dosDateTime(new Date());
+
+      // Local file header (flag bit 11: UTF-8 file name)
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, this.SIGNATURES.LOCAL_FILE_HEADER, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 0x0800, true);
+      header.setUint16(8, this.METHODS.DEFLATE, true);
+      header.setUint16(10, time, true);
+      header.setUint16(12, date, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, compressed.length, true);
+      header.setUint32(22, data.length, true);
+      header.setUint16(26, nameBytes.length, true);
+      header.setUint16(28, 0, true);
+
+      // Central directory record
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, this.SIGNATURES.CENTRAL_DIRECTORY, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, this.METHODS.DEFLATE, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, compressed.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, nameBytes.length, true);
+      entry.setUint32(42, offset, true);
+
+      parts.push(header, nameBytes, compressed);
+      directory.push(entry, nameBytes);
+      offset += 30 + nameBytes.length + compressed.length;
+    }
+
+    const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, this.SIGNATURES.END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+  },
+
+  /**
+   * CRC-32 checksum (ZIP polynomial)
+   * @param {Uint8Array} bytes - Data to checksum
+   * @returns {number}
+   */
+  _crc32(bytes) {
+    if (!this._crcTable) {
+      this._crcTable = new Uint32Array(256);
+      for (let i = 0; i < 256; i++) {
+        let c = i;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this._crcTable[i] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this._crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  },
+
+  /**
+   * Convert a date to MS-DOS time/date fields
+   * @param {Date} value - Date to convert
+   * @returns {{time: number, date: number}}
+   */
+  _dosDateTime(value) {
+    return {
+      time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+      date: ((Math.max(value.getFullYear(), 1980) - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+  },
+
+  /**
+   * Read an entry as UTF-8 text
+   * @param {Blob} blob - ZIP file
+   * @param {Object} entry - Entry from listEntries
+   * @returns {Promise<string>}
+   */
+  async readEntryText(blob, entry) {
+    const contents = await this.readEntry(blob, entry);
+    return contents.text();
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ZipUtils;
+}
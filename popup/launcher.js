@@ -0,0 +1,323 @@
+/**
+ * Launcher Script for AI-ReCap
+ * The toolbar popup: library and import status with quick actions.
+ * The library itself opens in a full tab (popup.html) or the side panel
+ * (popup.html?view=panel), which share the screens in popup.js.
+ */
+
+console.log('[Launcher] Script loaded');
+
+const LIBRARY_PAGE = 'popup/popup.html';
+
+// DOM elements
+const launcherAiStatus = document.getElementById('launcherAiStatus');
+const launcherAiStatusDot = document.getElementById('launcherAiStatusDot');
+const launcherStats = document.getElementById('launcherStats');
+const launcherImport = document.getElementById('launcherImport');
+const launcherProgressFill = document.getElementById('launcherProgressFill');
+const launcherImportStatus = document.getElementById('launcherImportStatus');
+const launcherPauseBtn = document.getElementById('launcherPauseBtn');
+const launcherResumeBtn = document.getElementById('launcherResumeBtn');
+const launcherCancelBtn = document.getElementById('launcherCancelBtn');
+const openLibraryTabBtn = document.getElementById('openLibraryTabBtn');
+const openSidePanelBtn = document.getElementById('openSidePanelBtn');
+const launcherResyncBtn = document.getElementById('launcherResyncBtn');
+const openImportBtn = document.getElementById('openImportBtn');
+const launcherLiveCaptureToggle = document.getElementById('launcherLiveCaptureToggle');
+const launcherMessage = document.getElementById('launcherMessage');
+
+let importProgressPort = null;
+// Platforms and limits of the last import job, reused by Re-Sync
+let lastImportPlatforms = null;
+
+/**
+ * Initialize launcher
+ */
+async function initialize() {
+  console.log('[Launcher] Initializing...');
+
+  try {
+    setupEventListeners();
+
+    await Promise.all([
+      checkAIAvailability(),
+      loadLibraryStats(),
+      loadLiveCaptureSetting(),
+      loadImportJob()
+    ]);
+
+    console.log('[Launcher] Initialization complete');
+  } catch (error) {
+    console.error('[Launcher] Initialization error:', error);
+  }
+}
+
+/**
+ * Setup event listeners
+ */
+function setupEventListeners() {
+  openLibraryTabBtn.addEventListener('click', () => openLibraryTab());
+  openImportBtn.addEventListener('click', () => openLibraryTab({ screen: 'welcome' }));
+  openSidePanelBtn.addEventListener('click', openSidePanel);
+  launcherResyncBtn.addEventListener('click', startResync);
+  launcherPauseBtn.addEventListener('click', () => sendImportJobCommand('pauseImportJob'));
+  launcherResumeBtn.addEventListener('click', () => sendImportJobCommand('resumeImportJob'));
+  launcherCancelBtn.addEventListener('click', () => sendImportJobCommand('cancelImportJob'));
+  launcherLiveCaptureToggle.addEventListener('change', handleLiveCaptureToggle);
+}
+
+/**
+ * STATUS
+ */
+
+/**
+ * Check AI availability and update the header
+ */
+async function checkAIAvailability() {
+  try {
+    const availability = await AIService.checkAvailability();
+
+    if (availability.promptAPI && availability.summarizerAPI) {
+      launcherAiStatus.textContent = '✓ AI Ready';
+      launcherAiStatusDot.className = 'status-dot status-ready';
+    } else if (availability.promptAPI || availability.summarizerAPI) {
+      launcherAiStatus.textContent = '⚠ AI Partially Available';
+      launcherAiStatusDot.className = 'status-dot status-partial';
+    } else {
+      launcherAiStatus.textContent = '✗ AI Unavailable';
+      launcherAiStatusDot.className = 'status-dot status-unavailable';
+    }
+  } catch (error) {
+    console.error('[Launcher] Error checking AI:', error);
+    launcherAiStatus.textContent = 'Error checking AI';
+    launcherAiStatusDot.className = 'status-dot status-error';
+  }
+}
+
+/**
+ * Show how many chats and labels the library holds
+ */
+async function loadLibraryStats() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'getStorageStats' });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load library stats');
+    }
+
+    const { chatCount, labelCount, suggestedLabelCount } = response.data;
+    const parts = [
+      `${chatCount} ${chatCount === 1 ? 'chat' : 'chats'}`,
+      `${labelCount} ${labelCount === 1 ? 'label' : 'labels'}`
+    ];
+    if (suggestedLabelCount > 0) {
+      parts.push(`${suggestedLabelCount} suggested`);
+    }
+    launcherStats.textContent = chatCount > 0 ? parts.join(' · ') : 'Your library is empty. Import chats to get started.';
+    openLibraryTabBtn.textContent = chatCount > 0 ? 'Open Library' : 'Get Started';
+  } catch (error) {
+    console.error('[Launcher] Error loading library stats:', error);
+    launcherStats.textContent = 'Could not load the library.';
+  }
+}
+
+/**
+ * Show the current (or last) import job and follow it while it runs
+ */
+async function loadImportJob() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'getImportJob' });
+    const job = response.success ? response.data : null;
+    renderImportJob(job);
+
+    if (job && (job.status === 'running' || job.status === 'paused')) {
+      connectImportProgress();
+    }
+  } catch (error) {
+    console.error('[Launcher] Error loading import job:', error);
+  }
+}
+
+/**
+ * Subscribe to import job progress pushed by the service worker
+ */
+function connectImportProgress() {
+  if (importProgressPort) {
+    return;
+  }
+
+  importProgressPort = chrome.runtime.connect({ name: 'importProgress' });
+
+  importProgressPort.onMessage.addListener((message) => {
+    if (message && message.type === 'progress') {
+      renderImportJob(message.job);
+    }
+  });
+
+  importProgressPort.onDisconnect.addListener(() => {
+    importProgressPort = null;
+  });
+}
+
+/**
+ * Render an import job snapshot
+ * @param {Object|null} job - ImportManager snapshot
+ */
+function renderImportJob(job) {
+  lastImportPlatforms = job && Array.isArray(job.platforms)
+    ? job.platforms.map(platform => ({ key: platform.key, limit: platform.limit }))
+    : null;
+  launcherResyncBtn.style.display = lastImportPlatforms ? 'block' : 'none';
+
+  if (!job) {
+    launcherImport.style.display = 'none';
+    return;
+  }
+
+  const isActive = job.status === 'running' || job.status === 'paused';
+  launcherImport.style.display = 'flex';
+  launcherProgressFill.style.width = `${job.progress || 0}%`;
+  launcherImportStatus.textContent = isActive
+    ? job.statusText || 'Importing...'
+    : `Last ${job.mode === 'resync' ? 're-sync' : 'import'}: ${job.statusText || job.status}`;
+
+  launcherPauseBtn.style.display = job.status === 'running' ? 'inline-flex' : 'none';
+  launcherResumeBtn.style.display = job.status === 'paused' ? 'inline-flex' : 'none';
+  launcherCancelBtn.style.display = isActive ? 'inline-flex' : 'none';
+  launcherResyncBtn.disabled = isActive;
+
+  // A job followed to its end added chats
+  if (!isActive && importProgressPort) {
+    loadLibraryStats();
+  }
+}
+
+/**
+ * ACTIONS
+ */
+
+/**
+ * Open the library page, switching to it when a tab already shows it
+ * @param {Object} options - { screen: screen to open instead of the default (e.g. 'welcome') }
+ */
+async function openLibraryTab({ screen = null } = {}) {
+  try {
+    const pageUrl = chrome.runtime.getURL(LIBRARY_PAGE);
+    const url = screen ? `${pageUrl}?screen=${encodeURIComponent(screen)}` : pageUrl;
+    const tabs = await chrome.tabs.query({});
+    const existing = !screen && tabs.find(tab => tab.url === pageUrl);
+
+    if (existing) {
+      await chrome.tabs.update(existing.id, { active: true });
+      await chrome.windows.update(existing.windowId, { focused: true });
+    } else {
+      await chrome.tabs.create({ url, active: true });
+    }
+    window.close();
+  } catch (error) {
+    console.error('[Launcher] Error opening library:', error);
+    showMessage('Could not open the library.');
+  }
+}
+
+/**
+ * Open the library in the side panel of the current window
+ */
+async function openSidePanel() {
+  try {
+    if (!chrome.sidePanel || !chrome.sidePanel.open) {
+      throw new Error('This version of Chrome has no side panel');
+    }
+    const currentWindow = await chrome.windows.getCurrent();
+    await chrome.sidePanel.open({ windowId: currentWindow.id });
+    window.close();
+  } catch (error) {
+    console.error('[Launcher] Error opening side panel:', error);
+    showMessage(error.message);
+  }
+}
+
+/**
+ * Re-sync new and changed chats from the platforms of the last import
+ */
+async function startResync() {
+  if (!lastImportPlatforms) {
+    return;
+  }
+
+  try {
+    const platforms = lastImportPlatforms.filter(platform => platform.limit > 0);
+    const response = await chrome.runtime.sendMessage({
+      type: 'startImportJob',
+      data: { mode: 'resync', platforms }
+    });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to start re-sync');
+    }
+
+    connectImportProgress();
+    renderImportJob(response.data);
+  } catch (error) {
+    console.error('[Launcher] Re-sync error:', error);
+    showMessage(`Re-sync failed: ${error.message}`);
+  }
+}
+
+/**
+ * Pause, resume or cancel the import job
+ * @param {string} type - Service worker message type
+ */
+async function sendImportJobCommand(type) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type });
+    if (!response.success) {
+      throw new Error(response.error || 'Import command failed');
+    }
+    renderImportJob(response.data);
+  } catch (error) {
+    console.error(`[Launcher] Error sending ${type}:`, error);
+    showMessage(error.message);
+  }
+}
+
+/**
+ * Load the live capture setting into its toggle
+ */
+async function loadLiveCaptureSetting() {
+  try {
+    const settings = await StorageService.getSettings();
+    launcherLiveCaptureToggle.checked = Boolean(settings.liveCapture);
+  } catch (error) {
+    console.error('[Launcher] Error loading live capture setting:', error);
+  }
+}
+
+/**
+ * Turn live capture on or off
+ */
+async function handleLiveCaptureToggle() {
+  const enabled = launcherLiveCaptureToggle.checked;
+
+  try {
+    await StorageService.updateSettings({ liveCapture: enabled });
+    showMessage(enabled ? 'Live capture on: conversations are saved as you chat' : 'Live capture off');
+  } catch (error) {
+    console.error('[Launcher] Error updating live capture setting:', error);
+    launcherLiveCaptureToggle.checked = !enabled;
+    showMessage('Could not change live capture');
+  }
+}
+
+/**
+ * Show a short status message under the actions
+ * @param {string} message - Message text
+ */
+function showMessage(message) {
+  launcherMessage.textContent = message;
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initialize);
+} else {
+  initialize();
+}
@@ -1,54 +1,39 @@
 /**
  * Popup Script for AI-ReCap - Module 2
- * Parallel tab processing for fast chat import
+ * Import controls (the import itself runs as a background job), library and label views
+ *
+ * Hosted by the full-tab library page (popup.html, popup.html?label=<id>) and
+ * the side panel (popup.html?view=panel); the toolbar popup is the compact
+ * launcher in launcher.js.
  */
 
 console.log('[Popup] Script loaded - Module 2');
 
-// Configuration constants
-const MAX_PARALLEL_TABS = 6;  // Process 6 conversations simultaneously (balanced speed vs stability)
-const TAB_TIMEOUT = 6000;      // 6 second timeout per tab (increased for cross-account imports)
-const BATCH_DELAY = 1000;      // Delay between batches (increased for browser recovery)
-const DYNAMIC_CONTENT_DELAY = 2500;  // Wait after page load for dynamic content (increased for heavy ChatGPT pages)
-
-// Platform configurations
-const PLATFORMS = {
-  chatgpt: {
-    name: 'ChatGPT',
-    baseUrl: 'https://chatgpt.com',
-    enabled: true
-  },
-  claude: {
-    name: 'Claude',
-    baseUrl: 'https://claude.ai',
-    enabled: true
-  },
-  gemini: {
-    name: 'Gemini',
-    baseUrl: 'https://gemini.google.com',
-    enabled: true
-  }
-};
-
 // DOM elements - Welcome Screen
 const welcomeScreen = document.getElementById('welcomeScreen');
 const welcomeAiStatus = document.getElementById('welcomeAiStatus');
 const welcomeAiStatusDot = document.getElementById('welcomeAiStatusDot');
 const startImportBtn = document.getElementById('startImportBtn');
 const viewLibraryFromWelcomeBtn = document.getElementById('viewLibraryFromWelcomeBtn');
-const chatgptLimitSelect = document.getElementById('chatgptLimitSelect');
-const claudeLimitSelect = document.getElementById('claudeLimitSelect');
-const geminiLimitSelect = document.getElementById('geminiLimitSelect');
+const resyncBtn = document.getElementById('resyncBtn');
+const importExportFileBtn = document.getElementById('importExportFileBtn');
+const exportFileInput = document.getElementById('exportFileInput');
+const restoreBackupBtn = document.getElementById('restoreBackupBtn');
+const libraryBackupInput = document.getElementById('libraryBackupInput');
+const liveCaptureToggle = document.getElementById('liveCaptureToggle');
+const importLimitsGrid = document.getElementById('importLimitsGrid');
+const supportedPlatformsEl = document.getElementById('supportedPlatforms');
 
 // DOM elements - Progress Screen
 const progressScreen = document.getElementById('progressScreen');
 const backToWelcomeBtn = document.getElementById('backToWelcomeBtn');
-const chatgptCountEl = document.getElementById('chatgptCount');
-const claudeCountEl = document.getElementById('claudeCount');
-const geminiCountEl = document.getElementById('geminiCount');
+const platformStatsEl = document.getElementById('platformStats');
 const progressFillEl = document.getElementById('progressFill');
 const statusTextEl = document.getElementById('statusText');
 const viewLibraryBtn = document.getElementById('viewLibraryBtn');
+const pauseImportBtn = document.getElementById('pauseImportBtn');
+const resumeImportBtn = document.getElementById('resumeImportBtn');
+const cancelImportBtn = document.getElementById('cancelImportBtn');
 
 // DOM elements - Library Screen
 const libraryScreen = document.getElementById('libraryScreen');
@@ -58,17 +43,60 @@ const backToWelcomeFromLibraryBtn = document.getElementById('backToWelcomeFromLi
 const labelScreen = document.getElementById('labelScreen');
 const backToLibraryBtn = document.getElementById('backToLibraryBtn');
 const labelViewName = document.getElementById('labelViewName');
+const labelViewEmoji = document.getElementById('labelViewEmoji');
 const labelViewChatCount = document.getElementById('labelViewChatCount');
+const exportLabelMarkdownBtn = document.getElementById('exportLabelMarkdownBtn');
+const manageLabelBtn = document.getElementById('manageLabelBtn');
+const labelManagePanel = document.getElementById('labelManagePanel');
+const labelEditForm = document.getElementById('labelEditForm');
+const labelEditNameInput = document.getElementById('labelEditNameInput');
+const labelEditEmojiInput = document.getElementById('labelEditEmojiInput');
+const labelEditColorPicker = document.getElementById('labelEditColorPicker');
+const cancelLabelEditBtn = document.getElementById('cancelLabelEditBtn');
+const mergeLabelSelect = document.getElementById('mergeLabelSelect');
+const mergeLabelBtn = document.getElementById('mergeLabelBtn');
+const startSplitLabelBtn = document.getElementById('startSplitLabelBtn');
+const labelSplitBar = document.getElementById('labelSplitBar');
+const labelSplitCount = document.getElementById('labelSplitCount');
+const labelSplitNameInput = document.getElementById('labelSplitNameInput');
+const confirmSplitLabelBtn = document.getElementById('confirmSplitLabelBtn');
+const cancelSplitLabelBtn = document.getElementById('cancelSplitLabelBtn');
 const tabButtons = document.querySelectorAll('.tab-button');
 const summaryContent = document.getElementById('summaryContent');
 const generateSummaryBtn = document.getElementById('generateSummaryBtn');
 const labelChatList = document.getElementById('labelChatList');
-const chatlistFilters = document.querySelectorAll('.chatlist-filters .filter-btn');
+const chatlistFilterGroup = document.querySelector('.chatlist-filters');
 const bulletpointsContent = document.getElementById('bulletpointsContent');
 const generateBulletPointsBtn = document.getElementById('generateBulletPointsBtn');
+const mindMapToolbar = document.getElementById('mindMapToolbar');
+const mindMapViewButtons = document.querySelectorAll('.mindmap-view-btn');
+const mindMapCanvasControls = document.getElementById('mindMapCanvasControls');
+const openMindMapPageBtn = document.getElementById('openMindMapPageBtn');
+const quizStats = document.getElementById('quizStats');
+const quizContent = document.getElementById('quizContent');
+const startQuizReviewBtn = document.getElementById('startQuizReviewBtn');
+const generateQuizBtn = document.getElementById('generateQuizBtn');
+const quizDueBadge = document.getElementById('quizDueBadge');
+const askScopeSelect = document.getElementById('askScopeSelect');
+const askThread = document.getElementById('askThread');
+const askForm = document.getElementById('askForm');
+const askInput = document.getElementById('askInput');
+const askSubmitBtn = document.getElementById('askSubmitBtn');
 const labelWorkflowScreen = document.getElementById('labelWorkflowScreen');
 const backToLibraryFromWorkflowBtn = document.getElementById('backToLibraryFromWorkflowBtn');
 
+// DOM elements - Reader Screen
+const readerScreen = document.getElementById('readerScreen');
+const backFromReaderBtn = document.getElementById('backFromReaderBtn');
+const readerTitle = document.getElementById('readerTitle');
+const readerMeta = document.getElementById('readerMeta');
+const readerOpenOriginalBtn = document.getElementById('readerOpenOriginalBtn');
+const readerFindInput = document.getElementById('readerFindInput');
+const readerFindCount = document.getElementById('readerFindCount');
+const readerFindPrevBtn = document.getElementById('readerFindPrevBtn');
+const readerFindNextBtn = document.getElementById('readerFindNextBtn');
+const readerContent = document.getElementById('readerContent');
+
 // Summarization section
 const summarizationSection = document.getElementById('summarizationSection');
 const summarizeBtn = document.getElementById('summarizeBtn');
@@ -104,6 +132,12 @@ const suggestedBadge = document.getElementById('suggestedBadge');
 const suggestedList = document.getElementById('suggestedList');
 const clearSuggestedBtn = document.getElementById('clearSuggestedBtn');
 const createLabelBtn = document.getElementById('createLabelBtn');
+const newLabelForm = document.getElementById('newLabelForm');
+const newLabelNameInput = document.getElementById('newLabelNameInput');
+const newLabelEmojiInput = document.getElementById('newLabelEmojiInput');
+const newLabelColorPicker = document.getElementById('newLabelColorPicker');
+const cancelNewLabelBtn = document.getElementById('cancelNewLabelBtn');
+const suggestLabelsBtn = document.getElementById('suggestLabelsBtn');
 const labelList = document.getElementById('labelList');
 const clearAcceptedBtn = document.getElementById('clearAcceptedBtn');
 
@@ -112,6 +146,10 @@ const libraryDangerToggle = document.getElementById('libraryDangerToggle');
 const libraryDangerMenu = document.getElementById('libraryDangerMenu');
 const dropSummariesOption = document.getElementById('dropSummariesOption');
 const deleteDataOption = document.getElementById('deleteDataOption');
+const exportLibraryOption = document.getElementById('exportLibraryOption');
+const exportLibraryZipOption = document.getElementById('exportLibraryZipOption');
+const importLibraryOption = document.getElementById('importLibraryOption');
+const exportVaultOption = document.getElementById('exportVaultOption');
 const libraryDangerWrapper = libraryDangerToggle ? libraryDangerToggle.closest('.library-danger') : null;
 
 // Chat list
@@ -124,12 +162,24 @@ const libraryTabButtons = Array.from(document.querySelectorAll('.library-tab'));
 
 // Summarization state
 let isSummarizingChats = false;
+let importProgressPort = null;
 let summarizeCancelRequested = false;
 let currentLibraryView = 'library';
+let currentScreen = 'welcome';
+// Full-page tabs at least this wide show two columns (see popup.css)
+const WIDE_LAYOUT_QUERY = '(min-width: 1000px)';
+const CHAT_SEARCH_DEBOUNCE = 200;
+// Full-text search state per chat list; hits is null when no search is active
+const chatSearchState = {
+  summarized: { query: '', hits: null, terms: [] },
+  unsummarized: { query: '', hits: null, terms: [] },
+  label: { query: '', hits: null, terms: [] }
+};
 const libraryViewScrollPositions = {
   library: 0,
   summarized: 0,
-  unsummarized: 0
+  unsummarized: 0,
+  ask: 0
 };
 
 /**
@@ -139,6 +189,14 @@ async function initialize() {
   console.log('[Popup] Initializing...');
 
   try {
+    // Full tab, or the narrow popup layout in the side panel
+    const pageParams = new URLSearchParams(window.location.search);
+    document.body.classList.add(pageParams.get('view') === 'panel' ? 'side-panel' : 'full-page');
+
+    // Platform-specific controls come from the registry
+    renderPlatformControls();
+    await loadLiveCaptureSetting();
+
     // Check AI availability
     await checkAIAvailability();
 
@@ -148,12 +206,109 @@ async function initialize() {
     // Setup event listeners
     setupEventListeners();
 
+    // Opened for one label (e.g. the mind map), or from the launcher's import action
+    if (pageParams.has('label')) {
+      await openLabelDetail(pageParams.get('label'));
+      switchTab(pageParams.get('tab') || 'chatlist');
+    } else if (pageParams.get('screen') === 'welcome') {
+      showScreen('welcome');
+    }
+
+    // Opened at one message of a conversation (reader links)
+    if (pageParams.has('chat')) {
+      const messageIndex = parseInt(pageParams.get('message'), 10);
+      await openReader(pageParams.get('chat'), {
+        messageIndex: Number.isInteger(messageIndex) ? messageIndex : null
+      });
+    }
+
     console.log('[Popup] Initialization complete');
   } catch (error) {
     console.error('[Popup] Initialization error:', error);
   }
 }
 
+/**
+ * PLATFORMS - Controls rendered from PlatformRegistry
+ * A platform added to the registry gets its import limit, progress counter,
+ * list filters and colors here without any popup markup of its own.
+ */
+function renderPlatformControls() {
+  const platforms = PlatformRegistry.list();
+
+  importLimitsGrid.innerHTML = platforms.map(platform => `
+    <div class="import-limit">
+      <span class="import-limit-title">${escapeHtml(platform.name)}</span>
+      <select data-platform="${escapeHtml(platform.id)}" aria-label="${escapeHtml(platform.name)} import limit">
+        <option value="0">Do not import</option>
+        ${platform.limits.options.map(value => `
+          <option value="${value}"${value === platform.limits.defaultValue ? ' selected' : ''}>Top ${value}</option>
+        `).join('')}
+      </select>
+    </div>
+  `).join('');
+
+  platformStatsEl.innerHTML = platforms.map(platform => `
+    <div class="platform-stat">
+      <div class="platform-icon ${escapeHtml(platform.id)}">
+        <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+          <circle cx="12" cy="12" r="10"/>
+        </svg>
+      </div>
+      <div class="platform-info">
+        <span class="platform-name">${escapeHtml(platform.name)}</span>
+        <span class="platform-count" data-platform="${escapeHtml(platform.id)}">0</span>
+      </div>
+    </div>
+  `).join('');
+
+  // Platform filters follow the "All" button of each list
+  const filterButtons = platforms.map(platform => `
+    <button class="filter-btn" data-platform="${escapeHtml(platform.id)}">
+      <span class="platform-dot ${escapeHtml(platform.id)}"></span>
+      ${escapeHtml(platform.name)}
+    </button>
+  `).join('');
+  document.querySelectorAll('.filter-buttons, .chatlist-filters').forEach(group => {
+    group.insertAdjacentHTML('beforeend', filterButtons);
+  });
+
+  supportedPlatformsEl.textContent = `Supports: ${platforms.map(platform => platform.name).join(' • ')}`;
+
+  // Platform colors for icons, dots, badges and mind map nodes
+  const style = document.createElement('style');
+  style.textContent = platforms.map(platform => `
+    .platform-icon.${platform.id},
+    .platform-dot.${platform.id},
+    .chat-platform-badge.${platform.id},
+    .chat-link .chat-platform.${platform.id} {
+      background: ${platform.color};
+    }
+    .mindmap-canvas-platform.${platform.id} {
+      fill: ${platform.color};
+    }
+  `).join('');
+  document.head.appendChild(style);
+}
+
+/**
+ * Progress counter of a platform
+ * @param {string} platformId - Platform ID
+ * @returns {Element|null}
+ */
+function getPlatformCountEl(platformId) {
+  return platformStatsEl.querySelector(`.platform-count[data-platform="${platformId}"]`);
+}
+
+/**
+ * Reset every platform's progress counter to 0
+ */
+function resetPlatformCounts() {
+  platformStatsEl.querySelectorAll('.platform-count').forEach(countEl => {
+    countEl.textContent = '0';
+  });
+}
+
 /**
  * Check AI availability and update UI
  * Now checks directly in popup context (not service worker)
@@ -188,20 +343,29 @@ async function checkAIAvailability() {
 async function loadCurrentScreen() {
   try {
     const response = await chrome.runtime.sendMessage({ type: 'getStorageStats' });
+    const jobResponse = await chrome.runtime.sendMessage({ type: 'getImportJob' });
+    const job = jobResponse.success ? jobResponse.data : null;
 
     if (response.success) {
       const stats = response.data;
-
-      // If chats exist, show library screen by default
-      if (stats.chatCount > 0) {
+      const hasChats = stats.chatCount > 0;
+
+      // Show the "View My Library" and "Re-Sync" buttons on welcome screen when chats exist
+      viewLibraryFromWelcomeBtn.style.display = hasChats ? 'block' : 'none';
+      resyncBtn.style.display = hasChats ? 'block' : 'none';
+
+      // Re-attach to an import that is still running in the background
+      if (job && (job.status === 'running' || job.status === 'paused')) {
+        showScreen('progress');
+        renderImportProgress(job);
+        connectImportProgress();
+      } else if (hasChats) {
+        // If chats exist, show library screen by default
         showScreen('library');
         await loadLibrary();
-        // Also show the "View My Library" button on welcome screen
-        viewLibraryFromWelcomeBtn.style.display = 'block';
       } else {
         // Otherwise show welcome screen
         showScreen('welcome');
-        viewLibraryFromWelcomeBtn.style.display = 'none';
       }
     }
   } catch (error) {
@@ -210,9 +374,17 @@ async function loadCurrentScreen() {
   }
 }
 
+/**
+ * Whether the page shows the two-column layout (full-page tab wide enough)
+ * @returns {boolean}
+ */
+function isWideLayout() {
+  return document.body.classList.contains('full-page') && window.matchMedia(WIDE_LAYOUT_QUERY).matches;
+}
+
 /**
  * Show specific screen
- * @param {string} screenName - 'welcome', 'progress', 'library', or 'label'
+ * @param {string} screenName - 'welcome', 'progress', 'library', 'workflow', 'label', or 'reader'
  */
 function showScreen(screenName) {
   // Hide all screens
@@ -220,6 +392,7 @@ function showScreen(screenName) {
   progressScreen.style.display = 'none';
   libraryScreen.style.display = 'none';
   labelScreen.style.display = 'none';
+  readerScreen.style.display = 'none';
   if (labelWorkflowScreen) {
     labelWorkflowScreen.style.display = 'none';
   }
@@ -244,8 +417,12 @@ function showScreen(screenName) {
     case 'label':
       labelScreen.style.display = 'block';
       break;
+    case 'reader':
+      readerScreen.style.display = 'block';
+      break;
   }
 
+  currentScreen = screenName;
   console.log('[Popup] Showing screen:', screenName);
 }
 
@@ -254,7 +431,13 @@ function showScreen(screenName) {
  */
 function setupEventListeners() {
   // Welcome Screen
-  startImportBtn.addEventListener('click', startImport);
+  startImportBtn.addEventListener('click', () => startImport());
+  resyncBtn.addEventListener('click', () => startImport({ mode: 'resync' }));
+  importExportFileBtn.addEventListener('click', () => exportFileInput.click());
+  exportFileInput.addEventListener('change', handleExportFileSelected);
+  restoreBackupBtn.addEventListener('click', () => libraryBackupInput.click());
+  libraryBackupInput.addEventListener('change', handleLibraryBackupSelected);
+  liveCaptureToggle.addEventListener('change', handleLiveCaptureToggle);
   viewLibraryFromWelcomeBtn.addEventListener('click', () => {
     showScreen('library');
     loadLibrary();
@@ -266,12 +449,22 @@ function setupEventListeners() {
     showScreen('library');
     loadLibrary();
   });
+  pauseImportBtn.addEventListener('click', () => sendImportJobCommand('pauseImportJob'));
+  resumeImportBtn.addEventListener('click', () => sendImportJobCommand('resumeImportJob'));
+  cancelImportBtn.addEventListener('click', () => sendImportJobCommand('cancelImportJob'));
 
   // Library Screen
   backToWelcomeFromLibraryBtn.addEventListener('click', () => showScreen('welcome'));
   summarizeBtn.addEventListener('click', handleSummarizeChats);
   clearSuggestedBtn.addEventListener('click', handleClearSuggestedLabels);
   createLabelBtn.addEventListener('click', handleCreateLabel);
+  newLabelForm.addEventListener('submit', handleSubmitNewLabel);
+  cancelNewLabelBtn.addEventListener('click', closeNewLabelForm);
+  suggestLabelsBtn.addEventListener('click', () => {
+    closeNewLabelForm();
+    openLabelWorkflow();
+  });
+  newLabelColorPicker.addEventListener('click', handleLabelColorPick);
   clearAcceptedBtn.addEventListener('click', handleClearAcceptedLabels);
 
   if (libraryDangerToggle && libraryDangerMenu && libraryDangerWrapper) {
@@ -291,6 +484,34 @@ function setupEventListeners() {
       await handleDropSummaries();
     });
   }
+  if (exportLibraryOption) {
+    exportLibraryOption.addEventListener('click', async (event) => {
+      event.stopPropagation();
+      closeLibraryDangerMenu();
+      await handleExportLibrary({ zip: false });
+    });
+  }
+  if (exportLibraryZipOption) {
+    exportLibraryZipOption.addEventListener('click', async (event) => {
+      event.stopPropagation();
+      closeLibraryDangerMenu();
+      await handleExportLibrary({ zip: true });
+    });
+  }
+  if (importLibraryOption) {
+    importLibraryOption.addEventListener('click', (event) => {
+      event.stopPropagation();
+      closeLibraryDangerMenu();
+      libraryBackupInput.click();
+    });
+  }
+  if (exportVaultOption) {
+    exportVaultOption.addEventListener('click', async (event) => {
+      event.stopPropagation();
+      closeLibraryDangerMenu();
+      await handleExportVault();
+    });
+  }
   if (deleteDataOption) {
     deleteDataOption.addEventListener('click', async (event) => {
       event.stopPropagation();
@@ -344,7 +565,74 @@ function setupEventListeners() {
     loadLibrary();
   });
   generateSummaryBtn.addEventListener('click', handleGenerateLabelSummary);
+  exportLabelMarkdownBtn.addEventListener('click', handleExportLabelMarkdown);
+  manageLabelBtn.addEventListener('click', toggleLabelManagePanel);
+  labelEditForm.addEventListener('submit', handleSaveLabelEdit);
+  labelEditColorPicker.addEventListener('click', handleLabelColorPick);
+  cancelLabelEditBtn.addEventListener('click', closeLabelManagePanel);
+  mergeLabelSelect.addEventListener('change', () => {
+    mergeLabelBtn.disabled = !mergeLabelSelect.value;
+  });
+  mergeLabelBtn.addEventListener('click', handleMergeLabel);
+  startSplitLabelBtn.addEventListener('click', startLabelSplit);
+  labelSplitBar.addEventListener('submit', handleSubmitLabelSplit);
+  labelSplitNameInput.addEventListener('input', updateLabelSplitBar);
+  cancelSplitLabelBtn.addEventListener('click', () => {
+    resetLabelSplit();
+    filterLabelChats(getActiveLabelFilterPlatform());
+  });
   generateBulletPointsBtn.addEventListener('click', handleGenerateBulletPoints);
+  mindMapViewButtons.forEach(btn => {
+    btn.addEventListener('click', () => setMindMapView(btn.getAttribute('data-mindmap-view')));
+  });
+  mindMapCanvasControls.addEventListener('click', handleMindMapControl);
+  openMindMapPageBtn.addEventListener('click', handleOpenMindMapPage);
+  generateQuizBtn.addEventListener('click', handleGenerateQuiz);
+  startQuizReviewBtn.addEventListener('click', startQuizReview);
+  quizContent.addEventListener('click', handleQuizContentClick);
+  askForm.addEventListener('submit', handleAskQuestion);
+  askInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      askForm.requestSubmit();
+    }
+  });
+  askThread.addEventListener('click', (e) => {
+    const link = e.target.closest('a[data-chat-id]');
+    if (link) {
+      e.preventDefault();
+      const pairIndex = parseInt(link.getAttribute('data-pair-index'), 10);
+      openReader(link.getAttribute('data-chat-id'), { pairIndex: Number.isInteger(pairIndex) ? pairIndex : null });
+    }
+  });
+  quizDueBadge.addEventListener('click', () => {
+    const labelId = quizDueBadge.getAttribute('data-label-id');
+    if (labelId) {
+      openQuizForLabel(labelId);
+    }
+  });
+
+  // Reader Screen
+  backFromReaderBtn.addEventListener('click', closeReader);
+  readerOpenOriginalBtn.addEventListener('click', () => {
+    if (readerChat && readerChat.url) {
+      chrome.tabs.create({ url: readerChat.url, active: true });
+    }
+  });
+  readerFindInput.addEventListener('input', () => {
+    clearTimeout(readerFindTimer);
+    readerFindTimer = setTimeout(runReaderFind, CHAT_SEARCH_DEBOUNCE);
+  });
+  readerFindInput.addEventListener('keydown', handleReaderFindKeydown);
+  readerFindPrevBtn.addEventListener('click', () => goToReaderFindMatch(readerFindIndex - 1));
+  readerFindNextBtn.addEventListener('click', () => goToReaderFindMatch(readerFindIndex + 1));
+  document.addEventListener('keydown', (e) => {
+    if (currentScreen === 'reader' && (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+      e.preventDefault();
+      readerFindInput.focus();
+      readerFindInput.select();
+    }
+  });
 
   // Tab buttons
   tabButtons.forEach(btn => {
@@ -355,6 +643,7 @@ function setupEventListeners() {
   });
 
   // Chat list filters (label view)
+  const chatlistFilters = chatlistFilterGroup.querySelectorAll('.filter-btn');
   chatlistFilters.forEach(btn => {
     btn.addEventListener('click', () => {
       // Remove active class from all
@@ -367,6 +656,18 @@ function setupEventListeners() {
     });
   });
 
+  // Chat search boxes (library lists and label view)
+  document.querySelectorAll('.chat-search').forEach(wrapper => {
+    const context = wrapper.getAttribute('data-search-context');
+    const input = wrapper.querySelector('.chat-search-input');
+    let debounceTimer = null;
+
+    input.addEventListener('input', () => {
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => runChatSearch(context, input.value), CHAT_SEARCH_DEBOUNCE);
+    });
+  });
+
   // Chat filter buttons
   document.querySelectorAll('.filter-buttons').forEach(group => {
     const context = group.getAttribute('data-filter-context') || 'unsummarized';
@@ -383,26 +684,22 @@ function setupEventListeners() {
 }
 
 /**
- * START IMPORT - Main orchestrator for parallel tab processing
+ * START IMPORT - Hand the import off to the background import job
+ * The service worker owns tab orchestration, so the popup can be closed mid-import.
+ * @param {Object} options - Import options
+ * @param {string} options.mode - 'full' re-imports every listed chat, 'resync' only new or changed chats
  */
-async function startImport() {
-  console.log('[Popup] Starting import...');
+async function startImport(options = {}) {
+  const isResync = options.mode === 'resync';
+  console.log(`[Popup] Starting ${isResync ? 're-sync' : 'import'}...`);
 
   try {
-    const chatgptLimit = getChatgptImportLimit();
-    const claudeLimit = getClaudeImportLimit();
-    const geminiLimit = getGeminiImportLimit();
-
-    const platformConfigs = [
-      { key: 'chatgpt', label: 'ChatGPT', limit: chatgptLimit, countEl: chatgptCountEl },
-      { key: 'claude', label: 'Claude', limit: claudeLimit, countEl: claudeCountEl },
-      { key: 'gemini', label: 'Gemini', limit: geminiLimit, countEl: geminiCountEl }
-    ];
+    const platformConfigs = getImportLimits();
 
     const activePlatforms = platformConfigs.filter(config => config.limit > 0);
 
     if (activePlatforms.length === 0) {
-      alert('Select at least one platform to import.');
+      alert(`Select at least one platform to ${isResync ? 're-sync' : 'import'}.`);
       return;
     }
 
@@ -410,505 +707,201 @@ async function startImport() {
     showScreen('progress');
 
     // Reset counters
-    chatgptCountEl.textContent = '0';
-    claudeCountEl.textContent = '0';
-    geminiCountEl.textContent = '0';
+    resetPlatformCounts();
     updateProgress(0);
-    statusTextEl.textContent = 'Initializing import...';
-
-    let totalImported = 0;
-    const platformResults = {};
-    const progressSlice = 100 / activePlatforms.length;
-    let progressBase = 0;
-
-    for (const config of activePlatforms) {
-      const chatNoun = config.limit === 1 ? 'chat' : 'chats';
-      statusTextEl.textContent = `Importing latest ${config.limit} ${chatNoun} from ${config.label}...`;
-
-      const platformCount = await importFromPlatformParallel(config.key, (current, total) => {
-        config.countEl.textContent = current;
-        const progress = total > 0
-          ? progressBase + ((current / total) * progressSlice)
-          : progressBase;
-        updateProgress(Math.min(progress, 100));
-      }, config.limit);
-
-      platformResults[config.key] = platformCount;
-      totalImported += platformCount;
-      config.countEl.textContent = String(platformCount);
-      progressBase += progressSlice;
-      updateProgress(Math.min(progressBase, 100));
-      console.log(`[Popup] ${config.label} import complete:`, platformCount);
-    }
-
-    // Complete
-    updateProgress(100);
-    statusTextEl.textContent = `Successfully imported ${totalImported} conversations!`;
-    viewLibraryBtn.style.display = 'block';
+    viewLibraryBtn.style.display = 'none';
+    statusTextEl.textContent = isResync ? 'Checking for new and changed chats...' : 'Initializing import...';
 
-    // Save settings
-    await chrome.runtime.sendMessage({
-      type: 'updateSettings',
-      data: { totalChatsImported: totalImported, lastSync: Date.now() }
+    connectImportProgress();
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'startImportJob',
+      data: {
+        mode: isResync ? 'resync' : 'full',
+        platforms: activePlatforms
+      }
     });
 
-    console.log('[Popup] Import complete:', platformResults);
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to start import');
+    }
+
+    renderImportProgress(response.data);
 
   } catch (error) {
     console.error('[Popup] Import error:', error);
-    statusTextEl.textContent = 'Import failed: ' + error.message;
+    statusTextEl.textContent = (isResync ? 'Re-sync failed: ' : 'Import failed: ') + error.message;
   }
 }
 
 /**
- * Import from platform with parallel tab processing
- * @param {string} platform - Platform name (chatgpt, claude, gemini)
- * @param {Function} onProgress - Progress callback (current, total)
- * @returns {Promise<number>} Number of imported conversations
+ * Show the live capture setting
  */
-async function importFromPlatformParallel(platform, onProgress, limit) {
-  console.log(`[Popup] Starting parallel import from ${platform}`);
-
+async function loadLiveCaptureSetting() {
   try {
-    // Step 1: Get or create tab for platform
-    const platformTab = await getOrCreatePlatformTab(platform);
-
-    if (!platformTab) {
-      console.warn(`[Popup] Could not access ${platform} tab`);
-      return 0;
-    }
-
-    // Step 2: Extract conversation list from sidebar
-    console.log(`[Popup] Extracting conversation list from ${platform}...`);
-    let conversations = await extractConversationList(platformTab.id, platform);
-    const totalAvailable = Array.isArray(conversations) ? conversations.length : 0;
-
-    if (!conversations || totalAvailable === 0) {
-      console.log(`[Popup] No conversations found on ${platform}`);
-      return 0;
-    }
-
-    console.log(`[Popup] Found ${totalAvailable} conversations on ${platform}`);
-
-    if (typeof limit === 'number') {
-      if (limit <= 0) {
-        console.log(`[Popup] Skipping ${platform} import (limit set to 0)`);
-        return 0;
-      }
-
-      if (limit > 0 && totalAvailable > limit) {
-        console.log(`[Popup] Limiting ${platform} import to latest ${limit} conversations`);
-        conversations = conversations.slice(0, limit);
-      }
-    }
-
-    console.log(`[Popup] Processing ${conversations.length} conversations on ${platform}`);
-
-    // Step 3: Split into batches of MAX_PARALLEL_TABS
-    const batches = [];
-    for (let i = 0; i < conversations.length; i += MAX_PARALLEL_TABS) {
-      batches.push(conversations.slice(i, i + MAX_PARALLEL_TABS));
-    }
-
-    console.log(`[Popup] Processing ${batches.length} batches for ${platform}`);
-
-    // Step 4: Process each batch in parallel
-    const allChats = [];
-    const allFailedConversations = [];
-    let processed = 0;
-
-    for (const batch of batches) {
-      const { successfulChats, failedConversations } = await processBatchParallel(batch);
-      allChats.push(...successfulChats);
-      allFailedConversations.push(...failedConversations);
-      processed += batch.length;
-
-      // Update progress
-      onProgress(processed, conversations.length);
-
-      // Small delay between batches
-      if (processed < conversations.length) {
-        await delay(BATCH_DELAY);
-      }
-    }
-
-    // Step 5: Retry failed conversations automatically
-    if (allFailedConversations.length > 0) {
-      console.log(`[Popup] Retrying ${allFailedConversations.length} failed conversations...`);
-      const retriedChats = await retryFailedConversations(allFailedConversations);
-      allChats.push(...retriedChats);
-    }
-
-    // Step 6: Batch save all chats
-    if (allChats.length > 0) {
-      console.log(`[Popup] Batch saving ${allChats.length} chats from ${platform}`);
-      await chrome.runtime.sendMessage({
-        type: 'batchSaveChats',
-        data: allChats
-      });
-    }
-
-    return allChats.length;
-
+    const settings = await StorageService.getSettings();
+    liveCaptureToggle.checked = Boolean(settings.liveCapture);
   } catch (error) {
-    console.error(`[Popup] Error importing from ${platform}:`, error);
-    return 0;
+    console.error('[Popup] Error loading live capture setting:', error);
   }
 }
 
 /**
- * Process batch of conversations in parallel
- * @param {Array} conversationBatch - Array of conversation metadata
- * @returns {Promise<Object>} Object with successfulChats and failedConversations arrays
+ * Turn live capture on or off
+ * The scrapers on open platform pages follow the setting right away.
  */
-async function processBatchParallel(conversationBatch) {
-  console.log(`[Popup] Processing batch of ${conversationBatch.length} conversations`);
+async function handleLiveCaptureToggle() {
+  const enabled = liveCaptureToggle.checked;
 
-  // Create array of promises
-  const promises = conversationBatch.map(conv => extractConversationInNewTab(conv));
+  try {
+    await StorageService.updateSettings({ liveCapture: enabled });
+    showToast(enabled
+      ? 'Live capture on: conversations are saved as you chat'
+      : 'Live capture off', 'success');
+  } catch (error) {
+    console.error('[Popup] Error updating live capture setting:', error);
+    liveCaptureToggle.checked = !enabled;
+    showToast('Could not change live capture', 'error');
+  }
+}
 
-  // Use Promise.allSettled to handle failures gracefully
-  const results = await Promise.allSettled(promises);
+/**
+ * Subscribe to import job progress over a long-lived port
+ * Safe to call repeatedly; only one port is kept open.
+ */
+function connectImportProgress() {
+  if (importProgressPort) {
+    return;
+  }
 
-  // Separate successful and failed extractions
-  const successfulChats = [];
-  const failedConversations = [];
+  importProgressPort = chrome.runtime.connect({ name: 'importProgress' });
 
-  results.forEach((result, index) => {
-    if (result.status === 'fulfilled' && result.value !== null) {
-      successfulChats.push(result.value);
-    } else {
-      // Track the failed conversation metadata for retry
-      failedConversations.push(conversationBatch[index]);
+  importProgressPort.onMessage.addListener((message) => {
+    if (message && message.type === 'progress') {
+      renderImportProgress(message.job);
     }
   });
 
-  console.log(`[Popup] Batch complete: ${successfulChats.length}/${conversationBatch.length} successful`);
-
-  return { successfulChats, failedConversations };
+  importProgressPort.onDisconnect.addListener(() => {
+    console.log('[Popup] Import progress port disconnected');
+    importProgressPort = null;
+  });
 }
 
 /**
- * Retry failed conversations sequentially with longer timeouts
- * @param {Array} failedConversations - Array of failed conversation metadata
- * @returns {Promise<Array>} Array of successfully recovered conversations
+ * Render an import job snapshot on the progress screen
+ * @param {Object|null} job - Job snapshot from the service worker
  */
-async function retryFailedConversations(failedConversations) {
-  if (failedConversations.length === 0) {
-    return [];
+function renderImportProgress(job) {
+  if (!job) {
+    return;
   }
 
-  console.log(`[Popup] Retrying ${failedConversations.length} failed conversations (sequential, longer timeouts)...`);
-
-  const retryConfig = {
-    TAB_TIMEOUT: 10000,           // 10s timeout for retry
-    DYNAMIC_CONTENT_DELAY: 4000,  // 4s delay for retry
-    EXTRACTION_TIMEOUT: 60000     // 60s extraction timeout for retry
-  };
-
-  const retriedChats = [];
-
-  // Process sequentially to avoid overwhelming the browser
-  for (const conversation of failedConversations) {
-    let tabId = null;
-
-    try {
-      console.log(`[Popup] Retrying: ${conversation.title}`);
-
-      // Create background tab
-      const tab = await chrome.tabs.create({
-        url: conversation.url,
-        active: false
-      });
-
-      tabId = tab.id;
-
-      // Wait for tab to load with longer timeout
-      await waitForTabLoad(tabId, retryConfig.TAB_TIMEOUT);
-
-      // Wait longer for dynamic content
-      await delay(retryConfig.DYNAMIC_CONTENT_DELAY);
-
-      // Inject content script
-      const injected = await injectContentScript(tabId, conversation.platform);
-      if (!injected) {
-        console.warn(`[Popup] Retry failed - injection failed: ${conversation.title}`);
-        continue;
-      }
-
-      // Extract with longer timeout
-      const response = await Promise.race([
-        chrome.tabs.sendMessage(tabId, {
-          action: 'extractCurrentConversation'
-        }),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Extraction timeout')), retryConfig.EXTRACTION_TIMEOUT)
-        )
-      ]).catch(error => {
-        console.warn(`[Popup] Retry extraction error for ${conversation.title}:`, error.message);
-        return null;
-      });
-
-      if (response && response.success) {
-        console.log(`[Popup] Retry successful: ${response.data.title}`);
-        retriedChats.push(response.data);
-      } else {
-        console.warn(`[Popup] Retry failed: ${conversation.title}`);
-      }
-
-    } catch (error) {
-      console.error(`[Popup] Retry error for ${conversation.title}:`, error);
-    } finally {
-      // Close tab
-      if (tabId) {
-        try {
-          await Promise.race([
-            chrome.tabs.remove(tabId),
-            new Promise((resolve) => setTimeout(resolve, 2000))
-          ]);
-        } catch (error) {
-          console.warn(`[Popup] Error closing retry tab ${tabId}:`, error);
-        }
-      }
+  const isFinished = job.status === 'completed' || job.status === 'cancelled' || job.status === 'failed';
 
-      // Small delay between retries
-      await delay(1000);
+  job.platforms.forEach(platform => {
+    const countEl = getPlatformCountEl(platform.key);
+    if (countEl) {
+      countEl.textContent = String(isFinished ? platform.saved : platform.completed);
     }
-  }
+  });
 
-  console.log(`[Popup] Retry complete: ${retriedChats.length}/${failedConversations.length} recovered`);
+  updateProgress(job.progress);
+  statusTextEl.textContent = job.statusText || '';
 
-  return retriedChats;
+  const isActive = job.status === 'running' || job.status === 'paused';
+  pauseImportBtn.style.display = job.status === 'running' ? 'inline-flex' : 'none';
+  resumeImportBtn.style.display = job.status === 'paused' ? 'inline-flex' : 'none';
+  cancelImportBtn.style.display = isActive ? 'inline-flex' : 'none';
+  viewLibraryBtn.style.display = isFinished ? 'block' : 'none';
 }
 
 /**
- * Extract conversation in a new background tab
- * @param {Object} conversation - Conversation metadata
- * @returns {Promise<Object|null>} Extracted conversation or null
+ * Send a control command (pause, resume, cancel) to the import job
+ * @param {string} type - Message type
  */
-async function extractConversationInNewTab(conversation) {
-  let tabId = null;
-
+async function sendImportJobCommand(type) {
   try {
-    console.log(`[Popup] Opening tab for: ${conversation.title}`);
-
-    // Create background tab
-    const tab = await chrome.tabs.create({
-      url: conversation.url,
-      active: false  // Don't interrupt user
-    });
-
-    tabId = tab.id;
-
-    // Wait for tab to load
-    await waitForTabLoad(tabId, TAB_TIMEOUT);
-
-    // Wait for dynamic content
-    await delay(DYNAMIC_CONTENT_DELAY);
-
-    // Inject content script
-    const injected = await injectContentScript(tabId, conversation.platform);
-    if (!injected) {
-      console.warn(`[Popup] Skipping ${conversation.title} - injection failed`);
-      return null;
-    }
-
-    // Send message to content script to extract conversation
-    // IMPORTANT: This is an async operation that may take 10+ seconds
-    // Add timeout to prevent hanging indefinitely
-    const EXTRACTION_TIMEOUT = 30000; // 30 seconds max per extraction (increased for large conversations)
-
-    const response = await Promise.race([
-      chrome.tabs.sendMessage(tabId, {
-        action: 'extractCurrentConversation'
-      }),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Extraction timeout')), EXTRACTION_TIMEOUT)
-      )
-    ]).catch(error => {
-      console.warn(`[Popup] Extraction error for ${conversation.title}:`, error.message);
-      return null;
-    });
-
-    if (response && response.success) {
-      console.log(`[Popup] Extracted: ${response.data.title}`);
-      return response.data;
-    } else {
-      console.warn(`[Popup] Failed to extract: ${conversation.title}`);
-      return null;
+    const response = await chrome.runtime.sendMessage({ type });
+    if (!response.success) {
+      throw new Error(response.error || 'Import command failed');
     }
-
+    renderImportProgress(response.data);
   } catch (error) {
-    console.error(`[Popup] Error extracting conversation:`, error);
-    return null;
-  } finally {
-    // ALWAYS close tab in finally block with timeout to prevent hanging
-    if (tabId) {
-      try {
-        // Wrap tab removal in timeout to prevent batch from hanging
-        await Promise.race([
-          chrome.tabs.remove(tabId),
-          new Promise((resolve) => setTimeout(resolve, 2000)) // 2s timeout for tab removal
-        ]);
-      } catch (error) {
-        console.warn(`[Popup] Error closing tab ${tabId}:`, error);
-      }
-    }
+    console.error(`[Popup] Error sending ${type}:`, error);
+    showToast(error.message, 'error');
   }
 }
 
 /**
- * Wait for tab to finish loading
- * @param {number} tabId - Tab ID
- * @param {number} timeout - Timeout in milliseconds
- * @returns {Promise<void>}
- */
-function waitForTabLoad(tabId, timeout) {
-  return new Promise((resolve) => {
-    let timeoutId;
-    let listener;
-
-    // Timeout fallback - resolve anyway, don't block
-    timeoutId = setTimeout(() => {
-      if (listener) {
-        chrome.tabs.onUpdated.removeListener(listener);
-      }
-      console.log(`[Popup] Tab ${tabId} load timeout`);
-      resolve();
-    }, timeout);
-
-    // Listen for tab updates
-    listener = (updatedTabId, changeInfo) => {
-      if (updatedTabId === tabId && changeInfo.status === 'complete') {
-        clearTimeout(timeoutId);
-        chrome.tabs.onUpdated.removeListener(listener);
-        console.log(`[Popup] Tab ${tabId} loaded`);
-        resolve();
-      }
-    };
-
-    chrome.tabs.onUpdated.addListener(listener);
-  });
-}
-
-/**
- * Inject content script into a tab with retry logic
- * @param {number} tabId - Tab ID
- * @param {string} platform - Platform name
- * @param {number} retryCount - Current retry attempt (internal use)
- * @returns {Promise<boolean>} True if successful, false otherwise
+ * Import chats from an official data export file
+ * Parsing happens in the popup; chats are handed to the service worker in chunks
+ * so a large export never has to fit into a single message.
+ * @param {Event} event - Change event from the file input
  */
-async function injectContentScript(tabId, platform, retryCount = 0) {
-  const MAX_RETRIES = 1;
-  const RETRY_DELAY = 1000;
+async function handleExportFileSelected(event) {
+  const file = event.target.files && event.target.files[0];
+  // Reset so picking the same file again still fires a change event
+  exportFileInput.value = '';
 
-  try {
-    const scriptFile = `content-scripts/${platform}-scraper.js`;
-    console.log(`[Popup] Injecting ${scriptFile} into tab ${tabId}${retryCount > 0 ? ` (retry ${retryCount})` : ''}`);
-
-    await chrome.scripting.executeScript({
-      target: { tabId },
-      files: [scriptFile]
-    });
-
-    // Wait a bit for script to initialize (increased for stability)
-    await delay(800);
-
-    console.log(`[Popup] Content script injected successfully`);
-    return true;
-  } catch (error) {
-    const errorMsg = error.message || String(error);
+  if (!file) {
+    return;
+  }
 
-    // Check if this is a transient error that might succeed on retry
-    const isTransientError =
-      errorMsg.includes('Frame') ||
-      errorMsg.includes('was removed') ||
-      errorMsg.includes('Connection') ||
-      errorMsg.includes('Receiving end does not exist');
+  const EXPORT_CHUNK_SIZE = 100;
 
-    // Retry logic for transient errors
-    if (isTransientError && retryCount < MAX_RETRIES) {
-      console.warn(`[Popup] Transient injection error, retrying in ${RETRY_DELAY}ms...`);
-      await delay(RETRY_DELAY);
-      return injectContentScript(tabId, platform, retryCount + 1);
-    }
+  console.log('[Popup] Importing data export:', file.name);
 
-    // Error pages, invalid tabs, permanent errors - log and return false
-    console.warn(`[Popup] Could not inject content script into tab ${tabId}:`, errorMsg);
-    return false;
-  }
-}
+  showScreen('progress');
+  resetPlatformCounts();
+  pauseImportBtn.style.display = 'none';
+  resumeImportBtn.style.display = 'none';
+  cancelImportBtn.style.display = 'none';
+  viewLibraryBtn.style.display = 'none';
+  updateProgress(0);
+  statusTextEl.textContent = `Reading ${file.name}...`;
 
-/**
- * Get or create tab for platform
- * @param {string} platform - Platform name
- * @returns {Promise<Tab|null>} Chrome tab object
- */
-async function getOrCreatePlatformTab(platform) {
   try {
-    const platformConfig = PLATFORMS[platform];
-    if (!platformConfig) {
-      throw new Error(`Unknown platform: ${platform}`);
-    }
-
-    // Check if tab already exists
-    let tabs = await chrome.tabs.query({ url: `${platformConfig.baseUrl}/*` });
-
-    // For ChatGPT, also check old URL
-    if (platform === 'chatgpt' && tabs.length === 0) {
-      tabs = await chrome.tabs.query({ url: 'https://chat.openai.com/*' });
-    }
+    const { platform, chats } = await ExportImporter.parseExportFile(file);
+    const countEl = getPlatformCountEl(platform);
+    const totals = { added: 0, updated: 0, unchanged: 0 };
 
-    if (tabs.length > 0) {
-      console.log(`[Popup] Using existing ${platform} tab`);
-      // Inject content script into existing tab
-      await injectContentScript(tabs[0].id, platform);
-      return tabs[0];
+    if (chats.length === 0) {
+      throw new Error('No conversations found in the export');
     }
 
-    // Create new tab
-    console.log(`[Popup] Creating new ${platform} tab`);
-    const tab = await chrome.tabs.create({
-      url: platformConfig.baseUrl,
-      active: false
-    });
-
-    // Wait for it to load
-    await waitForTabLoad(tab.id, 10000);
-    await delay(1000); // Wait for platform to initialize
+    for (let i = 0; i < chats.length; i += EXPORT_CHUNK_SIZE) {
+      const chunk = chats.slice(i, i + EXPORT_CHUNK_SIZE);
+      statusTextEl.textContent = `Saving conversations ${i + 1}-${i + chunk.length} of ${chats.length}...`;
 
-    // Inject content script
-    await injectContentScript(tab.id, platform);
-
-    return tab;
+      const response = await chrome.runtime.sendMessage({
+        type: 'importExportedChats',
+        data: { chats: chunk }
+      });
 
-  } catch (error) {
-    console.error(`[Popup] Error getting/creating ${platform} tab:`, error);
-    return null;
-  }
-}
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to save exported chats');
+      }
 
-/**
- * Extract conversation list from platform tab
- * @param {number} tabId - Tab ID
- * @param {string} platform - Platform name
- * @returns {Promise<Array>} Array of conversation metadata
- */
-async function extractConversationList(tabId, platform) {
-  try {
-    const response = await chrome.tabs.sendMessage(tabId, {
-      action: 'extractConversations'
-    });
+      Object.keys(totals).forEach(key => {
+        totals[key] += response.data[key];
+      });
 
-    if (response && response.success) {
-      return response.data;
-    } else {
-      console.error(`[Popup] Failed to extract conversation list from ${platform}`);
-      return [];
+      if (countEl) {
+        countEl.textContent = String(totals.added + totals.updated);
+      }
+      updateProgress(((i + chunk.length) / chats.length) * 100);
     }
+
+    statusTextEl.textContent = `Export imported: ${totals.added} new, ${totals.updated} updated, ${totals.unchanged} unchanged.`;
+    resyncBtn.style.display = 'block';
+    viewLibraryFromWelcomeBtn.style.display = 'block';
+    console.log('[Popup] Data export import complete:', totals);
   } catch (error) {
-    console.error(`[Popup] Error extracting conversation list:`, error);
-    return [];
+    console.error('[Popup] Error importing data export:', error);
+    statusTextEl.textContent = 'Export import failed: ' + error.message;
+  } finally {
+    viewLibraryBtn.style.display = 'block';
   }
 }
 
@@ -920,15 +913,6 @@ function updateProgress(percent) {
   progressFillEl.style.width = `${percent}%`;
 }
 
-/**
- * Simple delay helper
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise<void>}
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Summarize all unprocessed chats
  * Runs in popup context (has access to AI Summarizer API)
@@ -989,8 +973,11 @@ async function summarizeChats(onProgress, options = {}) {
 
         console.log(`[Popup] Processing chat ${processedCount + 1}/${unprocessedChats.length}: ${chat.title}`);
 
+        // Summaries cover the branch shown on the platform; alternatives stay in chat.messageTree
+        const activeMessages = MessageTree.getActiveMessages(chat);
+
         // Skip if no messages
-        if (!chat.messages || chat.messages.length === 0) {
+        if (activeMessages.length === 0) {
           console.log(`[Popup] Skipping chat ${chat.id} - no messages`);
           await chrome.runtime.sendMessage({
             type: 'updateChat',
@@ -1010,49 +997,20 @@ async function summarizeChats(onProgress, options = {}) {
         }
 
         // STEP 1: Split messages into pairs (robust pairing for text-only chats)
-        const messagePairs = [];
-        const userQueue = [];
-
-        for (const message of chat.messages) {
-          if (!message || typeof message.content !== 'string') {
-            continue;
-          }
-
-          const content = message.content.trim();
-          if (!content) {
-            continue;
-          }
+        // Attached documents add an excerpt of their text, images a description where the Prompt API takes images,
+        // and artifacts their latest content to the reply that wrote them
+        const attachmentRecords = await StorageService.getAttachments(chat.id);
+        const summaryMessages = Artifacts.withArtifactContent(
+          await AttachmentService.withAttachmentContent(
+            activeMessages,
+            attachmentRecords,
+            image => AIService.describeImage(image)
+          ),
+          chat.artifacts
+        );
+        const messagePairs = SyncService.buildMessagePairs(summaryMessages);
 
-          if (message.role === 'user') {
-            userQueue.push(content);
-          } else if (message.role === 'assistant') {
-            const userContent = userQueue.length > 0 ? userQueue.shift() : null;
-
-            if (userContent) {
-              messagePairs.push({
-                user: userContent,
-                assistant: content
-              });
-            } else {
-              messagePairs.push({
-                user: 'User prompt not captured.',
-                assistant: content
-              });
-            }
-          }
-        }
-
-        while (userQueue.length > 0) {
-          const remainingUser = userQueue.shift();
-          if (remainingUser && remainingUser.trim().length > 0) {
-            messagePairs.push({
-              user: remainingUser,
-              assistant: 'Assistant response not captured.'
-            });
-          }
-        }
-
-        console.log(`[Popup] Found ${messagePairs.length} message pairs in chat ${chat.id}`);
+        console.log(`[Popup] Found ${messagePairs.length} message pairs in chat ${chat.id}`);
 
         // Skip if no valid pairs
         if (messagePairs.length === 0) {
@@ -1075,9 +1033,17 @@ async function summarizeChats(onProgress, options = {}) {
         }
 
         // STEP 2: Summarize each message pair
+        // Pair summaries kept by a re-sync cover the unchanged leading pairs, so only the delta is summarized
+        const existingPairSummaries = Array.isArray(chat.messagePairSummaries) ? chat.messagePairSummaries : [];
         const pairSummaries = [];
         for (let i = 0; i < messagePairs.length; i++) {
           const pair = messagePairs[i];
+
+          if (i < existingPairSummaries.length && existingPairSummaries[i]) {
+            pairSummaries.push(existingPairSummaries[i]);
+            continue;
+          }
+
           console.log(`[Popup] Summarizing pair ${i + 1}/${messagePairs.length} for chat ${chat.id}`);
 
           try {
@@ -1732,6 +1698,8 @@ async function loadLibrary() {
     if (labelsResponse.success) {
       const labels = Object.values(labelsResponse.data);
       renderLabels(labels);
+      renderQuizDueBadge(labels);
+      renderAskScopeOptions(labels);
     }
 
   } catch (error) {
@@ -1802,6 +1770,82 @@ async function loadAllChats() {
   }
 }
 
+/**
+ * Format a chat timestamp for display
+ * @param {number} timestamp - Milliseconds
+ * @param {boolean} withTime - Include the time of day
+ * @returns {string}
+ */
+function formatChatDate(timestamp, withTime = false) {
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    ...(withTime ? { hour: 'numeric', minute: '2-digit' } : {})
+  });
+}
+
+/**
+ * Turn a platform model slug into a display name
+ * (gpt-4o → GPT-4o, claude-sonnet-4-5-20250929 → Claude Sonnet 4.5, gemini-2.5-flash → Gemini 2.5 Flash)
+ * @param {string} model - Model slug or display name
+ * @returns {string}
+ */
+function formatModelName(model) {
+  const name = String(model || '').trim();
+  if (!/^[a-z0-9.-]+$/.test(name)) {
+    return name;
+  }
+
+  const parts = name.replace(/-(\d{8}|latest)$/, '').split('-');
+  const words = [];
+  parts.forEach(part => {
+    const previous = words[words.length - 1];
+    if (/^\d+$/.test(part) && previous && /^\d+(\.\d+)?$/.test(previous)) {
+      words[words.length - 1] = `${previous}.${part}`;
+    } else if (part === 'gpt') {
+      words.push('GPT');
+    } else if (part === 'deepseek') {
+      words.push('DeepSeek');
+    } else if (/^[a-z]{2,}$/.test(part)) {
+      words.push(part.charAt(0).toUpperCase() + part.slice(1));
+    } else {
+      words.push(part);
+    }
+  });
+
+  return words.join(' ').replace(/^GPT /, 'GPT-');
+}
+
+/**
+ * Render the date and model shown in a chat item's meta row
+ * The date is when the conversation was last active, or the import time when
+ * the platform gave no dates; the tooltip lists every known time.
+ * @param {Object} chat - Chat object
+ * @returns {string} HTML string
+ */
+function renderChatTimeMeta(chat) {
+  const times = [];
+  if (chat.createdAt) {
+    times.push(`Started ${formatChatDate(chat.createdAt, true)}`);
+  }
+  if (chat.updatedAt && chat.updatedAt !== chat.createdAt) {
+    times.push(`Last updated ${formatChatDate(chat.updatedAt, true)}`);
+  }
+  if (chat.importedAt) {
+    times.push(`Imported ${formatChatDate(chat.importedAt, true)}`);
+  }
+  if (!chat.createdAt && !chat.updatedAt) {
+    times.push('Conversation date not available from the platform');
+  }
+
+  const model = chat.model
+    ? `<span class="chat-item-model" title="Model">${escapeHtml(formatModelName(chat.model))}</span>`
+    : '';
+
+  return `<span class="chat-item-date" title="${escapeHtml(times.join('\n'))}">${formatChatDate(chat.date)}</span>${model}`;
+}
+
 /**
  * Render chat list
  * @param {Array} chats - Array of chat objects
@@ -1822,25 +1866,28 @@ function renderChatList(chats, options = {}) {
     return;
   }
 
+  const searchTerms = getActiveSearchTerms(context);
+
   container.innerHTML = chats.map(chat => {
     const messageCount = chat.messages ? chat.messages.length : 0;
-    const date = new Date(chat.date).toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      year: 'numeric'
-    });
-
     const chatSummary = chat.chatSummary || 'No summary available';
     const hasPairSummaries = chat.messagePairSummaries && chat.messagePairSummaries.length > 0;
     const pairCount = hasPairSummaries
       ? chat.messagePairSummaries.length
       : Math.floor(messageCount / 2);
+    const searchMatches = searchTerms.length > 0 ? findMessageMatches(chat, searchTerms) : [];
+    const branchPoints = MessageTree.getBranchPoints(chat);
+    const attachmentCount = countAttachments(chat);
+    const artifacts = Array.isArray(chat.artifacts) ? chat.artifacts : [];
+    const hasExpansion = hasPairSummaries || searchMatches.length > 0 || branchPoints.length > 0 ||
+      attachmentCount > 0 || artifacts.length > 0;
+    const highlight = text => (searchTerms.length > 0 ? highlightSearchTerms(text, searchTerms) : text);
 
     return `
       <div class="chat-item" data-id="${chat.id}" data-platform="${chat.platform}">
         <div class="chat-item-header">
-          <span class="chat-platform-badge ${chat.platform}">${PLATFORMS[chat.platform].name}</span>
-          <span class="chat-item-title">${chat.title}</span>
+          <span class="chat-platform-badge ${chat.platform}">${PlatformRegistry.getName(chat.platform)}</span>
+          <span class="chat-item-title">${highlight(chat.title)}</span>
           <div class="chat-item-actions">
             <button class="chat-item-delete-btn" data-chat-id="${chat.id}" title="Delete chat">
               <svg width="14" height="14" viewBox="0 0 12 12" fill="none" stroke="currentColor">
@@ -1848,6 +1895,11 @@ function renderChatList(chats, options = {}) {
                 <path d="M5 5.5v3M7 5.5v3" stroke-width="1.5" stroke-linecap="round"/>
               </svg>
             </button>
+            <button class="chat-item-read-btn" data-chat-id="${chat.id}" title="Read conversation">
+              <svg width="14" height="14" viewBox="0 0 12 12" fill="none" stroke="currentColor">
+                <path d="M6 3.2C5 2.4 3.6 2 2 2v7c1.6 0 3 .4 4 1.2M6 3.2C7 2.4 8.4 2 10 2v7c-1.6 0-3 .4-4 1.2M6 3.2v7" stroke-width="1.2" stroke-linecap="round" stroke-linejoin="round"/>
+              </svg>
+            </button>
             <button class="chat-item-link-btn" data-url="${chat.url}" title="Open original chat">
               <svg width="14" height="14" viewBox="0 0 12 12" fill="none" stroke="currentColor">
                 <path d="M9 6.5V9.5C9 9.77614 8.77614 10 8.5 10H2.5C2.22386 10 2 9.77614 2 9.5V3.5C2 3.22386 2.22386 3 2.5 3H5.5" stroke-width="1.5" stroke-linecap="round"/>
@@ -1856,11 +1908,18 @@ function renderChatList(chats, options = {}) {
             </button>
           </div>
         </div>
-        <div class="chat-item-summary-headline">${chatSummary}</div>
+        <div class="chat-item-summary-headline">${highlight(chatSummary)}</div>
+        ${searchMatches.length > 0 ? `
+          <button type="button" class="chat-item-search-snippet" data-chat-id="${chat.id}" data-message-index="${searchMatches[0].index}" title="Jump to message">${searchMatches[0].snippet}</button>
+        ` : ''}
         <div class="chat-item-meta">
           <span class="chat-item-messages">${pairCount} Q&As</span>
-          <span class="chat-item-date">${date}</span>
-          ${hasPairSummaries ? `
+          ${renderChatTimeMeta(chat)}
+          ${chat.source === 'export' ? '<span class="chat-item-source" title="Imported from a data export">Export</span>' : ''}
+          ${branchPoints.length > 0 ? `<span class="chat-item-branch-count" title="Edited prompts or regenerated replies">${branchPoints.length} ${branchPoints.length === 1 ? 'branch' : 'branches'}</span>` : ''}
+          ${attachmentCount > 0 ? `<span class="chat-item-branch-count" title="Stored attachments">${attachmentCount} ${attachmentCount === 1 ? 'file' : 'files'}</span>` : ''}
+          ${artifacts.length > 0 ? `<span class="chat-item-branch-count" title="Artifacts and canvas documents">${artifacts.length} ${artifacts.length === 1 ? 'artifact' : 'artifacts'}</span>` : ''}
+          ${hasExpansion ? `
             <button class="chat-item-expand-btn" data-chat-id="${chat.id}" title="Show message pair summaries">
               <svg class="chevron-icon" width="12" height="12" viewBox="0 0 12 12" fill="none" stroke="currentColor">
                 <path d="M3 4.5L6 7.5L9 4.5" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
@@ -1869,23 +1928,36 @@ function renderChatList(chats, options = {}) {
             </button>
           ` : ''}
         </div>
-        ${hasPairSummaries ? `
+        ${hasExpansion ? `
           <div class="chat-item-expansion" data-chat-id="${chat.id}">
-            <div class="chat-item-expansion-header">Message Pair Summaries:</div>
-            <div class="chat-item-pair-summaries">
-              ${chat.messagePairSummaries.map((summary, index) => `
-                <div class="chat-item-pair-summary">
-                  <span class="pair-number">${index + 1}.</span>
-                  <span class="pair-text">${summary}</span>
-                </div>
-              `).join('')}
-            </div>
+            ${hasPairSummaries ? `
+              <div class="chat-item-expansion-header">Message Pair Summaries:</div>
+              <div class="chat-item-pair-summaries">
+                ${chat.messagePairSummaries.map((summary, index) => `
+                  <div class="chat-item-pair-summary">
+                    <span class="pair-number">${index + 1}.</span>
+                    <span class="pair-text">${highlight(summary)}</span>
+                  </div>
+                `).join('')}
+              </div>
+            ` : ''}
+            ${artifacts.length > 0 ? renderArtifactList(artifacts) : ''}
+            ${attachmentCount > 0 ? renderAttachmentList(chat) : ''}
+            ${branchPoints.length > 0 ? renderBranchAlternatives(branchPoints) : ''}
+            ${searchMatches.length > 0 ? renderSearchMatches(chat.id, searchMatches) : ''}
           </div>
         ` : ''}
       </div>
     `;
   }).join('');
 
+  container.querySelectorAll('.chat-item-read-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openReader(btn.getAttribute('data-chat-id'));
+    });
+  });
+
   // Add event listeners for "View Original" buttons
   const linkButtons = container.querySelectorAll('.chat-item-link-btn');
   linkButtons.forEach(btn => {
@@ -1918,12 +1990,15 @@ function renderChatList(chats, options = {}) {
     });
   });
 
+  attachSearchMatchHandlers(container, chats, context);
+
   // Restore expansion states
   expandedLibraryChats.forEach(chatId => {
     const expansion = container.querySelector(`.chat-item-expansion[data-chat-id="${chatId}"]`);
     const button = container.querySelector(`.chat-item-expand-btn[data-chat-id="${chatId}"]`);
     if (expansion && button) {
       expansion.classList.add('expanded');
+      loadAttachmentPreviews(expansion);
       const chevron = button.querySelector('.chevron-icon');
       if (chevron) {
         chevron.style.transform = 'rotate(180deg)';
@@ -1945,8 +2020,13 @@ function switchLibraryView(targetView, options = {}) {
     return;
   }
 
-  const allowedViews = ['library', 'summarized', 'unsummarized'];
-  const normalizedView = allowedViews.includes(targetView) ? targetView : 'library';
+  const allowedViews = ['library', 'summarized', 'unsummarized', 'ask'];
+  let normalizedView = allowedViews.includes(targetView) ? targetView : 'library';
+
+  // The labels stay in the first column of a wide page, so the second starts with the summarized chats
+  if (normalizedView === 'library' && isWideLayout()) {
+    normalizedView = 'summarized';
+  }
 
   if (!force && normalizedView === currentLibraryView) {
     return;
@@ -2041,6 +2121,11 @@ function applyFilterForContext(context) {
     chats = chats.filter(chat => chat.platform === platform);
   }
 
+  if (chatSearchState[context].hits) {
+    chats = applyChatSearch(chats, context);
+    emptyMessage = 'No conversations match your search.';
+  }
+
   renderChatList(chats, {
     container,
     context: renderContext,
@@ -2065,6 +2150,425 @@ function getActiveFilterPlatform(context) {
   return activeBtn ? (activeBtn.dataset.platform || 'all') : 'all';
 }
 
+/**
+ * Run a full-text search for a chat list and re-render it
+ * @param {'summarized'|'unsummarized'|'label'} context - Chat list being searched
+ * @param {string} query - Search query
+ */
+async function runChatSearch(context, query) {
+  const state = chatSearchState[context];
+  state.query = query;
+
+  if (!query.trim()) {
+    state.hits = null;
+    state.terms = [];
+    refreshChatSearchResults(context);
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'searchChats', data: { query } });
+    if (!response.success) {
+      throw new Error(response.error || 'Search failed');
+    }
+
+    // Ignore responses for queries the user has already typed past
+    if (state.query !== query) {
+      return;
+    }
+
+    state.hits = response.data.hits;
+    state.terms = response.data.terms;
+  } catch (error) {
+    console.error('[Popup] Error searching chats:', error);
+    state.hits = [];
+    state.terms = [];
+  }
+
+  refreshChatSearchResults(context);
+}
+
+/**
+ * Clear the search for a chat list
+ * @param {'summarized'|'unsummarized'|'label'} context - Chat list
+ */
+function resetChatSearch(context) {
+  chatSearchState[context] = { query: '', hits: null, terms: [] };
+  const input = document.querySelector(`.chat-search[data-search-context="${context}"] .chat-search-input`);
+  if (input) {
+    input.value = '';
+  }
+}
+
+/**
+ * Re-render a chat list after its search changed
+ * @param {'summarized'|'unsummarized'|'label'} context - Chat list
+ */
+function refreshChatSearchResults(context) {
+  if (context === 'label') {
+    filterLabelChats(getActiveLabelFilterPlatform());
+  } else {
+    applyFilterForContext(context);
+  }
+}
+
+/**
+ * Keep only chats that match the active search, in ranked order
+ * @param {Array<Object>} chats - Chats already filtered by platform
+ * @param {string} context - Chat list
+ * @returns {Array<Object>}
+ */
+function applyChatSearch(chats, context) {
+  const state = chatSearchState[context];
+  if (!state || !state.hits) {
+    return chats;
+  }
+
+  const chatsById = new Map(chats.map(chat => [chat.id, chat]));
+  return state.hits
+    .map(hit => chatsById.get(hit.chatId))
+    .filter(Boolean);
+}
+
+/**
+ * Get the indexed terms to highlight for a chat list
+ * @param {string} context - Chat list
+ * @returns {Array<string>}
+ */
+function getActiveSearchTerms(context) {
+  const state = chatSearchState[context];
+  return state && state.hits ? state.terms : [];
+}
+
+/**
+ * Build a pattern matching any of the search terms
+ * Latin terms only match at the start of a word; CJK bigrams match anywhere.
+ * @param {Array<string>} terms - Indexed terms
+ * @returns {RegExp|null}
+ */
+function buildSearchTermPattern(terms) {
+  if (!terms || terms.length === 0) {
+    return null;
+  }
+
+  const escapeRegExp = term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const sorted = [...terms].sort((a, b) => b.length - a.length);
+  const cjkTerms = sorted.filter(term => SearchIndex.CJK_PATTERN.test(term)).map(escapeRegExp);
+  const wordTerms = sorted.filter(term => !SearchIndex.CJK_PATTERN.test(term)).map(escapeRegExp);
+
+  const alternatives = [];
+  if (wordTerms.length > 0) {
+    alternatives.push(`(?<![\\p{L}\\p{N}])(?:${wordTerms.join('|')})`);
+  }
+  if (cjkTerms.length > 0) {
+    alternatives.push(`(?:${cjkTerms.join('|')})`);
+  }
+
+  return new RegExp(`(${alternatives.join('|')})`, 'giu');
+}
+
+/**
+ * Escape text and wrap search term matches in <mark>
+ * @param {string} text - Plain text
+ * @param {Array<string>} terms - Indexed terms
+ * @returns {string} HTML
+ */
+function highlightSearchTerms(text, terms) {
+  const pattern = buildSearchTermPattern(terms);
+  if (!pattern) {
+    return escapeHtml(text);
+  }
+
+  // split() with a capturing group puts the matches at odd indexes
+  return String(text || '')
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1
+      ? `<mark class="search-highlight">${escapeHtml(part)}</mark>`
+      : escapeHtml(part)))
+    .join('');
+}
+
+/**
+ * Build a highlighted excerpt around the first search match
+ * @param {string} text - Message text
+ * @param {Array<string>} terms - Indexed terms
+ * @param {number} radius - Characters of context before the match
+ * @returns {string} HTML
+ */
+function buildSearchSnippet(text, terms, radius = 60) {
+  const content = String(text || '').replace(/\s+/g, ' ').trim();
+  const pattern = buildSearchTermPattern(terms);
+  const match = pattern ? pattern.exec(content) : null;
+  const matchIndex = match ? match.index : 0;
+
+  const start = Math.max(0, matchIndex - radius);
+  const end = Math.min(content.length, matchIndex + radius * 2);
+  const excerpt = content.slice(start, end);
+
+  return `${start > 0 ? '…' : ''}${highlightSearchTerms(excerpt, terms)}${end < content.length ? '…' : ''}`;
+}
+
+/**
+ * Find the messages of a chat that contain search terms
+ * @param {Object} chat - Chat object
+ * @param {Array<string>} terms - Indexed terms
+ * @param {number} limit - Maximum number of matches
+ * @returns {Array<{index: number, role: string, snippet: string}>}
+ */
+function findMessageMatches(chat, terms, limit = 5) {
+  const termSet = new Set(terms);
+  const matches = [];
+
+  (chat.messages || []).forEach((message, index) => {
+    if (matches.length >= limit || !message || typeof message.content !== 'string') {
+      return;
+    }
+
+    if (SearchIndex.tokenize(message.content).some(term => termSet.has(term))) {
+      matches.push({
+        index,
+        role: message.role,
+        snippet: buildSearchSnippet(message.content, terms)
+      });
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Render the matching messages block of a chat expansion
+ * @param {string} chatId - Chat ID
+ * @param {Array<Object>} matches - Matches from findMessageMatches
+ * @returns {string} HTML
+ */
+function renderSearchMatches(chatId, matches) {
+  return `
+    <div class="chat-item-expansion-header">Matching Messages:</div>
+    <div class="chat-item-search-matches">
+      ${matches.map(match => `
+        <button type="button" class="chat-item-search-match" data-chat-id="${chatId}" data-message-index="${match.index}" title="Show full message">
+          <span class="search-match-role">${match.role === 'user' ? 'You' : 'AI'}</span>
+          <span class="search-match-snippet">${match.snippet}</span>
+        </button>
+      `).join('')}
+    </div>
+    <div class="chat-item-message-view" hidden></div>
+  `;
+}
+
+/**
+ * Render the artifacts block of a chat expansion (latest content of each)
+ * @param {Array<Object>} artifacts - chat.artifacts
+ * @returns {string} HTML
+ */
+function renderArtifactList(artifacts) {
+  return `
+    <div class="chat-item-expansion-header">Artifacts:</div>
+    <div class="chat-item-branches">
+      ${artifacts.map(artifact => `
+        <details class="chat-item-branch">
+          <summary>${escapeHtml(artifact.title)} <span class="chat-item-artifact-meta">${escapeHtml(Artifacts.describe(artifact))}</span></summary>
+          <pre class="chat-item-artifact-content">${escapeHtml(artifact.content)}</pre>
+        </details>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Number of stored attachments referenced by a chat's messages
+ * @param {Object} chat - Chat object
+ * @returns {number}
+ */
+function countAttachments(chat) {
+  return (chat.messages || []).reduce((count, message) =>
+    count + (Array.isArray(message.attachments) ? message.attachments.length : 0), 0);
+}
+
+/**
+ * Render the attachments block of a chat expansion
+ * Previews are filled in from IndexedDB when the expansion opens (loadAttachmentPreviews).
+ * @param {Object} chat - Chat object
+ * @returns {string} HTML
+ */
+function renderAttachmentList(chat) {
+  const items = [];
+  (chat.messages || []).forEach((message, messageIndex) => {
+    (Array.isArray(message.attachments) ? message.attachments : []).forEach(attachment => {
+      const details = [`Message ${messageIndex + 1}`, attachment.kind, AttachmentService.formatSize(attachment.size)]
+        .filter(Boolean)
+        .join(' · ');
+      items.push(`
+        <div class="chat-item-attachment" data-attachment-id="${escapeHtml(attachment.id)}">
+          <div class="chat-item-attachment-preview"></div>
+          <div class="chat-item-attachment-info">
+            <span class="chat-item-attachment-name">${escapeHtml(attachment.name)}</span>
+            <span class="chat-item-attachment-meta">${escapeHtml(details)}</span>
+          </div>
+        </div>
+      `);
+    });
+  });
+
+  return `
+    <div class="chat-item-expansion-header">Attachments:</div>
+    <div class="chat-item-attachments" data-chat-id="${chat.id}">${items.join('')}</div>
+  `;
+}
+
+// Object URLs of the attachment previews shown, by chat ID
+const attachmentPreviewUrls = new Map();
+
+/**
+ * Fill in the attachment previews of an opened chat expansion
+ * Images are shown as thumbnails, documents with the start of their text;
+ * every stored file gets a download link.
+ * @param {HTMLElement} expansion - Chat expansion element
+ * @returns {Promise<void>}
+ */
+async function loadAttachmentPreviews(expansion) {
+  const list = expansion.querySelector('.chat-item-attachments');
+  if (!list || list.dataset.loaded === 'true') {
+    return;
+  }
+  list.dataset.loaded = 'true';
+
+  const chatId = list.getAttribute('data-chat-id');
+  try {
+    const records = await StorageService.getAttachments(chatId);
+    (attachmentPreviewUrls.get(chatId) || []).forEach(url => URL.revokeObjectURL(url));
+    const urls = [];
+
+    list.querySelectorAll('.chat-item-attachment').forEach(item => {
+      const record = records.find(entry => entry.id === item.getAttribute('data-attachment-id'));
+      const preview = item.querySelector('.chat-item-attachment-preview');
+      if (!record) {
+        preview.textContent = 'Not stored';
+        return;
+      }
+
+      const url = record.blob ? URL.createObjectURL(record.blob) : null;
+      if (url) {
+        urls.push(url);
+      }
+
+      if (record.kind === 'image' && url) {
+        preview.innerHTML = `<img src="${url}" alt="${escapeHtml(record.name)}">`;
+      } else if (record.text) {
+        preview.innerHTML = `<span class="chat-item-attachment-text">${escapeHtml(record.text.slice(0, 300))}</span>`;
+      } else {
+        preview.textContent = record.kind === 'document' ? 'No text found' : 'File';
+      }
+
+      if (url) {
+        const link = document.createElement('a');
+        link.className = 'chat-item-attachment-download';
+        link.href = url;
+        link.download = record.name;
+        link.textContent = 'Download';
+        item.querySelector('.chat-item-attachment-info').appendChild(link);
+      }
+    });
+
+    attachmentPreviewUrls.set(chatId, urls);
+  } catch (error) {
+    console.error('[Popup] Error loading attachment previews:', error);
+    list.dataset.loaded = 'false';
+  }
+}
+
+/**
+ * Render the alternative branches block of a chat expansion
+ * Each edited prompt or regenerated reply lists every version, the one
+ * shown on the platform (and summarized) marked as such.
+ * @param {Array<Object>} branchPoints - From MessageTree.getBranchPoints
+ * @returns {string} HTML
+ */
+function renderBranchAlternatives(branchPoints) {
+  return `
+    <div class="chat-item-expansion-header">Alternative Branches:</div>
+    <div class="chat-item-branches">
+      ${branchPoints.map(point => `
+        <details class="chat-item-branch">
+          <summary>Message ${point.messageIndex + 1} · ${point.role === 'user' ? 'You (edited)' : 'AI (regenerated)'} · ${point.variants.length} versions</summary>
+          ${point.variants.map((variant, index) => `
+            <div class="chat-item-branch-variant${index === point.activeIndex ? ' active' : ''}">
+              <span class="chat-item-message-view-header">Version ${index + 1}${index === point.activeIndex ? ' (shown)' : ''}</span>${escapeHtml(variant.content)}
+            </div>
+          `).join('')}
+        </details>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Wire up snippet and match clicks to jump to the matching message
+ * @param {HTMLElement} container - Rendered chat list
+ * @param {Array<Object>} chats - Chats in the list
+ * @param {string} context - Chat list context (passed to toggleChatExpansion)
+ */
+function attachSearchMatchHandlers(container, chats, context) {
+  const chatsById = new Map(chats.map(chat => [chat.id, chat]));
+
+  container.querySelectorAll('.chat-item-search-snippet, .chat-item-search-match').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const chat = chatsById.get(btn.getAttribute('data-chat-id'));
+      const messageIndex = Number(btn.getAttribute('data-message-index'));
+      const item = btn.closest('.chat-item');
+      if (chat && item) {
+        jumpToMessage(chat, messageIndex, item, context);
+      }
+    });
+  });
+}
+
+/**
+ * Expand a chat and show one of its messages with search terms highlighted
+ * @param {Object} chat - Chat object
+ * @param {number} messageIndex - Index into chat.messages
+ * @param {HTMLElement} item - The .chat-item element
+ * @param {string} context - Chat list context
+ */
+function jumpToMessage(chat, messageIndex, item, context) {
+  const message = chat.messages && chat.messages[messageIndex];
+  const expansion = item.querySelector('.chat-item-expansion');
+  const view = item.querySelector('.chat-item-message-view');
+  if (!message || !expansion || !view) {
+    return;
+  }
+
+  if (!expansion.classList.contains('expanded')) {
+    const expandBtn = item.querySelector('.chat-item-expand-btn');
+    if (expandBtn) {
+      toggleChatExpansion(chat.id, expandBtn, context);
+    }
+  }
+
+  const terms = getActiveSearchTerms(context);
+  const role = message.role === 'user' ? 'You' : 'AI';
+  view.innerHTML = `<span class="chat-item-message-view-header">Message ${messageIndex + 1} · ${role} <button type="button" class="btn-link chat-item-read-in-context">Read in context</button></span>${highlightSearchTerms(message.content, terms)}`;
+  view.hidden = false;
+  view.querySelector('.chat-item-read-in-context').addEventListener('click', (e) => {
+    e.stopPropagation();
+    openReader(chat.id, { messageIndex });
+  });
+
+  item.querySelectorAll('.chat-item-search-match').forEach(matchBtn => {
+    matchBtn.classList.toggle('active', Number(matchBtn.getAttribute('data-message-index')) === messageIndex);
+  });
+
+  requestAnimationFrame(() => {
+    view.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    const firstMark = view.querySelector('mark.search-highlight');
+    if (firstMark) {
+      view.scrollTop = Math.max(0, firstMark.offsetTop - view.offsetTop - 40);
+    }
+  });
+}
+
 /**
  * Toggle expansion of chat item to show/hide message pair summaries
  * @param {string} chatId - Chat ID
@@ -2146,6 +2650,7 @@ function toggleChatExpansion(chatId, button, context = 'library') {
       chevron.style.transform = 'rotate(180deg)';
     }
     expandedSet.add(chatId);
+    loadAttachmentPreviews(expansion);
     console.log('[Popup] Expanded chat:', chatId);
   console.log('[Popup] After adding expanded class:', expansion.className);
   console.log('[Popup] After expand - computed maxHeight:', window.getComputedStyle(expansion).maxHeight);
@@ -2178,7 +2683,8 @@ async function handleDeleteChat(chatId, context = 'library') {
       if (labelViewChatCount) {
         labelViewChatCount.textContent = `${currentLabelChats.length} chat${currentLabelChats.length === 1 ? '' : 's'}`;
       }
-      renderLabelChatList(currentLabelChats);
+      filterLabelChats(getActiveLabelFilterPlatform());
+      await refreshLabelMindMap();
     }
 
     await loadLibrary();
@@ -2216,7 +2722,8 @@ async function handleRemoveChatFromLabel(chatId) {
       labelViewChatCount.textContent = `${currentLabelChats.length} chat${currentLabelChats.length === 1 ? '' : 's'}`;
     }
 
-    renderLabelChatList(currentLabelChats);
+    filterLabelChats(getActiveLabelFilterPlatform());
+    await refreshLabelMindMap();
     showToast('Removed from label.', 'success');
     await loadLibrary();
   } catch (error) {
@@ -2225,6 +2732,24 @@ async function handleRemoveChatFromLabel(chatId) {
   }
 }
 
+/**
+ * Re-render the open label's mind map after its chats changed
+ * Storage prunes examples for chats that left the label, so reload the label first.
+ */
+async function refreshLabelMindMap() {
+  if (!currentLabelId) {
+    return;
+  }
+
+  const label = await StorageService.getLabel(currentLabelId);
+  if (label) {
+    renderLabelMindMap(label.mindMapData);
+
+    quizSession = null;
+    renderLabelQuiz(label.quizData);
+  }
+}
+
 /**
  * Delete a label and update associated UI
  * @param {string} labelId - Label ID to delete
@@ -2828,16 +3353,17 @@ function renderLabels(labels) {
 
   labelList.innerHTML = labels.map(label => {
     const visibleChatCount = calculateVisibleChatCount(label.chatIds);
+    const colorStyle = label.color ? ` style="--label-color: ${label.color}"` : '';
 
     return `
-      <div class="label-item clickable" data-id="${label.id}" draggable="true">
+      <div class="label-item clickable${label.color ? ' has-color' : ''}" data-id="${label.id}" draggable="true"${colorStyle}>
         <div class="label-drag-handle">
           <svg width="16" height="16" viewBox="0 0 16 16" fill="none" stroke="currentColor" opacity="0.4">
             <path d="M6 4h.01M6 8h.01M6 12h.01M10 4h.01M10 8h.01M10 12h.01" stroke-width="2" stroke-linecap="round"/>
           </svg>
         </div>
         <div class="label-content">
-          <h3>${label.name}</h3>
+          <h3>${label.emoji ? `<span class="label-emoji">${escapeHtml(label.emoji)}</span>` : ''}${escapeHtml(label.name)}</h3>
           <span class="badge-small">${visibleChatCount} chats</span>
         </div>
         <div class="label-item-actions">
@@ -2996,13 +3522,20 @@ async function saveLabelOrder() {
  */
 window.acceptLabel = async function(labelId) {
   try {
-    await chrome.runtime.sendMessage({
+    const response = await chrome.runtime.sendMessage({
       type: 'acceptSuggestedLabel',
       data: { labelId }
     });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to accept label');
+    }
+    if (response.data && response.data.merged) {
+      showToast(`Added to the existing label "${response.data.labelName}"`, 'success');
+    }
     loadLibrary();
   } catch (error) {
     console.error('[Popup] Error accepting label:', error);
+    showToast(error.message, 'error');
   }
 };
 
@@ -3071,6 +3604,14 @@ async function openLabelDetail(labelId) {
 
 // Global state for label view
 let currentLabelId = null;
+let currentLabelMindMap = null;
+let mindMapCanvas = null;
+let mindMapView = 'map';
+let currentLabelQuiz = null;
+// Active review: { queue: cardIds, revealed, selectedChoice, reviewed }
+let quizSession = null;
+// Ask-your-history turns for this popup session: { question, scopeName, status, answer, sources, error }
+const askTurns = [];
 let currentLabelChats = [];
 
 // Track expanded chat states
@@ -3094,6 +3635,8 @@ async function loadLabelView(labelId) {
   try {
     console.log('[Popup] Loading label view:', labelId);
     currentLabelId = labelId;
+    closeLabelManagePanel();
+    resetLabelSplit();
 
     // Get label from storage
     const label = await StorageService.getLabel(labelId);
@@ -3103,7 +3646,10 @@ async function loadLabelView(labelId) {
     }
 
     // Update header
-    labelViewName.textContent = label.name;
+    renderLabelHeader(label);
+
+    // Each label starts without a search
+    resetChatSearch('label');
 
     // Load chats
     currentLabelChats = [];
@@ -3128,15 +3674,17 @@ async function loadLabelView(labelId) {
       summaryContent.innerHTML = `<p class="summary-placeholder">Click "Generate Summary" to create an aggregated summary from all conversations in this label.</p>`;
     }
 
-    // Load stored mind map if it exists
-    if (label.bulletPoints) {
-      bulletpointsContent.innerHTML = label.bulletPoints;
-      // Attach click handlers to loaded mind map links
-      attachBulletPointsClickHandlers();
-    } else {
-      bulletpointsContent.innerHTML = `<p class="bulletpoints-placeholder">Click "Generate Mind Map" to create a layered overview of every conversation in this label.</p>`;
+    // Mind maps saved before mindMapData existed only have rendered HTML
+    if (!label.mindMapData && label.bulletPoints) {
+      const mindMapData = MindMap.fromHTML(label.bulletPoints);
+      if (mindMapData) {
+        label.mindMapData = MindMap.pruneChats(mindMapData, label.chatIds) || mindMapData;
+        await StorageService.updateLabel(labelId, { mindMapData: label.mindMapData, bulletPoints: null });
+      }
     }
 
+    renderLabelMindMap(label.mindMapData);
+
     // Reset to chat list tab (default)
     switchTab('chatlist');
 
@@ -3147,6 +3695,7 @@ async function loadLabelView(labelId) {
   } catch (error) {
     console.error('[Popup] Error loading label view:', error);
     labelViewName.textContent = 'Error loading label';
+    labelViewEmoji.textContent = '';
     summaryContent.innerHTML = `<p class="summary-placeholder" style="color: #ef4444;">Error: ${error.message}</p>`;
   }
 }
@@ -3155,6 +3704,11 @@ async function loadLabelView(labelId) {
  * Switch tabs in label view
  */
 function switchTab(tabName) {
+  // The chat list stays in the first column of a wide page, so the second starts with the summary
+  if (tabName === 'chatlist' && isWideLayout()) {
+    tabName = 'summary';
+  }
+
   // Update button styles
   tabButtons.forEach(btn => {
     if (btn.getAttribute('data-tab') === tabName) {
@@ -3168,7 +3722,8 @@ function switchTab(tabName) {
   const panels = {
     summary: document.getElementById('summaryTab'),
     chatlist: document.getElementById('chatlistTab'),
-    bulletpoints: document.getElementById('bulletpointsTab')
+    bulletpoints: document.getElementById('bulletpointsTab'),
+    quiz: document.getElementById('quizTab')
   };
 
   Object.keys(panels).forEach(key => {
@@ -3187,32 +3742,41 @@ function switchTab(tabName) {
  */
 function renderLabelChatList(chats) {
   if (chats.length === 0) {
-    labelChatList.innerHTML = '<div class="empty-state"><p>No conversations match this filter.</p></div>';
+    const emptyMessage = chatSearchState.label.hits
+      ? 'No conversations match your search.'
+      : 'No conversations match this filter.';
+    labelChatList.innerHTML = `<div class="empty-state"><p>${emptyMessage}</p></div>`;
     return;
   }
 
+  const searchTerms = getActiveSearchTerms('label');
+
   labelChatList.innerHTML = chats.map(chat => {
     const messageCount = chat.messages ? chat.messages.length : 0;
-    const date = new Date(chat.date).toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      year: 'numeric'
-    });
-
     const chatSummary = chat.chatSummary || 'No summary available';
     const hasPairSummaries = chat.messagePairSummaries && chat.messagePairSummaries.length > 0;
     const pairCount = hasPairSummaries
       ? chat.messagePairSummaries.length
       : Math.floor(messageCount / 2);
+    const searchMatches = searchTerms.length > 0 ? findMessageMatches(chat, searchTerms) : [];
+    const branchPoints = MessageTree.getBranchPoints(chat);
+    const attachmentCount = countAttachments(chat);
+    const artifacts = Array.isArray(chat.artifacts) ? chat.artifacts : [];
+    const hasExpansion = hasPairSummaries || searchMatches.length > 0 || branchPoints.length > 0 ||
+      attachmentCount > 0 || artifacts.length > 0;
+    const highlight = text => (searchTerms.length > 0 ? highlightSearchTerms(text, searchTerms) : text);
 
     // Debug logging
     console.log(`[Popup] Rendering chat ${chat.id}: hasPairSummaries=${hasPairSummaries}, pairCount=${pairCount}`);
 
+    const isSplitSelected = labelSplitSelection ? labelSplitSelection.has(chat.id) : false;
+
     return `
-      <div class="chat-item" data-id="${chat.id}" data-platform="${chat.platform}">
+      <div class="chat-item${isSplitSelected ? ' is-split-selected' : ''}" data-id="${chat.id}" data-platform="${chat.platform}">
         <div class="chat-item-header">
-          <span class="chat-platform-badge ${chat.platform}">${PLATFORMS[chat.platform].name}</span>
-          <span class="chat-item-title">${chat.title}</span>
+          ${labelSplitSelection ? `<input type="checkbox" class="chat-item-split-check" data-chat-id="${chat.id}" aria-label="Move to the new label"${isSplitSelected ? ' checked' : ''}>` : ''}
+          <span class="chat-platform-badge ${chat.platform}">${PlatformRegistry.getName(chat.platform)}</span>
+          <span class="chat-item-title">${highlight(chat.title)}</span>
           <div class="chat-item-actions">
             <button class="chat-item-delete-btn" data-chat-id="${chat.id}" title="Remove chat from this label">
               <svg width="14" height="14" viewBox="0 0 12 12" fill="none" stroke="currentColor">
@@ -3220,6 +3784,11 @@ function renderLabelChatList(chats) {
                 <path d="M5 5.5v3M7 5.5v3" stroke-width="1.5" stroke-linecap="round"/>
               </svg>
             </button>
+            <button class="chat-item-read-btn" data-chat-id="${chat.id}" title="Read conversation">
+              <svg width="14" height="14" viewBox="0 0 12 12" fill="none" stroke="currentColor">
+                <path d="M6 3.2C5 2.4 3.6 2 2 2v7c1.6 0 3 .4 4 1.2M6 3.2C7 2.4 8.4 2 10 2v7c-1.6 0-3 .4-4 1.2M6 3.2v7" stroke-width="1.2" stroke-linecap="round" stroke-linejoin="round"/>
+              </svg>
+            </button>
             <button class="chat-item-link-btn" data-url="${chat.url}" title="Open original chat">
               <svg width="14" height="14" viewBox="0 0 12 12" fill="none" stroke="currentColor">
                 <path d="M9 6.5V9.5C9 9.77614 8.77614 10 8.5 10H2.5C2.22386 10 2 9.77614 2 9.5V3.5C2 3.22386 2.22386 3 2.5 3H5.5" stroke-width="1.5" stroke-linecap="round"/>
@@ -3228,11 +3797,18 @@ function renderLabelChatList(chats) {
             </button>
           </div>
         </div>
-        <div class="chat-item-summary-headline">${chatSummary}</div>
+        <div class="chat-item-summary-headline">${highlight(chatSummary)}</div>
+        ${searchMatches.length > 0 ? `
+          <button type="button" class="chat-item-search-snippet" data-chat-id="${chat.id}" data-message-index="${searchMatches[0].index}" title="Jump to message">${searchMatches[0].snippet}</button>
+        ` : ''}
         <div class="chat-item-meta">
           <span class="chat-item-messages">${pairCount} Q&As</span>
-          <span class="chat-item-date">${date}</span>
-          ${hasPairSummaries ? `
+          ${renderChatTimeMeta(chat)}
+          ${chat.source === 'export' ? '<span class="chat-item-source" title="Imported from a data export">Export</span>' : ''}
+          ${branchPoints.length > 0 ? `<span class="chat-item-branch-count" title="Edited prompts or regenerated replies">${branchPoints.length} ${branchPoints.length === 1 ? 'branch' : 'branches'}</span>` : ''}
+          ${attachmentCount > 0 ? `<span class="chat-item-branch-count" title="Stored attachments">${attachmentCount} ${attachmentCount === 1 ? 'file' : 'files'}</span>` : ''}
+          ${artifacts.length > 0 ? `<span class="chat-item-branch-count" title="Artifacts and canvas documents">${artifacts.length} ${artifacts.length === 1 ? 'artifact' : 'artifacts'}</span>` : ''}
+          ${hasExpansion ? `
             <button class="chat-item-expand-btn" data-chat-id="${chat.id}" title="Show message pair summaries">
               <svg class="chevron-icon" width="12" height="12" viewBox="0 0 12 12" fill="none" stroke="currentColor">
                 <path d="M3 4.5L6 7.5L9 4.5" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
@@ -3241,23 +3817,40 @@ function renderLabelChatList(chats) {
             </button>
           ` : ''}
         </div>
-        ${hasPairSummaries ? `
+        ${hasExpansion ? `
           <div class="chat-item-expansion" data-chat-id="${chat.id}">
-            <div class="chat-item-expansion-header">Message Pair Summaries:</div>
-            <div class="chat-item-pair-summaries">
-              ${chat.messagePairSummaries.map((summary, index) => `
-                <div class="chat-item-pair-summary">
-                  <span class="pair-number">${index + 1}.</span>
-                  <span class="pair-text">${summary}</span>
-                </div>
-              `).join('')}
-            </div>
+            ${hasPairSummaries ? `
+              <div class="chat-item-expansion-header">Message Pair Summaries:</div>
+              <div class="chat-item-pair-summaries">
+                ${chat.messagePairSummaries.map((summary, index) => `
+                  <div class="chat-item-pair-summary">
+                    <span class="pair-number">${index + 1}.</span>
+                    <span class="pair-text">${highlight(summary)}</span>
+                  </div>
+                `).join('')}
+              </div>
+            ` : ''}
+            ${artifacts.length > 0 ? renderArtifactList(artifacts) : ''}
+            ${attachmentCount > 0 ? renderAttachmentList(chat) : ''}
+            ${branchPoints.length > 0 ? renderBranchAlternatives(branchPoints) : ''}
+            ${searchMatches.length > 0 ? renderSearchMatches(chat.id, searchMatches) : ''}
           </div>
         ` : ''}
       </div>
     `;
   }).join('');
 
+  labelChatList.querySelectorAll('.chat-item-read-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openReader(btn.getAttribute('data-chat-id'));
+    });
+  });
+
+  labelChatList.querySelectorAll('.chat-item-split-check').forEach(checkbox => {
+    checkbox.addEventListener('change', () => toggleLabelSplitChat(checkbox));
+  });
+
   // Add event listeners for link buttons
   const linkButtons = labelChatList.querySelectorAll('.chat-item-link-btn');
   linkButtons.forEach(btn => {
@@ -3290,12 +3883,15 @@ function renderLabelChatList(chats) {
     });
   });
 
+  attachSearchMatchHandlers(labelChatList, chats, 'label');
+
   // Restore expansion states
   expandedLabelChats.forEach(chatId => {
     const expansion = labelChatList.querySelector(`.chat-item-expansion[data-chat-id="${chatId}"]`);
     const button = labelChatList.querySelector(`.chat-item-expand-btn[data-chat-id="${chatId}"]`);
     if (expansion && button) {
       expansion.classList.add('expanded');
+      loadAttachmentPreviews(expansion);
       const chevron = button.querySelector('.chevron-icon');
       if (chevron) {
         chevron.style.transform = 'rotate(180deg)';
@@ -3305,15 +3901,22 @@ function renderLabelChatList(chats) {
 }
 
 /**
- * Filter label chats by platform
+ * Filter label chats by platform (and the active search, if any)
  */
 function filterLabelChats(platform) {
-  if (platform === 'all') {
-    renderLabelChatList(currentLabelChats);
-  } else {
-    const filtered = currentLabelChats.filter(chat => chat.platform === platform);
-    renderLabelChatList(filtered);
-  }
+  const filtered = platform === 'all'
+    ? currentLabelChats
+    : currentLabelChats.filter(chat => chat.platform === platform);
+  renderLabelChatList(applyChatSearch(filtered, 'label'));
+}
+
+/**
+ * Get the platform selected in the label view filters
+ * @returns {string} Platform name or 'all'
+ */
+function getActiveLabelFilterPlatform() {
+  const activeBtn = chatlistFilterGroup.querySelector('.filter-btn.active');
+  return activeBtn ? (activeBtn.getAttribute('data-platform') || 'all') : 'all';
 }
 
 /**
@@ -3398,29 +4001,29 @@ async function handleGenerateBulletPoints() {
     }
 
     // Show loading state
+    destroyMindMapCanvas();
     bulletpointsContent.innerHTML = `<p class="bulletpoints-placeholder">Generating an AI-powered mind map from ${chatsWithContext.length} conversations...</p>`;
 
     // Get label name for context
     const label = await StorageService.getLabel(currentLabelId);
     const labelName = label ? label.name : '';
 
-    // Use AI to create a structured mind map with chat links
-    const bulletPointsHTML = await AIService.generateBulletPoints(chatsWithContext, labelName);
-
-    bulletpointsContent.innerHTML = bulletPointsHTML;
+    // Use AI to create a structured mind map linked to chat IDs
+    const mindMapData = await AIService.generateMindMap(chatsWithContext, labelName);
 
-    // Save mind map to label
+    // Save the structured data; it is rendered from the current chats on every view
     await StorageService.updateLabel(currentLabelId, {
-      bulletPoints: bulletPointsHTML
+      mindMapData,
+      bulletPoints: null
     });
 
-    // Attach click handlers to chat links
-    attachBulletPointsClickHandlers();
+    renderLabelMindMap(mindMapData);
 
     console.log('[Popup] Mind map generated successfully');
 
   } catch (error) {
     console.error('[Popup] Error generating mind map:', error);
+    destroyMindMapCanvas();
     bulletpointsContent.innerHTML = `<p class="bulletpoints-placeholder" style="color: #ef4444;">Error: ${error.message}</p>`;
   } finally {
     // Re-enable button
@@ -3439,26 +4042,1186 @@ async function handleGenerateBulletPoints() {
 }
 
 /**
- * Attach click handlers to mind map chat links
+ * Render a label's mind map from its structured data
+ * Shown as the SVG canvas or as the nested outline, per mindMapView.
+ * @param {Object|null} mindMapData - label.mindMapData
  */
-function attachBulletPointsClickHandlers() {
+function renderLabelMindMap(mindMapData) {
+  destroyMindMapCanvas();
+  currentLabelMindMap = mindMapData;
+
+  if (!mindMapData) {
+    bulletpointsContent.innerHTML = `<p class="bulletpoints-placeholder">Click "Generate Mind Map" to create a layered overview of every conversation in this label.</p>`;
+    return;
+  }
+
+  const chatsById = {};
+  currentLabelChats.forEach(chat => {
+    chatsById[chat.id] = chat;
+  });
+
+  mindMapToolbar.style.display = 'flex';
+  mindMapViewButtons.forEach(btn => {
+    btn.classList.toggle('active', btn.getAttribute('data-mindmap-view') === mindMapView);
+  });
+  mindMapCanvasControls.style.display = mindMapView === 'map' ? 'flex' : 'none';
+
+  if (mindMapView === 'outline') {
+    bulletpointsContent.innerHTML = MindMap.toHTML(mindMapData, chatsById);
+    attachBulletPointsClickHandlers();
+    return;
+  }
+
+  bulletpointsContent.innerHTML = '';
+  bulletpointsContent.classList.add('canvas-mode');
+  mindMapCanvas = MindMapCanvas.create(bulletpointsContent, mindMapData, {
+    title: labelViewName.textContent,
+    chatsById,
+    onOpenChat: (chat, example) => openReader(chat.id, { pairIndex: MindMap.resolvePairIndex(example, chat) })
+  });
+}
+
+/**
+ * Tear down the mind map canvas and hide its toolbar
+ */
+function destroyMindMapCanvas() {
+  if (mindMapCanvas) {
+    mindMapCanvas.destroy();
+    mindMapCanvas = null;
+  }
+  bulletpointsContent.classList.remove('canvas-mode');
+  mindMapToolbar.style.display = 'none';
+}
+
+/**
+ * Switch the mind map between the canvas and the outline
+ * @param {'map'|'outline'} view - View to show
+ */
+function setMindMapView(view) {
+  if (view === mindMapView) {
+    return;
+  }
+  mindMapView = view;
+  renderLabelMindMap(currentLabelMindMap);
+}
+
+/**
+ * Handle the canvas zoom / fit / expand / collapse buttons
+ * @param {MouseEvent} event - Click event
+ */
+function handleMindMapControl(event) {
+  const button = event.target.closest('[data-mindmap-action]');
+  if (!button || !mindMapCanvas) {
+    return;
+  }
+
+  switch (button.getAttribute('data-mindmap-action')) {
+    case 'zoom-in':
+      mindMapCanvas.zoomBy(1.25);
+      break;
+    case 'zoom-out':
+      mindMapCanvas.zoomBy(0.8);
+      break;
+    case 'fit':
+      mindMapCanvas.fit();
+      break;
+    case 'expand':
+      mindMapCanvas.expandAll();
+      break;
+    case 'collapse':
+      mindMapCanvas.collapseAll();
+      break;
+  }
+}
+
+/**
+ * Open the current label's mind map in a full-page tab
+ */
+function handleOpenMindMapPage() {
+  if (!currentLabelId) {
+    return;
+  }
+  const url = chrome.runtime.getURL(`popup/popup.html?label=${encodeURIComponent(currentLabelId)}&tab=bulletpoints`);
+  chrome.tabs.create({ url, active: true });
+}
+
+/**
+ * Attach click handlers to mind map chat links (open the reader at the example's message pair)
+ */
+function attachBulletPointsClickHandlers() {
   const chatLinks = bulletpointsContent.querySelectorAll('.chat-link');
   chatLinks.forEach(link => {
     link.addEventListener('click', (e) => {
       e.preventDefault();
-      const url = link.getAttribute('href');
-      if (url) {
-        chrome.tabs.create({ url, active: true });
+      const pairIndex = parseInt(link.getAttribute('data-pair-index'), 10);
+      openReader(link.getAttribute('data-chat-id'), { pairIndex: Number.isInteger(pairIndex) ? pairIndex : null });
+    });
+  });
+}
+
+/**
+ * QUIZ
+ */
+
+/**
+ * Show today's due cards across all labels in the library header
+ * @param {Array<Object>} labels - All labels
+ */
+function renderQuizDueBadge(labels) {
+  let totalDue = 0;
+  let busiestLabel = null;
+  let busiestCount = 0;
+
+  labels.forEach(label => {
+    const due = Quiz.countDue(label.quizData);
+    totalDue += due;
+    if (due > busiestCount) {
+      busiestCount = due;
+      busiestLabel = label;
+    }
+  });
+
+  if (totalDue === 0) {
+    quizDueBadge.style.display = 'none';
+    quizDueBadge.removeAttribute('data-label-id');
+    return;
+  }
+
+  quizDueBadge.textContent = `${totalDue} card${totalDue === 1 ? '' : 's'} due today`;
+  quizDueBadge.setAttribute('data-label-id', busiestLabel.id);
+  quizDueBadge.style.display = 'inline-flex';
+}
+
+/**
+ * Open a label on its Quiz tab and start reviewing
+ * @param {string} labelId - Label ID
+ */
+async function openQuizForLabel(labelId) {
+  await openLabelDetail(labelId);
+  switchTab('quiz');
+  if (Quiz.countDue(currentLabelQuiz) > 0) {
+    startQuizReview();
+  }
+}
+
+/**
+ * Render the Quiz tab for the current label
+ * @param {Object|null} quizData - label.quizData
+ */
+function renderLabelQuiz(quizData) {
+  currentLabelQuiz = quizData;
+
+  const cards = (quizData && quizData.cards) || [];
+  const dueCount = Quiz.countDue(quizData);
+
+  quizStats.textContent = cards.length === 0
+    ? 'No cards yet'
+    : `${cards.length} card${cards.length === 1 ? '' : 's'} · ${dueCount} due today`;
+  startQuizReviewBtn.style.display = !quizSession && dueCount > 0 ? 'inline-flex' : 'none';
+  generateQuizBtn.disabled = Boolean(quizSession);
+
+  if (quizSession) {
+    renderQuizCard();
+    return;
+  }
+
+  if (cards.length === 0) {
+    quizContent.innerHTML = `<p class="quiz-placeholder">Click "Generate Quiz" to create flashcards and multiple-choice questions from the conversations in this label.</p>`;
+    return;
+  }
+
+  if (dueCount > 0) {
+    quizContent.innerHTML = `<p class="quiz-placeholder">${dueCount} card${dueCount === 1 ? ' is' : 's are'} ready for review.</p>`;
+    return;
+  }
+
+  const nextDue = Quiz.getNextDue(quizData);
+  const nextDueText = nextDue
+    ? ` Next review: ${new Date(nextDue).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}.`
+    : '';
+  quizContent.innerHTML = `<p class="quiz-placeholder">All caught up.${nextDueText}</p>`;
+}
+
+/**
+ * Start reviewing the current label's due cards
+ */
+function startQuizReview() {
+  const dueCards = Quiz.getDueCards(currentLabelQuiz);
+  if (dueCards.length === 0) {
+    return;
+  }
+
+  quizSession = {
+    queue: dueCards.map(card => card.id),
+    revealed: false,
+    selectedChoice: null,
+    reviewed: 0
+  };
+  renderLabelQuiz(currentLabelQuiz);
+}
+
+/**
+ * Render the card at the front of the review queue
+ */
+function renderQuizCard() {
+  const card = quizSession.queue.length > 0
+    ? currentLabelQuiz.cards.find(item => item.id === quizSession.queue[0])
+    : null;
+
+  if (!card) {
+    const reviewed = quizSession.reviewed;
+    quizSession = null;
+    renderLabelQuiz(currentLabelQuiz);
+    showToast(`Review complete: ${reviewed} card${reviewed === 1 ? '' : 's'}.`, 'success');
+    return;
+  }
+
+  const isChoice = card.type === 'multiple-choice';
+  const answered = isChoice ? quizSession.selectedChoice !== null : quizSession.revealed;
+  let body = '';
+
+  if (isChoice) {
+    body += '<div class="quiz-choices">';
+    card.choices.forEach((choice, index) => {
+      let state = '';
+      if (answered && index === card.correctIndex) {
+        state = ' correct';
+      } else if (answered && index === quizSession.selectedChoice) {
+        state = ' incorrect';
+      }
+      body += `<button class="quiz-choice${state}" data-choice="${index}" ${answered ? 'disabled' : ''}>${escapeHtml(choice)}</button>`;
+    });
+    body += '</div>';
+  } else if (answered) {
+    body += `<div class="quiz-answer">${escapeHtml(card.answer)}</div>`;
+  }
+
+  if (answered) {
+    if (card.explanation) {
+      body += `<p class="quiz-explanation">${escapeHtml(card.explanation)}</p>`;
+    }
+    body += renderQuizSources(card.chatIds);
+  }
+
+  let actions;
+  if (!answered) {
+    actions = isChoice ? '' : '<button class="btn btn-primary btn-small" data-quiz-action="reveal">Show Answer</button>';
+  } else if (isChoice) {
+    // Multiple choice grades itself: correct is "good", wrong is "again"
+    const grade = quizSession.selectedChoice === card.correctIndex ? Quiz.GRADES.good : Quiz.GRADES.again;
+    actions = `<button class="btn btn-primary btn-small" data-quiz-grade="${grade}">Next</button>`;
+  } else {
+    actions = Object.entries({ again: 'Again', hard: 'Hard', good: 'Good', easy: 'Easy' })
+      .map(([key, text]) => `<button class="btn btn-small quiz-grade-btn ${key}" data-quiz-grade="${Quiz.GRADES[key]}">${text}</button>`)
+      .join('');
+  }
+
+  quizContent.innerHTML = `
+    <div class="quiz-card">
+      <div class="quiz-card-meta">
+        <span class="quiz-card-type">${isChoice ? 'Multiple choice' : 'Flashcard'}</span>
+        <span>${quizSession.queue.length} left</span>
+      </div>
+      <p class="quiz-question">${escapeHtml(card.question)}</p>
+      ${body}
+      <div class="quiz-card-actions">${actions}</div>
+    </div>
+  `;
+}
+
+/**
+ * Render links to the chats a card was drawn from
+ * @param {Array<string>} chatIds - Cited chat IDs
+ * @returns {string} HTML
+ */
+function renderQuizSources(chatIds) {
+  const chats = (chatIds || [])
+    .map(chatId => currentLabelChats.find(chat => chat.id === chatId))
+    .filter(Boolean);
+
+  if (chats.length === 0) {
+    return '';
+  }
+
+  return `
+    <div class="quiz-sources">
+      <span class="quiz-sources-label">Sources</span>
+      ${chats.map(chat => `
+        <a href="${escapeHtml(chat.url || '')}" class="chat-link" data-chat-id="${escapeHtml(chat.id)}">
+          <span class="chat-platform ${chat.platform}">${PlatformRegistry.getName(chat.platform)}</span>
+          <span class="chat-title">${escapeHtml(chat.title)}</span>
+        </a>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Handle clicks inside the quiz card (reveal, choices, grades, source links)
+ * @param {MouseEvent} event - Click event
+ */
+async function handleQuizContentClick(event) {
+  const link = event.target.closest('.chat-link');
+  if (link) {
+    event.preventDefault();
+    const url = link.getAttribute('href');
+    if (url) {
+      chrome.tabs.create({ url, active: true });
+    }
+    return;
+  }
+
+  if (!quizSession) {
+    return;
+  }
+
+  const choice = event.target.closest('[data-choice]');
+  if (choice) {
+    quizSession.selectedChoice = parseInt(choice.getAttribute('data-choice'), 10);
+    renderQuizCard();
+    return;
+  }
+
+  if (event.target.closest('[data-quiz-action="reveal"]')) {
+    quizSession.revealed = true;
+    renderQuizCard();
+    return;
+  }
+
+  const gradeButton = event.target.closest('[data-quiz-grade]');
+  if (gradeButton) {
+    await gradeQuizCard(parseInt(gradeButton.getAttribute('data-quiz-grade'), 10));
+  }
+}
+
+/**
+ * Record the grade for the current card and move to the next one
+ * Failed cards go back to the end of the queue to be relearned this session.
+ * @param {number} grade - SM-2 grade (0-5)
+ */
+async function gradeQuizCard(grade) {
+  const cardId = quizSession.queue.shift();
+  const labelId = currentLabelId;
+
+  currentLabelQuiz = {
+    ...currentLabelQuiz,
+    cards: currentLabelQuiz.cards.map(card => (card.id === cardId ? Quiz.review(card, grade) : card))
+  };
+
+  if (grade < Quiz.SM2.passingGrade) {
+    quizSession.queue.push(cardId);
+  }
+  quizSession.reviewed++;
+  quizSession.revealed = false;
+  quizSession.selectedChoice = null;
+
+  renderLabelQuiz(currentLabelQuiz);
+
+  try {
+    await StorageService.updateLabel(labelId, { quizData: currentLabelQuiz });
+  } catch (error) {
+    console.error('[Popup] Error saving quiz review:', error);
+    showToast('Error saving review progress.', 'error');
+  }
+}
+
+/**
+ * Handle quiz generation for the current label
+ */
+async function handleGenerateQuiz() {
+  console.log('[Popup] Generating quiz...');
+
+  try {
+    generateQuizBtn.disabled = true;
+    generateQuizBtn.textContent = 'Generating...';
+
+    const chatsWithContext = currentLabelChats
+      .filter(chat => chat.messagePairSummaries && chat.messagePairSummaries.length > 0)
+      .map(chat => ({
+        id: chat.id,
+        title: chat.title,
+        chatSummary: chat.chatSummary,
+        messagePairSummaries: chat.messagePairSummaries
+      }));
+
+    if (chatsWithContext.length === 0) {
+      throw new Error('No chats with summaries available. Please run summarization first.');
+    }
+
+    quizContent.innerHTML = `<p class="quiz-placeholder">Writing study cards from ${chatsWithContext.length} conversations...</p>`;
+
+    const label = await StorageService.getLabel(currentLabelId);
+    const labelName = label ? label.name : '';
+
+    // Regenerated cards with the same question keep their review history
+    const quizData = await AIService.generateQuiz(chatsWithContext, labelName, currentLabelQuiz);
+
+    await StorageService.updateLabel(currentLabelId, { quizData });
+
+    renderLabelQuiz(quizData);
+    console.log(`[Popup] Quiz generated with ${quizData.cards.length} cards`);
+  } catch (error) {
+    console.error('[Popup] Error generating quiz:', error);
+    quizContent.innerHTML = `<p class="quiz-placeholder" style="color: #ef4444;">Error: ${escapeHtml(error.message)}</p>`;
+  } finally {
+    generateQuizBtn.disabled = false;
+    generateQuizBtn.innerHTML = `
+      <svg class="btn-icon" width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor">
+        <rect x="1.5" y="2.5" width="11" height="9" rx="1.5" stroke-width="1.4"/>
+        <path d="M5.2 5.6a1.8 1.8 0 1 1 2.4 1.7c-.4.2-.6.5-.6.9v.3M7 10h.01" stroke-width="1.3" stroke-linecap="round"/>
+      </svg>
+      Generate Quiz
+    `;
+  }
+}
+
+/**
+ * ASK YOUR HISTORY
+ */
+
+/**
+ * Fill the scope picker with the current labels, keeping the selection
+ * @param {Array<Object>} labels - All labels
+ */
+function renderAskScopeOptions(labels) {
+  const selected = askScopeSelect.value;
+  const sorted = [...labels].sort((a, b) => a.name.localeCompare(b.name));
+
+  askScopeSelect.innerHTML = '<option value="">Whole library</option>' + sorted
+    .map(label => `<option value="${escapeHtml(label.id)}">${escapeHtml(label.name)}</option>`)
+    .join('');
+  askScopeSelect.value = sorted.some(label => label.id === selected) ? selected : '';
+}
+
+/**
+ * Answer a question from the library or the selected label
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handleAskQuestion(event) {
+  event.preventDefault();
+
+  const question = askInput.value.trim();
+  if (!question || askSubmitBtn.disabled) {
+    return;
+  }
+
+  const labelId = askScopeSelect.value || null;
+  const scopeName = labelId
+    ? `the "${askScopeSelect.options[askScopeSelect.selectedIndex].textContent}" label`
+    : 'your library';
+  const turn = { question, scopeName, status: 'loading', answer: '', sources: [], error: null };
+
+  askTurns.push(turn);
+  askInput.value = '';
+  askSubmitBtn.disabled = true;
+  renderAskThread();
+
+  try {
+    turn.sources = await HistoryQA.retrieve(question, { labelId });
+
+    if (turn.sources.length === 0) {
+      turn.answer = `I couldn't find anything about that in ${scopeName}.`;
+    } else {
+      turn.answer = await AIService.answerFromHistory(question, turn.sources, scopeName);
+    }
+    turn.status = 'done';
+  } catch (error) {
+    console.error('[Popup] Error answering question:', error);
+    turn.status = 'error';
+    turn.error = error.message;
+  } finally {
+    askSubmitBtn.disabled = false;
+    renderAskThread();
+  }
+}
+
+/**
+ * Render every question/answer turn
+ */
+function renderAskThread() {
+  if (askTurns.length === 0) {
+    return;
+  }
+
+  askThread.innerHTML = askTurns.map(turn => {
+    let body;
+    if (turn.status === 'loading') {
+      body = `<p class="ask-status">Searching ${escapeHtml(turn.scopeName)}...</p>`;
+    } else if (turn.status === 'error') {
+      body = `<p class="ask-status ask-error">Error: ${escapeHtml(turn.error)}</p>`;
+    } else {
+      body = `<div class="ask-answer">${renderAskAnswer(turn.answer, turn.sources)}</div>${renderAskSources(turn.sources)}`;
+    }
+
+    return `
+      <div class="ask-turn">
+        <p class="ask-question">${escapeHtml(turn.question)}</p>
+        ${body}
+      </div>
+    `;
+  }).join('');
+
+  askThread.scrollTop = askThread.scrollHeight;
+}
+
+/**
+ * Turn the model's answer into HTML, linking [n] citations to their chats
+ * @param {string} answer - Answer text
+ * @param {Array<Object>} sources - Numbered sources
+ * @returns {string} HTML
+ */
+function renderAskAnswer(answer, sources) {
+  const sourcesByNumber = new Map(sources.map(source => [source.number, source]));
+
+  const linkCitations = html => html.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (match, numbers) => numbers
+    .split(',')
+    .map(number => {
+      const source = sourcesByNumber.get(parseInt(number, 10));
+      if (!source) {
+        return '';
+      }
+      return `<a href="${escapeHtml(source.url || '')}" class="ask-citation" data-chat-id="${escapeHtml(source.chatId)}" title="${escapeHtml(source.title)}">[${source.number}]</a>`;
+    })
+    .join(''));
+
+  return escapeHtml(answer)
+    .split(/\n\s*\n/)
+    .map(paragraph => `<p>${linkCitations(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
+
+/**
+ * Render the numbered sources under an answer
+ * @param {Array<Object>} sources - Numbered sources
+ * @returns {string} HTML
+ */
+function renderAskSources(sources) {
+  if (sources.length === 0) {
+    return '';
+  }
+
+  return `
+    <ol class="ask-sources">
+      ${sources.map(source => `
+        <li value="${source.number}">
+          <a href="${escapeHtml(source.url || '')}" class="chat-link" data-chat-id="${escapeHtml(source.chatId)}" data-pair-index="${source.pairIndex}">
+            <span class="chat-platform ${source.platform}">${PlatformRegistry.getName(source.platform)}</span>
+            <span class="chat-title">${escapeHtml(source.title)}</span>
+          </a>
+          <span class="ask-source-detail">Exchange ${source.pairIndex + 1}${source.summary ? ` · ${escapeHtml(source.summary)}` : ''}</span>
+        </li>
+      `).join('')}
+    </ol>
+  `;
+}
+
+/**
+ * READER
+ */
+
+// Find-in-conversation highlights at most this many matches
+const READER_FIND_LIMIT = 500;
+// Screen the reader returns to, the chat it shows and the find state
+let readerReturnScreen = 'library';
+let readerChat = null;
+let readerFindMatches = [];
+let readerFindIndex = -1;
+let readerFindTimer = null;
+
+/**
+ * Open a conversation in the reader
+ * @param {string} chatId - Chat ID
+ * @param {Object} options - { messageIndex, pairIndex: message (or first message of a pair) to scroll to }
+ */
+async function openReader(chatId, { messageIndex = null, pairIndex = null } = {}) {
+  try {
+    const chat = await StorageService.getChat(chatId);
+    if (!chat) {
+      throw new Error('This conversation is no longer in the library.');
+    }
+
+    if (currentScreen !== 'reader') {
+      readerReturnScreen = currentScreen;
+    }
+    readerChat = chat;
+    renderReader(chat);
+    showScreen('reader');
+
+    readerFindInput.value = '';
+    runReaderFind();
+
+    let targetIndex = Number.isInteger(messageIndex) ? messageIndex : null;
+    if (targetIndex === null && Number.isInteger(pairIndex)) {
+      targetIndex = SyncService.getMessagePairIndexes(chat.messages).indexOf(pairIndex);
+    }
+    scrollReaderToMessage(targetIndex);
+  } catch (error) {
+    console.error('[Popup] Error opening reader:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+/**
+ * Leave the reader for the screen it was opened from
+ */
+function closeReader() {
+  clearReaderFind();
+  readerChat = null;
+  readerContent.innerHTML = '';
+  showScreen(readerReturnScreen);
+}
+
+/**
+ * Render a conversation's messages, grouped by message pair with the pair's summary
+ * @param {Object} chat - Chat object
+ */
+function renderReader(chat) {
+  const messages = Array.isArray(chat.messages) ? chat.messages : [];
+  const pairIndexes = SyncService.getMessagePairIndexes(messages);
+  const summaries = Array.isArray(chat.messagePairSummaries) ? chat.messagePairSummaries : [];
+  const lastReplyIndex = messages.map(message => message.role).lastIndexOf('assistant');
+
+  // Artifacts follow the message that wrote them (or the last reply)
+  const artifactsByMessage = new Map();
+  (Array.isArray(chat.artifacts) ? chat.artifacts : []).forEach(artifact => {
+    const index = Number.isInteger(artifact.messageIndex) && messages[artifact.messageIndex]
+      ? artifact.messageIndex
+      : lastReplyIndex;
+    artifactsByMessage.set(index, [...(artifactsByMessage.get(index) || []), artifact]);
+  });
+
+  readerTitle.textContent = chat.title || 'Untitled conversation';
+  readerMeta.textContent = [
+    PlatformRegistry.getName(chat.platform),
+    `${messages.length} ${messages.length === 1 ? 'message' : 'messages'}`,
+    chat.date ? formatChatDate(chat.date) : null,
+    chat.model ? formatModelName(chat.model) : null
+  ].filter(Boolean).join(' · ');
+  readerOpenOriginalBtn.style.display = chat.url ? 'inline-flex' : 'none';
+
+  if (messages.length === 0) {
+    readerContent.innerHTML = '<div class="empty-state"><p>No messages were captured for this conversation.</p></div>';
+    return;
+  }
+
+  // Consecutive messages of the same pair share a section; empty messages join the one before
+  const sections = [];
+  messages.forEach((message, index) => {
+    const pairIndex = pairIndexes[index];
+    const section = sections[sections.length - 1];
+    if (section && (pairIndex === null || pairIndex === section.pairIndex)) {
+      section.messageIndexes.push(index);
+    } else {
+      sections.push({ pairIndex, messageIndexes: [index] });
+    }
+  });
+
+  const summarizedPairs = new Set();
+  readerContent.innerHTML = sections.map(section => {
+    const showSummary = section.pairIndex !== null && summaries[section.pairIndex] && !summarizedPairs.has(section.pairIndex);
+    if (showSummary) {
+      summarizedPairs.add(section.pairIndex);
+    }
+
+    return `
+      <section class="reader-pair${showSummary ? ' has-summary' : ''}">
+        <div class="reader-pair-messages">
+          ${section.messageIndexes.map(index => renderReaderMessage(chat, index, artifactsByMessage.get(index) || [])).join('')}
+        </div>
+        ${showSummary ? `
+          <aside class="reader-pair-summary">
+            <span class="reader-pair-summary-label">Q&amp;A ${section.pairIndex + 1} summary</span>
+            ${escapeHtml(summaries[section.pairIndex])}
+          </aside>
+        ` : ''}
+      </section>
+    `;
+  }).join('');
+}
+
+/**
+ * Render one message of the reader
+ * Replies are stored as Markdown; prompts are shown as typed.
+ * @param {Object} chat - Chat object
+ * @param {number} index - Index into chat.messages
+ * @param {Array<Object>} artifacts - Artifacts written by this message
+ * @returns {string} HTML
+ */
+function renderReaderMessage(chat, index, artifacts) {
+  const message = chat.messages[index];
+  const isUser = message.role === 'user';
+  const attachments = Array.isArray(message.attachments) ? message.attachments : [];
+  const body = isUser
+    ? `<div class="reader-message-body plain">${escapeHtml(message.content || '')}</div>`
+    : `<div class="reader-message-body md-content">${MarkdownRenderer.render(message.content || '')}</div>`;
+
+  return `
+    <article class="reader-message ${isUser ? 'user' : 'assistant'}" data-message-index="${index}">
+      <div class="reader-message-header">
+        <span class="reader-message-role">${isUser ? 'You' : 'AI'}</span>
+        <a class="reader-message-link" href="${escapeHtml(buildReaderLink(chat.id, index))}" title="Link to this message">#${index + 1}</a>
+        ${message.timestamp ? `<span class="reader-message-time">${formatChatDate(message.timestamp, true)}</span>` : ''}
+      </div>
+      ${body}
+      ${attachments.length > 0 ? `
+        <div class="reader-message-attachments">
+          ${attachments.map(attachment => `
+            <span class="reader-message-attachment" title="${escapeHtml(AttachmentService.formatSize(attachment.size) || '')}">${escapeHtml(attachment.name)}</span>
+          `).join('')}
+        </div>
+      ` : ''}
+      ${artifacts.map(artifact => `
+        <details class="reader-artifact">
+          <summary>${escapeHtml(artifact.title)} <span class="chat-item-artifact-meta">${escapeHtml(Artifacts.describe(artifact))}</span></summary>
+          <div class="md-content">${MarkdownRenderer.render(Artifacts.toMarkdown(artifact))}</div>
+        </details>
+      `).join('')}
+    </article>
+  `;
+}
+
+/**
+ * Page URL that opens the reader at a message (popup.html?chat=<id>&message=<index>)
+ * @param {string} chatId - Chat ID
+ * @param {number} messageIndex - Index into chat.messages
+ * @returns {string}
+ */
+function buildReaderLink(chatId, messageIndex) {
+  const params = new URLSearchParams(window.location.search);
+  ['label', 'tab', 'screen'].forEach(name => params.delete(name));
+  params.set('chat', chatId);
+  params.set('message', String(messageIndex));
+  return `?${params.toString()}`;
+}
+
+/**
+ * Scroll the reader to a message and mark it
+ * @param {number|null} messageIndex - Index into chat.messages (null or -1 for the top)
+ */
+function scrollReaderToMessage(messageIndex) {
+  readerContent.querySelectorAll('.reader-message.targeted').forEach(el => el.classList.remove('targeted'));
+  const target = Number.isInteger(messageIndex) && messageIndex >= 0
+    ? readerContent.querySelector(`.reader-message[data-message-index="${messageIndex}"]`)
+    : null;
+
+  if (!target) {
+    window.scrollTo(0, 0);
+    return;
+  }
+
+  target.classList.add('targeted');
+  requestAnimationFrame(() => {
+    target.scrollIntoView({ block: 'start' });
+  });
+}
+
+/**
+ * Highlight every match of the find box in the reader
+ */
+function runReaderFind() {
+  clearReaderFind();
+  const query = readerFindInput.value.trim();
+
+  if (query) {
+    const pattern = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+    const walker = document.createTreeWalker(readerContent, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach(node => {
+      const text = node.nodeValue;
+      const fragment = document.createDocumentFragment();
+      let last = 0;
+      let match;
+
+      pattern.lastIndex = 0;
+      while (readerFindMatches.length < READER_FIND_LIMIT && (match = pattern.exec(text)) !== null) {
+        fragment.append(text.slice(last, match.index));
+        const mark = document.createElement('mark');
+        mark.className = 'reader-find-match';
+        mark.textContent = match[0];
+        fragment.append(mark);
+        readerFindMatches.push(mark);
+        last = match.index + match[0].length;
+      }
+
+      if (last > 0) {
+        fragment.append(text.slice(last));
+        node.replaceWith(fragment);
       }
     });
+  }
+
+  readerFindPrevBtn.disabled = readerFindMatches.length === 0;
+  readerFindNextBtn.disabled = readerFindMatches.length === 0;
+  if (readerFindMatches.length > 0) {
+    goToReaderFindMatch(0);
+  } else {
+    readerFindCount.textContent = query ? 'No matches' : '';
+  }
+}
+
+/**
+ * Remove the find highlights
+ */
+function clearReaderFind() {
+  readerContent.querySelectorAll('mark.reader-find-match').forEach(mark => {
+    mark.replaceWith(document.createTextNode(mark.textContent));
+  });
+  readerContent.normalize();
+  readerFindMatches = [];
+  readerFindIndex = -1;
+}
+
+/**
+ * Move to a find match, wrapping around at either end
+ * @param {number} index - Match index
+ */
+function goToReaderFindMatch(index) {
+  const count = readerFindMatches.length;
+  if (count === 0) {
+    return;
+  }
+
+  if (readerFindIndex >= 0) {
+    readerFindMatches[readerFindIndex].classList.remove('current');
+  }
+  readerFindIndex = (index + count) % count;
+  const mark = readerFindMatches[readerFindIndex];
+  mark.classList.add('current');
+
+  // Matches inside a collapsed artifact open it
+  const details = mark.closest('details');
+  if (details && !details.open) {
+    details.open = true;
+  }
+  mark.scrollIntoView({ block: 'center' });
+
+  const limited = count >= READER_FIND_LIMIT ? '+' : '';
+  readerFindCount.textContent = `${readerFindIndex + 1} of ${count}${limited}`;
+}
+
+/**
+ * Find box keys: Enter / Shift+Enter step through matches, Escape clears
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleReaderFindKeydown(event) {
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    clearTimeout(readerFindTimer);
+    if (readerFindIndex === -1) {
+      runReaderFind();
+    } else {
+      goToReaderFindMatch(readerFindIndex + (event.shiftKey ? -1 : 1));
+    }
+  } else if (event.key === 'Escape' && readerFindInput.value) {
+    event.preventDefault();
+    readerFindInput.value = '';
+    runReaderFind();
+  }
+}
+
+/**
+ * LABEL MANAGEMENT
+ */
+
+// Chats picked while splitting the open label (null when not splitting)
+let labelSplitSelection = null;
+
+/**
+ * Send a label change to the service worker, which keeps label and chat references in step
+ * @param {string} type - Message type
+ * @param {Object} data - Message data
+ * @returns {Promise<*>} Response data
+ */
+async function sendLabelMessage(type, data) {
+  const response = await chrome.runtime.sendMessage({ type, data });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Label change failed');
+  }
+  return response.data;
+}
+
+/**
+ * Render the color swatches of a picker (the picked color is kept in its data-color)
+ * @param {HTMLElement} picker - Picker container
+ * @param {string|null} selectedColor - Current color, null for none
+ */
+function renderLabelColorPicker(picker, selectedColor = null) {
+  picker.dataset.color = selectedColor || '';
+  picker.innerHTML = [null, ...StorageService.LABEL_COLORS].map(color => `
+    <button type="button" class="label-color-swatch${color ? '' : ' is-none'}" role="radio"
+      data-color="${color || ''}" aria-checked="${(color || '') === picker.dataset.color}"
+      title="${color || 'No color'}"${color ? ` style="--label-color: ${color}"` : ''}></button>
+  `).join('');
+}
+
+/**
+ * Pick a color in a color picker
+ * @param {MouseEvent} event - Click on the picker
+ */
+function handleLabelColorPick(event) {
+  const swatch = event.target.closest('.label-color-swatch');
+  if (!swatch) {
+    return;
+  }
+
+  const picker = event.currentTarget;
+  picker.dataset.color = swatch.getAttribute('data-color');
+  picker.querySelectorAll('.label-color-swatch').forEach(btn => {
+    btn.setAttribute('aria-checked', String(btn === swatch));
   });
 }
 
 /**
- * Handle create label
+ * Handle create label - show the form for a new, empty label
+ */
+function handleCreateLabel() {
+  if (newLabelForm.style.display !== 'none') {
+    closeNewLabelForm();
+    return;
+  }
+
+  newLabelForm.reset();
+  renderLabelColorPicker(newLabelColorPicker);
+  newLabelForm.style.display = 'flex';
+  newLabelNameInput.focus();
+}
+
+/**
+ * Hide the new label form
+ */
+function closeNewLabelForm() {
+  newLabelForm.style.display = 'none';
+}
+
+/**
+ * Create the label described in the new label form
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handleSubmitNewLabel(event) {
+  event.preventDefault();
+
+  try {
+    const label = await sendLabelMessage('createLabel', {
+      name: newLabelNameInput.value,
+      emoji: newLabelEmojiInput.value,
+      color: newLabelColorPicker.dataset.color || null
+    });
+
+    closeNewLabelForm();
+    showToast(`Label "${label.name}" created.`, 'success');
+    await loadLibrary();
+  } catch (error) {
+    console.error('[Popup] Error creating label:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+/**
+ * Show the open label's name, emoji and color in the header
+ * @param {Object} label - Label
+ */
+function renderLabelHeader(label) {
+  labelViewName.textContent = label.name;
+  labelViewEmoji.textContent = label.emoji || '';
+
+  if (label.color) {
+    labelScreen.style.setProperty('--label-color', label.color);
+  } else {
+    labelScreen.style.removeProperty('--label-color');
+  }
+  labelScreen.classList.toggle('has-label-color', Boolean(label.color));
+}
+
+/**
+ * Open or close the management panel of the open label
+ */
+async function toggleLabelManagePanel() {
+  if (labelManagePanel.style.display !== 'none') {
+    closeLabelManagePanel();
+    return;
+  }
+
+  try {
+    const labels = Object.values(await StorageService.getAllLabels());
+    const label = labels.find(candidate => candidate.id === currentLabelId);
+    if (!label) {
+      throw new Error('Label not found');
+    }
+
+    labelEditNameInput.value = label.name;
+    labelEditEmojiInput.value = label.emoji || '';
+    renderLabelColorPicker(labelEditColorPicker, label.color);
+
+    const others = labels
+      .filter(other => other.id !== label.id)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    mergeLabelSelect.innerHTML = '<option value="">Merge another label into this one...</option>' + others
+      .map(other => {
+        const count = (other.chatIds || []).length;
+        return `<option value="${escapeHtml(other.id)}" data-name="${escapeHtml(other.name)}">${escapeHtml(`${other.emoji ? `${other.emoji} ` : ''}${other.name} (${count} chat${count === 1 ? '' : 's'})`)}</option>`;
+      })
+      .join('');
+    mergeLabelSelect.disabled = others.length === 0;
+    mergeLabelBtn.disabled = true;
+
+    labelManagePanel.style.display = 'flex';
+    manageLabelBtn.setAttribute('aria-expanded', 'true');
+    labelEditNameInput.focus();
+  } catch (error) {
+    console.error('[Popup] Error opening label settings:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+/**
+ * Close the management panel of the open label
+ */
+function closeLabelManagePanel() {
+  labelManagePanel.style.display = 'none';
+  manageLabelBtn.setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Save the name, emoji and color of the open label
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handleSaveLabelEdit(event) {
+  event.preventDefault();
+
+  if (!currentLabelId) {
+    return;
+  }
+
+  try {
+    const label = await StorageService.getLabel(currentLabelId);
+    if (!label) {
+      throw new Error('Label not found');
+    }
+
+    if (labelEditNameInput.value.trim() !== label.name) {
+      await sendLabelMessage('renameLabel', { labelId: currentLabelId, name: labelEditNameInput.value });
+    }
+    await sendLabelMessage('updateLabelAppearance', {
+      labelId: currentLabelId,
+      emoji: labelEditEmojiInput.value,
+      color: labelEditColorPicker.dataset.color || null
+    });
+
+    renderLabelHeader(await StorageService.getLabel(currentLabelId));
+    closeLabelManagePanel();
+    showToast('Label updated.', 'success');
+  } catch (error) {
+    console.error('[Popup] Error updating label:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+/**
+ * Merge the label picked in the merge select into the open label
+ */
+async function handleMergeLabel() {
+  const sourceId = mergeLabelSelect.value;
+  if (!currentLabelId || !sourceId) {
+    return;
+  }
+
+  const sourceName = mergeLabelSelect.selectedOptions[0].getAttribute('data-name');
+  const confirmed = confirm(`Merge "${sourceName}" into "${labelViewName.textContent}"?\n\nIts chats join this label and "${sourceName}" is deleted, along with its summary, mind map and quiz.`);
+
+  if (!confirmed) {
+    return;
+  }
+
+  try {
+    const label = await sendLabelMessage('mergeLabels', { targetId: currentLabelId, sourceId });
+    showToast(`Merged "${sourceName}" into "${label.name}".`, 'success');
+    await loadLabelView(currentLabelId);
+  } catch (error) {
+    console.error('[Popup] Error merging labels:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+/**
+ * Start picking chats of the open label to move into a new label
+ */
+function startLabelSplit() {
+  closeLabelManagePanel();
+  labelSplitSelection = new Set();
+  labelSplitNameInput.value = '';
+  labelSplitBar.style.display = 'flex';
+  switchTab('chatlist');
+  updateLabelSplitBar();
+  filterLabelChats(getActiveLabelFilterPlatform());
+  labelSplitNameInput.focus();
+}
+
+/**
+ * Leave split mode (the chat list is re-rendered by the caller)
+ */
+function resetLabelSplit() {
+  labelSplitSelection = null;
+  labelSplitBar.style.display = 'none';
+}
+
+/**
+ * Add or remove a chat from the split selection
+ * @param {HTMLInputElement} checkbox - Checkbox of the chat
+ */
+function toggleLabelSplitChat(checkbox) {
+  if (!labelSplitSelection) {
+    return;
+  }
+
+  const chatId = checkbox.getAttribute('data-chat-id');
+  if (checkbox.checked) {
+    labelSplitSelection.add(chatId);
+  } else {
+    labelSplitSelection.delete(chatId);
+  }
+  checkbox.closest('.chat-item').classList.toggle('is-split-selected', checkbox.checked);
+  updateLabelSplitBar();
+}
+
+/**
+ * Show how many chats are picked and whether the split can run
+ */
+function updateLabelSplitBar() {
+  const count = labelSplitSelection ? labelSplitSelection.size : 0;
+  labelSplitCount.textContent = count > 0
+    ? `${count} chat${count === 1 ? '' : 's'} selected`
+    : 'Select chats to move';
+  confirmSplitLabelBtn.disabled = count === 0 || !labelSplitNameInput.value.trim();
+}
+
+/**
+ * Move the picked chats into a new label
+ * @param {SubmitEvent} event - Form submit event
  */
-async function handleCreateLabel() {
-  await openLabelWorkflow();
+async function handleSubmitLabelSplit(event) {
+  event.preventDefault();
+
+  if (!currentLabelId || !labelSplitSelection || labelSplitSelection.size === 0) {
+    return;
+  }
+
+  try {
+    const label = await sendLabelMessage('splitLabel', {
+      labelId: currentLabelId,
+      chatIds: [...labelSplitSelection],
+      name: labelSplitNameInput.value
+    });
+
+    showToast(`Moved ${label.chatIds.length} chat${label.chatIds.length === 1 ? '' : 's'} to "${label.name}".`, 'success');
+    await loadLabelView(currentLabelId);
+  } catch (error) {
+    console.error('[Popup] Error splitting label:', error);
+    showToast(error.message, 'error');
+  }
 }
 
 /**
@@ -3483,54 +5246,158 @@ async function handleClearData() {
 }
 
 /**
- * Get the user-selected ChatGPT import limit
- * @returns {number} Number of ChatGPT conversations to import (default 200)
+ * Save a generated file through the browser's download flow
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
  */
-function getChatgptImportLimit() {
-  if (!chatgptLimitSelect) {
-    return 200;
-  }
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
 
-  const value = parseInt(chatgptLimitSelect.value, 10);
-  if (Number.isNaN(value)) {
-    return 200;
-  }
+/**
+ * Export the open label's knowledge page as a Markdown note
+ */
+async function handleExportLabelMarkdown() {
+  try {
+    const label = await StorageService.getLabel(currentLabelId);
+    if (!label) {
+      throw new Error('Label not found');
+    }
 
-  return Math.min(Math.max(value, 0), 200);
+    const markdown = MarkdownExporter.labelToMarkdown(label, currentLabelChats);
+    const fileName = `${MarkdownExporter.noteFileName(label.name)}.md`;
+    downloadBlob(new Blob([markdown], { type: 'text/markdown' }), fileName);
+    showToast('Label exported to Markdown.', 'success');
+  } catch (error) {
+    console.error('[Popup] Error exporting label:', error);
+    showToast('Error exporting label: ' + error.message, 'error');
+  }
 }
 
 /**
- * Get the user-selected Claude import limit
- * @returns {number} Number of Claude conversations to import (default 50)
+ * Export every label as an Obsidian-style folder of linked notes (zipped)
  */
-function getClaudeImportLimit() {
-  if (!claudeLimitSelect) {
-    return 50;
-  }
+async function handleExportVault() {
+  try {
+    const [labels, chats] = await Promise.all([
+      StorageService.getAllLabels(),
+      StorageService.getAllChats()
+    ]);
+    const labelArray = Object.values(labels);
+
+    if (labelArray.length === 0) {
+      showToast('No labels to export yet.', 'info');
+      return;
+    }
 
-  const value = parseInt(claudeLimitSelect.value, 10);
-  if (Number.isNaN(value)) {
-    return 50;
+    showToast('Preparing Obsidian export...', 'info');
+    const files = MarkdownExporter.buildVault(labelArray, chats);
+    const blob = await ZipUtils.createZip(files);
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadBlob(blob, `ai-recap-obsidian-${stamp}.zip`);
+
+    console.log('[Popup] Obsidian export created:', files.length, 'notes');
+    showToast(`Exported ${labelArray.length} labels to Obsidian notes.`, 'success');
+  } catch (error) {
+    console.error('[Popup] Error exporting Obsidian notes:', error);
+    showToast('Error exporting notes: ' + error.message, 'error');
   }
+}
+
+/**
+ * Download the whole library as a backup file
+ * @param {{zip: boolean}} options - Whether to compress the backup
+ */
+async function handleExportLibrary(options = {}) {
+  try {
+    showToast('Preparing library backup...', 'info');
+    const { blob, fileName, counts } = await BackupService.exportBackupFile(options);
+    downloadBlob(blob, fileName);
 
-  return Math.min(Math.max(value, 0), 50);
+    console.log('[Popup] Library exported:', fileName, counts);
+    showToast(`Exported ${counts.chats} chats and ${counts.labels} labels.`, 'success');
+  } catch (error) {
+    console.error('[Popup] Error exporting library:', error);
+    showToast('Error exporting library: ' + error.message, 'error');
+  }
 }
 
 /**
- * Get the user-selected Gemini import limit
- * @returns {number} Number of Gemini conversations to import (default 50)
+ * Restore a library backup chosen in the file picker
+ * An empty library is restored directly; otherwise the user picks merge or replace.
+ * @param {Event} event - Change event from the file input
  */
-function getGeminiImportLimit() {
-  if (!geminiLimitSelect) {
-    return 50;
+async function handleLibraryBackupSelected(event) {
+  const file = event.target.files && event.target.files[0];
+  // Reset so picking the same file again still fires a change event
+  libraryBackupInput.value = '';
+
+  if (!file) {
+    return;
   }
 
-  const value = parseInt(geminiLimitSelect.value, 10);
-  if (Number.isNaN(value)) {
-    return 50;
+  try {
+    const backup = await BackupService.readBackupFile(file);
+    const backupChats = backup.data.chats.length;
+    const backupLabels = backup.data.labels.length;
+    const stats = await StorageService.getStorageStats();
+
+    let mode = 'replace';
+    if (stats.chatCount > 0 || stats.labelCount > 0) {
+      const merge = confirm(`Restore ${backupChats} chats and ${backupLabels} labels from ${file.name}?\n\nOK merges the backup into your library. Chats that exist on both sides keep the more complete copy and labels with the same name are combined.\n\nCancel to choose other options.`);
+
+      if (merge) {
+        mode = 'merge';
+      } else {
+        const replace = confirm(`Replace your library with this backup instead?\n\nThis deletes your current ${stats.chatCount} chats and ${stats.labelCount} labels before restoring.\n\nThis action cannot be undone.`);
+        if (!replace) {
+          return;
+        }
+      }
+    }
+
+    showToast('Restoring library...', 'info');
+    const report = await BackupService.restoreBackup(backup, { mode });
+
+    const { added, updated, conflicts } = report.chats;
+    const message = mode === 'merge'
+      ? `Library merged: ${added} chats added, ${updated} updated${conflicts > 0 ? ` (${conflicts} conflicts resolved)` : ''}.`
+      : `Library restored: ${added} chats and ${report.labels.added} labels.`;
+
+    showScreen('library');
+    await loadLibrary();
+    showToast(message, 'success');
+
+    const missingFiles = report.attachments ? report.attachments.missing : 0;
+    if (missingFiles > 0) {
+      alert(`${missingFiles} attached ${missingFiles === 1 ? 'file was' : 'files were'} not in the backup and ${missingFiles === 1 ? 'was' : 'were'} removed from ${missingFiles === 1 ? 'its message' : 'their messages'}.\n\nBackups made before attachments were stored do not include them. The file names stay in the message text.`);
+    }
+  } catch (error) {
+    console.error('[Popup] Error restoring library:', error);
+    alert('Could not restore the backup.\n\n' + error.message);
   }
+}
 
-  return Math.min(Math.max(value, 0), 50);
+/**
+ * Get the user-selected import limit of every platform
+ * @returns {Array<{key: string, limit: number}>} Limit per platform (0 skips the platform)
+ */
+function getImportLimits() {
+  return PlatformRegistry.list().map(platform => {
+    const select = importLimitsGrid.querySelector(`select[data-platform="${platform.id}"]`);
+    return {
+      key: platform.id,
+      limit: PlatformRegistry.clampLimit(platform.id, select ? select.value : platform.limits.defaultValue)
+    };
+  });
 }
 
 // Initialize when DOM is ready
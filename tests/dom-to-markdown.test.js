@@ -0,0 +1,31 @@
+/**
+ * DomToMarkdown regression checks
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const DomToMarkdown = require('../content-scripts/dom-to-markdown.js');
+
+test('tidying leaves fenced code untouched', () => {
+  const code = '```python\ndef f():  \n    pass\n\n\n\nprint(f())\t\n```';
+  const raw = `\n\nIntro   \n\n\n\n${code}\n\n\n\nOutro  \n`;
+
+  assert.strictEqual(DomToMarkdown._tidy(raw), `Intro\n\n${code}\n\nOutro`);
+});
+
+test('code indented in a list item or quoted is left untouched', () => {
+  const listed = '- Step  \n\n\n\n  ```sh\n  make  \n\n\n\n  make install\n  ```\n\n\n- Done';
+  assert.strictEqual(
+    DomToMarkdown._tidy(listed),
+    '- Step\n\n  ```sh\n  make  \n\n\n\n  make install\n  ```\n\n- Done'
+  );
+
+  const quoted = '> ```\n> a  \n>\n>\n>\n> b\n> ```';
+  assert.strictEqual(DomToMarkdown._tidy(quoted), quoted);
+});
+
+test('a longer fence is not closed by a shorter one', () => {
+  const code = '````md\n```\ninner  \n```\n\n\n\n````';
+  assert.strictEqual(DomToMarkdown._tidy(`${code}  \n\n\n\nafter`), `${code}\n\nafter`);
+});
@@ -0,0 +1,24 @@
+/**
+ * HistoryQA regression checks
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The service worker loads these as globals via importScripts
+global.SearchIndex = require('../lib/search-index.js');
+const HistoryQA = require('../lib/history-qa.js');
+
+test('passages mentioning Object.prototype names rank with finite scores', () => {
+  const passages = [
+    { chatRank: 0, summary: 'Why the constructor runs twice', user: 'constructor?', assistant: 'Because of super().' },
+    { chatRank: 1, summary: 'Lunch ideas', user: 'What should I eat?', assistant: 'Soup.' }
+  ];
+
+  const ranked = HistoryQA._rankPassages(passages, 'constructor tostring');
+
+  assert.strictEqual(ranked.length, 1);
+  assert.strictEqual(ranked[0].chatRank, 0);
+  assert.ok(Number.isFinite(ranked[0].score));
+});
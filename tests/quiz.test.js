@@ -0,0 +1,50 @@
+/**
+ * Quiz regression checks
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Quiz = require('../lib/quiz.js');
+
+const chats = [{ id: 'chat_1' }];
+
+test('the answer index refers to the choices before empty ones are dropped', () => {
+  const quiz = Quiz.fromModelResponse([{
+    type: 'multiple-choice',
+    question: 'Which store holds search documents?',
+    choices: ['', 'chats', 'searchDocs', 'labels'],
+    answerIndex: 2,
+    chatIndex: 1
+  }], chats);
+
+  const [card] = quiz.cards;
+  assert.deepStrictEqual(card.choices, ['chats', 'searchDocs', 'labels']);
+  assert.strictEqual(card.correctIndex, 1);
+  assert.strictEqual(card.answer, 'searchDocs');
+});
+
+test('an index pointing at an empty choice falls back to the answer text', () => {
+  const [card] = Quiz.fromModelResponse([{
+    question: 'Pick one',
+    choices: ['a', '', 'b'],
+    answerIndex: 1,
+    answer: 'b'
+  }], chats).cards;
+
+  assert.strictEqual(card.answer, 'b');
+  assert.strictEqual(card.correctIndex, 1);
+});
+
+test('questions repeated by the model become one card with its own ID', () => {
+  const previous = Quiz.fromModelResponse([{ question: 'What is BM25?', answer: 'A ranking function' }], chats);
+  const quiz = Quiz.fromModelResponse([
+    { question: 'What is BM25?', answer: 'A ranking function' },
+    { question: 'what is bm25', answer: 'Okapi BM25' },
+    { question: 'What is IDF?', answer: 'Inverse document frequency' }
+  ], chats, previous);
+
+  assert.strictEqual(quiz.cards.length, 2);
+  assert.strictEqual(quiz.cards[0].id, previous.cards[0].id);
+  assert.strictEqual(new Set(quiz.cards.map(card => card.id)).size, 2);
+});
@@ -0,0 +1,38 @@
+/**
+ * SearchIndex regression checks
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SearchIndex = require('../lib/search-index.js');
+
+const rankQuery = (docs, query) => SearchIndex.rank(docs, SearchIndex.parseQuery(query), {
+  totalDocs: docs.length,
+  avgLength: docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length
+});
+
+test('Object.prototype names are ordinary terms', () => {
+  const docs = [
+    SearchIndex.buildDocument({ id: 'a', title: 'Calling the constructor twice' }),
+    SearchIndex.buildDocument({ id: 'b', title: 'Unrelated notes' })
+  ];
+
+  const { hits } = rankQuery(docs, 'constructor tostring ');
+
+  hits.forEach(hit => assert.ok(Number.isFinite(hit.score), `score for ${hit.chatId} is ${hit.score}`));
+  assert.strictEqual(hits[0].chatId, 'a');
+  assert.strictEqual(hits.find(hit => hit.chatId === 'b').score, 0);
+});
+
+test('documents read back as plain objects still rank', () => {
+  // IndexedDB returns structured clones, which have Object.prototype again
+  const docs = [
+    SearchIndex.buildDocument({ id: 'a', title: 'Prototype chains' }),
+    SearchIndex.buildDocument({ id: 'b', title: 'Something else entirely' })
+  ].map(doc => structuredClone(doc));
+
+  const { hits } = rankQuery(docs, 'constructor ');
+
+  hits.forEach(hit => assert.strictEqual(hit.score, 0));
+});
@@ -0,0 +1,63 @@
+/**
+ * SyncService regression checks
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SyncService = require('../lib/sync-service.js');
+
+const storedChat = {
+  id: 'chatgpt-1',
+  messages: [
+    { id: 'a1', parentId: null, role: 'user', content: 'Hi' },
+    { id: 'b2', parentId: 'a1', role: 'assistant', content: 'Hello again' }
+  ],
+  messageTree: {
+    version: 1,
+    activeLeafId: 'b2',
+    nodes: [
+      { id: 'a1', parentId: null, role: 'user', content: 'Hi' },
+      { id: 'b1', parentId: 'a1', role: 'assistant', content: 'Hello' },
+      { id: 'b2', parentId: 'a1', role: 'assistant', content: 'Hello again' }
+    ]
+  }
+};
+
+test('a live capture without a tree keeps the stored branches', () => {
+  const scraped = {
+    id: 'chatgpt-1',
+    messageTree: null,
+    messages: [
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello again' },
+      { role: 'user', content: 'Tell me more' },
+      { role: 'assistant', content: 'Sure.' }
+    ]
+  };
+
+  const merged = SyncService.mergeSyncedChat(storedChat, scraped);
+
+  assert.strictEqual(merged.messageTree.nodes.length, 5);
+  assert.deepStrictEqual(merged.messages.map(message => message.parentId), [null, 'a1', 'b2', merged.messages[2].id]);
+  assert.strictEqual(merged.messageTree.activeLeafId, merged.messages[3].id);
+});
+
+test('an unchanged live capture keeps the stored tree as it was', () => {
+  const scraped = { id: 'chatgpt-1', messageTree: null, messages: storedChat.messages.map(({ role, content }) => ({ role, content })) };
+
+  const merged = SyncService.mergeSyncedChat(storedChat, scraped);
+
+  assert.deepStrictEqual(merged.messageTree, storedChat.messageTree);
+  assert.deepStrictEqual(merged.messages, storedChat.messages);
+});
+
+test('a switched branch drops the stored tree', () => {
+  const scraped = {
+    id: 'chatgpt-1',
+    messageTree: null,
+    messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }]
+  };
+
+  assert.strictEqual(SyncService.mergeSyncedChat(storedChat, scraped).messageTree, null);
+});